@@ -0,0 +1,52 @@
+/**
+ * Listing Geocoding Backfill
+ * Fills in coordinates for vehicle and part listings that have none, from
+ * their city/region/country via the offline gazetteer. The database trigger
+ * then sets each listing's PostGIS point.
+ *
+ * Usage: npm run geo:backfill
+ */
+
+require('dotenv').config();
+const prisma = require('../src/config/prisma');
+const { geocode } = require('../src/services/geocoding.service');
+
+async function backfill(model) {
+  const listings = await prisma[model].findMany({
+    where: { OR: [{ latitude: null }, { longitude: null }] },
+    select: { id: true, city: true, region: true, country: true }
+  });
+
+  let located = 0;
+  for (const listing of listings) {
+    const place = geocode(listing);
+    if (!place) continue;
+
+    await prisma[model].update({
+      where: { id: listing.id },
+      data: { latitude: place.latitude, longitude: place.longitude }
+    });
+    located++;
+  }
+
+  console.log(`   ${model}: ${located} of ${listings.length} located`);
+}
+
+async function main() {
+  console.log('📍 Geocoding listings without coordinates...');
+
+  await backfill('vehicle');
+  await backfill('part');
+
+  console.log('✅ Geocoding complete');
+}
+
+main()
+  .then(async () => {
+    await prisma.$disconnect();
+  })
+  .catch(async (e) => {
+    console.error('❌ Geocoding failed:', e.message);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+/**
+ * Exchange Rate Import
+ * Loads rates from a JSON ({ base, rates }) or CSV (currency,rate) file and
+ * re-bases listing prices
+ *
+ * Usage: npm run rates:import -- [file]   (defaults to prisma/exchange-rates.json)
+ */
+
+require('dotenv').config();
+const path = require('path');
+const prisma = require('../src/config/prisma');
+const { readRatesFile, importRates } = require('../src/services/currency.service');
+
+async function main() {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, 'exchange-rates.json'));
+  console.log(`💱 Importing exchange rates from ${file}...`);
+
+  const { updated, skipped } = await importRates(await readRatesFile(file));
+
+  updated.forEach(rate => console.log(`   ${rate.currency}: ${rate.rate}`));
+  if (skipped.length) {
+    console.log(`⚠️  Skipped unsupported currencies: ${skipped.join(', ')}`);
+  }
+  console.log(`✅ Imported ${updated.length} exchange rates`);
+}
+
+main()
+  .then(async () => {
+    await prisma.$disconnect();
+  })
+  .catch(async (e) => {
+    console.error('❌ Import failed:', e.message);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'swap_counter_offer';
+
+-- AlterTable
+ALTER TABLE "Swap" ADD COLUMN     "currentRevision" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "lastOfferById" TEXT;
+
+-- CreateTable
+CREATE TABLE "SwapOffer" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "swapId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "proposedById" TEXT NOT NULL,
+    "offeredVehicleId" TEXT,
+    "offeredItems" JSONB[],
+    "additionalCash" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "message" TEXT,
+
+    CONSTRAINT "SwapOffer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SwapOffer_swapId_idx" ON "SwapOffer"("swapId");
+
+-- CreateIndex
+CREATE INDEX "SwapOffer_proposedById_idx" ON "SwapOffer"("proposedById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SwapOffer_swapId_revision_key" ON "SwapOffer"("swapId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "SwapOffer" ADD CONSTRAINT "SwapOffer_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapOffer" ADD CONSTRAINT "SwapOffer_proposedById_fkey" FOREIGN KEY ("proposedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing swaps were all proposed by their initiator
+UPDATE "Swap" SET "lastOfferById" = "initiatorId" WHERE "lastOfferById" IS NULL;
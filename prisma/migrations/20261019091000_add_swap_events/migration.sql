@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "SwapEvent" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "swapId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "fromStatus" "SwapStatus",
+    "toStatus" "SwapStatus",
+    "changes" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+
+    CONSTRAINT "SwapEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SwapEvent_swapId_createdAt_idx" ON "SwapEvent"("swapId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SwapEvent_actorId_idx" ON "SwapEvent"("actorId");
+
+-- AddForeignKey
+ALTER TABLE "SwapEvent" ADD CONSTRAINT "SwapEvent_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapEvent" ADD CONSTRAINT "SwapEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'swap_note';
+
+-- CreateTable
+CREATE TABLE "SwapNote" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "swapId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "note" TEXT NOT NULL,
+    "attachments" JSONB[],
+    "isPrivate" BOOLEAN NOT NULL DEFAULT false,
+    "editedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SwapNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SwapNote_swapId_createdAt_idx" ON "SwapNote"("swapId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SwapNote_authorId_idx" ON "SwapNote"("authorId");
+
+-- AddForeignKey
+ALTER TABLE "SwapNote" ADD CONSTRAINT "SwapNote_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapNote" ADD CONSTRAINT "SwapNote_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
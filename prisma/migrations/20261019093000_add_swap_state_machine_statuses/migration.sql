@@ -0,0 +1,4 @@
+-- AlterEnum
+ALTER TYPE "SwapStatus" ADD VALUE 'in_handover';
+ALTER TYPE "SwapStatus" ADD VALUE 'disputed';
+ALTER TYPE "SwapStatus" ADD VALUE 'expired';
@@ -0,0 +1,40 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'swap_completed';
+ALTER TYPE "NotificationType" ADD VALUE 'swap_disputed';
+
+-- AlterTable
+ALTER TABLE "Swap" ADD COLUMN     "handoverStartedAt" TIMESTAMP(3),
+ADD COLUMN     "autoCompleteAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "SwapConfirmation" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "swapId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "keysHandedOver" BOOLEAN NOT NULL DEFAULT false,
+    "documentsHandedOver" BOOLEAN NOT NULL DEFAULT false,
+    "inspectionDone" BOOLEAN NOT NULL DEFAULT false,
+    "cashSettled" BOOLEAN NOT NULL DEFAULT false,
+    "confirmedAt" TIMESTAMP(3),
+    "refusedAt" TIMESTAMP(3),
+    "refusalReason" TEXT,
+
+    CONSTRAINT "SwapConfirmation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Swap_status_autoCompleteAt_idx" ON "Swap"("status", "autoCompleteAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SwapConfirmation_swapId_userId_key" ON "SwapConfirmation"("swapId", "userId");
+
+-- CreateIndex
+CREATE INDEX "SwapConfirmation_userId_idx" ON "SwapConfirmation"("userId");
+
+-- AddForeignKey
+ALTER TABLE "SwapConfirmation" ADD CONSTRAINT "SwapConfirmation_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapConfirmation" ADD CONSTRAINT "SwapConfirmation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
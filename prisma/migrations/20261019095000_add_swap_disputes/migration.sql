@@ -0,0 +1,70 @@
+-- CreateEnum
+CREATE TYPE "DisputeStatus" AS ENUM ('open', 'under_review', 'resolved');
+
+-- CreateEnum
+CREATE TYPE "DisputeOutcome" AS ENUM ('revert_listings', 'force_complete', 'refund_escrow', 'ban_party');
+
+-- CreateTable
+CREATE TABLE "SwapDispute" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "swapId" TEXT NOT NULL,
+    "openedById" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "description" TEXT,
+    "reportId" TEXT,
+    "status" "DisputeStatus" NOT NULL DEFAULT 'open',
+    "assignedAdminId" TEXT,
+    "assignedAt" TIMESTAMP(3),
+    "slaDueAt" TIMESTAMP(3) NOT NULL,
+    "outcome" "DisputeOutcome",
+    "resolutionNote" TEXT,
+    "bannedUserId" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SwapDispute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SwapDisputeEvidence" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "disputeId" TEXT NOT NULL,
+    "submittedById" TEXT NOT NULL,
+    "text" TEXT,
+    "attachments" JSONB[],
+
+    CONSTRAINT "SwapDisputeEvidence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SwapDispute_swapId_idx" ON "SwapDispute"("swapId");
+
+-- CreateIndex
+CREATE INDEX "SwapDispute_status_slaDueAt_idx" ON "SwapDispute"("status", "slaDueAt");
+
+-- CreateIndex
+CREATE INDEX "SwapDispute_assignedAdminId_idx" ON "SwapDispute"("assignedAdminId");
+
+-- CreateIndex
+CREATE INDEX "SwapDisputeEvidence_disputeId_createdAt_idx" ON "SwapDisputeEvidence"("disputeId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SwapDisputeEvidence_submittedById_idx" ON "SwapDisputeEvidence"("submittedById");
+
+-- AddForeignKey
+ALTER TABLE "SwapDispute" ADD CONSTRAINT "SwapDispute_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapDispute" ADD CONSTRAINT "SwapDispute_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapDispute" ADD CONSTRAINT "SwapDispute_assignedAdminId_fkey" FOREIGN KEY ("assignedAdminId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapDisputeEvidence" ADD CONSTRAINT "SwapDisputeEvidence_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "SwapDispute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapDisputeEvidence" ADD CONSTRAINT "SwapDisputeEvidence_submittedById_fkey" FOREIGN KEY ("submittedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "SwapRingStatus" AS ENUM ('proposed', 'accepted', 'declined', 'expired');
+
+-- CreateEnum
+CREATE TYPE "RingDecision" AS ENUM ('pending', 'accepted', 'declined');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'swap_ring';
+
+-- AlterTable
+ALTER TABLE "Swap" ADD COLUMN     "ringId" TEXT;
+
+-- CreateTable
+CREATE TABLE "SwapRing" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "signature" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "status" "SwapRingStatus" NOT NULL DEFAULT 'proposed',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "boundAt" TIMESTAMP(3),
+
+    CONSTRAINT "SwapRing_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SwapRingParticipant" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "ringId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "itemType" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "givesToUserId" TEXT NOT NULL,
+    "receivesItemType" TEXT NOT NULL,
+    "receivesItemId" TEXT NOT NULL,
+    "decision" "RingDecision" NOT NULL DEFAULT 'pending',
+    "decidedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SwapRingParticipant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Swap_ringId_idx" ON "Swap"("ringId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SwapRing_signature_key" ON "SwapRing"("signature");
+
+-- CreateIndex
+CREATE INDEX "SwapRing_status_expiresAt_idx" ON "SwapRing"("status", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SwapRingParticipant_ringId_userId_key" ON "SwapRingParticipant"("ringId", "userId");
+
+-- CreateIndex
+CREATE INDEX "SwapRingParticipant_userId_decision_idx" ON "SwapRingParticipant"("userId", "decision");
+
+-- CreateIndex
+CREATE INDEX "SwapRingParticipant_itemId_idx" ON "SwapRingParticipant"("itemId");
+
+-- AddForeignKey
+ALTER TABLE "Swap" ADD CONSTRAINT "Swap_ringId_fkey" FOREIGN KEY ("ringId") REFERENCES "SwapRing"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapRingParticipant" ADD CONSTRAINT "SwapRingParticipant_ringId_fkey" FOREIGN KEY ("ringId") REFERENCES "SwapRing"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SwapRingParticipant" ADD CONSTRAINT "SwapRingParticipant_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Swap" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "reminderSentAt" TIMESTAMP(3);
+
+-- Backfill: give open proposals the default 7 day window from their last update
+UPDATE "Swap" SET "expiresAt" = "updatedAt" + INTERVAL '7 days' WHERE "status" = 'pending';
+
+-- CreateIndex
+CREATE INDEX "Swap_status_expiresAt_idx" ON "Swap"("status", "expiresAt");
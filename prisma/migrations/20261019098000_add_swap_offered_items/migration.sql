@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Swap" ADD COLUMN     "offeredItems" JSONB[],
+ADD COLUMN     "requestedQuantity" INTEGER NOT NULL DEFAULT 1;
+
+-- Backfill: existing swaps offered a single vehicle
+UPDATE "Swap"
+SET "offeredItems" = ARRAY[jsonb_build_object('itemType', 'vehicle', 'itemId', "offeredVehicleId", 'quantity', 1)]
+WHERE "offeredVehicleId" IS NOT NULL;
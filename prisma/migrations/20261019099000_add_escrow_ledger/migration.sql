@@ -0,0 +1,101 @@
+-- CreateEnum
+CREATE TYPE "EscrowStatus" AS ENUM ('awaiting_funding', 'held', 'partially_released', 'released', 'refunded', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "EscrowAccount" AS ENUM ('payer', 'escrow', 'payee', 'fees');
+
+-- CreateEnum
+CREATE TYPE "LedgerDirection" AS ENUM ('debit', 'credit');
+
+-- CreateEnum
+CREATE TYPE "EscrowEntryType" AS ENUM ('hold', 'release', 'fee', 'refund');
+
+-- CreateTable
+CREATE TABLE "Escrow" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "swapId" TEXT,
+    "vehicleId" TEXT,
+    "payerId" TEXT NOT NULL,
+    "payeeId" TEXT NOT NULL,
+    "paymentId" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "feePercent" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "heldAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "releasedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "feeAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "status" "EscrowStatus" NOT NULL DEFAULT 'awaiting_funding',
+    "payerConfirmedAt" TIMESTAMP(3),
+    "payeeConfirmedAt" TIMESTAMP(3),
+    "frozenAt" TIMESTAMP(3),
+    "frozenReason" TEXT,
+    "fundedAt" TIMESTAMP(3),
+    "settledAt" TIMESTAMP(3),
+    "lastError" TEXT,
+
+    CONSTRAINT "Escrow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "EscrowLedgerEntry" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "escrowId" TEXT NOT NULL,
+    "postingId" TEXT NOT NULL,
+    "type" "EscrowEntryType" NOT NULL,
+    "account" "EscrowAccount" NOT NULL,
+    "direction" "LedgerDirection" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "memo" TEXT,
+
+    CONSTRAINT "EscrowLedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Escrow_paymentId_key" ON "Escrow"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "Escrow_swapId_idx" ON "Escrow"("swapId");
+
+-- CreateIndex
+CREATE INDEX "Escrow_vehicleId_idx" ON "Escrow"("vehicleId");
+
+-- CreateIndex
+CREATE INDEX "Escrow_payerId_idx" ON "Escrow"("payerId");
+
+-- CreateIndex
+CREATE INDEX "Escrow_payeeId_idx" ON "Escrow"("payeeId");
+
+-- CreateIndex
+CREATE INDEX "Escrow_status_idx" ON "Escrow"("status");
+
+-- CreateIndex
+CREATE INDEX "EscrowLedgerEntry_escrowId_idx" ON "EscrowLedgerEntry"("escrowId");
+
+-- CreateIndex
+CREATE INDEX "EscrowLedgerEntry_postingId_idx" ON "EscrowLedgerEntry"("postingId");
+
+-- CreateIndex
+CREATE INDEX "EscrowLedgerEntry_account_currency_idx" ON "EscrowLedgerEntry"("account", "currency");
+
+-- AddForeignKey
+ALTER TABLE "Escrow" ADD CONSTRAINT "Escrow_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Escrow" ADD CONSTRAINT "Escrow_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Escrow" ADD CONSTRAINT "Escrow_payerId_fkey" FOREIGN KEY ("payerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Escrow" ADD CONSTRAINT "Escrow_payeeId_fkey" FOREIGN KEY ("payeeId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Escrow" ADD CONSTRAINT "Escrow_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EscrowLedgerEntry" ADD CONSTRAINT "EscrowLedgerEntry_escrowId_fkey" FOREIGN KEY ("escrowId") REFERENCES "Escrow"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "WebhookEventStatus" AS ENUM ('received', 'processed', 'deferred', 'skipped', 'failed', 'rejected');
+
+-- CreateTable
+CREATE TABLE "WebhookEvent" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "provider" TEXT NOT NULL DEFAULT 'kora',
+    "eventId" TEXT NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "reference" TEXT,
+    "payload" JSONB NOT NULL,
+    "rawBody" TEXT,
+    "signature" TEXT,
+    "signatureValid" BOOLEAN NOT NULL DEFAULT false,
+    "status" "WebhookEventStatus" NOT NULL DEFAULT 'received',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "processedAt" TIMESTAMP(3),
+    "paymentId" TEXT,
+
+    CONSTRAINT "WebhookEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookEvent_provider_eventId_key" ON "WebhookEvent"("provider", "eventId");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_status_idx" ON "WebhookEvent"("status");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_reference_idx" ON "WebhookEvent"("reference");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_createdAt_idx" ON "WebhookEvent"("createdAt");
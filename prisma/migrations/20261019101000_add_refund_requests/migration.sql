@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "RefundStatus" AS ENUM ('requested', 'approved', 'denied', 'processing', 'refunded', 'failed');
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill: payments refunded before partial refunds existed were refunded in full
+UPDATE "Payment" SET "refundedAmount" = "amount" WHERE "status" = 'refunded';
+
+-- CreateTable
+CREATE TABLE "RefundRequest" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "reason" TEXT,
+    "status" "RefundStatus" NOT NULL DEFAULT 'requested',
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNote" TEXT,
+    "providerRefundId" TEXT,
+    "providerResponse" JSONB,
+    "failureReason" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "refundedAt" TIMESTAMP(3),
+    "reversal" JSONB,
+
+    CONSTRAINT "RefundRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RefundRequest_paymentId_idx" ON "RefundRequest"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "RefundRequest_userId_idx" ON "RefundRequest"("userId");
+
+-- CreateIndex
+CREATE INDEX "RefundRequest_status_idx" ON "RefundRequest"("status");
+
+-- AddForeignKey
+ALTER TABLE "RefundRequest" ADD CONSTRAINT "RefundRequest_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundRequest" ADD CONSTRAINT "RefundRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundRequest" ADD CONSTRAINT "RefundRequest_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
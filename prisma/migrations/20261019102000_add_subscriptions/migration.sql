@@ -0,0 +1,98 @@
+-- CreateEnum
+CREATE TYPE "SubscriptionStatus" AS ENUM ('active', 'past_due', 'cancelled', 'expired');
+
+-- CreateEnum
+CREATE TYPE "BillingInterval" AS ENUM ('month', 'year');
+
+-- CreateEnum
+CREATE TYPE "SubscriptionInvoiceType" AS ENUM ('new', 'proration', 'renewal');
+
+-- CreateEnum
+CREATE TYPE "SubscriptionInvoiceStatus" AS ENUM ('open', 'paid', 'failed', 'void');
+
+-- CreateTable
+CREATE TABLE "Subscription" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "plan" "SubscriptionPlan" NOT NULL,
+    "interval" "BillingInterval" NOT NULL,
+    "status" "SubscriptionStatus" NOT NULL DEFAULT 'active',
+    "currentPeriodStart" TIMESTAMP(3) NOT NULL,
+    "currentPeriodEnd" TIMESTAMP(3) NOT NULL,
+    "cancelAtPeriodEnd" BOOLEAN NOT NULL DEFAULT false,
+    "cancelledAt" TIMESTAMP(3),
+    "pendingPlan" "SubscriptionPlan",
+    "graceUntil" TIMESTAMP(3),
+    "lastReminderAt" TIMESTAMP(3),
+    "reminderCount" INTEGER NOT NULL DEFAULT 0,
+    "expiredAt" TIMESTAMP(3),
+
+    CONSTRAINT "Subscription_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SubscriptionInvoice" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "subscriptionId" TEXT,
+    "userId" TEXT NOT NULL,
+    "type" "SubscriptionInvoiceType" NOT NULL,
+    "status" "SubscriptionInvoiceStatus" NOT NULL DEFAULT 'open',
+    "plan" "SubscriptionPlan" NOT NULL,
+    "interval" "BillingInterval" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "credit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "paymentId" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "paidAt" TIMESTAMP(3),
+
+    CONSTRAINT "SubscriptionInvoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Subscription_userId_key" ON "Subscription"("userId");
+
+-- CreateIndex
+CREATE INDEX "Subscription_status_currentPeriodEnd_idx" ON "Subscription"("status", "currentPeriodEnd");
+
+-- CreateIndex
+CREATE INDEX "Subscription_status_graceUntil_idx" ON "Subscription"("status", "graceUntil");
+
+-- CreateIndex
+CREATE INDEX "SubscriptionInvoice_userId_idx" ON "SubscriptionInvoice"("userId");
+
+-- CreateIndex
+CREATE INDEX "SubscriptionInvoice_subscriptionId_status_idx" ON "SubscriptionInvoice"("subscriptionId", "status");
+
+-- CreateIndex
+CREATE INDEX "SubscriptionInvoice_status_idx" ON "SubscriptionInvoice"("status");
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubscriptionInvoice" ADD CONSTRAINT "SubscriptionInvoice_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubscriptionInvoice" ADD CONSTRAINT "SubscriptionInvoice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: paid plans active before the engine existed keep their dates
+-- (premium was sold monthly, everything else yearly)
+INSERT INTO "Subscription" ("id", "updatedAt", "userId", "plan", "interval", "status", "currentPeriodStart", "currentPeriodEnd")
+SELECT
+    'sub_' || md5("id"),
+    CURRENT_TIMESTAMP,
+    "id",
+    "subscriptionPlan",
+    CASE WHEN "subscriptionPlan" = 'premium' THEN 'month'::"BillingInterval" ELSE 'year'::"BillingInterval" END,
+    'active',
+    COALESCE("subscriptionStartDate", CURRENT_TIMESTAMP),
+    COALESCE("subscriptionEndDate", CURRENT_TIMESTAMP)
+FROM "User"
+WHERE "subscriptionIsActive" = true AND "subscriptionPlan" <> 'free';
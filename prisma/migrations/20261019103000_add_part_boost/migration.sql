@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Part" ADD COLUMN     "boostedUntil" TIMESTAMP(3),
+ADD COLUMN     "isBoosted" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "checkoutUrl" TEXT,
+ADD COLUMN     "provider" TEXT;
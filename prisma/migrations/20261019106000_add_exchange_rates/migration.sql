@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'admin',
+    "updatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("currency")
+);
+
+-- AlterTable
+ALTER TABLE "Vehicle" ADD COLUMN     "priceBase" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Part" ADD COLUMN     "priceBase" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "Vehicle_priceBase_idx" ON "Vehicle"("priceBase");
+
+-- CreateIndex
+CREATE INDEX "Part_priceBase_idx" ON "Part"("priceBase");
+
+-- Starting rates (units per 1 USD), same as CURRENCY.DEFAULT_RATES
+INSERT INTO "ExchangeRate" ("currency", "rate", "source", "updatedAt") VALUES
+    ('USD', 1, 'import', CURRENT_TIMESTAMP),
+    ('EUR', 0.92, 'import', CURRENT_TIMESTAMP),
+    ('GBP', 0.79, 'import', CURRENT_TIMESTAMP),
+    ('NGN', 1550, 'import', CURRENT_TIMESTAMP),
+    ('GHS', 15.5, 'import', CURRENT_TIMESTAMP),
+    ('KES', 129, 'import', CURRENT_TIMESTAMP),
+    ('ZAR', 18.2, 'import', CURRENT_TIMESTAMP);
+
+-- Backfill normalized prices
+UPDATE "Vehicle" v SET "priceBase" = v."price" / r."rate"
+FROM "ExchangeRate" r WHERE r."currency" = v."currency";
+
+UPDATE "Part" p SET "priceBase" = p."price" / r."rate"
+FROM "ExchangeRate" r WHERE r."currency" = p."currency";
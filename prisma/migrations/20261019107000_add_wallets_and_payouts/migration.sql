@@ -0,0 +1,126 @@
+-- CreateEnum
+CREATE TYPE "WalletEntryType" AS ENUM ('escrow_release', 'clearance', 'payout_hold', 'payout_release', 'payout_fee', 'payout_paid', 'adjustment');
+
+-- CreateEnum
+CREATE TYPE "PayoutStatus" AS ENUM ('requested', 'processing', 'paid', 'failed', 'rejected', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "PayoutMethod" AS ENUM ('bank_transfer', 'mobile_money');
+
+-- CreateTable
+CREATE TABLE "Wallet" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "available" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "pending" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "held" DOUBLE PRECISION NOT NULL DEFAULT 0,
+
+    CONSTRAINT "Wallet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WalletEntry" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "walletId" TEXT NOT NULL,
+    "type" "WalletEntryType" NOT NULL,
+    "available" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "pending" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "held" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "memo" TEXT,
+    "escrowId" TEXT,
+    "payoutId" TEXT,
+    "availableAt" TIMESTAMP(3),
+    "clearedAt" TIMESTAMP(3),
+
+    CONSTRAINT "WalletEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Payout" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "walletId" TEXT NOT NULL,
+    "reference" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "fee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "netAmount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "method" "PayoutMethod" NOT NULL,
+    "destination" JSONB NOT NULL,
+    "status" "PayoutStatus" NOT NULL DEFAULT 'requested',
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNote" TEXT,
+    "provider" TEXT,
+    "providerRef" TEXT,
+    "providerResponse" JSONB,
+    "failureReason" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "paidAt" TIMESTAMP(3),
+
+    CONSTRAINT "Payout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Wallet_userId_currency_key" ON "Wallet"("userId", "currency");
+
+-- CreateIndex
+CREATE INDEX "WalletEntry_walletId_createdAt_idx" ON "WalletEntry"("walletId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WalletEntry_escrowId_idx" ON "WalletEntry"("escrowId");
+
+-- CreateIndex
+CREATE INDEX "WalletEntry_payoutId_idx" ON "WalletEntry"("payoutId");
+
+-- CreateIndex
+CREATE INDEX "WalletEntry_type_clearedAt_availableAt_idx" ON "WalletEntry"("type", "clearedAt", "availableAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payout_reference_key" ON "Payout"("reference");
+
+-- CreateIndex
+CREATE INDEX "Payout_userId_idx" ON "Payout"("userId");
+
+-- CreateIndex
+CREATE INDEX "Payout_status_idx" ON "Payout"("status");
+
+-- AddForeignKey
+ALTER TABLE "Wallet" ADD CONSTRAINT "Wallet_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WalletEntry" ADD CONSTRAINT "WalletEntry_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WalletEntry" ADD CONSTRAINT "WalletEntry_escrowId_fkey" FOREIGN KEY ("escrowId") REFERENCES "Escrow"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WalletEntry" ADD CONSTRAINT "WalletEntry_payoutId_fkey" FOREIGN KEY ("payoutId") REFERENCES "Payout"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payout" ADD CONSTRAINT "Payout_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payout" ADD CONSTRAINT "Payout_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payout" ADD CONSTRAINT "Payout_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Escrow already released before wallets existed is credited as available
+INSERT INTO "Wallet" ("id", "userId", "currency", "available", "updatedAt")
+SELECT gen_random_uuid()::text, "payeeId", "currency", SUM(ROUND(("releasedAmount" - "feeAmount")::numeric, 2))::double precision, CURRENT_TIMESTAMP
+FROM "Escrow"
+WHERE "releasedAmount" > 0
+GROUP BY "payeeId", "currency";
+
+INSERT INTO "WalletEntry" ("id", "walletId", "type", "available", "memo", "escrowId", "availableAt", "clearedAt")
+SELECT gen_random_uuid()::text, w."id", 'escrow_release', ROUND((e."releasedAmount" - e."feeAmount")::numeric, 2)::double precision, 'Released before wallets', e."id", CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "Escrow" e
+JOIN "Wallet" w ON w."userId" = e."payeeId" AND w."currency" = e."currency"
+WHERE e."releasedAmount" > 0;
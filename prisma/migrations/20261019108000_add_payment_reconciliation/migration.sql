@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "ReconciliationIssueType" AS ENUM ('amount_mismatch', 'currency_mismatch', 'late_success');
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "reconciledAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ReconciliationIssue" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "type" "ReconciliationIssueType" NOT NULL,
+    "expectedAmount" DOUBLE PRECISION NOT NULL,
+    "expectedCurrency" TEXT NOT NULL,
+    "actualAmount" DOUBLE PRECISION,
+    "actualCurrency" TEXT,
+    "details" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "resolvedById" TEXT,
+    "resolution" TEXT,
+
+    CONSTRAINT "ReconciliationIssue_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReconciliationReport" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "date" TEXT NOT NULL,
+    "runs" INTEGER NOT NULL DEFAULT 0,
+    "checked" INTEGER NOT NULL DEFAULT 0,
+    "completed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "cancelled" INTEGER NOT NULL DEFAULT 0,
+    "flagged" INTEGER NOT NULL DEFAULT 0,
+    "errors" INTEGER NOT NULL DEFAULT 0,
+    "summary" JSONB,
+    "generatedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ReconciliationReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReconciliationIssue_paymentId_type_key" ON "ReconciliationIssue"("paymentId", "type");
+
+-- CreateIndex
+CREATE INDEX "ReconciliationIssue_resolvedAt_idx" ON "ReconciliationIssue"("resolvedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReconciliationReport_date_key" ON "ReconciliationReport"("date");
+
+-- AddForeignKey
+ALTER TABLE "ReconciliationIssue" ADD CONSTRAINT "ReconciliationIssue_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReconciliationIssue" ADD CONSTRAINT "ReconciliationIssue_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
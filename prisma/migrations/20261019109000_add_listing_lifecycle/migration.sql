@@ -0,0 +1,17 @@
+-- AlterEnum
+ALTER TYPE "PartStatus" ADD VALUE 'expired';
+
+-- CreateIndex
+CREATE INDEX "Vehicle_status_expiresAt_idx" ON "Vehicle"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "Part_status_expiresAt_idx" ON "Part"("status", "expiresAt");
+
+-- Listings published before expiry was enforced run their full term, with at least a week's notice
+UPDATE "Vehicle"
+SET "expiresAt" = GREATEST("createdAt" + INTERVAL '60 days', CURRENT_TIMESTAMP + INTERVAL '7 days')
+WHERE "expiresAt" IS NULL AND "status" = 'active';
+
+UPDATE "Part"
+SET "expiresAt" = GREATEST("createdAt" + INTERVAL '60 days', CURRENT_TIMESTAMP + INTERVAL '7 days')
+WHERE "expiresAt" IS NULL AND "status" = 'active';
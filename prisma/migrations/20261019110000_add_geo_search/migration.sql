@@ -0,0 +1,44 @@
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "postgis";
+
+-- AlterTable
+ALTER TABLE "Vehicle" ADD COLUMN "geo" geography(Point, 4326);
+
+-- AlterTable
+ALTER TABLE "Part" ADD COLUMN "geo" geography(Point, 4326);
+
+-- Keep "geo" in step with latitude/longitude on every write
+CREATE OR REPLACE FUNCTION "listing_geo_sync"() RETURNS trigger AS $$
+BEGIN
+  IF NEW."latitude" IS NULL OR NEW."longitude" IS NULL THEN
+    NEW."geo" := NULL;
+  ELSE
+    NEW."geo" := ST_SetSRID(ST_MakePoint(NEW."longitude", NEW."latitude"), 4326)::geography;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Vehicle_geo_sync"
+  BEFORE INSERT OR UPDATE OF "latitude", "longitude" ON "Vehicle"
+  FOR EACH ROW EXECUTE FUNCTION "listing_geo_sync"();
+
+CREATE TRIGGER "Part_geo_sync"
+  BEFORE INSERT OR UPDATE OF "latitude", "longitude" ON "Part"
+  FOR EACH ROW EXECUTE FUNCTION "listing_geo_sync"();
+
+-- Backfill points for listings that already have coordinates
+-- (listings with none can be geocoded with `npm run geo:backfill`)
+UPDATE "Vehicle"
+SET "geo" = ST_SetSRID(ST_MakePoint("longitude", "latitude"), 4326)::geography
+WHERE "latitude" IS NOT NULL AND "longitude" IS NOT NULL;
+
+UPDATE "Part"
+SET "geo" = ST_SetSRID(ST_MakePoint("longitude", "latitude"), 4326)::geography
+WHERE "latitude" IS NOT NULL AND "longitude" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Vehicle_geo_idx" ON "Vehicle" USING GIST ("geo");
+
+-- CreateIndex
+CREATE INDEX "Part_geo_idx" ON "Part" USING GIST ("geo");
@@ -0,0 +1,67 @@
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+ALTER TABLE "Vehicle" ADD COLUMN "searchVector" tsvector;
+
+-- AlterTable
+ALTER TABLE "Part" ADD COLUMN "searchVector" tsvector;
+
+-- Search documents, weighted A (what it is) to D (free text)
+CREATE OR REPLACE FUNCTION "vehicle_search_vector"() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', concat_ws(' ', NEW."make", NEW."model")), 'A') ||
+    setweight(to_tsvector('english', coalesce(NEW."title", '')), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ', NEW."year"::text, NEW."bodyType", NEW."fuelType", NEW."transmission", NEW."color")), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW."description", '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION "part_search_vector"() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', concat_ws(' ', NEW."partName", NEW."brand", NEW."partNumber")), 'A') ||
+    setweight(to_tsvector('english', coalesce(NEW."title", '')), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ',
+      replace(NEW."category"::text, '_', ' '),
+      NEW."manufacturer",
+      array_to_string(NEW."compatibleMakes", ' '),
+      array_to_string(NEW."compatibleModels", ' ')
+    )), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW."description", '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Vehicle_search_vector"
+  BEFORE INSERT OR UPDATE OF "make", "model", "title", "year", "bodyType", "fuelType", "transmission", "color", "description" ON "Vehicle"
+  FOR EACH ROW EXECUTE FUNCTION "vehicle_search_vector"();
+
+CREATE TRIGGER "Part_search_vector"
+  BEFORE INSERT OR UPDATE OF "partName", "brand", "partNumber", "title", "category", "manufacturer", "compatibleMakes", "compatibleModels", "description" ON "Part"
+  FOR EACH ROW EXECUTE FUNCTION "part_search_vector"();
+
+-- Backfill existing listings (fires the triggers)
+UPDATE "Vehicle" SET "title" = "title";
+
+UPDATE "Part" SET "title" = "title";
+
+-- CreateIndex
+CREATE INDEX "Vehicle_searchVector_idx" ON "Vehicle" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Vehicle_make_trgm_idx" ON "Vehicle" USING GIN ("make" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Vehicle_model_trgm_idx" ON "Vehicle" USING GIN ("model" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Part_searchVector_idx" ON "Part" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Part_partName_trgm_idx" ON "Part" USING GIN ("partName" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Part_brand_trgm_idx" ON "Part" USING GIN ("brand" gin_trgm_ops);
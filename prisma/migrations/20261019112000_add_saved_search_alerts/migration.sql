@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "SavedSearchFrequency" AS ENUM ('instant', 'daily', 'weekly');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'saved_search_match';
+
+-- AlterTable
+ALTER TABLE "SavedSearch" ADD COLUMN     "listingType" TEXT NOT NULL DEFAULT 'vehicle',
+ADD COLUMN     "frequency" "SavedSearchFrequency" NOT NULL DEFAULT 'instant',
+ADD COLUMN     "lastCheckedAt" TIMESTAMP(3),
+ADD COLUMN     "lastNotifiedAt" TIMESTAMP(3);
+
+-- Existing searches only alert on listings created from now on
+UPDATE "SavedSearch" SET "lastCheckedAt" = CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "SavedSearchMatch" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "savedSearchId" TEXT NOT NULL,
+    "listingType" TEXT NOT NULL,
+    "listingId" TEXT NOT NULL,
+    "notifiedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SavedSearchMatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SavedSearch_notifyOnNewListings_listingType_idx" ON "SavedSearch"("notifyOnNewListings", "listingType");
+
+-- CreateIndex
+CREATE INDEX "SavedSearchMatch_savedSearchId_notifiedAt_idx" ON "SavedSearchMatch"("savedSearchId", "notifiedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SavedSearchMatch_savedSearchId_listingType_listingId_key" ON "SavedSearchMatch"("savedSearchId", "listingType", "listingId");
+
+-- AddForeignKey
+ALTER TABLE "SavedSearchMatch" ADD CONSTRAINT "SavedSearchMatch_savedSearchId_fkey" FOREIGN KEY ("savedSearchId") REFERENCES "SavedSearch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'price_drop';
+ALTER TYPE "NotificationType" ADD VALUE 'listing_sold';
+
+-- AlterTable
+ALTER TABLE "Favorite" ADD COLUMN     "priceDropPercent" DOUBLE PRECISION DEFAULT 5,
+ADD COLUMN     "alertPrice" DOUBLE PRECISION;
+
+-- Existing favorites alert on drops from today's price
+UPDATE "Favorite" SET "alertPrice" = "Vehicle"."price"
+FROM "Vehicle"
+WHERE "Favorite"."vehicleId" = "Vehicle"."id";
+
+-- CreateTable
+CREATE TABLE "PriceHistory" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "vehicleId" TEXT,
+    "partId" TEXT,
+    "price" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "previousPrice" DOUBLE PRECISION,
+    "changedById" TEXT,
+
+    CONSTRAINT "PriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- History starts with each existing listing's current price
+INSERT INTO "PriceHistory" ("id", "createdAt", "vehicleId", "price", "currency", "changedById")
+SELECT gen_random_uuid()::text, "createdAt", "id", "price", "currency", "sellerId" FROM "Vehicle";
+
+INSERT INTO "PriceHistory" ("id", "createdAt", "partId", "price", "currency", "changedById")
+SELECT gen_random_uuid()::text, "createdAt", "id", "price", "currency", "sellerId" FROM "Part";
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_vehicleId_createdAt_idx" ON "PriceHistory"("vehicleId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_partId_createdAt_idx" ON "PriceHistory"("partId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceHistory" ADD CONSTRAINT "PriceHistory_partId_fkey" FOREIGN KEY ("partId") REFERENCES "Part"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Swap" ADD COLUMN     "escrowSettlementFrom" "SwapStatus",
+ADD COLUMN     "escrowSettlementPendingAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Swap_escrowSettlementPendingAt_idx" ON "Swap"("escrowSettlementPendingAt");
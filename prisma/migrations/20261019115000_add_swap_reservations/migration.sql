@@ -0,0 +1,27 @@
+-- AlterEnum
+ALTER TYPE "VehicleStatus" ADD VALUE 'reserved';
+
+-- AlterEnum
+ALTER TYPE "PartStatus" ADD VALUE 'reserved';
+
+-- CreateTable
+CREATE TABLE "SwapReservation" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "swapId" TEXT NOT NULL,
+    "itemType" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "previousStatus" TEXT NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SwapReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SwapReservation_itemId_idx" ON "SwapReservation"("itemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SwapReservation_swapId_itemType_itemId_key" ON "SwapReservation"("swapId", "itemType", "itemId");
+
+-- AddForeignKey
+ALTER TABLE "SwapReservation" ADD CONSTRAINT "SwapReservation_swapId_fkey" FOREIGN KEY ("swapId") REFERENCES "Swap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
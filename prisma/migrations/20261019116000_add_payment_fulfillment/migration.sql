@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "fulfilledAt" TIMESTAMP(3),
+ADD COLUMN     "fulfillmentClaimedAt" TIMESTAMP(3);
+
+-- Payments completed so far already had their side effects applied
+UPDATE "Payment" SET "fulfilledAt" = "updatedAt" WHERE "status" IN ('completed', 'refunded');
@@ -60,6 +60,22 @@ module.exports = {
     webhookSecret: process.env.KORA_WEBHOOK_SECRET,
     apiUrl: process.env.KORA_API_URL || 'https://api.korapay.com/merchant/api/v1'
   },
+
+  // Payment providers
+  payment: {
+    // Used when no route matches; Kora once it has credentials, the local mock (if enabled) until then
+    defaultProvider: process.env.PAYMENT_PROVIDER || (process.env.KORA_SECRET_KEY ? 'kora' : 'mock'),
+    // JSON list of { currency, method, provider }, first match wins; omit a field to match any
+    routes: process.env.PAYMENT_PROVIDER_ROUTES ? JSON.parse(process.env.PAYMENT_PROVIDER_ROUTES) : [],
+    mock: {
+      // Opt-in only, and never without a secret of its own
+      enabled: process.env.PAYMENT_MOCK_ENABLED === 'true',
+      secret: process.env.PAYMENT_MOCK_SECRET,
+      autoWebhooks: process.env.PAYMENT_MOCK_AUTO_WEBHOOKS !== 'false',
+      webhookDelayMs: parseInt(process.env.PAYMENT_MOCK_WEBHOOK_DELAY_MS) || 1000,
+      failureRate: parseFloat(process.env.PAYMENT_MOCK_FAILURE_RATE) || 0
+    }
+  },
   
   // Email
   email: {
@@ -85,6 +101,16 @@ module.exports = {
     vinValidation: process.env.ENABLE_VIN_VALIDATION === 'true'
   },
   
+  // Invoices (issuer printed on invoices for platform services)
+  invoice: {
+    companyName: process.env.INVOICE_COMPANY_NAME || process.env.APP_NAME || 'SwapRide',
+    companyAddress: process.env.INVOICE_COMPANY_ADDRESS,
+    companyEmail: process.env.INVOICE_COMPANY_EMAIL || process.env.EMAIL_FROM || 'billing@swapride.com',
+    taxId: process.env.INVOICE_TAX_ID,
+    // JSON map of country code to { rate, label }, merged over the defaults in constants
+    taxRates: process.env.INVOICE_TAX_RATES ? JSON.parse(process.env.INVOICE_TAX_RATES) : {}
+  },
+  
   // SMS
   sms: {
     apiKey: process.env.SMS_API_KEY,
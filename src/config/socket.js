@@ -5,7 +5,12 @@
 
 const jwt = require('jsonwebtoken');
 
+// Server instance, for code that runs outside a request (jobs, services)
+let activeIO = null;
+
 const configureSocketIO = (io) => {
+  activeIO = io;
+
   // Authentication middleware for Socket.IO
   io.use((socket, next) => {
     try {
@@ -94,6 +99,9 @@ const configureSocketIO = (io) => {
   return io;
 };
 
+// The configured Socket.IO server, or null before startup
+const getIO = () => activeIO;
+
 // Helper function to send notification to specific user
 const sendNotificationToUser = (io, userId, notification) => {
   io.to(`user_${userId}`).emit('notification', notification);
@@ -106,6 +114,7 @@ const sendMessageToChat = (io, chatId, message) => {
 
 module.exports = {
   configureSocketIO,
+  getIO,
   sendNotificationToUser,
   sendMessageToChat
 };
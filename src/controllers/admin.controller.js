@@ -3,8 +3,19 @@
  * Admin dashboard and management functions
  */
 
+const fs = require('fs');
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  DISPUTE_SWAP_SELECT,
+  getActiveDispute,
+  resolveSwapDispute
+} = require('../services/swapDispute.service');
+const { refundPaymentNow } = require('../services/refund.service');
+const currencyService = require('../services/currency.service');
+const { getListingExpiresAt } = require('../services/listingLifecycle.service');
+const { notifySavedSearches } = require('../services/savedSearchAlert.service');
+const { CURRENCY } = require('../utils/constants');
 
 // Dashboard Statistics
 
@@ -453,17 +464,14 @@ exports.approveListing = asyncHandler(async (req, res) => {
   const { listingId } = req.params;
   const { type = 'vehicle' } = req.body;
 
-  if (type === 'vehicle') {
-    await prisma.vehicle.update({
-      where: { id: listingId },
-      data: { status: 'active', isVerified: true }
-    });
-  } else {
-    await prisma.part.update({
-      where: { id: listingId },
-      data: { status: 'active', isVerified: true }
-    });
-  }
+  const data = { status: 'active', isVerified: true, expiresAt: getListingExpiresAt() };
+
+  const listing = type === 'vehicle'
+    ? await prisma.vehicle.update({ where: { id: listingId }, data })
+    : await prisma.part.update({ where: { id: listingId }, data });
+
+  // Alert matching saved searches in the background
+  notifySavedSearches({ type: type === 'vehicle' ? 'vehicle' : 'part', listing });
 
   res.status(200).json({
     status: 'success',
@@ -531,12 +539,207 @@ exports.getSwapStats = asyncHandler(async (req, res) => {
   res.status(200).json({ status: 'success', data: { stats } });
 });
 
+// Swap Disputes
+
+/**
+ * @desc    Get swap disputes (open by default, oldest SLA first)
+ * @route   GET /api/v1/admin/swaps/disputed
+ * @access  Private/Admin
+ */
 exports.getDisputedSwaps = asyncHandler(async (req, res) => {
-  res.status(200).json({ status: 'success', data: { swaps: [] } });
+  const { page = 1, limit = 20, status, assigned, overdue } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = {
+    status: status || { in: ['open', 'under_review'] }
+  };
+  if (assigned === 'me') where.assignedAdminId = req.user.id;
+  if (assigned === 'unassigned') where.assignedAdminId = null;
+  if (overdue === 'true') where.slaDueAt = { lt: new Date() };
+
+  const [disputes, total] = await Promise.all([
+    prisma.swapDispute.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { slaDueAt: 'asc' },
+      include: {
+        swap: {
+          include: {
+            initiator: { select: { id: true, firstName: true, lastName: true, email: true } },
+            receiver: { select: { id: true, firstName: true, lastName: true, email: true } }
+          }
+        },
+        openedBy: { select: { id: true, firstName: true, lastName: true } },
+        assignedAdmin: { select: { id: true, firstName: true, lastName: true } },
+        _count: { select: { evidence: true } }
+      }
+    }),
+    prisma.swapDispute.count({ where })
+  ]);
+
+  const now = new Date();
+
+  res.status(200).json({
+    status: 'success',
+    results: disputes.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: {
+      disputes: disputes.map(dispute => ({
+        ...dispute,
+        isOverdue: dispute.status !== 'resolved' && dispute.slaDueAt < now
+      }))
+    }
+  });
+});
+
+/**
+ * @desc    Get swap dispute details with evidence
+ * @route   GET /api/v1/admin/swaps/disputes/:disputeId
+ * @access  Private/Admin
+ */
+exports.getSwapDispute = asyncHandler(async (req, res) => {
+  const { disputeId } = req.params;
+
+  const dispute = await prisma.swapDispute.findUnique({
+    where: { id: disputeId },
+    include: {
+      swap: {
+        include: {
+          initiator: { select: { id: true, firstName: true, lastName: true, email: true } },
+          receiver: { select: { id: true, firstName: true, lastName: true, email: true } },
+          offeredVehicle: true,
+          confirmations: true,
+          events: { orderBy: { createdAt: 'asc' } }
+        }
+      },
+      evidence: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+          submittedBy: { select: { id: true, firstName: true, lastName: true } }
+        }
+      },
+      assignedAdmin: { select: { id: true, firstName: true, lastName: true } }
+    }
+  });
+
+  if (!dispute) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Dispute not found'
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { dispute }
+  });
 });
 
+/**
+ * @desc    Assign a swap dispute to an admin (defaults to yourself)
+ * @route   PATCH /api/v1/admin/swaps/disputes/:disputeId/assign
+ * @access  Private/Admin
+ */
+exports.assignSwapDispute = asyncHandler(async (req, res) => {
+  const { disputeId } = req.params;
+  const adminId = req.body.adminId || req.user.id;
+
+  const [dispute, admin] = await Promise.all([
+    prisma.swapDispute.findUnique({ where: { id: disputeId } }),
+    prisma.user.findUnique({ where: { id: adminId }, select: { id: true, role: true } })
+  ]);
+
+  if (!dispute) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Dispute not found'
+    });
+  }
+
+  if (dispute.status === 'resolved') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Dispute is already resolved'
+    });
+  }
+
+  if (!admin || admin.role !== 'admin') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Disputes can only be assigned to admins'
+    });
+  }
+
+  const updatedDispute = await prisma.swapDispute.update({
+    where: { id: disputeId },
+    data: {
+      assignedAdminId: adminId,
+      assignedAt: new Date(),
+      status: 'under_review'
+    }
+  });
+
+  if (adminId !== req.user.id) {
+    await prisma.notification.create({
+      data: {
+        userId: adminId,
+        type: 'swap_disputed',
+        title: 'Dispute Assigned',
+        message: 'A swap dispute has been assigned to you',
+        data: { swapId: dispute.swapId, disputeId, slaDueAt: dispute.slaDueAt }
+      }
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Dispute assigned',
+    data: { dispute: updatedDispute }
+  });
+});
+
+/**
+ * @desc    Resolve a swap dispute
+ * @route   PATCH /api/v1/admin/swaps/:swapId/resolve
+ * @access  Private/Admin
+ */
 exports.resolveSwapDispute = asyncHandler(async (req, res) => {
-  res.status(200).json({ status: 'success', message: 'Dispute resolved' });
+  const { swapId } = req.params;
+  const { outcome, resolutionNote, banUserId } = req.body;
+
+  const [swap, dispute] = await Promise.all([
+    prisma.swap.findUnique({ where: { id: swapId }, select: DISPUTE_SWAP_SELECT }),
+    getActiveDispute(swapId)
+  ]);
+
+  if (!swap || !dispute) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'No open dispute found for this swap'
+    });
+  }
+
+  const resolvedDispute = await resolveSwapDispute({
+    dispute,
+    swap,
+    admin: req.user,
+    outcome,
+    resolutionNote,
+    banUserId,
+    req
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Dispute resolved',
+    data: { dispute: resolvedDispute }
+  });
 });
 
 exports.getAllPayments = asyncHandler(async (req, res) => {
@@ -555,7 +758,18 @@ exports.getFailedPayments = asyncHandler(async (req, res) => {
 });
 
 exports.processRefund = asyncHandler(async (req, res) => {
-  res.status(200).json({ status: 'success', message: 'Refund processed' });
+  const payment = await prisma.payment.findUnique({ where: { id: req.params.paymentId } });
+  if (!payment) {
+    return res.status(404).json({ status: 'error', message: 'Payment not found' });
+  }
+
+  const refund = await refundPaymentNow({
+    payment,
+    admin: req.user,
+    amount: req.body.amount,
+    reason: req.body.reason
+  });
+  res.status(200).json({ status: 'success', message: `Refund ${refund.status}`, data: { refund } });
 });
 
 exports.getAllReports = asyncHandler(async (req, res) => {
@@ -705,6 +919,71 @@ exports.getCacheStats = asyncHandler(async (req, res) => {
   res.status(200).json({ status: 'success', data: { stats: {} } });
 });
 
+// Exchange Rates
+
+/**
+ * @desc    Get exchange rates (units per 1 base currency unit)
+ * @route   GET /api/v1/admin/exchange-rates
+ * @access  Private/Admin
+ */
+exports.getExchangeRates = asyncHandler(async (req, res) => {
+  const rates = await prisma.exchangeRate.findMany({ orderBy: { currency: 'asc' } });
+
+  res.status(200).json({
+    status: 'success',
+    results: rates.length,
+    data: { base: CURRENCY.BASE, rates }
+  });
+});
+
+/**
+ * @desc    Set one exchange rate (re-bases listing prices in that currency)
+ * @route   PUT /api/v1/admin/exchange-rates/:currency
+ * @access  Private/Admin
+ */
+exports.updateExchangeRate = asyncHandler(async (req, res) => {
+  const rate = await currencyService.setRate({
+    currency: req.params.currency,
+    rate: req.body.rate,
+    userId: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Exchange rate for ${rate.currency} updated`,
+    data: { rate }
+  });
+});
+
+/**
+ * @desc    Import exchange rates from an uploaded JSON/CSV file or a `{ base, rates }` body
+ * @route   POST /api/v1/admin/exchange-rates/import
+ * @access  Private/Admin
+ */
+exports.importExchangeRates = asyncHandler(async (req, res) => {
+  let source = req.body;
+
+  if (req.file) {
+    try {
+      source = await currencyService.readRatesFile(req.file.path);
+    } finally {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+
+  const { updated, skipped } = await currencyService.importRates({
+    rates: source.rates,
+    base: source.base,
+    userId: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Imported ${updated.length} exchange rates`,
+    data: { rates: updated, skipped }
+  });
+});
+
 // Legacy methods for backward compatibility
 exports.getDashboard = exports.getDashboardStats;
 exports.getStats = exports.getAnalytics;
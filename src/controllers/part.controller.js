@@ -6,6 +6,23 @@
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const slugify = require('slugify');
+const {
+  assertCanList,
+  assertImageCount,
+  consumeCredit
+} = require('../services/entitlements.service');
+const {
+  getDisplayCurrency,
+  getBasePriceFilter,
+  toBasePrice,
+  withDisplayPrice
+} = require('../services/currency.service');
+const { getListingExpiresAt, renewListing } = require('../services/listingLifecycle.service');
+const { resolveCoordinates } = require('../services/geocoding.service');
+const { parseGeoQuery, searchListings } = require('../services/geoSearch.service');
+const { matchListings, buildListingFilter, findRanked, getFacets } = require('../services/search.service');
+const { notifySavedSearches } = require('../services/savedSearchAlert.service');
+const { recordPriceChange, getPriceHistory } = require('../services/priceAlert.service');
 
 /**
  * @desc    Get all parts with filters
@@ -13,58 +30,23 @@ const slugify = require('slugify');
  * @access  Public
  */
 exports.getAllParts = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 20,
-    search,
-    category,
-    condition,
-    minPrice,
-    maxPrice,
-    city,
-    region,
-    country,
-    openToSwap,
-    inStock,
-    partNumber,
-    brand,
-    sort = '-createdAt'
-  } = req.query;
+  const { page = 1, limit = 20, sort = '-createdAt' } = req.query;
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
+  const displayCurrency = getDisplayCurrency(req);
 
-  const where = {
-    // Show all parts for now - you can add status filter later
-    // status: 'active'
-  };
-
-  if (search) {
-    where.OR = [
-      { title: { contains: search, mode: 'insensitive' } },
-      { description: { contains: search, mode: 'insensitive' } },
-      { partName: { contains: search, mode: 'insensitive' } },
-      { partNumber: { contains: search, mode: 'insensitive' } }
-    ];
-  }
-
-  if (category) where.category = category;
-  if (condition) where.condition = condition;
-  if (minPrice) where.price = { ...where.price, gte: parseFloat(minPrice) };
-  if (maxPrice) where.price = { ...where.price, lte: parseFloat(maxPrice) };
-  if (city) where.city = { equals: city, mode: 'insensitive' };
-  if (region) where.region = { equals: region, mode: 'insensitive' };
-  if (country) where.country = { equals: country, mode: 'insensitive' };
-  if (openToSwap) where.openToSwap = openToSwap === 'true';
-  if (inStock) where.inStock = inStock === 'true';
-  if (partNumber) where.partNumber = { contains: partNumber, mode: 'insensitive' };
-  if (brand) where.brand = { equals: brand, mode: 'insensitive' };
+  const { where } = await buildListingFilter({
+    type: 'part',
+    criteria: req.query,
+    currency: displayCurrency
+  });
+  // Show all parts for now (bar expired ones), not only active listings
+  where.status = { not: 'expired' };
 
+  // Prices sort by their base currency value
   const orderBy = {};
-  if (sort.startsWith('-')) {
-    orderBy[sort.substring(1)] = 'desc';
-  } else {
-    orderBy[sort] = 'asc';
-  }
+  const sortField = sort.replace(/^-/, '');
+  orderBy[sortField === 'price' ? 'priceBase' : sortField] = sort.startsWith('-') ? 'desc' : 'asc';
 
   const [parts, total] = await Promise.all([
     prisma.part.findMany({
@@ -99,17 +81,17 @@ exports.getAllParts = asyncHandler(async (req, res) => {
       total,
       pages: Math.ceil(total / parseInt(limit))
     },
-    data: { parts }
+    data: { parts: await withDisplayPrice(parts, displayCurrency) }
   });
 });
 
 /**
- * @desc    Search parts
+ * @desc    Search parts (ranked full-text, with facets)
  * @route   GET /api/v1/parts/search
  * @access  Public
  */
 exports.searchParts = asyncHandler(async (req, res) => {
-  const { q, make, model, year, category } = req.query;
+  const { q, make, model, year, category, condition, brand, minPrice, maxPrice, page = 1, limit = 20 } = req.query;
 
   if (!q) {
     return res.status(400).json({
@@ -118,41 +100,82 @@ exports.searchParts = asyncHandler(async (req, res) => {
     });
   }
 
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const displayCurrency = getDisplayCurrency(req);
+  const match = await matchListings({ type: 'part', text: q });
+
   const where = {
     status: 'active',
-    OR: [
-      { title: { contains: q, mode: 'insensitive' } },
-      { partName: { contains: q, mode: 'insensitive' } },
-      { description: { contains: q, mode: 'insensitive' } }
-    ]
+    id: { in: match.ids }
   };
 
   if (make) where.compatibleMakes = { has: make };
   if (model) where.compatibleModels = { has: model };
   if (year) where.compatibleYears = { has: parseInt(year) };
   if (category) where.category = category;
+  if (condition) where.condition = condition;
+  if (brand) where.brand = { equals: brand, mode: 'insensitive' };
+  const priceBase = await getBasePriceFilter({ minPrice, maxPrice, currency: displayCurrency });
+  if (priceBase) where.priceBase = priceBase;
 
-  const parts = await prisma.part.findMany({
-    where,
-    take: 20,
-    orderBy: { createdAt: 'desc' },
-    include: {
-      seller: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          avatarUrl: true,
-          rating: true
+  const [{ listings: parts, total }, facets] = await Promise.all([
+    findRanked({
+      type: 'part',
+      where,
+      ids: match.ids,
+      skip,
+      take: parseInt(limit),
+      include: {
+        seller: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            avatarUrl: true,
+            rating: true
+          }
         }
       }
+    }),
+    getFacets({ type: 'part', where, currency: displayCurrency })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: parts.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: {
+      parts: await withDisplayPrice(parts, displayCurrency),
+      facets,
+      suggestion: match.suggestion
     }
   });
+});
+
+/**
+ * @desc    Get parts near a point or inside a map area
+ * @route   GET /api/v1/parts/nearby
+ * @access  Public
+ */
+exports.getNearbyParts = asyncHandler(async (req, res) => {
+  const search = parseGeoQuery(req.query);
+  const { listings, total } = await searchListings({ type: 'part', ...search });
 
   res.status(200).json({
     status: 'success',
-    results: parts.length,
-    data: { parts }
+    results: listings.length,
+    pagination: {
+      page: search.page,
+      limit: search.limit,
+      total,
+      pages: Math.ceil(total / search.limit)
+    },
+    data: { parts: await withDisplayPrice(listings, getDisplayCurrency(req)) }
   });
 });
 
@@ -290,7 +313,21 @@ exports.getPartById = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     status: 'success',
-    data: { part }
+    data: { part: await withDisplayPrice(part, getDisplayCurrency(req)) }
+  });
+});
+
+/**
+ * @desc    Get part price history
+ * @route   GET /api/v1/parts/:partId/price-history
+ * @access  Public
+ */
+exports.getPartPriceHistory = asyncHandler(async (req, res) => {
+  const priceHistory = await getPriceHistory({ type: 'part', id: req.params.partId });
+
+  res.status(200).json({
+    status: 'success',
+    data: { priceHistory }
   });
 });
 
@@ -330,6 +367,9 @@ exports.createPart = asyncHandler(async (req, res) => {
     otherSpecs
   } = req.body;
 
+  await assertCanList(req.user);
+  await assertImageCount(req.user, (images || []).length);
+
   // Generate slug
   const baseSlug = slugify(`${partName} ${category}`, { lower: true, strict: true });
   let slug = baseSlug;
@@ -355,6 +395,7 @@ exports.createPart = asyncHandler(async (req, res) => {
       condition,
       price: parseFloat(price),
       currency: currency || 'USD',
+      priceBase: await toBasePrice(parseFloat(price), currency || 'USD'),
       priceNegotiable: priceNegotiable !== false,
       openToSwap: openToSwap === true,
       acceptedPartCategories: acceptedPartCategories || [],
@@ -365,8 +406,8 @@ exports.createPart = asyncHandler(async (req, res) => {
       city: location?.city,
       region: location?.region,
       country: location?.country,
-      latitude: location?.latitude,
-      longitude: location?.longitude,
+      // Geocoded from city/region/country when the seller gives no coordinates
+      ...resolveCoordinates(location),
       weight,
       dimensions,
       material,
@@ -374,7 +415,16 @@ exports.createPart = asyncHandler(async (req, res) => {
       manufacturer,
       warranty,
       otherSpecs,
-      sellerId: req.user.id
+      expiresAt: getListingExpiresAt(),
+      sellerId: req.user.id,
+      // Price history starts at the listing price
+      priceHistory: {
+        create: {
+          price: parseFloat(price),
+          currency: currency || 'USD',
+          changedById: req.user.id
+        }
+      }
     },
     include: {
       seller: {
@@ -389,6 +439,9 @@ exports.createPart = asyncHandler(async (req, res) => {
     }
   });
 
+  // Alert matching saved searches in the background
+  notifySavedSearches({ type: 'part', listing: part });
+
   res.status(201).json({
     status: 'success',
     message: 'Part listing created successfully',
@@ -444,10 +497,20 @@ exports.updatePart = asyncHandler(async (req, res) => {
     condition
   } = req.body;
 
+  if (images) {
+    await assertImageCount(req.user, images.length);
+  }
+
   const updateData = {};
+  let previousPrice;
   if (title) updateData.title = title;
   if (description) updateData.description = description;
-  if (price) updateData.price = parseFloat(price);
+  if (price) {
+    const existing = await prisma.part.findUnique({ where: { id: partId }, select: { price: true, currency: true } });
+    previousPrice = existing.price;
+    updateData.price = parseFloat(price);
+    updateData.priceBase = await toBasePrice(updateData.price, existing.currency);
+  }
   if (typeof priceNegotiable !== 'undefined') updateData.priceNegotiable = priceNegotiable;
   if (typeof openToSwap !== 'undefined') updateData.openToSwap = openToSwap;
   if (quantity) updateData.quantity = parseInt(quantity);
@@ -471,6 +534,10 @@ exports.updatePart = asyncHandler(async (req, res) => {
     }
   });
 
+  if (updateData.price !== undefined && updateData.price !== previousPrice) {
+    await recordPriceChange({ type: 'part', listing: part, previousPrice, changedById: req.user.id });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Part updated successfully',
@@ -511,6 +578,7 @@ exports.addImages = asyncHandler(async (req, res) => {
   });
 
   const updatedImages = [...part.images, ...images];
+  await assertImageCount(req.user, updatedImages.length);
 
   await prisma.part.update({
     where: { id: partId },
@@ -567,9 +635,34 @@ exports.updateStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  const data = { status };
+
+  const part = await prisma.part.findUnique({
+    where: { id: partId },
+    select: { status: true }
+  });
+
+  // Reservations are given back by the swap that holds them
+  if (part.status === 'reserved') {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Part is reserved for an accepted swap'
+    });
+  }
+
+  // Reactivating a listing takes up a slot again and starts a new term
+  if (status === 'active') {
+    if (!['active', 'pending'].includes(part.status)) {
+      await assertCanList(req.user);
+    }
+    if (part.status !== 'active') {
+      data.expiresAt = getListingExpiresAt();
+    }
+  }
+
   await prisma.part.update({
     where: { id: partId },
-    data: { status }
+    data
   });
 
   res.status(200).json({
@@ -579,7 +672,7 @@ exports.updateStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Feature part
+ * @desc    Feature part (uses a featured listing credit from the plan)
  * @route   POST /api/v1/parts/:partId/feature
  * @access  Private (Owner)
  */
@@ -588,32 +681,61 @@ exports.featurePart = asyncHandler(async (req, res) => {
   const { duration = 7 } = req.body; // Default 7 days
 
   const featuredUntil = new Date();
-  featuredUntil.setDate(featuredUntil.getDate() + duration);
+  featuredUntil.setDate(featuredUntil.getDate() + parseInt(duration));
 
-  await prisma.part.update({
-    where: { id: partId },
-    data: {
-      isFeatured: true,
-      featuredUntil
-    }
+  // The credit is only spent if the part gets featured
+  const creditsLeft = await prisma.$transaction(async (tx) => {
+    const left = await consumeCredit(req.user, 'featuredListings', tx);
+
+    await tx.part.update({
+      where: { id: partId },
+      data: {
+        isFeatured: true,
+        featuredUntil
+      }
+    });
+
+    return left;
   });
 
   res.status(200).json({
     status: 'success',
-    message: 'Part featured successfully'
+    message: 'Part featured successfully',
+    data: { featuredUntil, creditsLeft }
   });
 });
 
 /**
- * @desc    Boost part (placeholder for premium feature)
+ * @desc    Boost part (uses a boost credit from the plan)
  * @route   POST /api/v1/parts/:partId/boost
  * @access  Private (Owner)
  */
 exports.boostPart = asyncHandler(async (req, res) => {
-  // TODO: Implement boosting logic with payment
+  const { partId } = req.params;
+  const { duration = 7 } = req.body; // Default 7 days
+
+  const boostedUntil = new Date();
+  boostedUntil.setDate(boostedUntil.getDate() + parseInt(duration));
+
+  // The credit is only spent if the part gets boosted
+  const creditsLeft = await prisma.$transaction(async (tx) => {
+    const left = await consumeCredit(req.user, 'boostedAds', tx);
+
+    await tx.part.update({
+      where: { id: partId },
+      data: {
+        isBoosted: true,
+        boostedUntil
+      }
+    });
+
+    return left;
+  });
+
   res.status(200).json({
     status: 'success',
-    message: 'Part boost initiated'
+    message: 'Part boosted successfully',
+    data: { boostedUntil, creditsLeft }
   });
 });
 
@@ -639,6 +761,21 @@ exports.markAsSold = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Renew part listing for another term (expired or active)
+ * @route   POST /api/v1/parts/:partId/renew
+ * @access  Private (Owner)
+ */
+exports.renewPart = asyncHandler(async (req, res) => {
+  const part = await renewListing({ type: 'part', id: req.params.partId, user: req.user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Part listing renewed',
+    data: { part }
+  });
+});
+
 /**
  * @desc    Add compatible vehicles
  * @route   POST /api/v1/parts/:partId/compatible-vehicles
@@ -696,14 +833,18 @@ exports.removeCompatibleVehicle = asyncHandler(async (req, res) => {
 exports.approvePart = asyncHandler(async (req, res) => {
   const { partId } = req.params;
 
-  await prisma.part.update({
+  const part = await prisma.part.update({
     where: { id: partId },
     data: {
       isVerified: true,
-      status: 'active'
+      status: 'active',
+      expiresAt: getListingExpiresAt()
     }
   });
 
+  // Alert matching saved searches in the background
+  notifySavedSearches({ type: 'part', listing: part });
+
   res.status(200).json({
     status: 'success',
     message: 'Part approved'
@@ -6,6 +6,31 @@
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const crypto = require('crypto');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const {
+  openEscrow,
+  releaseEscrow,
+  freezeEscrow,
+  cancelUnfundedEscrow,
+  confirmSaleEscrow,
+  settleEscrow,
+  getLedgerSummary
+} = require('../services/escrow.service');
+const { featureListing, boostAd } = require('../services/paymentProcessing.service');
+const { startCheckout } = require('../services/payment.service');
+const { consumeCredit } = require('../services/entitlements.service');
+const { receiveWebhook, replayWebhookEvent } = require('../services/webhook.service');
+const refundService = require('../services/refund.service');
+const walletService = require('../services/wallet.service');
+const reconciliationService = require('../services/reconciliation.service');
+const { changePlan, cancelSubscription } = require('../services/subscription.service');
+const { issueInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../services/invoice.service');
+const { getRates } = require('../services/currency.service');
+const { CURRENCY, PROMOTION } = require('../utils/constants');
+
+// Metadata keys that decide what a payment pays for; only the endpoints creating those payments set them
+const SERVER_METADATA_KEYS = ['type', 'escrowId', 'invoiceId', 'plan'];
 
 /**
  * @desc    Get supported currencies
@@ -13,19 +38,17 @@ const crypto = require('crypto');
  * @access  Public
  */
 exports.getSupportedCurrencies = asyncHandler(async (req, res) => {
-  const currencies = [
-    { code: 'USD', name: 'US Dollar', symbol: '$' },
-    { code: 'EUR', name: 'Euro', symbol: '€' },
-    { code: 'GBP', name: 'British Pound', symbol: '£' },
-    { code: 'NGN', name: 'Nigerian Naira', symbol: '₦' },
-    { code: 'GHS', name: 'Ghanaian Cedi', symbol: 'GH₵' },
-    { code: 'KES', name: 'Kenyan Shilling', symbol: 'KSh' },
-    { code: 'ZAR', name: 'South African Rand', symbol: 'R' }
-  ];
+  const rates = await getRates();
+  const currencies = Object.entries(CURRENCY.SUPPORTED).map(([code, { name, symbol }]) => ({
+    code,
+    name,
+    symbol,
+    rate: rates[code]
+  }));
 
   res.status(200).json({
     status: 'success',
-    data: { currencies }
+    data: { base: CURRENCY.BASE, currencies }
   });
 });
 
@@ -75,19 +98,14 @@ exports.initializePayment = asyncHandler(async (req, res) => {
       paymentMethod: paymentMethod || 'card',
       reference,
       description,
-      metadata: metadata || {},
+      metadata: metadata && typeof metadata === 'object' && !Array.isArray(metadata)
+        ? Object.fromEntries(Object.entries(metadata).filter(([key]) => !SERVER_METADATA_KEYS.includes(key)))
+        : {},
       status: 'pending'
     }
   });
 
-  // TODO: Integrate with payment gateway (Kora Pay, Stripe, etc.)
-  const paymentData = {
-    paymentId: payment.id,
-    reference: payment.reference,
-    amount: payment.amount,
-    currency: payment.currency,
-    checkoutUrl: `${process.env.CLIENT_URL}/checkout/${payment.id}`
-  };
+  const paymentData = await startCheckout(payment, req.user);
 
   res.status(201).json({
     status: 'success',
@@ -118,25 +136,20 @@ exports.verifyPayment = asyncHandler(async (req, res) => {
     });
   }
 
-  // TODO: Verify payment with payment gateway
   let status = payment.status;
-  let message = 'Payment verification in progress';
-
-  if (payment.status === 'pending') {
-    status = 'completed';
-    message = 'Payment verified successfully';
-
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: 'completed',
-        transactionId: `TXN-${Date.now()}`,
-        providerStatus: 'success',
-        providerMessage: 'Payment successful'
-      }
-    });
-
-    await processPaymentSuccess(payment);
+  let message = `Payment ${payment.status}`;
+
+  // Payments whose checkout never started have nothing to ask the provider about
+  if (payment.status === 'pending' && payment.provider) {
+    await reconciliationService.reconcilePayment(payment);
+
+    const updated = await prisma.payment.findUnique({ where: { id: payment.id }, select: { status: true } });
+    status = updated.status;
+    message = {
+      completed: 'Payment verified successfully',
+      failed: 'Payment failed',
+      pending: 'Payment verification in progress'
+    }[status] || `Payment ${status}`;
   }
 
   res.status(200).json({
@@ -180,6 +193,60 @@ exports.getPaymentDetails = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get a payment's invoice (issued on first request if missing)
+ * @route   GET /api/v1/payments/:paymentId/invoice?format=json|html|pdf
+ * @access  Private (buyer, escrow seller or admin)
+ */
+exports.getPaymentInvoice = asyncHandler(async (req, res) => {
+  const { paymentId } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (!['json', 'html', 'pdf'].includes(format)) {
+    throw ApiError.badRequest('Format must be json, html or pdf');
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    select: { id: true, userId: true, metadata: true }
+  });
+
+  if (!payment) {
+    throw ApiError.notFound('Payment not found');
+  }
+
+  // The seller of an escrowed sale gets the invoice too
+  const escrowId = payment.metadata && payment.metadata.type === 'escrow' && payment.metadata.escrowId;
+  const escrow = escrowId
+    ? await prisma.escrow.findUnique({ where: { id: escrowId }, select: { payeeId: true } })
+    : null;
+
+  const isParty = payment.userId === req.user.id || (escrow && escrow.payeeId === req.user.id);
+  if (!isParty && req.user.role !== 'admin') {
+    throw ApiError.notFound('Payment not found');
+  }
+
+  const invoice = await issueInvoice(payment.id);
+
+  if (format === 'html') {
+    return res.status(200).type('html').send(renderInvoiceHtml(invoice));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderInvoicePdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`
+    });
+    return res.status(200).send(pdf);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { invoice }
+  });
+});
+
 /**
  * @desc    Get user payment history
  * @route   GET /api/v1/payments/user/history
@@ -212,7 +279,8 @@ exports.getUserPayments = asyncHandler(async (req, res) => {
         status: true,
         description: true,
         createdAt: true,
-        transactionId: true
+        transactionId: true,
+        invoice: { select: { id: true, number: true } }
       }
     }),
     prisma.payment.count({ where })
@@ -233,32 +301,39 @@ exports.getUserPayments = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Handle payment webhook (from payment gateway)
- * @route   POST /api/v1/payments/webhook
+ * @route   POST /api/v1/payments/webhook/:provider (Kora also on /webhook)
  * @access  Public (with signature verification)
  */
 exports.handleWebhook = asyncHandler(async (req, res) => {
-  // TODO: Verify webhook signature from payment gateway
-  const { event, data } = req.body;
-
-  console.log('Payment webhook received:', event, data);
-
-  switch (event) {
-    case 'payment.success':
-      await handlePaymentSuccess(data);
-      break;
-    case 'payment.failed':
-      await handlePaymentFailure(data);
-      break;
-    case 'refund.processed':
-      await handleRefund(data);
-      break;
-    default:
-      console.log('Unknown webhook event:', event);
+  const { event, duplicate, rejected } = await receiveWebhook({
+    provider: req.params.provider,
+    body: req.body,
+    rawBody: req.rawBody,
+    headers: req.headers
+  });
+
+  if (rejected) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  // A non-2xx response makes the provider retry the event
+  if (event.status === 'failed') {
+    return res.status(500).json({
+      status: 'error',
+      message: 'Webhook processing failed'
+    });
   }
 
   res.status(200).json({
     status: 'success',
-    message: 'Webhook processed'
+    message: duplicate ? 'Webhook already received' : 'Webhook processed',
+    data: {
+      eventId: event.id,
+      status: event.status
+    }
   });
 });
 
@@ -290,6 +365,10 @@ exports.cancelPayment = asyncHandler(async (req, res) => {
     data: { status: 'cancelled' }
   });
 
+  if (payment.metadata && payment.metadata.type === 'escrow') {
+    await cancelUnfundedEscrow({ id: payment.metadata.escrowId, paymentId });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Payment cancelled'
@@ -297,46 +376,62 @@ exports.cancelPayment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Request refund
+ * @desc    Request refund (full or partial)
  * @route   POST /api/v1/payments/:paymentId/refund
  * @access  Private
  */
 exports.requestRefund = asyncHandler(async (req, res) => {
   const { paymentId } = req.params;
-  const { reason } = req.body;
+  const { amount, reason } = req.body;
 
   const payment = await prisma.payment.findFirst({
     where: {
       id: paymentId,
-      userId: req.user.id,
-      status: 'completed'
+      userId: req.user.id
     }
   });
 
   if (!payment) {
     return res.status(404).json({
       status: 'error',
-      message: 'Payment not found or cannot be refunded'
+      message: 'Payment not found'
     });
   }
 
-  // TODO: Initiate refund with payment gateway
+  const refund = await refundService.requestRefund({
+    payment,
+    user: req.user,
+    amount,
+    reason
+  });
 
-  await prisma.payment.update({
-    where: { id: paymentId },
-    data: {
-      status: 'refunded',
-      metadata: {
-        ...payment.metadata,
-        refundReason: reason,
-        refundedAt: new Date()
+  res.status(201).json({
+    status: 'success',
+    message: 'Refund requested - we will review it shortly',
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Get user's refund requests
+ * @route   GET /api/v1/payments/user/refunds
+ * @access  Private
+ */
+exports.getUserRefunds = asyncHandler(async (req, res) => {
+  const refunds = await prisma.refundRequest.findMany({
+    where: { userId: req.user.id },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      payment: {
+        select: { id: true, reference: true, amount: true, currency: true, status: true, metadata: true }
       }
     }
   });
 
   res.status(200).json({
     status: 'success',
-    message: 'Refund request initiated'
+    results: refunds.length,
+    data: { refunds }
   });
 });
 
@@ -346,83 +441,74 @@ exports.requestRefund = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.initializeSubscriptionPayment = asyncHandler(async (req, res) => {
-  const { plan, duration } = req.body;
+  const { plan } = req.body;
 
-  const planPrices = {
-    basic: 9.99,
-    premium: 29.99,
-    enterprise: 99.99
-  };
+  const { action, invoice, payment, subscription } = await changePlan({ user: req.user, plan });
 
-  const price = planPrices[plan];
-  if (!price) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Invalid subscription plan'
+  if (!payment) {
+    return res.status(200).json({
+      status: 'success',
+      message: action === 'scheduled'
+        ? 'Plan change scheduled for the end of the billing period'
+        : 'Subscription updated',
+      data: { action, subscription, invoice }
     });
   }
 
-  const reference = `SUB-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
-
-  const payment = await prisma.payment.create({
-    data: {
-      userId: req.user.id,
-      amount: price,
-      currency: 'USD',
-      paymentMethod: 'card',
-      reference,
-      description: `Subscription - ${plan} plan`,
-      metadata: {
-        type: 'subscription',
-        plan,
-        duration
-      },
-      status: 'pending'
-    }
-  });
-
   res.status(201).json({
     status: 'success',
     message: 'Subscription payment initialized',
     data: {
-      payment: {
-        paymentId: payment.id,
-        reference: payment.reference,
-        amount: payment.amount,
-        checkoutUrl: `${process.env.CLIENT_URL}/checkout/${payment.id}`
-      }
+      invoice,
+      payment: await startCheckout(payment, req.user)
     }
   });
 });
 
 /**
- * @desc    Cancel subscription
+ * @desc    Cancel subscription at the end of the billing period
  * @route   POST /api/v1/payments/subscription/cancel
  * @access  Private
  */
 exports.cancelSubscription = asyncHandler(async (req, res) => {
-  await prisma.user.update({
-    where: { id: req.user.id },
-    data: {
-      subscriptionIsActive: false
-    }
-  });
+  const subscription = await cancelSubscription({ user: req.user });
 
   res.status(200).json({
     status: 'success',
-    message: 'Subscription cancelled'
+    message: subscription.status === 'active'
+      ? 'Subscription will end with the billing period'
+      : 'Subscription cancelled',
+    data: { subscription }
   });
 });
 
 /**
- * @desc    Pay for featured listing
+ * @desc    Pay for featured listing (or spend a plan credit with useCredit)
  * @route   POST /api/v1/payments/feature-listing
  * @access  Private
  */
 exports.payForFeaturedListing = asyncHandler(async (req, res) => {
-  const { listingId, duration = 7 } = req.body;
+  const { listingId, duration = 7, useCredit } = req.body;
+
+  await assertOwnsVehicle(req.user, listingId);
+
+  // Plans include featured listings each period; spend one instead of paying
+  if (useCredit) {
+    const creditsLeft = await prisma.$transaction(async (tx) => {
+      const left = await consumeCredit(req.user, 'featuredListings', tx);
+      await featureListing(listingId, duration, tx);
+      return left;
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Listing featured with a plan credit',
+      data: { listingId, creditsLeft }
+    });
+  }
 
-  const price = 10; // $10 per week
+  // Priced per started week
+  const price = Math.ceil(duration / 7) * PROMOTION.FEATURE_WEEKLY_PRICE;
   const reference = `FEAT-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
 
   const payment = await prisma.payment.create({
@@ -446,25 +532,38 @@ exports.payForFeaturedListing = asyncHandler(async (req, res) => {
     status: 'success',
     message: 'Payment initialized for featured listing',
     data: {
-      payment: {
-        paymentId: payment.id,
-        reference: payment.reference,
-        amount: payment.amount,
-        checkoutUrl: `${process.env.CLIENT_URL}/checkout/${payment.id}`
-      }
+      payment: await startCheckout(payment, req.user)
     }
   });
 });
 
 /**
- * @desc    Pay for boosted ad
+ * @desc    Pay for boosted ad (or spend a plan credit with useCredit)
  * @route   POST /api/v1/payments/boost-ad
  * @access  Private
  */
 exports.payForBoostedAd = asyncHandler(async (req, res) => {
-  const { adId, duration = 7 } = req.body;
+  const { adId, duration = 7, useCredit } = req.body;
+
+  await assertOwnsVehicle(req.user, adId);
+
+  // Plans include boosts each period; spend one instead of paying
+  if (useCredit) {
+    const creditsLeft = await prisma.$transaction(async (tx) => {
+      const left = await consumeCredit(req.user, 'boostedAds', tx);
+      await boostAd(adId, duration, tx);
+      return left;
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Ad boosted with a plan credit',
+      data: { adId, creditsLeft }
+    });
+  }
 
-  const price = 5; // $5 per week
+  // Priced per started week
+  const price = Math.ceil(duration / 7) * PROMOTION.BOOST_WEEKLY_PRICE;
   const reference = `BOOST-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
 
   const payment = await prisma.payment.create({
@@ -488,355 +587,934 @@ exports.payForBoostedAd = asyncHandler(async (req, res) => {
     status: 'success',
     message: 'Payment initialized for boosted ad',
     data: {
-      payment: {
-        paymentId: payment.id,
-        reference: payment.reference,
-        amount: payment.amount,
-        checkoutUrl: `${process.env.CLIENT_URL}/checkout/${payment.id}`
-      }
+      payment: await startCheckout(payment, req.user)
     }
   });
 });
 
 /**
- * @desc    Initialize escrow payment
+ * @desc    Initialize escrow payment for a swap cash balance or a vehicle purchase
  * @route   POST /api/v1/payments/escrow/initialize
  * @access  Private
  */
 exports.initializeEscrowPayment = asyncHandler(async (req, res) => {
-  const { swapId, amount } = req.body;
+  const { swapId, vehicleId, amount, paymentMethod } = req.body;
 
-  const reference = `ESC-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  if (!config.features.escrow) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Escrow is not enabled'
+    });
+  }
 
-  const payment = await prisma.payment.create({
-    data: {
-      userId: req.user.id,
-      amount: parseFloat(amount),
-      currency: 'USD',
-      paymentMethod: 'card',
-      reference,
-      description: 'Escrow payment',
-      metadata: {
-        type: 'escrow',
-        swapId
-      },
-      status: 'pending'
-    }
+  const { escrow, payment } = await openEscrow({
+    user: req.user,
+    swapId,
+    vehicleId,
+    amount,
+    paymentMethod
   });
 
   res.status(201).json({
     status: 'success',
     message: 'Escrow payment initialized',
     data: {
-      payment: {
-        paymentId: payment.id,
-        reference: payment.reference,
-        amount: payment.amount
-      }
+      escrow,
+      payment: await startCheckout(payment, req.user)
     }
   });
 });
 
 /**
- * @desc    Release escrow payment
- * @route   POST /api/v1/payments/escrow/:escrowId/release
- * @access  Private
+ * @desc    Get escrow with its ledger
+ * @route   GET /api/v1/payments/escrow/:escrowId
+ * @access  Private (payer, payee or admin)
  */
-exports.releaseEscrowPayment = asyncHandler(async (req, res) => {
-  const { escrowId } = req.params;
+exports.getEscrow = asyncHandler(async (req, res) => {
+  const escrow = await prisma.escrow.findUnique({
+    where: { id: req.params.escrowId },
+    include: {
+      entries: { orderBy: { createdAt: 'asc' } }
+    }
+  });
 
-  // TODO: Implement escrow release logic
+  if (!escrow || (escrow.payerId !== req.user.id && escrow.payeeId !== req.user.id && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Escrow not found'
+    });
+  }
 
   res.status(200).json({
     status: 'success',
-    message: 'Escrow payment released'
+    data: { escrow }
   });
 });
 
 /**
- * @desc    Get all payments (Admin)
- * @route   GET /api/v1/payments/admin/all
- * @access  Private/Admin
+ * @desc    Release escrow payment (all or part of it) to the payee
+ * @route   POST /api/v1/payments/escrow/:escrowId/release
+ * @access  Private (payer or admin)
  */
-exports.getAllPayments = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, status, userId } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+exports.releaseEscrowPayment = asyncHandler(async (req, res) => {
+  const { escrowId } = req.params;
+  const { amount } = req.body;
 
-  const where = {};
-  if (status) where.status = status;
-  if (userId) where.userId = userId;
+  const existing = await prisma.escrow.findUnique({
+    where: { id: escrowId },
+    select: { payerId: true }
+  });
 
-  const [payments, total] = await Promise.all([
-    prisma.payment.findMany({
-      where,
-      skip,
-      take: parseInt(limit),
-      orderBy: { createdAt: 'desc' },
-      include: {
-        user: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            email: true
-          }
-        }
-      }
-    }),
-    prisma.payment.count({ where })
-  ]);
+  // Only the payer can hand over their own money early; everything else waits for completion
+  if (!existing || (existing.payerId !== req.user.id && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Escrow not found'
+    });
+  }
+
+  const escrow = await releaseEscrow({
+    escrowId,
+    amount,
+    memo: amount ? 'Partial release' : 'Released by payer'
+  });
 
   res.status(200).json({
     status: 'success',
-    results: payments.length,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / parseInt(limit))
-    },
-    data: { payments }
+    message: escrow.heldAmount > 0 ? 'Escrow partially released' : 'Escrow payment released',
+    data: { escrow }
   });
 });
 
 /**
- * @desc    Get payment statistics (Admin)
- * @route   GET /api/v1/payments/admin/stats
- * @access  Private/Admin
+ * @desc    Confirm a sale was completed (funds release once both sides confirm)
+ * @route   POST /api/v1/payments/escrow/:escrowId/confirm
+ * @access  Private (payer or payee)
  */
-exports.getPaymentStats = asyncHandler(async (req, res) => {
-  const { period = '30' } = req.query;
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - parseInt(period));
-
-  const [totalRevenue, completedPayments, pendingPayments, failedPayments] = await Promise.all([
-    prisma.payment.aggregate({
-      where: {
-        status: 'completed',
-        createdAt: { gte: startDate }
-      },
-      _sum: { amount: true }
-    }),
-    prisma.payment.count({
-      where: {
-        status: 'completed',
-        createdAt: { gte: startDate }
-      }
-    }),
-    prisma.payment.count({ where: { status: 'pending' } }),
-    prisma.payment.count({
-      where: {
-        status: 'failed',
-        createdAt: { gte: startDate }
-      }
-    })
-  ]);
+exports.confirmEscrow = asyncHandler(async (req, res) => {
+  const escrow = await confirmSaleEscrow({
+    escrowId: req.params.escrowId,
+    user: req.user
+  });
 
   res.status(200).json({
     status: 'success',
-    data: {
-      stats: {
-        totalRevenue: totalRevenue._sum.amount || 0,
-        completedPayments,
-        pendingPayments,
-        failedPayments,
-        period: `${period} days`
-      }
-    }
+    message: escrow.status === 'released'
+      ? 'Both sides confirmed - escrow released'
+      : 'Confirmation recorded - waiting for the other side',
+    data: { escrow }
   });
 });
 
 /**
- * @desc    Process refund (Admin)
- * @route   POST /api/v1/payments/:paymentId/admin/refund
- * @access  Private/Admin
+ * @desc    Dispute a sale escrow, freezing the funds until an admin settles it
+ * @route   POST /api/v1/payments/escrow/:escrowId/dispute
+ * @access  Private (payer or payee)
  */
-exports.processRefund = asyncHandler(async (req, res) => {
-  const { paymentId } = req.params;
+exports.disputeEscrow = asyncHandler(async (req, res) => {
+  const { escrowId } = req.params;
   const { reason } = req.body;
 
-  const payment = await prisma.payment.findUnique({
-    where: { id: paymentId }
+  const existing = await prisma.escrow.findUnique({
+    where: { id: escrowId },
+    select: { id: true, swapId: true, payerId: true, payeeId: true, status: true }
   });
 
-  if (!payment) {
+  if (!existing || (existing.payerId !== req.user.id && existing.payeeId !== req.user.id)) {
     return res.status(404).json({
       status: 'error',
-      message: 'Payment not found'
+      message: 'Escrow not found'
     });
   }
 
-  // TODO: Process refund with payment gateway
+  // Swap escrows freeze through the swap dispute workflow
+  if (existing.swapId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Report an issue on the swap to dispute its escrow'
+    });
+  }
 
-  await prisma.payment.update({
-    where: { id: paymentId },
+  if (!['held', 'partially_released'].includes(existing.status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Only escrows holding funds can be disputed'
+    });
+  }
+
+  const escrow = await freezeEscrow(escrowId, reason || 'Disputed by a party');
+
+  const otherUserId = existing.payerId === req.user.id ? existing.payeeId : existing.payerId;
+  await prisma.notification.create({
     data: {
-      status: 'refunded',
-      metadata: {
-        ...payment.metadata,
-        refundReason: reason,
-        refundedBy: req.user.id,
-        refundedAt: new Date()
-      }
+      userId: otherUserId,
+      type: 'system',
+      title: 'Escrow Disputed',
+      message: `${req.user.firstName} disputed an escrow - funds are frozen until an admin settles it`,
+      data: { escrowId }
     }
   });
 
   res.status(200).json({
     status: 'success',
-    message: 'Refund processed successfully'
+    message: 'Escrow frozen pending review',
+    data: { escrow }
   });
 });
 
 /**
- * @desc    Update payment status (Admin)
- * @route   PATCH /api/v1/payments/:paymentId/admin/status
+ * @desc    Settle an escrow: release part to the payee and refund the rest (Admin)
+ * @route   POST /api/v1/payments/escrow/:escrowId/admin/settle
  * @access  Private/Admin
  */
-exports.updatePaymentStatus = asyncHandler(async (req, res) => {
-  const { paymentId } = req.params;
-  const { status } = req.body;
+exports.settleEscrow = asyncHandler(async (req, res) => {
+  const { releaseAmount, reason } = req.body;
 
-  const validStatuses = ['pending', 'completed', 'failed', 'refunded', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Invalid status'
-    });
-  }
-
-  await prisma.payment.update({
-    where: { id: paymentId },
-    data: { status }
+  const escrow = await settleEscrow({
+    escrowId: req.params.escrowId,
+    releaseAmount,
+    reason
   });
 
   res.status(200).json({
     status: 'success',
-    message: 'Payment status updated'
+    message: 'Escrow settled',
+    data: { escrow }
   });
 });
 
-// Helper functions
-async function handlePaymentSuccess(data) {
-  const { reference, transactionId } = data;
+/**
+ * @desc    Get user's wallet balances
+ * @route   GET /api/v1/payments/wallet
+ * @access  Private
+ */
+exports.getWallet = asyncHandler(async (req, res) => {
+  const wallets = await walletService.getWallets(req.user.id);
 
-  const payment = await prisma.payment.findFirst({
-    where: { reference }
+  res.status(200).json({
+    status: 'success',
+    data: { wallets }
   });
+});
 
-  if (payment && payment.status === 'pending') {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: 'completed',
-        transactionId,
-        providerStatus: 'success'
+/**
+ * @desc    Get user's wallet history
+ * @route   GET /api/v1/payments/wallet/entries
+ * @access  Private
+ */
+exports.getWalletEntries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, currency, type } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { wallet: { userId: req.user.id } };
+  if (currency) where.wallet.currency = String(currency).toUpperCase();
+  if (type) where.type = type;
+
+  const [entries, total] = await Promise.all([
+    prisma.walletEntry.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+      include: {
+        wallet: { select: { currency: true } },
+        payout: { select: { id: true, reference: true, status: true } }
       }
-    });
+    }),
+    prisma.walletEntry.count({ where })
+  ]);
 
-    await processPaymentSuccess(payment);
-  }
-}
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { entries }
+  });
+});
 
-async function handlePaymentFailure(data) {
-  const { reference, reason } = data;
+/**
+ * @desc    Request a payout to a bank account or mobile money
+ * @route   POST /api/v1/payments/payouts
+ * @access  Private
+ */
+exports.requestPayout = asyncHandler(async (req, res) => {
+  const { currency, amount, method, destination } = req.body;
+
+  const payout = await walletService.requestPayout({
+    user: req.user,
+    currency,
+    amount,
+    method,
+    destination
+  });
 
-  const payment = await prisma.payment.findFirst({
-    where: { reference }
+  res.status(201).json({
+    status: 'success',
+    message: 'Payout requested - we will review it shortly',
+    data: { payout }
+  });
+});
+
+/**
+ * @desc    Get user's payout history
+ * @route   GET /api/v1/payments/payouts
+ * @access  Private
+ */
+exports.getUserPayouts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { userId: req.user.id };
+  if (status) where.status = status;
+
+  const [payouts, total] = await Promise.all([
+    prisma.payout.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.payout.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payouts.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { payouts }
+  });
+});
+
+/**
+ * @desc    Cancel a payout request that has not been reviewed
+ * @route   POST /api/v1/payments/payouts/:payoutId/cancel
+ * @access  Private
+ */
+exports.cancelPayout = asyncHandler(async (req, res) => {
+  const payout = await walletService.cancelPayout({
+    payoutId: req.params.payoutId,
+    user: req.user
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payout cancelled - the funds are back in your wallet',
+    data: { payout }
+  });
+});
+
+/**
+ * @desc    Escrow ledger totals and reconciliation check (Admin)
+ * @route   GET /api/v1/payments/escrow/admin/ledger
+ * @access  Private/Admin
+ */
+exports.getEscrowLedger = asyncHandler(async (req, res) => {
+  const summary = await getLedgerSummary({ currency: req.query.currency });
+
+  res.status(200).json({
+    status: 'success',
+    data: { ledger: summary }
+  });
+});
+
+/**
+ * @desc    Get all payments (Admin)
+ * @route   GET /api/v1/payments/admin/all
+ * @access  Private/Admin
+ */
+exports.getAllPayments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, userId } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = {};
+  if (status) where.status = status;
+  if (userId) where.userId = userId;
+
+  const [payments, total] = await Promise.all([
+    prisma.payment.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        }
+      }
+    }),
+    prisma.payment.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payments.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { payments }
   });
+});
 
-  if (payment) {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
+/**
+ * @desc    Get payment statistics (Admin)
+ * @route   GET /api/v1/payments/admin/stats
+ * @access  Private/Admin
+ */
+exports.getPaymentStats = asyncHandler(async (req, res) => {
+  const { period = '30' } = req.query;
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - parseInt(period));
+
+  const [totalRevenue, completedPayments, pendingPayments, failedPayments] = await Promise.all([
+    prisma.payment.aggregate({
+      where: {
+        status: 'completed',
+        createdAt: { gte: startDate }
+      },
+      _sum: { amount: true }
+    }),
+    prisma.payment.count({
+      where: {
+        status: 'completed',
+        createdAt: { gte: startDate }
+      }
+    }),
+    prisma.payment.count({ where: { status: 'pending' } }),
+    prisma.payment.count({
+      where: {
         status: 'failed',
-        providerMessage: reason
+        createdAt: { gte: startDate }
+      }
+    })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      stats: {
+        totalRevenue: totalRevenue._sum.amount || 0,
+        completedPayments,
+        pendingPayments,
+        failedPayments,
+        period: `${period} days`
       }
+    }
+  });
+});
+
+/**
+ * @desc    List received payment webhooks (Admin)
+ * @route   GET /api/v1/payments/admin/webhooks
+ * @access  Private/Admin
+ */
+exports.getWebhookEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, eventType, reference } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = {};
+  if (status) where.status = status;
+  if (eventType) where.eventType = eventType;
+  if (reference) where.reference = reference;
+
+  const [events, total] = await Promise.all([
+    prisma.webhookEvent.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        createdAt: true,
+        provider: true,
+        eventId: true,
+        eventType: true,
+        reference: true,
+        signatureValid: true,
+        status: true,
+        attempts: true,
+        error: true,
+        processedAt: true,
+        paymentId: true
+      }
+    }),
+    prisma.webhookEvent.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { events }
+  });
+});
+
+/**
+ * @desc    Get a received payment webhook with its payload (Admin)
+ * @route   GET /api/v1/payments/admin/webhooks/:eventId
+ * @access  Private/Admin
+ */
+exports.getWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await prisma.webhookEvent.findUnique({
+    where: { id: req.params.eventId }
+  });
+
+  if (!event) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Webhook event not found'
     });
   }
-}
 
-async function handleRefund(data) {
-  const { reference } = data;
+  res.status(200).json({
+    status: 'success',
+    data: { event }
+  });
+});
 
-  const payment = await prisma.payment.findFirst({
-    where: { reference }
+/**
+ * @desc    Replay a failed or deferred payment webhook (Admin)
+ * @route   POST /api/v1/payments/admin/webhooks/:eventId/replay
+ * @access  Private/Admin
+ */
+exports.replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await replayWebhookEvent(req.params.eventId);
+
+  res.status(200).json({
+    status: 'success',
+    message: event.status === 'failed' ? 'Replay failed' : `Event ${event.status}`,
+    data: { event }
+  });
+});
+
+/**
+ * @desc    Refund a payment directly (Admin)
+ * @route   POST /api/v1/payments/:paymentId/admin/refund
+ * @access  Private/Admin
+ */
+exports.processRefund = asyncHandler(async (req, res) => {
+  const { paymentId } = req.params;
+  const { amount, reason } = req.body;
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId }
   });
 
-  if (payment) {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: { status: 'refunded' }
+  if (!payment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Payment not found'
     });
   }
-}
 
-async function processPaymentSuccess(payment) {
-  const metadata = payment.metadata || {};
+  const refund = await refundService.refundPaymentNow({
+    payment,
+    admin: req.user,
+    amount,
+    reason
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: refundMessage(refund),
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Get refund request queue (Admin)
+ * @route   GET /api/v1/payments/admin/refunds
+ * @access  Private/Admin
+ */
+exports.getRefundRequests = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'requested' } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = status === 'all' ? {} : { status };
+
+  const [refunds, total] = await Promise.all([
+    prisma.refundRequest.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'asc' },
+      include: {
+        payment: {
+          select: { id: true, reference: true, amount: true, refundedAmount: true, currency: true, metadata: true }
+        },
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true }
+        }
+      }
+    }),
+    prisma.refundRequest.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: refunds.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { refunds }
+  });
+});
+
+/**
+ * @desc    Approve or deny a refund request (Admin)
+ * @route   PATCH /api/v1/payments/admin/refunds/:refundId
+ * @access  Private/Admin
+ */
+exports.reviewRefund = asyncHandler(async (req, res) => {
+  const { approve, amount, note } = req.body;
+
+  const refund = await refundService.reviewRefund({
+    refundId: req.params.refundId,
+    admin: req.user,
+    approve: approve === true || approve === 'true',
+    amount,
+    note
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: refundMessage(refund),
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Retry a failed refund (Admin)
+ * @route   POST /api/v1/payments/admin/refunds/:refundId/retry
+ * @access  Private/Admin
+ */
+exports.retryRefund = asyncHandler(async (req, res) => {
+  const refund = await refundService.processRefund(req.params.refundId);
+
+  res.status(200).json({
+    status: 'success',
+    message: refundMessage(refund),
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Get payout queue (Admin)
+ * @route   GET /api/v1/payments/admin/payouts
+ * @access  Private/Admin
+ */
+exports.getPayouts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'requested', userId } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = status === 'all' ? {} : { status };
+  if (userId) where.userId = userId;
+
+  const [payouts, total] = await Promise.all([
+    prisma.payout.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'asc' },
+      include: {
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true }
+        },
+        wallet: {
+          select: { available: true, pending: true, held: true }
+        }
+      }
+    }),
+    prisma.payout.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payouts.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { payouts }
+  });
+});
+
+/**
+ * @desc    Approve (and send) or reject a payout (Admin)
+ * @route   PATCH /api/v1/payments/admin/payouts/:payoutId
+ * @access  Private/Admin
+ */
+exports.reviewPayout = asyncHandler(async (req, res) => {
+  const { approve, note } = req.body;
+
+  const payout = await walletService.reviewPayout({
+    payoutId: req.params.payoutId,
+    admin: req.user,
+    approve: approve === true || approve === 'true',
+    note
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: payoutMessage(payout),
+    data: { payout }
+  });
+});
+
+/**
+ * @desc    Retry a failed payout (Admin)
+ * @route   POST /api/v1/payments/admin/payouts/:payoutId/retry
+ * @access  Private/Admin
+ */
+exports.retryPayout = asyncHandler(async (req, res) => {
+  const payout = await walletService.retryPayout(req.params.payoutId);
+
+  res.status(200).json({
+    status: 'success',
+    message: payoutMessage(payout),
+    data: { payout }
+  });
+});
+
+/**
+ * @desc    Wallet totals reconciled against the escrow ledger (Admin)
+ * @route   GET /api/v1/payments/admin/wallets/reconciliation
+ * @access  Private/Admin
+ */
+exports.getWalletReconciliation = asyncHandler(async (req, res) => {
+  const reconciliation = await walletService.reconcileWallets({ currency: req.query.currency });
+
+  res.status(200).json({
+    status: 'success',
+    data: { reconciliation }
+  });
+});
+
+/**
+ * @desc    Daily payment reconciliation reports (Admin)
+ * @route   GET /api/v1/payments/admin/reconciliation/reports
+ * @access  Private/Admin
+ */
+exports.getReconciliationReports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 30 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [reports, total] = await Promise.all([
+    prisma.reconciliationReport.findMany({
+      skip,
+      take: parseInt(limit),
+      orderBy: { date: 'desc' }
+    }),
+    prisma.reconciliationReport.count()
+  ]);
 
-  switch (metadata.type) {
-    case 'subscription':
-      await activateSubscription(payment.userId, metadata.plan);
-      break;
-    case 'feature_listing':
-      await featureListing(metadata.listingId, metadata.duration);
-      break;
-    case 'boost_ad':
-      await boostAd(metadata.adId, metadata.duration);
-      break;
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { reports }
+  });
+});
+
+/**
+ * @desc    One day's reconciliation report (Admin)
+ * @route   GET /api/v1/payments/admin/reconciliation/reports/:date
+ * @access  Private/Admin
+ */
+exports.getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await prisma.reconciliationReport.findUnique({
+    where: { date: req.params.date }
+  });
+
+  if (!report) {
+    throw ApiError.notFound('No reconciliation report for that date');
   }
 
-  await prisma.notification.create({
-    data: {
-      userId: payment.userId,
-      type: 'system',
-      title: 'Payment Successful',
-      message: `Your payment of ${payment.currency} ${payment.amount} was successful`,
-      data: {
-        paymentId: payment.id,
-        reference: payment.reference
+  res.status(200).json({
+    status: 'success',
+    data: { report }
+  });
+});
+
+/**
+ * @desc    Run payment reconciliation now (Admin)
+ * @route   POST /api/v1/payments/admin/reconciliation/run
+ * @access  Private/Admin
+ */
+exports.runReconciliation = asyncHandler(async (req, res) => {
+  const counts = await reconciliationService.runReconciliation();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Checked ${counts.checked} payment(s)`,
+    data: { counts }
+  });
+});
+
+/**
+ * @desc    Payments flagged by reconciliation (Admin)
+ * @route   GET /api/v1/payments/admin/reconciliation/issues
+ * @access  Private/Admin
+ */
+exports.getReconciliationIssues = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'open', type } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = {};
+  if (status === 'open') where.resolvedAt = null;
+  if (status === 'resolved') where.resolvedAt = { not: null };
+  if (type) where.type = type;
+
+  const [issues, total] = await Promise.all([
+    prisma.reconciliationIssue.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+      include: {
+        payment: {
+          select: { id: true, reference: true, amount: true, currency: true, status: true, provider: true, userId: true }
+        }
       }
-    }
+    }),
+    prisma.reconciliationIssue.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: issues.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { issues }
   });
-}
+});
 
-async function activateSubscription(userId, plan) {
-  const duration = plan === 'premium' ? 30 : 365;
-  const endDate = new Date();
-  endDate.setDate(endDate.getDate() + duration);
+/**
+ * @desc    Resolve a reconciliation issue (Admin)
+ * @route   PATCH /api/v1/payments/admin/reconciliation/issues/:issueId
+ * @access  Private/Admin
+ */
+exports.resolveReconciliationIssue = asyncHandler(async (req, res) => {
+  const issue = await reconciliationService.resolveIssue({
+    issueId: req.params.issueId,
+    admin: req.user,
+    resolution: req.body.resolution
+  });
 
-  await prisma.user.update({
-    where: { id: userId },
-    data: {
-      subscriptionPlan: plan,
-      subscriptionIsActive: true,
-      subscriptionStartDate: new Date(),
-      subscriptionEndDate: endDate
-    }
+  res.status(200).json({
+    status: 'success',
+    message: 'Issue resolved',
+    data: { issue }
   });
-}
+});
 
-async function featureListing(listingId, duration = 7) {
-  const featuredUntil = new Date();
-  featuredUntil.setDate(featuredUntil.getDate() + duration);
+/**
+ * @desc    Update payment status (Admin)
+ * @route   PATCH /api/v1/payments/:paymentId/admin/status
+ * @access  Private/Admin
+ */
+exports.updatePaymentStatus = asyncHandler(async (req, res) => {
+  const { paymentId } = req.params;
+  const { status } = req.body;
 
-  await prisma.vehicle.update({
-    where: { id: listingId },
-    data: {
-      isFeatured: true,
-      featuredUntil
-    }
+  const validStatuses = ['pending', 'completed', 'failed', 'refunded', 'cancelled'];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid status'
+    });
+  }
+
+  await prisma.payment.update({
+    where: { id: paymentId },
+    data: { status }
   });
-}
 
-async function boostAd(adId, duration = 7) {
-  const boostedUntil = new Date();
-  boostedUntil.setDate(boostedUntil.getDate() + duration);
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment status updated'
+  });
+});
 
-  await prisma.vehicle.update({
-    where: { id: adId },
-    data: {
-      isBoosted: true,
-      boostedUntil
-    }
+// Helper functions
+
+async function assertOwnsVehicle(user, vehicleId) {
+  const vehicle = await prisma.vehicle.findUnique({
+    where: { id: vehicleId || '' },
+    select: { sellerId: true }
   });
+
+  if (!vehicle) {
+    throw ApiError.notFound('Listing not found');
+  }
+
+  if (vehicle.sellerId !== user.id && user.role !== 'admin') {
+    throw ApiError.forbidden('Not authorized to promote this listing');
+  }
+}
+
+function refundMessage(refund) {
+  switch (refund.status) {
+    case 'refunded':
+      return 'Refund processed successfully';
+    case 'processing':
+      return 'Refund sent to the payment provider';
+    case 'failed':
+      return `Refund failed: ${refund.failureReason}`;
+    case 'denied':
+      return 'Refund request denied';
+    default:
+      return `Refund ${refund.status}`;
+  }
+}
+
+function payoutMessage(payout) {
+  switch (payout.status) {
+    case 'paid':
+      return 'Payout sent successfully';
+    case 'processing':
+      return 'Payout sent to the payment provider';
+    case 'failed':
+      return `Payout failed: ${payout.failureReason}`;
+    case 'rejected':
+      return 'Payout rejected - the funds are back in the wallet';
+    default:
+      return `Payout ${payout.status}`;
+  }
 }
@@ -5,6 +5,48 @@
 
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  SWAP_STATUS,
+  SWAP_NEGOTIATION,
+  SWAP_NOTES,
+  SWAP_HANDOVER,
+  SWAP_RECOMMENDATION
+} = require('../utils/constants');
+const { uploadToCloudinary, uploadDocument } = require('../services/cloudinary.service');
+const { recordSwapEvent, getSwapTimeline, diffFields } = require('../services/swapHistory.service');
+const { transitionSwap, assertTransition } = require('../services/swapStateMachine.service');
+const {
+  COMPLETION_SELECT,
+  getMissingChecklistItems,
+  finalizeSwapCompletion
+} = require('../services/swapHandover.service');
+const {
+  DISPUTE_SWAP_SELECT,
+  getActiveDispute,
+  openSwapDispute
+} = require('../services/swapDispute.service');
+const { getRecommendations } = require('../services/swapRecommendation.service');
+const { getUserRings, getRing, decideRing } = require('../services/swapRing.service');
+const { getPendingExpiresAt } = require('../services/swapExpiry.service');
+const {
+  normalizeOfferedItems,
+  getPrimaryVehicleId,
+  loadItem,
+  validateRequestedItem,
+  validateOfferedItems,
+  getOfferedListings
+} = require('../services/swapItems.service');
+
+// Statuses the generic status endpoint may set
+const STATUS_UPDATES = [SWAP_STATUS.CANCELLED];
+
+// Statuses set only through their own endpoint: responding checks whose turn
+// it is and the offer revision, disputing records the dispute admins resolve
+const STATUS_ENDPOINTS = {
+  [SWAP_STATUS.ACCEPTED]: 'PATCH /api/v1/swaps/:swapId/accept',
+  [SWAP_STATUS.REJECTED]: 'PATCH /api/v1/swaps/:swapId/reject',
+  [SWAP_STATUS.DISPUTED]: 'POST /api/v1/swaps/:swapId/report'
+};
 
 /**
  * @desc    Get user's all swaps
@@ -149,7 +191,12 @@ exports.getPendingSwaps = asyncHandler(async (req, res) => {
   const swaps = await prisma.swap.findMany({
     where: {
       receiverId: req.user.id,
-      status: 'pending'
+      status: 'pending',
+      // Hide offers past their expiry the job has not picked up yet
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } }
+      ]
     },
     orderBy: { createdAt: 'desc' },
     include: {
@@ -186,7 +233,7 @@ exports.getActiveSwaps = asyncHandler(async (req, res) => {
         { initiatorId: req.user.id },
         { receiverId: req.user.id }
       ],
-      status: 'accepted'
+      status: { in: ['accepted', 'in_handover'] }
     },
     orderBy: { updatedAt: 'desc' },
     include: {
@@ -297,7 +344,40 @@ exports.getSwapById = asyncHandler(async (req, res) => {
           verificationBadges: true
         }
       },
-      offeredVehicle: true
+      offeredVehicle: true,
+      offers: {
+        orderBy: { revision: 'asc' },
+        include: {
+          proposedBy: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              avatarUrl: true
+            }
+          }
+        }
+      },
+      confirmations: true,
+      notes: {
+        where: {
+          OR: [
+            { isPrivate: false },
+            { authorId: req.user.id }
+          ]
+        },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          author: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              avatarUrl: true
+            }
+          }
+        }
+      }
     }
   });
 
@@ -316,6 +396,8 @@ exports.getSwapById = asyncHandler(async (req, res) => {
     });
   }
 
+  swap.offeredListings = await getOfferedListings(swap.offeredItems);
+
   res.status(200).json({
     status: 'success',
     data: { swap }
@@ -329,44 +411,25 @@ exports.getSwapById = asyncHandler(async (req, res) => {
  */
 exports.proposeSwap = asyncHandler(async (req, res) => {
   const {
-    offeredVehicleId,
     requestedItemType,
     requestedItemId,
     message,
     additionalCash,
     currency
   } = req.body;
+  const requestedQuantity = parseInt(req.body.requestedQuantity) || 1;
 
-  // Validate offered vehicle belongs to user
-  const offeredVehicle = await prisma.vehicle.findUnique({
-    where: { id: offeredVehicleId },
-    select: { sellerId: true }
-  });
+  // Get requested item and receiver
+  const requestedItem = await loadItem(requestedItemType, requestedItemId);
 
-  if (!offeredVehicle || offeredVehicle.sellerId !== req.user.id) {
-    return res.status(400).json({
+  if (!requestedItem) {
+    return res.status(404).json({
       status: 'error',
-      message: 'Invalid offered vehicle'
+      message: `Requested ${requestedItemType} not found`
     });
   }
 
-  // Get requested item and receiver
-  let receiverId;
-  if (requestedItemType === 'vehicle') {
-    const requestedVehicle = await prisma.vehicle.findUnique({
-      where: { id: requestedItemId },
-      select: { sellerId: true }
-    });
-    
-    if (!requestedVehicle) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Requested vehicle not found'
-      });
-    }
-    
-    receiverId = requestedVehicle.sellerId;
-  }
+  const receiverId = requestedItem.sellerId;
 
   // Can't swap with yourself
   if (receiverId === req.user.id) {
@@ -376,37 +439,88 @@ exports.proposeSwap = asyncHandler(async (req, res) => {
     });
   }
 
-  const swap = await prisma.swap.create({
-    data: {
-      initiatorId: req.user.id,
-      receiverId,
-      offeredVehicleId,
-      requestedItemType,
-      requestedItemId,
-      message,
-      additionalCash: additionalCash ? parseFloat(additionalCash) : 0,
-      currency: currency || 'USD',
-      status: 'pending'
-    },
-    include: {
-      initiator: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          avatarUrl: true
-        }
-      },
-      receiver: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          avatarUrl: true
+  validateRequestedItem(requestedItem, requestedItemType, requestedQuantity);
+
+  // Offered vehicles and parts must belong to the user, be available and in stock
+  const offeredItems = normalizeOfferedItems(req.body);
+  await validateOfferedItems({
+    offeredItems,
+    ownerId: req.user.id,
+    requestedItemId,
+    requestedItemType,
+    requestedItem
+  });
+  const offeredVehicleId = getPrimaryVehicleId(offeredItems);
+
+  const cash = additionalCash ? parseFloat(additionalCash) : 0;
+
+  // The swap and its proposal event are written together
+  const swap = await prisma.$transaction(async (tx) => {
+    const created = await tx.swap.create({
+      data: {
+        initiatorId: req.user.id,
+        receiverId,
+        offeredVehicleId,
+        offeredItems,
+        requestedItemType,
+        requestedItemId,
+        requestedQuantity,
+        message,
+        additionalCash: cash,
+        currency: currency || 'USD',
+        status: 'pending',
+        lastOfferById: req.user.id,
+        expiresAt: getPendingExpiresAt(),
+        offers: {
+          create: {
+            revision: 1,
+            proposedById: req.user.id,
+            offeredVehicleId,
+            offeredItems,
+            additionalCash: cash,
+            currency: currency || 'USD',
+            message
+          }
         }
       },
-      offeredVehicle: true
-    }
+      include: {
+        initiator: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            avatarUrl: true
+          }
+        },
+        receiver: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            avatarUrl: true
+          }
+        },
+        offeredVehicle: true
+      }
+    });
+
+    await recordSwapEvent({
+      swapId: created.id,
+      action: 'proposed',
+      actorId: req.user.id,
+      toStatus: 'pending',
+      changes: diffFields({}, {
+        offeredItems,
+        requestedItemType,
+        requestedItemId,
+        requestedQuantity,
+        additionalCash: cash,
+        currency: created.currency
+      }),
+      req
+    }, tx);
+
+    return created;
   });
 
   // Create notification for receiver
@@ -458,6 +572,34 @@ exports.checkSwapOwnership = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * @desc    Check swap participant middleware (initiator or receiver)
+ */
+exports.checkSwapParticipant = asyncHandler(async (req, res, next) => {
+  const { swapId } = req.params;
+
+  const swap = await prisma.swap.findUnique({
+    where: { id: swapId },
+    select: { initiatorId: true, receiverId: true }
+  });
+
+  if (!swap) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Swap not found'
+    });
+  }
+
+  if (swap.initiatorId !== req.user.id && swap.receiverId !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized - only swap participants can perform this action'
+    });
+  }
+
+  next();
+});
+
 /**
  * @desc    Accept swap proposal
  * @route   PATCH /api/v1/swaps/:swapId/accept
@@ -465,31 +607,67 @@ exports.checkSwapOwnership = asyncHandler(async (req, res, next) => {
  */
 exports.acceptSwap = asyncHandler(async (req, res) => {
   const { swapId } = req.params;
-  const { responseNote } = req.body;
+  const { responseNote, revision } = req.body;
 
-  const swap = await prisma.swap.update({
+  const existingSwap = await prisma.swap.findUnique({
     where: { id: swapId },
-    data: {
-      status: 'accepted',
-      responseNote
-    },
+    select: {
+      id: true,
+      initiatorId: true,
+      receiverId: true,
+      status: true,
+      currentRevision: true,
+      lastOfferById: true
+    }
+  });
+
+  const turnError = checkRespondTurn(existingSwap, req.user.id);
+  if (turnError) {
+    return res.status(turnError.statusCode).json({
+      status: 'error',
+      message: turnError.message
+    });
+  }
+
+  // Guard against accepting terms that changed after the client loaded them
+  if (parseInt(revision) !== existingSwap.currentRevision) {
+    return res.status(409).json({
+      status: 'error',
+      message: `Offer has changed - latest revision is ${existingSwap.currentRevision}`
+    });
+  }
+
+  const swap = await transitionSwap({
+    swap: existingSwap,
+    toStatus: SWAP_STATUS.ACCEPTED,
+    user: req.user,
+    data: { responseNote },
+    // A counter offer landing meanwhile makes this accept fail
+    where: { currentRevision: existingSwap.currentRevision },
+    changes: diffFields({}, { acceptedRevision: existingSwap.currentRevision, responseNote }),
     include: {
       initiator: true,
       receiver: true,
-      offeredVehicle: true
-    }
+      offeredVehicle: true,
+      offers: {
+        where: { revision: existingSwap.currentRevision }
+      }
+    },
+    req
   });
 
-  // Create notification for initiator
+  // Notify the party whose offer was accepted
+  const proposerId = existingSwap.lastOfferById || existingSwap.initiatorId;
   await prisma.notification.create({
     data: {
-      userId: swap.initiatorId,
+      userId: proposerId,
       type: 'swap_accepted',
       title: 'Swap Accepted',
-      message: `Your swap proposal has been accepted by ${swap.receiver.firstName}`,
+      message: `Your swap offer has been accepted by ${req.user.firstName}`,
       data: {
         swapId: swap.id,
-        receiverId: swap.receiverId
+        revision: swap.currentRevision,
+        acceptedById: req.user.id
       }
     }
   });
@@ -510,25 +688,46 @@ exports.rejectSwap = asyncHandler(async (req, res) => {
   const { swapId } = req.params;
   const { responseNote } = req.body;
 
-  const swap = await prisma.swap.update({
+  const existingSwap = await prisma.swap.findUnique({
     where: { id: swapId },
-    data: {
-      status: 'rejected',
-      responseNote
-    },
+    select: {
+      id: true,
+      initiatorId: true,
+      receiverId: true,
+      status: true,
+      currentRevision: true,
+      lastOfferById: true
+    }
+  });
+
+  const turnError = checkRespondTurn(existingSwap, req.user.id);
+  if (turnError) {
+    return res.status(turnError.statusCode).json({
+      status: 'error',
+      message: turnError.message
+    });
+  }
+
+  const swap = await transitionSwap({
+    swap: existingSwap,
+    toStatus: SWAP_STATUS.REJECTED,
+    user: req.user,
+    data: { responseNote },
+    changes: diffFields({}, { rejectedRevision: existingSwap.currentRevision, responseNote }),
     include: {
       initiator: true,
       receiver: true
-    }
+    },
+    req
   });
 
-  // Create notification for initiator
+  // Notify the party whose offer was declined
   await prisma.notification.create({
     data: {
-      userId: swap.initiatorId,
+      userId: existingSwap.lastOfferById || existingSwap.initiatorId,
       type: 'swap_rejected',
       title: 'Swap Declined',
-      message: `Your swap proposal has been declined`,
+      message: `Your swap offer has been declined`,
       data: {
         swapId: swap.id
       }
@@ -549,14 +748,179 @@ exports.rejectSwap = asyncHandler(async (req, res) => {
  */
 exports.counterOffer = asyncHandler(async (req, res) => {
   const { swapId } = req.params;
-  const { additionalCash, message } = req.body;
+  const { additionalCash, currency, message } = req.body;
+
+  const swap = await prisma.swap.findUnique({
+    where: { id: swapId },
+    select: {
+      id: true,
+      initiatorId: true,
+      receiverId: true,
+      status: true,
+      offeredVehicleId: true,
+      offeredItems: true,
+      requestedItemType: true,
+      requestedItemId: true,
+      requestedQuantity: true,
+      additionalCash: true,
+      currency: true,
+      currentRevision: true,
+      lastOfferById: true
+    }
+  });
 
-  // TODO: Implement counter offer logic
-  // This might involve creating a new swap or updating the existing one
+  const turnError = checkRespondTurn(swap, req.user.id);
+  if (turnError) {
+    return res.status(turnError.statusCode).json({
+      status: 'error',
+      message: turnError.message
+    });
+  }
 
-  res.status(200).json({
+  if (swap.currentRevision >= SWAP_NEGOTIATION.MAX_REVISIONS) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Negotiation limit of ${SWAP_NEGOTIATION.MAX_REVISIONS} offers reached - accept or reject the latest offer`
+    });
+  }
+
+  const changedItems = normalizeOfferedItems(req.body);
+  const changedQuantity = req.body.requestedQuantity ? parseInt(req.body.requestedQuantity) : null;
+
+  if (typeof additionalCash === 'undefined' && !changedItems && !changedQuantity) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Counter offer must change the cash amount, the offered items or the requested quantity'
+    });
+  }
+
+  // Offered items always come from the initiator's listings
+  const currentItems = swap.offeredItems.length
+    ? swap.offeredItems
+    : normalizeOfferedItems({ offeredVehicleId: swap.offeredVehicleId }) || [];
+  const nextItems = changedItems || currentItems;
+  const nextQuantity = changedQuantity || swap.requestedQuantity;
+
+  if (changedItems || changedQuantity) {
+    const requestedItem = await loadItem(swap.requestedItemType, swap.requestedItemId);
+    if (!requestedItem) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Requested listing is no longer available'
+      });
+    }
+
+    validateRequestedItem(requestedItem, swap.requestedItemType, nextQuantity);
+    await validateOfferedItems({
+      offeredItems: nextItems,
+      ownerId: swap.initiatorId,
+      requestedItemId: swap.requestedItemId,
+      requestedItemType: swap.requestedItemType,
+      requestedItem
+    });
+  }
+
+  const nextVehicleId = getPrimaryVehicleId(nextItems);
+
+  const revision = swap.currentRevision + 1;
+  const cash = typeof additionalCash !== 'undefined'
+    ? parseFloat(additionalCash)
+    : swap.additionalCash;
+  const offerCurrency = currency || swap.currency;
+
+  let offer;
+  let updatedSwap;
+  try {
+    [offer, updatedSwap] = await prisma.$transaction([
+      prisma.swapOffer.create({
+        data: {
+          swapId,
+          revision,
+          proposedById: req.user.id,
+          offeredVehicleId: nextVehicleId,
+          offeredItems: nextItems,
+          additionalCash: cash,
+          currency: offerCurrency,
+          message
+        }
+      }),
+      // Fails (rolling back the offer) if the swap moved on since it was loaded
+      prisma.swap.update({
+        where: { id: swapId, status: swap.status, currentRevision: swap.currentRevision },
+        data: {
+          offeredVehicleId: nextVehicleId,
+          offeredItems: nextItems,
+          requestedQuantity: nextQuantity,
+          additionalCash: cash,
+          currency: offerCurrency,
+          currentRevision: revision,
+          lastOfferById: req.user.id,
+          // Each counter offer gives the other side a fresh response window
+          expiresAt: getPendingExpiresAt(),
+          reminderSentAt: null
+        },
+        include: {
+          offeredVehicle: true
+        }
+      }),
+      recordSwapEvent({
+        swapId,
+        action: 'counter_offer',
+        actorId: req.user.id,
+        fromStatus: swap.status,
+        toStatus: swap.status,
+        changes: diffFields(
+          {
+            revision: swap.currentRevision,
+            offeredItems: currentItems,
+            requestedQuantity: swap.requestedQuantity,
+            additionalCash: swap.additionalCash,
+            currency: swap.currency
+          },
+          {
+            revision,
+            offeredItems: nextItems,
+            requestedQuantity: nextQuantity,
+            additionalCash: cash,
+            currency: offerCurrency
+          }
+        ),
+        req
+      })
+    ]);
+  } catch (error) {
+    // Accepted, rejected or countered by the other side meanwhile
+    if (['P2025', 'P2002'].includes(error.code)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Swap was updated by someone else - please reload and try again'
+      });
+    }
+    throw error;
+  }
+
+  // Notify the other party it is their turn
+  const otherUserId = swap.initiatorId === req.user.id ? swap.receiverId : swap.initiatorId;
+  await prisma.notification.create({
+    data: {
+      userId: otherUserId,
+      type: 'swap_counter_offer',
+      title: 'New Counter Offer',
+      message: `${req.user.firstName} sent you a counter offer`,
+      data: {
+        swapId,
+        offerId: offer.id,
+        revision,
+        additionalCash: cash,
+        currency: offerCurrency
+      }
+    }
+  });
+
+  res.status(201).json({
     status: 'success',
-    message: 'Counter offer sent'
+    message: 'Counter offer sent',
+    data: { swap: updatedSwap, offer }
   });
 });
 
@@ -570,73 +934,88 @@ exports.cancelSwap = asyncHandler(async (req, res) => {
 
   const swap = await prisma.swap.findUnique({
     where: { id: swapId },
-    select: { initiatorId: true, receiverId: true, status: true }
+    select: { id: true, initiatorId: true, receiverId: true, status: true }
   });
 
-  if (!swap) {
-    return res.status(404).json({
-      status: 'error',
-      message: 'Swap not found'
-    });
-  }
+  // Parties can cancel before completion; admins can cancel on their behalf
+  await transitionSwap({
+    swap,
+    toStatus: SWAP_STATUS.CANCELLED,
+    user: req.user,
+    req
+  });
 
-  // Only initiator or receiver can cancel
-  if (swap.initiatorId !== req.user.id && swap.receiverId !== req.user.id) {
-    return res.status(403).json({
-      status: 'error',
-      message: 'Not authorized to cancel this swap'
-    });
-  }
+  // Notify the other party (both when an admin cancelled)
+  const recipients = [swap.initiatorId, swap.receiverId].filter(id => id !== req.user.id);
+  await prisma.notification.createMany({
+    data: recipients.map(userId => ({
+      userId,
+      type: 'system',
+      title: 'Swap Cancelled',
+      message: 'A swap has been cancelled',
+      data: { swapId }
+    }))
+  });
 
-  // Can't cancel completed swaps
-  if (swap.status === 'completed') {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Cannot cancel completed swap'
-    });
-  }
+  res.status(200).json({
+    status: 'success',
+    message: 'Swap cancelled'
+  });
+});
+
+/**
+ * @desc    Start handover of an accepted swap
+ * @route   PATCH /api/v1/swaps/:swapId/handover
+ * @access  Private
+ */
+exports.startHandover = asyncHandler(async (req, res) => {
+  const { swapId } = req.params;
 
-  await prisma.swap.update({
+  const existingSwap = await prisma.swap.findUnique({
     where: { id: swapId },
-    data: { status: 'cancelled' }
+    select: { id: true, initiatorId: true, receiverId: true, status: true }
   });
 
-  // Notify the other party
-  const otherUserId = swap.initiatorId === req.user.id ? swap.receiverId : swap.initiatorId;
+  const swap = await transitionSwap({
+    swap: existingSwap,
+    toStatus: SWAP_STATUS.IN_HANDOVER,
+    user: req.user,
+    action: 'handover_started',
+    data: { handoverStartedAt: new Date() },
+    req
+  });
+
+  const otherUserId = existingSwap.initiatorId === req.user.id
+    ? existingSwap.receiverId
+    : existingSwap.initiatorId;
   await prisma.notification.create({
     data: {
       userId: otherUserId,
       type: 'system',
-      title: 'Swap Cancelled',
-      message: 'A swap has been cancelled',
+      title: 'Swap Handover Started',
+      message: `${req.user.firstName} started the handover for your swap`,
       data: { swapId }
     }
   });
 
   res.status(200).json({
     status: 'success',
-    message: 'Swap cancelled'
+    message: 'Swap handover started',
+    data: { swap }
   });
 });
 
 /**
- * @desc    Complete swap
+ * @desc    Confirm swap completion (tick the handover checklist)
  * @route   PATCH /api/v1/swaps/:swapId/complete
- * @access  Private
+ * @access  Private (Participants)
  */
 exports.completeSwap = asyncHandler(async (req, res) => {
   const { swapId } = req.params;
 
   const swap = await prisma.swap.findUnique({
     where: { id: swapId },
-    select: {
-      initiatorId: true,
-      receiverId: true,
-      status: true,
-      offeredVehicleId: true,
-      requestedItemId: true,
-      requestedItemType: true
-    }
+    select: COMPLETION_SELECT
   });
 
   if (!swap) {
@@ -646,79 +1025,326 @@ exports.completeSwap = asyncHandler(async (req, res) => {
     });
   }
 
-  // Only parties involved can complete
-  if (swap.initiatorId !== req.user.id && swap.receiverId !== req.user.id) {
-    return res.status(403).json({
-      status: 'error',
-      message: 'Not authorized'
+  // Confirming an accepted swap starts the handover
+  if (swap.status === SWAP_STATUS.ACCEPTED) {
+    await transitionSwap({
+      swap,
+      toStatus: SWAP_STATUS.IN_HANDOVER,
+      user: req.user,
+      action: 'handover_started',
+      data: { handoverStartedAt: new Date() },
+      req
     });
+    swap.status = SWAP_STATUS.IN_HANDOVER;
   }
 
-  // Must be accepted first
-  if (swap.status !== 'accepted') {
+  // The swap itself completes (as the system) once both parties have confirmed
+  assertTransition(swap, SWAP_STATUS.COMPLETED, null);
+
+  const existingConfirmation = await prisma.swapConfirmation.findUnique({
+    where: { swapId_userId: { swapId, userId: req.user.id } }
+  });
+
+  if (existingConfirmation && existingConfirmation.confirmedAt) {
     return res.status(400).json({
       status: 'error',
-      message: 'Swap must be accepted before completion'
+      message: 'You have already confirmed this handover'
     });
   }
 
-  // Update swap status
-  await prisma.swap.update({
-    where: { id: swapId },
-    data: {
-      status: 'completed',
-      completedAt: new Date()
-    }
+  // Merge newly ticked items with the saved checklist
+  const checklist = {};
+  SWAP_HANDOVER.CHECKLIST.forEach((item) => {
+    const value = req.body[item];
+    checklist[item] = typeof value === 'undefined'
+      ? Boolean(existingConfirmation && existingConfirmation[item])
+      : value === true || value === 'true';
+  });
+
+  const missing = getMissingChecklistItems(swap, checklist);
+  const confirmedAt = missing.length === 0 ? new Date() : null;
+
+  const confirmation = await prisma.swapConfirmation.upsert({
+    where: { swapId_userId: { swapId, userId: req.user.id } },
+    create: { swapId, userId: req.user.id, ...checklist, confirmedAt },
+    update: { ...checklist, confirmedAt }
   });
 
-  // Update vehicles as swapped
-  if (swap.offeredVehicleId) {
-    await prisma.vehicle.update({
-      where: { id: swap.offeredVehicleId },
-      data: { status: 'swapped' }
+  if (!confirmedAt) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Handover checklist saved',
+      data: { confirmed: false, missing, confirmation }
     });
   }
 
-  if (swap.requestedItemType === 'vehicle') {
-    await prisma.vehicle.update({
-      where: { id: swap.requestedItemId },
-      data: { status: 'swapped' }
+  const otherUserId = swap.initiatorId === req.user.id ? swap.receiverId : swap.initiatorId;
+  const otherConfirmation = await prisma.swapConfirmation.findUnique({
+    where: { swapId_userId: { swapId, userId: otherUserId } }
+  });
+
+  // Both sides confirmed - complete the swap
+  if (otherConfirmation && otherConfirmation.confirmedAt) {
+    const completedSwap = await finalizeSwapCompletion({ swap, user: req.user, req });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Swap completed successfully',
+      data: { confirmed: true, confirmation, swap: completedSwap }
     });
   }
 
-  // Update user stats
-  await Promise.all([
-    prisma.user.update({
-      where: { id: swap.initiatorId },
-      data: { totalSwaps: { increment: 1 } }
+  // First confirmation - the other side has a window to confirm or refuse
+  const autoCompleteAt = new Date(
+    confirmedAt.getTime() + SWAP_HANDOVER.AUTO_COMPLETE_HOURS * 60 * 60 * 1000
+  );
+
+  await prisma.$transaction([
+    prisma.swap.update({
+      where: { id: swapId },
+      data: { autoCompleteAt }
     }),
-    prisma.user.update({
-      where: { id: swap.receiverId },
-      data: { totalSwaps: { increment: 1 } }
+    recordSwapEvent({
+      swapId,
+      action: 'handover_confirmed',
+      actorId: req.user.id,
+      fromStatus: swap.status,
+      toStatus: swap.status,
+      changes: { checklist, autoCompleteAt },
+      req
     })
   ]);
 
+  await prisma.notification.create({
+    data: {
+      userId: otherUserId,
+      type: 'system',
+      title: 'Confirm Your Swap Handover',
+      message: `${req.user.firstName} confirmed the handover. Confirm or report a problem within ${SWAP_HANDOVER.AUTO_COMPLETE_HOURS} hours, after which the swap completes automatically`,
+      data: { swapId, autoCompleteAt }
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Confirmation recorded - waiting for the other party',
+    data: { confirmed: true, confirmation, autoCompleteAt }
+  });
+});
+
+/**
+ * @desc    Refuse swap completion (opens a dispute)
+ * @route   PATCH /api/v1/swaps/:swapId/refuse
+ * @access  Private (Participants)
+ */
+exports.refuseCompletion = asyncHandler(async (req, res) => {
+  const { swapId } = req.params;
+  const { reason } = req.body;
+
+  const swap = await prisma.swap.findUnique({
+    where: { id: swapId },
+    select: DISPUTE_SWAP_SELECT
+  });
+
+  const dispute = await openSwapDispute({
+    swap,
+    user: req.user,
+    reason: 'handover_refused',
+    description: reason,
+    action: 'handover_refused',
+    req
+  });
+
+  const refusedAt = new Date();
+  await prisma.swapConfirmation.upsert({
+    where: { swapId_userId: { swapId, userId: req.user.id } },
+    create: { swapId, userId: req.user.id, refusedAt, refusalReason: reason },
+    update: { confirmedAt: null, refusedAt, refusalReason: reason }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Completion refused - the swap is now under dispute',
+    data: { dispute }
+  });
+});
+
+/**
+ * @desc    Get swap notes
+ * @route   GET /api/v1/swaps/:swapId/notes
+ * @access  Private (Participants, Admin during disputes)
+ */
+exports.getSwapNotes = asyncHandler(async (req, res) => {
+  const { swapId } = req.params;
+
+  const { swap, error } = await loadSwapForNotes(swapId, req.user);
+  if (error) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  const notes = await prisma.swapNote.findMany({
+    where: {
+      swapId: swap.id,
+      OR: [
+        { isPrivate: false },
+        { authorId: req.user.id }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      author: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          avatarUrl: true
+        }
+      }
+    }
+  });
+
   res.status(200).json({
     status: 'success',
-    message: 'Swap completed successfully'
+    results: notes.length,
+    data: { notes }
   });
 });
 
 /**
  * @desc    Add swap note
  * @route   POST /api/v1/swaps/:swapId/notes
- * @access  Private
+ * @access  Private (Participants, Admin during disputes)
  */
 exports.addSwapNote = asyncHandler(async (req, res) => {
-  // TODO: Implement swap notes/comments system
+  const { swapId } = req.params;
+  const { note } = req.body;
+  const isPrivate = req.body.isPrivate === true || req.body.isPrivate === 'true';
+  const files = req.files || [];
+
+  if (!note && files.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Note text or an attachment is required'
+    });
+  }
+
+  const { swap, error } = await loadSwapForNotes(swapId, req.user);
+  if (error) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  const attachments = await uploadSwapAttachments(files, `swapride/swaps/${swap.id}`);
+
+  const swapNote = await prisma.swapNote.create({
+    data: {
+      swapId: swap.id,
+      authorId: req.user.id,
+      note: note || '',
+      attachments,
+      isPrivate
+    },
+    include: {
+      author: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          avatarUrl: true
+        }
+      }
+    }
+  });
+
+  // Private notes stay with the author
+  if (!isPrivate) {
+    const recipients = [swap.initiatorId, swap.receiverId].filter(id => id !== req.user.id);
+    await prisma.notification.createMany({
+      data: recipients.map(userId => ({
+        userId,
+        type: 'swap_note',
+        title: 'New Swap Note',
+        message: `${req.user.firstName} added a note to your swap`,
+        data: {
+          swapId: swap.id,
+          noteId: swapNote.id
+        }
+      }))
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Note added',
+    data: { note: swapNote }
+  });
+});
+
+/**
+ * @desc    Edit swap note (author only, within the edit window)
+ * @route   PATCH /api/v1/swaps/:swapId/notes/:noteId
+ * @access  Private (Author)
+ */
+exports.updateSwapNote = asyncHandler(async (req, res) => {
+  const { swapId, noteId } = req.params;
+  const { note } = req.body;
+
+  const existingNote = await prisma.swapNote.findFirst({
+    where: { id: noteId, swapId }
+  });
+
+  if (!existingNote) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Note not found'
+    });
+  }
+
+  if (existingNote.authorId !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Only the author can edit this note'
+    });
+  }
+
+  const editDeadline = existingNote.createdAt.getTime() + SWAP_NOTES.EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() > editDeadline) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Notes can only be edited within ${SWAP_NOTES.EDIT_WINDOW_MINUTES} minutes of posting`
+    });
+  }
+
+  if (!note) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Note text is required'
+    });
+  }
+
+  const updatedNote = await prisma.swapNote.update({
+    where: { id: noteId },
+    data: {
+      note,
+      editedAt: new Date()
+    }
+  });
+
   res.status(200).json({
     status: 'success',
-    message: 'Note added'
+    message: 'Note updated',
+    data: { note: updatedNote }
   });
 });
 
 /**
- * @desc    Update swap status
+ * @desc    Update swap status (only the statuses in STATUS_UPDATES; accepting,
+ *          completing and disputing have their own endpoints and checks)
  * @route   PATCH /api/v1/swaps/:swapId/status
  * @access  Private
  */
@@ -726,47 +1352,171 @@ exports.updateSwapStatus = asyncHandler(async (req, res) => {
   const { swapId } = req.params;
   const { status } = req.body;
 
-  const validStatuses = ['pending', 'accepted', 'rejected', 'completed', 'cancelled'];
-  if (!validStatuses.includes(status)) {
+  if (STATUS_ENDPOINTS[status]) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Use ${STATUS_ENDPOINTS[status]} to set a swap ${status}`
+    });
+  }
+
+  if (!STATUS_UPDATES.includes(status)) {
     return res.status(400).json({
       status: 'error',
-      message: 'Invalid status'
+      message: `Status can only be changed to: ${STATUS_UPDATES.join(', ')}`
     });
   }
 
-  await prisma.swap.update({
+  const existingSwap = await prisma.swap.findUnique({
     where: { id: swapId },
-    data: { status }
+    select: { id: true, initiatorId: true, receiverId: true, status: true }
+  });
+
+  const swap = await transitionSwap({
+    swap: existingSwap,
+    toStatus: status,
+    user: req.user,
+    action: 'status_updated',
+    req
   });
 
   res.status(200).json({
     status: 'success',
-    message: 'Swap status updated'
+    message: 'Swap status updated',
+    data: { swap }
   });
 });
 
 /**
- * @desc    Report swap issue
+ * @desc    Report swap issue (opens a dispute)
  * @route   POST /api/v1/swaps/:swapId/report
- * @access  Private
+ * @access  Private (Participants)
  */
 exports.reportSwapIssue = asyncHandler(async (req, res) => {
   const { swapId } = req.params;
   const { reason, description } = req.body;
 
-  await prisma.report.create({
+  const swap = await prisma.swap.findUnique({
+    where: { id: swapId },
+    select: DISPUTE_SWAP_SELECT
+  });
+
+  const dispute = await openSwapDispute({
+    swap,
+    user: req.user,
+    reason,
+    description,
+    req
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Swap issue reported successfully',
+    data: { dispute }
+  });
+});
+
+/**
+ * @desc    Get the open dispute of a swap with its evidence
+ * @route   GET /api/v1/swaps/:swapId/dispute
+ * @access  Private (Participants)
+ */
+exports.getSwapDispute = asyncHandler(async (req, res) => {
+  const { swapId } = req.params;
+
+  const dispute = await prisma.swapDispute.findFirst({
+    where: { swapId },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      evidence: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+          submittedBy: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              avatarUrl: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!dispute) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'No dispute found for this swap'
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { dispute }
+  });
+});
+
+/**
+ * @desc    Submit dispute evidence (statement and/or uploads)
+ * @route   POST /api/v1/swaps/:swapId/dispute/evidence
+ * @access  Private (Participants)
+ */
+exports.submitDisputeEvidence = asyncHandler(async (req, res) => {
+  const { swapId } = req.params;
+  const { text } = req.body;
+  const files = req.files || [];
+
+  if (!text && files.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Evidence text or an attachment is required'
+    });
+  }
+
+  const dispute = await getActiveDispute(swapId);
+  if (!dispute) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'No open dispute on this swap'
+    });
+  }
+
+  const attachments = await uploadSwapAttachments(files, `swapride/swaps/${swapId}/disputes`);
+
+  const evidence = await prisma.swapDisputeEvidence.create({
     data: {
-      reporterId: req.user.id,
-      itemType: 'swap',
-      itemId: swapId,
-      reason,
-      description
+      disputeId: dispute.id,
+      submittedById: req.user.id,
+      text,
+      attachments
     }
   });
 
+  await recordSwapEvent({
+    swapId,
+    action: 'dispute_evidence_submitted',
+    actorId: req.user.id,
+    changes: { disputeId: dispute.id, evidenceId: evidence.id },
+    req
+  });
+
+  // Let the assigned admin know new evidence arrived
+  if (dispute.assignedAdminId) {
+    await prisma.notification.create({
+      data: {
+        userId: dispute.assignedAdminId,
+        type: 'swap_disputed',
+        title: 'New Dispute Evidence',
+        message: `${req.user.firstName} submitted evidence on a dispute assigned to you`,
+        data: { swapId, disputeId: dispute.id }
+      }
+    });
+  }
+
   res.status(201).json({
     status: 'success',
-    message: 'Swap issue reported successfully'
+    message: 'Evidence submitted',
+    data: { evidence }
   });
 });
 
@@ -776,10 +1526,38 @@ exports.reportSwapIssue = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getSwapHistory = asyncHandler(async (req, res) => {
-  // TODO: Implement swap history tracking
+  const { swapId } = req.params;
+
+  const swap = await prisma.swap.findUnique({
+    where: { id: swapId },
+    select: { initiatorId: true, receiverId: true }
+  });
+
+  if (!swap) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Swap not found'
+    });
+  }
+
+  // Parties and admins (support) can read the timeline
+  if (
+    swap.initiatorId !== req.user.id &&
+    swap.receiverId !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to view this swap'
+    });
+  }
+
+  const history = await getSwapTimeline(swapId);
+
   res.status(200).json({
     status: 'success',
-    data: { history: [] }
+    results: history.length,
+    data: { history }
   });
 });
 
@@ -790,15 +1568,183 @@ exports.getSwapHistory = asyncHandler(async (req, res) => {
  */
 exports.getSwapRecommendations = asyncHandler(async (req, res) => {
   const { itemType, itemId } = req.params;
+  const limit = Math.min(
+    parseInt(req.query.limit) || SWAP_RECOMMENDATION.DEFAULT_LIMIT,
+    SWAP_RECOMMENDATION.MAX_LIMIT
+  );
+  const maxDistanceKm = req.query.maxDistance ? parseFloat(req.query.maxDistance) : null;
+
+  const { recommendations } = await getRecommendations({
+    itemType,
+    itemId,
+    limit,
+    maxDistanceKm
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: recommendations.length,
+    data: { recommendations }
+  });
+});
+
+/**
+ * @desc    Get ring (multi-way) swap proposals for user
+ * @route   GET /api/v1/swaps/rings
+ * @access  Private
+ */
+exports.getSwapRings = asyncHandler(async (req, res) => {
+  const rings = await getUserRings(req.user.id, req.query.status);
+
+  res.status(200).json({
+    status: 'success',
+    results: rings.length,
+    data: { rings }
+  });
+});
+
+/**
+ * @desc    Get ring swap proposal
+ * @route   GET /api/v1/swaps/rings/:ringId
+ * @access  Private (Ring participants)
+ */
+exports.getSwapRing = asyncHandler(async (req, res) => {
+  const ring = await getRing(req.params.ringId);
+
+  if (!ring || !ring.participants.some(p => p.userId === req.user.id)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Ring proposal not found'
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { ring }
+  });
+});
+
+/**
+ * @desc    Accept ring swap proposal (binding once everyone accepts)
+ * @route   PATCH /api/v1/swaps/rings/:ringId/accept
+ * @access  Private (Ring participants)
+ */
+exports.acceptSwapRing = asyncHandler(async (req, res) => {
+  const ring = await decideRing({
+    ringId: req.params.ringId,
+    user: req.user,
+    accept: true,
+    req
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: ring.status === 'accepted'
+      ? 'Everyone accepted - your ring swap is confirmed'
+      : 'Ring swap accepted - waiting for the other participants',
+    data: { ring }
+  });
+});
+
+/**
+ * @desc    Decline ring swap proposal
+ * @route   PATCH /api/v1/swaps/rings/:ringId/decline
+ * @access  Private (Ring participants)
+ */
+exports.declineSwapRing = asyncHandler(async (req, res) => {
+  const ring = await decideRing({
+    ringId: req.params.ringId,
+    user: req.user,
+    accept: false,
+    req
+  });
 
-  // TODO: Implement AI-based swap recommendations
-  // For now, return empty array
   res.status(200).json({
     status: 'success',
-    data: { recommendations: [] }
+    message: 'Ring swap declined',
+    data: { ring }
   });
 });
 
+// Helper functions
+
+/**
+ * Check the user may respond to the latest offer on a swap.
+ * Turns alternate: whoever made the latest revision waits for the other party.
+ * @returns {Object|null} `{ statusCode, message }` when the action is not allowed
+ */
+function checkRespondTurn(swap, userId) {
+  if (!swap) {
+    return { statusCode: 404, message: 'Swap not found' };
+  }
+
+  if (swap.status !== 'pending') {
+    return { statusCode: 400, message: `Swap is already ${swap.status}` };
+  }
+
+  const lastOfferById = swap.lastOfferById || swap.initiatorId;
+  if (lastOfferById === userId) {
+    return {
+      statusCode: 400,
+      message: 'Waiting for the other party to respond to your latest offer'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Load a swap for the notes thread and check the user may access it.
+ * Admins get access while a dispute is open.
+ * @returns {Promise<Object>} `{ swap }` or `{ error: { statusCode, message } }`
+ */
+async function loadSwapForNotes(swapId, user) {
+  const swap = await prisma.swap.findUnique({
+    where: { id: swapId },
+    select: { id: true, initiatorId: true, receiverId: true }
+  });
+
+  if (!swap) {
+    return { error: { statusCode: 404, message: 'Swap not found' } };
+  }
+
+  if (swap.initiatorId === user.id || swap.receiverId === user.id) {
+    return { swap };
+  }
+
+  if (user.role === 'admin') {
+    const dispute = await getActiveDispute(swap.id);
+
+    if (dispute) {
+      return { swap };
+    }
+  }
+
+  return { error: { statusCode: 403, message: 'Not authorized to access notes on this swap' } };
+}
+
+/**
+ * Upload swap note / dispute attachments to Cloudinary
+ * @param {Array} files - Multer files
+ * @param {string} folder - Cloudinary folder
+ * @returns {Promise<Array>} Array of {url, publicId, fileName, fileType, fileSize}
+ */
+async function uploadSwapAttachments(files, folder) {
+  return await Promise.all(files.map(async (file) => {
+    const result = file.mimetype.startsWith('image/')
+      ? await uploadToCloudinary(file.path, folder)
+      : await uploadDocument(file.path, folder);
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      fileName: file.originalname,
+      fileType: file.mimetype,
+      fileSize: file.size
+    };
+  }));
+}
+
 // Legacy exports for backward compatibility
 exports.createSwap = exports.proposeSwap;
 exports.getMySwaps = exports.getUserSwaps;
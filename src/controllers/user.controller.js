@@ -6,6 +6,10 @@ const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const subscriptionService = require('../services/subscription.service');
+const { assertCanSaveSearch, getEntitlements } = require('../services/entitlements.service');
+const { startCheckout } = require('../services/payment.service');
+const { isSupported } = require('../services/currency.service');
 
 // Profile Routes
 
@@ -504,6 +508,7 @@ exports.getFavorites = asyncHandler(async (req, res) => {
  */
 exports.addToFavorites = asyncHandler(async (req, res) => {
   const { itemType, itemId } = req.params;
+  const { priceDropPercent } = req.body;
 
   if (itemType !== 'vehicle') {
     return res.status(400).json({
@@ -512,6 +517,18 @@ exports.addToFavorites = asyncHandler(async (req, res) => {
     });
   }
 
+  const vehicle = await prisma.vehicle.findUnique({
+    where: { id: itemId },
+    select: { price: true }
+  });
+
+  if (!vehicle) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Vehicle not found'
+    });
+  }
+
   // Check if already favorited
   const existing = await prisma.favorite.findUnique({
     where: {
@@ -532,7 +549,10 @@ exports.addToFavorites = asyncHandler(async (req, res) => {
   const favorite = await prisma.favorite.create({
     data: {
       userId: req.user.id,
-      vehicleId: itemId
+      vehicleId: itemId,
+      // Price drops are measured from the price when favorited
+      alertPrice: vehicle.price,
+      ...(typeof priceDropPercent !== 'undefined' && { priceDropPercent })
     },
     include: {
       vehicle: true
@@ -587,6 +607,64 @@ exports.removeFromFavorites = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Set a favorite's price-drop alert (null turns it off)
+ * @route   PATCH /api/v1/users/favorites/:itemType/:itemId
+ * @access  Private
+ */
+exports.updateFavoriteAlert = asyncHandler(async (req, res) => {
+  const { itemType, itemId } = req.params;
+  const { priceDropPercent } = req.body;
+
+  if (itemType !== 'vehicle') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid item type'
+    });
+  }
+
+  if (typeof priceDropPercent === 'undefined') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'priceDropPercent is required (null turns price alerts off)'
+    });
+  }
+
+  const favorite = await prisma.favorite.findUnique({
+    where: {
+      userId_vehicleId: {
+        userId: req.user.id,
+        vehicleId: itemId
+      }
+    },
+    include: {
+      vehicle: { select: { price: true } }
+    }
+  });
+
+  if (!favorite) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Favorite not found'
+    });
+  }
+
+  const updated = await prisma.favorite.update({
+    where: { id: favorite.id },
+    data: {
+      priceDropPercent,
+      // A new threshold counts from today's price
+      alertPrice: favorite.vehicle.price
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: priceDropPercent === null ? 'Price alert turned off' : 'Price alert updated',
+    data: { favorite: updated }
+  });
+});
+
 // Saved Searches
 
 /**
@@ -613,14 +691,20 @@ exports.getSavedSearches = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.createSavedSearch = asyncHandler(async (req, res) => {
-  const { name, criteria, notifyOnNewListings } = req.body;
+  const { name, listingType, criteria, notifyOnNewListings, frequency } = req.body;
+
+  await assertCanSaveSearch(req.user);
 
   const search = await prisma.savedSearch.create({
     data: {
       userId: req.user.id,
       name,
-      criteria,
-      notifyOnNewListings: notifyOnNewListings !== false
+      listingType,
+      criteria: criteria || {},
+      notifyOnNewListings: notifyOnNewListings !== false,
+      frequency,
+      // Alert on listings published from now on
+      lastCheckedAt: new Date()
     }
   });
 
@@ -631,6 +715,49 @@ exports.createSavedSearch = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Update saved search (name, criteria, alerts)
+ * @route   PATCH /api/v1/users/saved-searches/:searchId
+ * @access  Private
+ */
+exports.updateSavedSearch = asyncHandler(async (req, res) => {
+  const { searchId } = req.params;
+  const { name, criteria, notifyOnNewListings, frequency } = req.body;
+
+  const search = await prisma.savedSearch.findUnique({
+    where: { id: searchId }
+  });
+
+  if (!search || search.userId !== req.user.id) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Saved search not found'
+    });
+  }
+
+  const updateData = {};
+  if (typeof name !== 'undefined') updateData.name = name;
+  if (typeof criteria !== 'undefined') updateData.criteria = criteria;
+  if (typeof notifyOnNewListings !== 'undefined') updateData.notifyOnNewListings = notifyOnNewListings;
+  if (typeof frequency !== 'undefined') updateData.frequency = frequency;
+
+  // Turning alerts back on shouldn't send what was published meanwhile
+  if (notifyOnNewListings === true && !search.notifyOnNewListings) {
+    updateData.lastCheckedAt = new Date();
+  }
+
+  const updated = await prisma.savedSearch.update({
+    where: { id: searchId },
+    data: updateData
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Saved search updated',
+    data: { search: updated }
+  });
+});
+
 /**
  * @desc    Delete saved search
  * @route   DELETE /api/v1/users/saved-searches/:searchId
@@ -847,7 +974,15 @@ exports.updatePreferences = asyncHandler(async (req, res) => {
   if (typeof notificationPush !== 'undefined') updateData.notificationPush = notificationPush;
   if (typeof notificationSms !== 'undefined') updateData.notificationSms = notificationSms;
   if (language) updateData.language = language;
-  if (currency) updateData.currency = currency;
+  if (currency) {
+    if (!isSupported(currency)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid currency'
+      });
+    }
+    updateData.currency = currency;
+  }
 
   const user = await prisma.user.update({
     where: { id: req.user.id },
@@ -983,7 +1118,10 @@ exports.getPaymentHistory = asyncHandler(async (req, res) => {
       where: { userId: req.user.id },
       skip,
       take: parseInt(limit),
-      orderBy: { createdAt: 'desc' }
+      orderBy: { createdAt: 'desc' },
+      include: {
+        invoice: { select: { id: true, number: true } }
+      }
     }),
     prisma.payment.count({
       where: { userId: req.user.id }
@@ -1011,58 +1149,174 @@ exports.getPaymentHistory = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getSubscription = asyncHandler(async (req, res) => {
-  const user = await prisma.user.findUnique({
-    where: { id: req.user.id },
-    select: {
-      subscriptionPlan: true,
-      subscriptionIsActive: true,
-      subscriptionStartDate: true,
-      subscriptionEndDate: true,
-      featuredListings: true,
-      boostedAds: true,
-      prioritySupport: true
+  const [user, subscription] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        subscriptionPlan: true,
+        subscriptionIsActive: true,
+        subscriptionStartDate: true,
+        subscriptionEndDate: true,
+        featuredListings: true,
+        boostedAds: true,
+        prioritySupport: true
+      }
+    }),
+    subscriptionService.getSubscription(req.user.id)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      subscription: {
+        ...user,
+        plan: subscriptionService.getPlan(user.subscriptionPlan),
+        details: subscription
+      }
     }
   });
+});
+
+/**
+ * @desc    Get plan limits, remaining credits and usage
+ * @route   GET /api/v1/users/entitlements
+ * @access  Private
+ */
+exports.getEntitlements = asyncHandler(async (req, res) => {
+  const entitlements = await getEntitlements(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { entitlements }
+  });
+});
 
+/**
+ * @desc    Get subscription plans
+ * @route   GET /api/v1/users/subscription/plans
+ * @access  Private
+ */
+exports.getSubscriptionPlans = asyncHandler(async (req, res) => {
   res.status(200).json({
     status: 'success',
-    data: { subscription: user }
+    data: { plans: subscriptionService.getPlans() }
   });
 });
 
 /**
- * @desc    Upgrade subscription
+ * @desc    Change subscription plan (upgrades are prorated, downgrades wait for the period end)
  * @route   POST /api/v1/users/subscription/upgrade
  * @access  Private
  */
 exports.upgradeSubscription = asyncHandler(async (req, res) => {
   const { plan } = req.body;
 
-  // TODO: Integrate with payment gateway
+  const result = await subscriptionService.changePlan({ user: req.user, plan });
 
-  res.status(200).json({
+  const messages = {
+    checkout: 'Subscription payment initialized',
+    scheduled: 'Plan change scheduled for the end of the billing period',
+    cancelled: 'Subscription will end with the billing period',
+    resumed: 'Scheduled plan change cancelled'
+  };
+
+  res.status(result.payment ? 201 : 200).json({
     status: 'success',
-    message: 'Subscription upgrade initiated',
-    data: { plan }
+    message: result.payment ? messages.checkout : messages[result.action] || 'Subscription updated',
+    data: {
+      action: result.action,
+      subscription: result.subscription,
+      invoice: result.invoice,
+      payment: result.payment && await startCheckout(result.payment, req.user)
+    }
   });
 });
 
 /**
- * @desc    Cancel subscription
+ * @desc    Cancel subscription at the end of the billing period
  * @route   POST /api/v1/users/subscription/cancel
  * @access  Private
  */
 exports.cancelSubscription = asyncHandler(async (req, res) => {
-  await prisma.user.update({
-    where: { id: req.user.id },
-    data: {
-      subscriptionIsActive: false
-    }
+  const subscription = await subscriptionService.cancelSubscription({ user: req.user });
+
+  res.status(200).json({
+    status: 'success',
+    message: subscription.status === 'active'
+      ? 'Subscription will end with the billing period'
+      : 'Subscription cancelled',
+    data: { subscription }
   });
+});
+
+/**
+ * @desc    Resume a subscription set to cancel or downgrade
+ * @route   POST /api/v1/users/subscription/resume
+ * @access  Private
+ */
+exports.resumeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.resumeSubscription({ user: req.user });
 
   res.status(200).json({
     status: 'success',
-    message: 'Subscription cancelled'
+    message: 'Subscription resumed',
+    data: { subscription }
+  });
+});
+
+/**
+ * @desc    Get subscription invoices
+ * @route   GET /api/v1/users/subscription/invoices
+ * @access  Private
+ */
+exports.getSubscriptionInvoices = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { userId: req.user.id };
+  if (status) where.status = status;
+
+  const [invoices, total] = await Promise.all([
+    prisma.subscriptionInvoice.findMany({
+      where,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.subscriptionInvoice.count({ where })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: invoices.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    },
+    data: { invoices }
+  });
+});
+
+/**
+ * @desc    Pay (or retry paying) a subscription invoice
+ * @route   POST /api/v1/users/subscription/invoices/:invoiceId/pay
+ * @access  Private
+ */
+exports.paySubscriptionInvoice = asyncHandler(async (req, res) => {
+  const { invoice, payment } = await subscriptionService.payInvoice({
+    user: req.user,
+    invoiceId: req.params.invoiceId
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Subscription payment initialized',
+    data: {
+      invoice,
+      payment: await startCheckout(payment, req.user)
+    }
   });
 });
 
@@ -5,6 +5,23 @@
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const slugify = require('slugify');
+const { assertCanList, assertImageCount } = require('../services/entitlements.service');
+const {
+  getDisplayCurrency,
+  toBasePrice,
+  withDisplayPrice
+} = require('../services/currency.service');
+const { getListingExpiresAt, renewListing } = require('../services/listingLifecycle.service');
+const { resolveCoordinates } = require('../services/geocoding.service');
+const { parseGeoQuery, searchListings } = require('../services/geoSearch.service');
+const { buildListingFilter, findRanked, getFacets } = require('../services/search.service');
+const { notifySavedSearches } = require('../services/savedSearchAlert.service');
+const {
+  recordPriceChange,
+  getPriceHistory,
+  notifyPriceDrop,
+  notifyListingSold
+} = require('../services/priceAlert.service');
 
 /**
  * @desc    Get all vehicles with filters and pagination
@@ -12,97 +29,73 @@ const slugify = require('slugify');
  * @access  Public
  */
 exports.getAllVehicles = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 20,
-    search,
-    make,
-    model,
-    minYear,
-    maxYear,
-    minPrice,
-    maxPrice,
-    condition,
-    bodyType,
-    transmission,
-    fuelType,
-    city,
-    region,
-    country,
-    openToSwap,
-    sort = '-createdAt'
-  } = req.query;
+  const { page = 1, limit = 20, sort } = req.query;
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
-  
-  // Build where clause
-  const where = {
-    status: 'active'
-  };
+  const displayCurrency = getDisplayCurrency(req);
 
-  if (search) {
-    where.OR = [
-      { title: { contains: search, mode: 'insensitive' } },
-      { description: { contains: search, mode: 'insensitive' } },
-      { make: { contains: search, mode: 'insensitive' } },
-      { model: { contains: search, mode: 'insensitive' } }
-    ];
-  }
+  // Filters (and full-text matches, best first) from the query parameters
+  const { where, match } = await buildListingFilter({
+    type: 'vehicle',
+    criteria: req.query,
+    currency: displayCurrency
+  });
 
-  if (make) where.make = { equals: make, mode: 'insensitive' };
-  if (model) where.model = { equals: model, mode: 'insensitive' };
-  if (minYear) where.year = { ...where.year, gte: parseInt(minYear) };
-  if (maxYear) where.year = { ...where.year, lte: parseInt(maxYear) };
-  if (minPrice) where.price = { ...where.price, gte: parseFloat(minPrice) };
-  if (maxPrice) where.price = { ...where.price, lte: parseFloat(maxPrice) };
-  if (condition) where.condition = condition;
-  if (bodyType) where.bodyType = bodyType;
-  if (transmission) where.transmission = transmission;
-  if (fuelType) where.fuelType = fuelType;
-  if (city) where.city = { equals: city, mode: 'insensitive' };
-  if (region) where.region = { equals: region, mode: 'insensitive' };
-  if (country) where.country = { equals: country, mode: 'insensitive' };
-  if (openToSwap) where.openToSwap = openToSwap === 'true';
-
-  // Build orderBy
-  const orderBy = {};
-  if (sort.startsWith('-')) {
-    const field = sort.substring(1);
-    orderBy[field] = 'desc';
-  } else {
-    orderBy[sort] = 'asc';
-  }
+  const include = {
+    seller: {
+      select: {
+        id: true,
+        clerkId: true,
+        firstName: true,
+        lastName: true,
+        username: true,
+        avatarUrl: true,
+        rating: true,
+        reviewCount: true,
+        verificationBadges: true
+      }
+    },
+    _count: {
+      select: {
+        favorites: true
+      }
+    }
+  };
 
-  // Execute query
-  const [vehicles, total] = await Promise.all([
-    prisma.vehicle.findMany({
+  // Searches sort by relevance unless asked otherwise
+  const order = sort && (sort !== 'relevance' || match) ? sort : match ? 'relevance' : '-createdAt';
+
+  let vehicles;
+  let total;
+  if (match && order === 'relevance') {
+    ({ listings: vehicles, total } = await findRanked({
+      type: 'vehicle',
       where,
+      ids: match.ids,
       skip,
       take: parseInt(limit),
-      orderBy,
-      include: {
-        seller: {
-          select: {
-            id: true,
-            clerkId: true,
-            firstName: true,
-            lastName: true,
-            username: true,
-            avatarUrl: true,
-            rating: true,
-            reviewCount: true,
-            verificationBadges: true
-          }
-        },
-        _count: {
-          select: {
-            favorites: true
-          }
-        }
-      }
-    }),
-    prisma.vehicle.count({ where })
-  ]);
+      include
+    }));
+  } else {
+    // Build orderBy (prices sort by their base currency value)
+    const orderBy = {};
+    const sortField = order.replace(/^-/, '');
+    orderBy[sortField === 'price' ? 'priceBase' : sortField] = order.startsWith('-') ? 'desc' : 'asc';
+
+    // Execute query
+    [vehicles, total] = await Promise.all([
+      prisma.vehicle.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy,
+        include
+      }),
+      prisma.vehicle.count({ where })
+    ]);
+  }
+
+  const facets = await getFacets({ type: 'vehicle', where, currency: displayCurrency });
 
   // Add favorite status if user is authenticated
   let vehiclesWithFavorites = vehicles;
@@ -133,7 +126,11 @@ exports.getAllVehicles = asyncHandler(async (req, res) => {
       total,
       pages: Math.ceil(total / parseInt(limit))
     },
-    data: { vehicles: vehiclesWithFavorites }
+    data: {
+      vehicles: await withDisplayPrice(vehiclesWithFavorites, displayCurrency),
+      facets,
+      suggestion: match ? match.suggestion : null
+    }
   });
 });
 
@@ -172,67 +169,29 @@ exports.getFeaturedVehicles = asyncHandler(async (req, res) => {
   res.status(200).json({
     status: 'success',
     results: vehicles.length,
-    data: { vehicles }
+    data: { vehicles: await withDisplayPrice(vehicles, getDisplayCurrency(req)) }
   });
 });
 
 /**
- * @desc    Get nearby vehicles based on user location
+ * @desc    Get vehicles near a point or inside a map area
  * @route   GET /api/v1/vehicles/nearby
  * @access  Public
  */
 exports.getNearbyVehicles = asyncHandler(async (req, res) => {
-  const { latitude, longitude, radius = 50, limit = 20 } = req.query;
-
-  if (!latitude || !longitude) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Latitude and longitude are required'
-    });
-  }
-
-  // Simple distance filtering (for more accurate geo queries, use PostGIS extension)
-  const vehicles = await prisma.vehicle.findMany({
-    where: {
-      status: 'active',
-      latitude: { not: null },
-      longitude: { not: null }
-    },
-    take: parseInt(limit),
-    orderBy: { createdAt: 'desc' },
-    include: {
-      seller: {
-        select: {
-          id: true,
-          clerkId: true,
-          firstName: true,
-          lastName: true,
-          avatarUrl: true,
-          rating: true
-        }
-      }
-    }
-  });
-
-  // Calculate distance and filter (simple Haversine formula)
-  const nearbyVehicles = vehicles.filter(vehicle => {
-    if (!vehicle.latitude || !vehicle.longitude) return false;
-    
-    const distance = calculateDistance(
-      parseFloat(latitude),
-      parseFloat(longitude),
-      vehicle.latitude,
-      vehicle.longitude
-    );
-    
-    vehicle.distance = distance;
-    return distance <= parseFloat(radius);
-  }).sort((a, b) => a.distance - b.distance);
+  const search = parseGeoQuery(req.query);
+  const { listings, total } = await searchListings({ type: 'vehicle', ...search });
 
   res.status(200).json({
     status: 'success',
-    results: nearbyVehicles.length,
-    data: { vehicles: nearbyVehicles }
+    results: listings.length,
+    pagination: {
+      page: search.page,
+      limit: search.limit,
+      total,
+      pages: Math.ceil(total / search.limit)
+    },
+    data: { vehicles: await withDisplayPrice(listings, getDisplayCurrency(req)) }
   });
 });
 
@@ -322,15 +281,29 @@ exports.getVehicle = asyncHandler(async (req, res) => {
   res.status(200).json({
     status: 'success',
     data: {
-      vehicle: {
+      vehicle: await withDisplayPrice({
         ...vehicle,
         isFavorited,
         favoritesCount: vehicle._count.favorites
-      }
+      }, getDisplayCurrency(req))
     }
   });
 });
 
+/**
+ * @desc    Get vehicle price history
+ * @route   GET /api/v1/vehicles/:id/price-history
+ * @access  Public
+ */
+exports.getVehiclePriceHistory = asyncHandler(async (req, res) => {
+  const priceHistory = await getPriceHistory({ type: 'vehicle', id: req.params.id });
+
+  res.status(200).json({
+    status: 'success',
+    data: { priceHistory }
+  });
+});
+
 /**
  * @desc    Create new vehicle listing
  * @route   POST /api/v1/vehicles
@@ -362,6 +335,9 @@ exports.createVehicle = asyncHandler(async (req, res) => {
     location
   } = req.body;
 
+  await assertCanList(req.user);
+  await assertImageCount(req.user, (images || []).length);
+
   // Generate unique slug
   const baseSlug = slugify(`${make} ${model} ${year}`, { lower: true, strict: true });
   let slug = baseSlug;
@@ -392,6 +368,7 @@ exports.createVehicle = asyncHandler(async (req, res) => {
       registrationNumber,
       price: parseFloat(price),
       currency: currency || 'USD',
+      priceBase: await toBasePrice(parseFloat(price), currency || 'USD'),
       priceNegotiable: priceNegotiable !== false,
       openToSwap: openToSwap === true,
       swapPreferences,
@@ -400,9 +377,18 @@ exports.createVehicle = asyncHandler(async (req, res) => {
       city: location?.city,
       region: location?.region,
       country: location?.country,
-      latitude: location?.latitude,
-      longitude: location?.longitude,
-      sellerId: req.user.id
+      // Geocoded from city/region/country when the seller gives no coordinates
+      ...resolveCoordinates(location),
+      expiresAt: getListingExpiresAt(),
+      sellerId: req.user.id,
+      // Price history starts at the listing price
+      priceHistory: {
+        create: {
+          price: parseFloat(price),
+          currency: currency || 'USD',
+          changedById: req.user.id
+        }
+      }
     },
     include: {
       seller: {
@@ -424,6 +410,9 @@ exports.createVehicle = asyncHandler(async (req, res) => {
     data: { totalListings: { increment: 1 } }
   });
 
+  // Alert matching saved searches in the background
+  notifySavedSearches({ type: 'vehicle', listing: vehicle });
+
   res.status(201).json({
     status: 'success',
     message: 'Vehicle listing created successfully',
@@ -470,16 +459,40 @@ exports.updateVehicle = asyncHandler(async (req, res) => {
     status
   } = req.body;
 
+  if (images) {
+    await assertImageCount(req.user, images.length);
+  }
+
+  // Reservations are taken and given back by the swap that holds them
+  if (status && status !== existingVehicle.status && [status, existingVehicle.status].includes('reserved')) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Vehicle is reserved for an accepted swap'
+    });
+  }
+
+  // Reactivating a listing takes up a slot again
+  if (status === 'active' && !['active', 'pending'].includes(existingVehicle.status)) {
+    await assertCanList(req.user);
+  }
+
   const updateData = {};
   if (title) updateData.title = title;
   if (description) updateData.description = description;
-  if (price) updateData.price = parseFloat(price);
+  if (price) {
+    updateData.price = parseFloat(price);
+    updateData.priceBase = await toBasePrice(updateData.price, existingVehicle.currency);
+  }
   if (typeof priceNegotiable !== 'undefined') updateData.priceNegotiable = priceNegotiable;
   if (typeof openToSwap !== 'undefined') updateData.openToSwap = openToSwap;
   if (swapPreferences) updateData.swapPreferences = swapPreferences;
   if (features) updateData.features = features;
   if (images) updateData.images = images;
   if (status) updateData.status = status;
+  // A reactivated listing starts a new term
+  if (status === 'active' && existingVehicle.status !== 'active') {
+    updateData.expiresAt = getListingExpiresAt();
+  }
 
   const vehicle = await prisma.vehicle.update({
     where: { id },
@@ -497,6 +510,21 @@ exports.updateVehicle = asyncHandler(async (req, res) => {
     }
   });
 
+  // Price history; favoriters are alerted in the background
+  if (updateData.price !== undefined && updateData.price !== existingVehicle.price) {
+    await recordPriceChange({
+      type: 'vehicle',
+      listing: vehicle,
+      previousPrice: existingVehicle.price,
+      changedById: req.user.id
+    });
+    notifyPriceDrop(vehicle);
+  }
+
+  if (['sold', 'swapped'].includes(status) && existingVehicle.status !== status) {
+    notifyListingSold({ vehicle, status });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Vehicle updated successfully',
@@ -546,6 +574,21 @@ exports.deleteVehicle = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Renew vehicle listing for another term (expired or active)
+ * @route   POST /api/v1/vehicles/:id/renew
+ * @access  Private (Owner only)
+ */
+exports.renewVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await renewListing({ type: 'vehicle', id: req.params.id, user: req.user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Vehicle listing renewed',
+    data: { vehicle }
+  });
+});
+
 /**
  * @desc    Toggle favorite/unfavorite vehicle
  * @route   PATCH /api/v1/vehicles/:id/favorite
@@ -584,7 +627,9 @@ exports.toggleFavorite = asyncHandler(async (req, res) => {
     await prisma.favorite.create({
       data: {
         userId: req.user.id,
-        vehicleId: id
+        vehicleId: id,
+        // Price drops are measured from the price when favorited
+        alertPrice: vehicle.price
       }
     });
     isFavorited = true;
@@ -737,20 +782,3 @@ exports.getMyListings = asyncHandler(async (req, res) => {
     data: { vehicles }
   });
 });
-
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of Earth in km
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-function toRad(deg) {
-  return deg * (Math.PI / 180);
-}
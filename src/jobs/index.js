@@ -0,0 +1,132 @@
+/**
+ * Background Jobs
+ * Registers every recurring job on the shared scheduler
+ */
+
+const { createScheduler } = require('./scheduler');
+const {
+  sendExpiryReminders,
+  expirePendingSwaps,
+  releaseStalledSwaps
+} = require('../services/swapExpiry.service');
+const { autoCompleteOverdueHandovers } = require('../services/swapHandover.service');
+const { runRingMatcher } = require('../services/swapRing.service');
+const { runSubscriptionBilling } = require('../services/subscription.service');
+const { clearPendingFunds } = require('../services/wallet.service');
+const { runReconciliation, runDailyReport } = require('../services/reconciliation.service');
+const { runListingLifecycle } = require('../services/listingLifecycle.service');
+const { retryPendingSwapSettlements } = require('../services/escrow.service');
+const { runSavedSearchAlerts } = require('../services/savedSearchAlert.service');
+const {
+  SWAP_EXPIRY,
+  SWAP_HANDOVER,
+  SWAP_RING,
+  SUBSCRIPTION,
+  WALLET,
+  RECONCILIATION,
+  ESCROW,
+  LISTING_LIFECYCLE,
+  SAVED_SEARCH
+} = require('../utils/constants');
+
+const scheduler = createScheduler();
+
+// Remind, then expire, unanswered swap offers
+scheduler.register({
+  name: 'swap-expiry',
+  intervalMinutes: SWAP_EXPIRY.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => ({
+    reminded: await sendExpiryReminders(now),
+    expired: await expirePendingSwaps(now)
+  })
+});
+
+// Release items held by accepted swaps whose handover never started
+scheduler.register({
+  name: 'swap-stalled-release',
+  intervalMinutes: SWAP_EXPIRY.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => ({ released: await releaseStalledSwaps(now) })
+});
+
+// Complete handovers where one side confirmed and the other went silent
+scheduler.register({
+  name: 'swap-handover-autocomplete',
+  intervalMinutes: SWAP_HANDOVER.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => ({ completed: await autoCompleteOverdueHandovers(now) })
+});
+
+// Look for 3- and 4-party swap rings
+scheduler.register({
+  name: 'swap-ring-matcher',
+  intervalMinutes: SWAP_RING.MATCH_INTERVAL_MINUTES,
+  handler: async ({ now }) => runRingMatcher(now)
+});
+
+// Renewal invoices, dunning and expiry of unpaid subscriptions
+scheduler.register({
+  name: 'subscription-billing',
+  intervalMinutes: SUBSCRIPTION.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => runSubscriptionBilling(now)
+});
+
+// Make escrow releases that have cleared available for payout
+scheduler.register({
+  name: 'wallet-clearance',
+  intervalMinutes: WALLET.CLEARANCE_INTERVAL_MINUTES,
+  handler: async ({ now }) => ({ cleared: await clearPendingFunds(now) })
+});
+
+// Retry escrow settlements that failed after a swap changed status
+scheduler.register({
+  name: 'swap-escrow-settlement',
+  intervalMinutes: ESCROW.SETTLEMENT_RETRY_MINUTES,
+  handler: async ({ now }) => retryPendingSwapSettlements(now)
+});
+
+// Check stale payments with their provider when the webhook never came
+scheduler.register({
+  name: 'payment-reconciliation',
+  intervalMinutes: RECONCILIATION.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => runReconciliation(now)
+});
+
+// Yesterday's reconciliation report for admins, once the day is over
+scheduler.register({
+  name: 'payment-reconciliation-report',
+  intervalMinutes: RECONCILIATION.REPORT_INTERVAL_MINUTES,
+  handler: async ({ now }) => runDailyReport(now)
+});
+
+// Expire listings past their term, end lapsed promotions, purge stale ones
+scheduler.register({
+  name: 'listing-lifecycle',
+  intervalMinutes: LISTING_LIFECYCLE.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => runListingLifecycle(now)
+});
+
+// Match new listings to saved searches; send instant alerts and due digests
+scheduler.register({
+  name: 'saved-search-alerts',
+  intervalMinutes: SAVED_SEARCH.CHECK_INTERVAL_MINUTES,
+  handler: async ({ now }) => runSavedSearchAlerts(now)
+});
+
+/**
+ * Start background jobs unless disabled with ENABLE_JOBS=false
+ */
+const startJobs = () => {
+  if (process.env.ENABLE_JOBS === 'false') {
+    console.log('⏸️  Background jobs disabled (ENABLE_JOBS=false)');
+    return;
+  }
+
+  scheduler.start();
+};
+
+const stopJobs = () => scheduler.stop();
+
+module.exports = {
+  scheduler,
+  startJobs,
+  stopJobs
+};
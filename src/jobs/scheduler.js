@@ -0,0 +1,130 @@
+/**
+ * Job Scheduler
+ * Runs registered background jobs on fixed intervals.
+ * The clock and timers are injectable, so jobs can be driven
+ * deterministically with `runJob(name, { now })`.
+ */
+
+/**
+ * Create a scheduler
+ * @param {object} [options]
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {object} [options.timers] - `{ setInterval, clearInterval }`
+ * @param {object} [options.logger] - Console-like logger
+ * @returns {object} Scheduler
+ */
+const createScheduler = ({
+  clock = () => new Date(),
+  timers = { setInterval, clearInterval },
+  logger = console
+} = {}) => {
+  const jobs = new Map();
+
+  /**
+   * Register a job
+   * @param {object} job
+   * @param {string} job.name - Unique job name
+   * @param {number} job.intervalMinutes - How often to run
+   * @param {Function} job.handler - `async ({ now }) => result`
+   */
+  const register = ({ name, intervalMinutes, handler }) => {
+    if (jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    jobs.set(name, {
+      name,
+      intervalMinutes,
+      handler,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null
+    });
+  };
+
+  /**
+   * Run a job now
+   * Skips the run if the previous one is still going.
+   * @param {string} name - Job name
+   * @param {object} [options]
+   * @param {Date} [options.now] - Override the clock for this run
+   * @returns {Promise<*>} Handler result, undefined when skipped
+   */
+  const runJob = async (name, { now } = {}) => {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+
+    if (job.running) {
+      return undefined;
+    }
+
+    job.running = true;
+    const runAt = now || clock();
+
+    try {
+      job.lastResult = await job.handler({ now: runAt });
+      job.lastError = null;
+      return job.lastResult;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`❌ Job ${name} failed:`, error.message);
+      return undefined;
+    } finally {
+      job.lastRunAt = runAt;
+      job.running = false;
+    }
+  };
+
+  /**
+   * Start every registered job on its interval
+   */
+  const start = () => {
+    jobs.forEach((job) => {
+      if (job.timer) {
+        return;
+      }
+
+      job.timer = timers.setInterval(() => runJob(job.name), job.intervalMinutes * 60 * 1000);
+
+      // Don't keep the process alive just for background jobs
+      if (job.timer && typeof job.timer.unref === 'function') {
+        job.timer.unref();
+      }
+    });
+
+    logger.log(`⏱️  Background jobs started: ${[...jobs.keys()].join(', ')}`);
+  };
+
+  /**
+   * Stop all jobs
+   */
+  const stop = () => {
+    jobs.forEach((job) => {
+      if (job.timer) {
+        timers.clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  };
+
+  /**
+   * Registered jobs and their last run
+   * @returns {Array} Job summaries
+   */
+  const getJobs = () => [...jobs.values()].map(({ name, intervalMinutes, running, lastRunAt, lastResult, lastError }) => ({
+    name,
+    intervalMinutes,
+    running,
+    lastRunAt,
+    lastResult,
+    lastError
+  }));
+
+  return { register, runJob, start, stop, getJobs };
+};
+
+module.exports = { createScheduler };
@@ -97,6 +97,8 @@ exports.errorHandler = (err, req, res, next) => {
     status: 'error',
     statusCode: error.statusCode,
     message: error.message,
+    ...(err instanceof ApiError && err.code && { code: err.code }),
+    ...(err instanceof ApiError && err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       error: err
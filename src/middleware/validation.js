@@ -3,6 +3,17 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const { SWAP_ITEMS, SUBSCRIPTION, CURRENCY, WALLET, SAVED_SEARCH, PRICE_ALERT, PROMOTION } = require('../utils/constants');
+
+const VEHICLE_CONDITIONS = ['new', 'used', 'certified_pre_owned'];
+
+const PART_CATEGORIES = [
+  'engine', 'transmission', 'suspension', 'brakes', 'electrical',
+  'body', 'interior', 'exterior', 'wheels_tires', 'exhaust',
+  'cooling', 'fuel_system', 'lights', 'accessories', 'other'
+];
+
+const PART_CONDITIONS = ['new', 'used', 'refurbished', 'salvage', 'oem', 'aftermarket'];
 
 /**
  * Handle validation errors
@@ -97,11 +108,15 @@ exports.vehicleValidation = [
     .isInt({ min: 0 })
     .withMessage('Mileage must be a positive number'),
   body('condition')
-    .isIn(['new', 'used', 'certified_pre_owned'])
+    .isIn(VEHICLE_CONDITIONS)
     .withMessage('Please provide a valid condition'),
   body('price')
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  body('currency')
+    .optional()
+    .isIn(Object.keys(CURRENCY.SUPPORTED))
+    .withMessage('Invalid currency')
 ];
 
 /**
@@ -123,18 +138,18 @@ exports.partValidation = [
     .notEmpty()
     .withMessage('Part name is required'),
   body('category')
-    .isIn([
-      'engine', 'transmission', 'suspension', 'brakes', 'electrical',
-      'body', 'interior', 'exterior', 'wheels_tires', 'exhaust',
-      'cooling', 'fuel_system', 'lights', 'accessories', 'other'
-    ])
+    .isIn(PART_CATEGORIES)
     .withMessage('Please provide a valid category'),
   body('condition')
-    .isIn(['new', 'used', 'refurbished', 'salvage', 'oem', 'aftermarket'])
+    .isIn(PART_CONDITIONS)
     .withMessage('Please provide a valid condition'),
   body('price')
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  body('currency')
+    .optional()
+    .isIn(Object.keys(CURRENCY.SUPPORTED))
+    .withMessage('Invalid currency')
 ];
 
 /**
@@ -145,12 +160,83 @@ exports.swapValidation = [
     .optional()
     .isString()
     .withMessage('Invalid offered vehicle ID'),
+  body('offeredItems')
+    .optional()
+    .isArray({ min: 1, max: SWAP_ITEMS.MAX_OFFERED_ITEMS })
+    .withMessage(`Offer between 1 and ${SWAP_ITEMS.MAX_OFFERED_ITEMS} items`),
+  body('offeredItems.*.itemType')
+    .isIn(['vehicle', 'part'])
+    .withMessage('Invalid offered item type'),
+  body('offeredItems.*.itemId')
+    .isString()
+    .withMessage('Invalid offered item ID'),
+  body('offeredItems.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: SWAP_ITEMS.MAX_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${SWAP_ITEMS.MAX_QUANTITY}`),
   body('requestedItemType')
     .isIn(['vehicle', 'part'])
     .withMessage('Invalid item type'),
   body('requestedItemId')
     .isString()
     .withMessage('Invalid item ID'),
+  body('requestedQuantity')
+    .optional()
+    .isInt({ min: 1, max: SWAP_ITEMS.MAX_QUANTITY })
+    .withMessage(`Requested quantity must be between 1 and ${SWAP_ITEMS.MAX_QUANTITY}`),
+  body()
+    .custom(({ offeredVehicleId, offeredItems } = {}) => Boolean(offeredVehicleId || offeredItems))
+    .withMessage('Offer at least one vehicle or part'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+/**
+ * Swap accept validation (the revision the accepter saw)
+ */
+exports.swapAcceptValidation = [
+  body('revision')
+    .isInt({ min: 1 })
+    .withMessage('Revision of the offer being accepted is required')
+];
+
+/**
+ * Swap counter offer validation
+ */
+exports.counterOfferValidation = [
+  body('additionalCash')
+    .optional()
+    .isFloat()
+    .withMessage('Additional cash must be a number'),
+  body('currency')
+    .optional()
+    .isIn(Object.keys(CURRENCY.SUPPORTED))
+    .withMessage('Invalid currency'),
+  body('offeredVehicleId')
+    .optional()
+    .isString()
+    .withMessage('Invalid offered vehicle ID'),
+  body('offeredItems')
+    .optional()
+    .isArray({ min: 1, max: SWAP_ITEMS.MAX_OFFERED_ITEMS })
+    .withMessage(`Offer between 1 and ${SWAP_ITEMS.MAX_OFFERED_ITEMS} items`),
+  body('offeredItems.*.itemType')
+    .isIn(['vehicle', 'part'])
+    .withMessage('Invalid offered item type'),
+  body('offeredItems.*.itemId')
+    .isString()
+    .withMessage('Invalid offered item ID'),
+  body('offeredItems.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: SWAP_ITEMS.MAX_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${SWAP_ITEMS.MAX_QUANTITY}`),
+  body('requestedQuantity')
+    .optional()
+    .isInt({ min: 1, max: SWAP_ITEMS.MAX_QUANTITY })
+    .withMessage(`Requested quantity must be between 1 and ${SWAP_ITEMS.MAX_QUANTITY}`),
   body('message')
     .optional()
     .trim()
@@ -158,6 +244,86 @@ exports.swapValidation = [
     .withMessage('Message cannot exceed 500 characters')
 ];
 
+/**
+ * Swap note validation
+ */
+exports.swapNoteValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters'),
+  body('isPrivate')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrivate must be a boolean')
+];
+
+/**
+ * Swap handover confirmation validation
+ */
+exports.swapConfirmationValidation = [
+  body(['keysHandedOver', 'documentsHandedOver', 'inspectionDone', 'cashSettled'])
+    .optional()
+    .isBoolean()
+    .withMessage('Checklist items must be booleans')
+];
+
+/**
+ * Swap completion refusal validation
+ */
+exports.swapRefusalValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Please explain why you are refusing to complete the swap')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+/**
+ * Swap dispute validation
+ */
+exports.swapDisputeValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters')
+];
+
+exports.disputeEvidenceValidation = [
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Evidence cannot exceed 5000 characters')
+];
+
+/**
+ * Dispute resolution validation (admin)
+ */
+exports.disputeResolutionValidation = [
+  body('outcome')
+    .isIn(['revert_listings', 'force_complete', 'refund_escrow', 'ban_party'])
+    .withMessage('Invalid dispute outcome'),
+  body('resolutionNote')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Resolution note cannot exceed 2000 characters'),
+  body('banUserId')
+    .if(body('outcome').equals('ban_party'))
+    .notEmpty()
+    .withMessage('banUserId is required to ban a party')
+];
+
 /**
  * Review validation
  */
@@ -241,7 +407,7 @@ exports.validatePayment = [
     .withMessage('Amount must be a positive number'),
   body('currency')
     .optional()
-    .isIn(['USD', 'EUR', 'GBP', 'NGN', 'GHS', 'KES', 'ZAR'])
+    .isIn(Object.keys(CURRENCY.SUPPORTED))
     .withMessage('Invalid currency'),
   body('paymentMethod')
     .optional()
@@ -254,6 +420,298 @@ exports.validatePayment = [
     .withMessage('Description cannot exceed 200 characters')
 ];
 
+/**
+ * Escrow initialization validation
+ */
+exports.escrowValidation = [
+  body('swapId')
+    .optional()
+    .isString()
+    .withMessage('Invalid swap ID'),
+  body('vehicleId')
+    .optional()
+    .isString()
+    .withMessage('Invalid vehicle ID'),
+  body()
+    .custom(({ swapId, vehicleId } = {}) => Boolean(swapId) !== Boolean(vehicleId))
+    .withMessage('Provide either swapId or vehicleId'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'bank_transfer', 'mobile_money'])
+    .withMessage('Invalid payment method')
+];
+
+/**
+ * Escrow release validation
+ */
+exports.escrowReleaseValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number')
+];
+
+/**
+ * Escrow settlement validation (admin)
+ */
+exports.escrowSettleValidation = [
+  body('releaseAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Release amount must be zero or more'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Saved search criteria checks: the filters buildListingFilter reads, per listing type
+const isText = value => typeof value === 'string' && value.trim().length > 0 && value.length <= 100;
+const isNumeric = value => ['number', 'string'].includes(typeof value) && value !== '' && Number.isFinite(Number(value));
+const isPrice = value => isNumeric(value) && Number(value) >= 0;
+const isYear = value => isNumeric(value) && Number.isInteger(Number(value)) &&
+  Number(value) >= 1900 && Number(value) <= new Date().getFullYear() + 1;
+const isFlag = value => [true, false, 'true', 'false'].includes(value);
+const oneOf = values => value => values.includes(value);
+
+const SAVED_SEARCH_CRITERIA = {
+  shared: {
+    search: isText,
+    minPrice: isPrice,
+    maxPrice: isPrice,
+    currency: value => typeof value === 'string' && Object.keys(CURRENCY.SUPPORTED).includes(value.toUpperCase()),
+    city: isText,
+    region: isText,
+    country: isText,
+    openToSwap: isFlag
+  },
+  vehicle: {
+    make: isText,
+    model: isText,
+    minYear: isYear,
+    maxYear: isYear,
+    bodyType: isText,
+    transmission: isText,
+    fuelType: isText,
+    condition: oneOf(VEHICLE_CONDITIONS)
+  },
+  part: {
+    category: oneOf(PART_CATEGORIES),
+    inStock: isFlag,
+    partNumber: isText,
+    brand: isText,
+    condition: oneOf(PART_CONDITIONS)
+  }
+};
+
+// Criteria must only use known filters with valid values for one of `typesOf(req)`
+const savedSearchCriteria = (typesOf) => body('criteria')
+  .optional()
+  .isObject()
+  .withMessage('Criteria must be an object')
+  .bail()
+  .custom((criteria, { req }) => {
+    const types = typesOf(req);
+
+    Object.entries(criteria).forEach(([key, value]) => {
+      const checks = [SAVED_SEARCH_CRITERIA.shared, ...types.map(type => SAVED_SEARCH_CRITERIA[type] || {})]
+        .map(rules => rules[key])
+        .filter(Boolean);
+
+      if (checks.length === 0) {
+        throw new Error(`Unknown search criterion: ${key}`);
+      }
+
+      if (!checks.some(check => check(value))) {
+        throw new Error(`Invalid value for search criterion ${key}`);
+      }
+    });
+
+    return true;
+  });
+
+// Fields shared by saved search create and update
+const savedSearchFields = [
+  body('notifyOnNewListings')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyOnNewListings must be a boolean'),
+  body('frequency')
+    .optional()
+    .isIn(SAVED_SEARCH.FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SAVED_SEARCH.FREQUENCIES.join(', ')}`)
+];
+
+/**
+ * Saved search validation
+ */
+exports.savedSearchValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('listingType')
+    .optional()
+    .isIn(['vehicle', 'part'])
+    .withMessage('Invalid listing type'),
+  savedSearchCriteria(req => [req.body.listingType || 'vehicle']),
+  ...savedSearchFields
+];
+
+/**
+ * Saved search update validation (listing type is fixed once saved)
+ */
+exports.savedSearchUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  // The stored listing type isn't known here; the alert job skips a search its type can't run
+  savedSearchCriteria(() => ['vehicle', 'part']),
+  ...savedSearchFields
+];
+
+/**
+ * Favorite price alert validation (null turns price alerts off)
+ */
+exports.favoriteAlertValidation = [
+  body('priceDropPercent')
+    .optional({ values: 'null' })
+    .isFloat({ min: PRICE_ALERT.MIN_DROP_PERCENT, max: PRICE_ALERT.MAX_DROP_PERCENT })
+    .withMessage(`Price drop must be between ${PRICE_ALERT.MIN_DROP_PERCENT} and ${PRICE_ALERT.MAX_DROP_PERCENT}%`)
+    .toFloat()
+];
+
+/**
+ * Feature / boost duration validation
+ */
+exports.promotionValidation = [
+  body('duration')
+    .optional()
+    .isInt({ min: 1, max: PROMOTION.MAX_DAYS })
+    .withMessage(`Duration must be between 1 and ${PROMOTION.MAX_DAYS} days`)
+    .toInt()
+];
+
+/**
+ * Subscription plan change validation
+ */
+exports.subscriptionValidation = [
+  body('plan')
+    .isIn(Object.keys(SUBSCRIPTION.PLANS))
+    .withMessage('Invalid subscription plan')
+];
+
+/**
+ * Refund request validation (partial refunds send an amount)
+ */
+exports.refundRequestValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than zero'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Refund review validation (admin)
+ */
+exports.refundReviewValidation = [
+  body('approve')
+    .isBoolean()
+    .withMessage('Approve must be true or false'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than zero'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Payout request validation
+ */
+exports.payoutRequestValidation = [
+  body('currency')
+    .trim()
+    .toUpperCase()
+    .isIn(Object.keys(CURRENCY.SUPPORTED))
+    .withMessage('Invalid currency'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Payout amount must be greater than zero'),
+  body('method')
+    .isIn(WALLET.PAYOUT_METHODS)
+    .withMessage(`Payout method must be one of: ${WALLET.PAYOUT_METHODS.join(', ')}`),
+  body('destination')
+    .isObject()
+    .withMessage('Payout destination is required'),
+  body('destination.accountName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Account name cannot exceed 100 characters'),
+  body('destination.accountNumber')
+    .if(body('method').equals('bank_transfer'))
+    .trim()
+    .matches(/^\d{6,20}$/)
+    .withMessage('A valid account number is required for bank transfers'),
+  body('destination.bankCode')
+    .if(body('method').equals('bank_transfer'))
+    .trim()
+    .notEmpty()
+    .withMessage('Bank code is required for bank transfers'),
+  body('destination.phone')
+    .if(body('method').equals('mobile_money'))
+    .trim()
+    .matches(/^\+?\d{7,15}$/)
+    .withMessage('A valid phone number is required for mobile money'),
+  body('destination.operator')
+    .if(body('method').equals('mobile_money'))
+    .trim()
+    .notEmpty()
+    .withMessage('Mobile money operator is required')
+];
+
+/**
+ * Payout review validation (admin)
+ */
+exports.payoutReviewValidation = [
+  body('approve')
+    .isBoolean()
+    .withMessage('Approve must be true or false'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Reconciliation issue resolution validation (admin)
+ */
+exports.reconciliationResolveValidation = [
+  body('resolution')
+    .trim()
+    .notEmpty()
+    .withMessage('Resolution is required')
+    .isLength({ max: 500 })
+    .withMessage('Resolution cannot exceed 500 characters')
+];
+
 /**
  * Part validation (alias for consistency)
  */
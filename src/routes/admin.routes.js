@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const { verifyClerkToken, restrictTo } = require('../middleware/clerk.middleware');
+const { upload, handleUploadError } = require('../middleware/upload.middleware');
+const { disputeResolutionValidation, validate } = require('../middleware/validation');
 
 // Welcome endpoint (public for testing)
 router.get('/', (req, res) => {
@@ -59,7 +61,14 @@ router.delete('/listings/:listingId', adminController.deleteListing);
 router.get('/swaps', adminController.getAllSwaps);
 router.get('/swaps/stats', adminController.getSwapStats);
 router.get('/swaps/disputed', adminController.getDisputedSwaps);
-router.patch('/swaps/:swapId/resolve', adminController.resolveSwapDispute);
+router.get('/swaps/disputes/:disputeId', adminController.getSwapDispute);
+router.patch('/swaps/disputes/:disputeId/assign', adminController.assignSwapDispute);
+router.patch(
+  '/swaps/:swapId/resolve',
+  disputeResolutionValidation,
+  validate,
+  adminController.resolveSwapDispute
+);
 
 // Payment Management
 router.get('/payments', adminController.getAllPayments);
@@ -92,6 +101,16 @@ router.put('/settings', adminController.updateSettings);
 router.get('/settings/features', adminController.getFeatureFlags);
 router.patch('/settings/features', adminController.updateFeatureFlags);
 
+// Exchange Rates
+router.get('/exchange-rates', adminController.getExchangeRates);
+router.post(
+  '/exchange-rates/import',
+  upload.single('file'),
+  handleUploadError,
+  adminController.importExchangeRates
+);
+router.put('/exchange-rates/:currency', adminController.updateExchangeRate);
+
 // Categories & Tags
 router.get('/categories', adminController.getCategories);
 router.post('/categories', adminController.createCategory);
@@ -6,16 +6,18 @@
 const express = require('express');
 const router = express.Router();
 const partController = require('../controllers/part.controller');
-const { verifyClerkToken, restrictTo } = require('../middleware/clerk.middleware');
+const { verifyClerkToken, optionalClerkAuth, restrictTo } = require('../middleware/clerk.middleware');
 const { upload } = require('../middleware/upload.middleware');
-const { partValidation, validate } = require('../middleware/validation');
+const { partValidation, promotionValidation, validate } = require('../middleware/validation');
 
 // Public Routes
-router.get('/', partController.getAllParts);
-router.get('/search', partController.searchParts);
+router.get('/', optionalClerkAuth, partController.getAllParts);
+router.get('/search', optionalClerkAuth, partController.searchParts);
+router.get('/nearby', optionalClerkAuth, partController.getNearbyParts);
 router.get('/categories', partController.getCategories);
 router.get('/compatible/:vehicleId', partController.getCompatibleParts);
-router.get('/:partId', partController.getPartById);
+router.get('/:partId/price-history', partController.getPartPriceHistory);
+router.get('/:partId', optionalClerkAuth, partController.getPartById);
 
 // Protected Routes
 router.use(verifyClerkToken);
@@ -66,12 +68,16 @@ router.patch(
 router.post(
   '/:partId/feature',
   partController.checkOwnership,
+  promotionValidation,
+  validate,
   partController.featurePart
 );
 
 router.post(
   '/:partId/boost',
   partController.checkOwnership,
+  promotionValidation,
+  validate,
   partController.boostPart
 );
 
@@ -82,6 +88,13 @@ router.patch(
   partController.markAsSold
 );
 
+// Renew (expired or active)
+router.post(
+  '/:partId/renew',
+  partController.checkOwnership,
+  partController.renewPart
+);
+
 // Compatibility
 router.post(
   '/:partId/compatible-vehicles',
@@ -1,16 +1,30 @@
 /**
  * Payment Routes
- * Handles payment processing with Kora gateway
+ * Handles payment processing through the configured payment providers
  */
 
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
 const { verifyClerkToken, restrictTo } = require('../middleware/clerk.middleware');
-const { validatePayment } = require('../middleware/validation');
+const {
+  validatePayment,
+  escrowValidation,
+  escrowReleaseValidation,
+  escrowSettleValidation,
+  refundRequestValidation,
+  refundReviewValidation,
+  payoutRequestValidation,
+  payoutReviewValidation,
+  reconciliationResolveValidation,
+  subscriptionValidation,
+  promotionValidation,
+  validate
+} = require('../middleware/validation');
 
-// Webhook - No authentication required (verified by signature)
+// Webhooks - No authentication required (verified by signature, logged for replay)
 router.post('/webhook', paymentController.handleWebhook);
+router.post('/webhook/:provider', paymentController.handleWebhook);
 
 // Public routes
 router.get('/currencies', paymentController.getSupportedCurrencies);
@@ -29,9 +43,31 @@ router.post(
 // Verify payment
 router.get('/verify/:reference', paymentController.verifyPayment);
 
+// Get user refund requests
+router.get('/user/refunds', paymentController.getUserRefunds);
+
+// Wallet balances, history and payouts
+router.get('/wallet', paymentController.getWallet);
+
+router.get('/wallet/entries', paymentController.getWalletEntries);
+
+router.get('/payouts', paymentController.getUserPayouts);
+
+router.post(
+  '/payouts',
+  payoutRequestValidation,
+  validate,
+  paymentController.requestPayout
+);
+
+router.post('/payouts/:payoutId/cancel', paymentController.cancelPayout);
+
 // Get payment details
 router.get('/:paymentId', paymentController.getPaymentDetails);
 
+// Get payment invoice (JSON, HTML or PDF)
+router.get('/:paymentId/invoice', paymentController.getPaymentInvoice);
+
 // Get user payment history
 router.get('/user/history', paymentController.getUserPayments);
 
@@ -39,11 +75,18 @@ router.get('/user/history', paymentController.getUserPayments);
 router.post('/:paymentId/cancel', paymentController.cancelPayment);
 
 // Request refund
-router.post('/:paymentId/refund', paymentController.requestRefund);
+router.post(
+  '/:paymentId/refund',
+  refundRequestValidation,
+  validate,
+  paymentController.requestRefund
+);
 
 // Subscription payments
 router.post(
   '/subscription/initialize',
+  subscriptionValidation,
+  validate,
   paymentController.initializeSubscriptionPayment
 );
 
@@ -55,26 +98,54 @@ router.post(
 // Featured listing payment
 router.post(
   '/feature-listing',
+  promotionValidation,
+  validate,
   paymentController.payForFeaturedListing
 );
 
 // Boost ad payment
 router.post(
   '/boost-ad',
+  promotionValidation,
+  validate,
   paymentController.payForBoostedAd
 );
 
-// Escrow payment (future feature)
+// Escrow (protected swaps and sales)
+router.get(
+  '/escrow/admin/ledger',
+  restrictTo('admin'),
+  paymentController.getEscrowLedger
+);
+
 router.post(
   '/escrow/initialize',
+  escrowValidation,
+  validate,
   paymentController.initializeEscrowPayment
 );
 
+router.get('/escrow/:escrowId', paymentController.getEscrow);
+
 router.post(
   '/escrow/:escrowId/release',
+  escrowReleaseValidation,
+  validate,
   paymentController.releaseEscrowPayment
 );
 
+router.post('/escrow/:escrowId/confirm', paymentController.confirmEscrow);
+
+router.post('/escrow/:escrowId/dispute', paymentController.disputeEscrow);
+
+router.post(
+  '/escrow/:escrowId/admin/settle',
+  restrictTo('admin'),
+  escrowSettleValidation,
+  validate,
+  paymentController.settleEscrow
+);
+
 // Admin routes
 router.get(
   '/admin/all',
@@ -88,9 +159,107 @@ router.get(
   paymentController.getPaymentStats
 );
 
+router.get(
+  '/admin/webhooks',
+  restrictTo('admin'),
+  paymentController.getWebhookEvents
+);
+
+router.get(
+  '/admin/webhooks/:eventId',
+  restrictTo('admin'),
+  paymentController.getWebhookEvent
+);
+
+router.post(
+  '/admin/webhooks/:eventId/replay',
+  restrictTo('admin'),
+  paymentController.replayWebhookEvent
+);
+
+router.get(
+  '/admin/refunds',
+  restrictTo('admin'),
+  paymentController.getRefundRequests
+);
+
+router.patch(
+  '/admin/refunds/:refundId',
+  restrictTo('admin'),
+  refundReviewValidation,
+  validate,
+  paymentController.reviewRefund
+);
+
+router.post(
+  '/admin/refunds/:refundId/retry',
+  restrictTo('admin'),
+  paymentController.retryRefund
+);
+
+router.get(
+  '/admin/payouts',
+  restrictTo('admin'),
+  paymentController.getPayouts
+);
+
+router.patch(
+  '/admin/payouts/:payoutId',
+  restrictTo('admin'),
+  payoutReviewValidation,
+  validate,
+  paymentController.reviewPayout
+);
+
+router.post(
+  '/admin/payouts/:payoutId/retry',
+  restrictTo('admin'),
+  paymentController.retryPayout
+);
+
+router.get(
+  '/admin/wallets/reconciliation',
+  restrictTo('admin'),
+  paymentController.getWalletReconciliation
+);
+
+router.get(
+  '/admin/reconciliation/reports',
+  restrictTo('admin'),
+  paymentController.getReconciliationReports
+);
+
+router.get(
+  '/admin/reconciliation/reports/:date',
+  restrictTo('admin'),
+  paymentController.getReconciliationReport
+);
+
+router.post(
+  '/admin/reconciliation/run',
+  restrictTo('admin'),
+  paymentController.runReconciliation
+);
+
+router.get(
+  '/admin/reconciliation/issues',
+  restrictTo('admin'),
+  paymentController.getReconciliationIssues
+);
+
+router.patch(
+  '/admin/reconciliation/issues/:issueId',
+  restrictTo('admin'),
+  reconciliationResolveValidation,
+  validate,
+  paymentController.resolveReconciliationIssue
+);
+
 router.post(
   '/:paymentId/admin/refund',
   restrictTo('admin'),
+  refundRequestValidation,
+  validate,
   paymentController.processRefund
 );
 
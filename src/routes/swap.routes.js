@@ -7,7 +7,19 @@ const express = require('express');
 const router = express.Router();
 const swapController = require('../controllers/swap.controller');
 const { verifyClerkToken } = require('../middleware/clerk.middleware');
-const { swapValidation, validate } = require('../middleware/validation');
+const { upload } = require('../middleware/upload.middleware');
+const {
+  swapValidation,
+  swapAcceptValidation,
+  counterOfferValidation,
+  swapNoteValidation,
+  swapConfirmationValidation,
+  swapRefusalValidation,
+  swapDisputeValidation,
+  disputeEvidenceValidation,
+  validate
+} = require('../middleware/validation');
+const { SWAP_NOTES, SWAP_DISPUTE } = require('../utils/constants');
 
 // Protected Routes - All swap operations require authentication
 router.use(verifyClerkToken);
@@ -27,6 +39,12 @@ router.get('/active', swapController.getActiveSwaps);
 // Get completed swaps
 router.get('/completed', swapController.getCompletedSwaps);
 
+// Ring (multi-way) swap proposals
+router.get('/rings', swapController.getSwapRings);
+router.get('/rings/:ringId', swapController.getSwapRing);
+router.patch('/rings/:ringId/accept', swapController.acceptSwapRing);
+router.patch('/rings/:ringId/decline', swapController.declineSwapRing);
+
 // Get single swap details
 router.get('/:swapId', swapController.getSwapById);
 
@@ -38,25 +56,27 @@ router.post(
   swapController.proposeSwap
 );
 
-// Accept a swap proposal
+// Accept the latest offer (whoever did not make it)
 router.patch(
   '/:swapId/accept',
-  swapController.checkSwapOwnership,
+  swapController.checkSwapParticipant,
+  swapAcceptValidation,
+  validate,
   swapController.acceptSwap
 );
 
-// Reject a swap proposal
+// Reject the latest offer (whoever did not make it)
 router.patch(
   '/:swapId/reject',
-  swapController.checkSwapOwnership,
+  swapController.checkSwapParticipant,
   swapController.rejectSwap
 );
 
-// Counter offer
+// Counter offer (parties take turns)
 router.post(
   '/:swapId/counter',
-  swapController.checkSwapOwnership,
-  swapValidation,
+  swapController.checkSwapParticipant,
+  counterOfferValidation,
   validate,
   swapController.counterOffer
 );
@@ -67,34 +87,83 @@ router.patch(
   swapController.cancelSwap
 );
 
-// Mark swap as completed
+// Start handover of an accepted swap
+router.patch(
+  '/:swapId/handover',
+  swapController.startHandover
+);
+
+// Confirm completion with the handover checklist (both parties must confirm)
 router.patch(
   '/:swapId/complete',
+  swapController.checkSwapParticipant,
+  swapConfirmationValidation,
+  validate,
   swapController.completeSwap
 );
 
-// Add notes/comments to swap
+// Refuse completion (opens a dispute)
+router.patch(
+  '/:swapId/refuse',
+  swapController.checkSwapParticipant,
+  swapRefusalValidation,
+  validate,
+  swapController.refuseCompletion
+);
+
+// Swap notes/comments thread
+router.get('/:swapId/notes', swapController.getSwapNotes);
+
 router.post(
   '/:swapId/notes',
+  upload.array('attachments', SWAP_NOTES.MAX_ATTACHMENTS),
+  swapNoteValidation,
+  validate,
   swapController.addSwapNote
 );
 
+router.patch(
+  '/:swapId/notes/:noteId',
+  swapNoteValidation,
+  validate,
+  swapController.updateSwapNote
+);
+
 // Update swap status
 router.patch(
   '/:swapId/status',
   swapController.updateSwapStatus
 );
 
-// Report swap issue
+// Report swap issue (opens a dispute)
 router.post(
   '/:swapId/report',
+  swapController.checkSwapParticipant,
+  swapDisputeValidation,
+  validate,
   swapController.reportSwapIssue
 );
 
+// Dispute details and evidence
+router.get(
+  '/:swapId/dispute',
+  swapController.checkSwapParticipant,
+  swapController.getSwapDispute
+);
+
+router.post(
+  '/:swapId/dispute/evidence',
+  swapController.checkSwapParticipant,
+  upload.array('attachments', SWAP_DISPUTE.MAX_ATTACHMENTS),
+  disputeEvidenceValidation,
+  validate,
+  swapController.submitDisputeEvidence
+);
+
 // Get swap history
 router.get('/:swapId/history', swapController.getSwapHistory);
 
-// Swap recommendations (AI-based matching)
+// Swap recommendations (scored candidates with explanations)
 router.get(
   '/recommendations/:itemType/:itemId',
   swapController.getSwapRecommendations
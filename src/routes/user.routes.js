@@ -8,6 +8,13 @@ const router = express.Router();
 const userController = require('../controllers/user.controller');
 const { verifyClerkToken, restrictTo } = require('../middleware/clerk.middleware');
 const { upload } = require('../middleware/upload.middleware');
+const {
+  subscriptionValidation,
+  savedSearchValidation,
+  savedSearchUpdateValidation,
+  favoriteAlertValidation,
+  validate
+} = require('../middleware/validation');
 
 // Protect all routes after this middleware
 router.use(verifyClerkToken);
@@ -33,12 +40,14 @@ router.get('/swaps/completed', userController.getCompletedSwaps);
 
 // Favorites/Wishlist
 router.get('/favorites', userController.getFavorites);
-router.post('/favorites/:itemType/:itemId', userController.addToFavorites);
+router.post('/favorites/:itemType/:itemId', favoriteAlertValidation, validate, userController.addToFavorites);
+router.patch('/favorites/:itemType/:itemId', favoriteAlertValidation, validate, userController.updateFavoriteAlert);
 router.delete('/favorites/:itemType/:itemId', userController.removeFromFavorites);
 
 // Saved Searches
 router.get('/saved-searches', userController.getSavedSearches);
-router.post('/saved-searches', userController.createSavedSearch);
+router.post('/saved-searches', savedSearchValidation, validate, userController.createSavedSearch);
+router.patch('/saved-searches/:searchId', savedSearchUpdateValidation, validate, userController.updateSavedSearch);
 router.delete('/saved-searches/:searchId', userController.deleteSavedSearch);
 
 // Notifications
@@ -62,8 +71,13 @@ router.get('/payments', userController.getPaymentHistory);
 
 // Subscription
 router.get('/subscription', userController.getSubscription);
-router.post('/subscription/upgrade', userController.upgradeSubscription);
+router.get('/subscription/plans', userController.getSubscriptionPlans);
+router.get('/entitlements', userController.getEntitlements);
+router.post('/subscription/upgrade', subscriptionValidation, validate, userController.upgradeSubscription);
 router.post('/subscription/cancel', userController.cancelSubscription);
+router.post('/subscription/resume', userController.resumeSubscription);
+router.get('/subscription/invoices', userController.getSubscriptionInvoices);
+router.post('/subscription/invoices/:invoiceId/pay', userController.paySubscriptionInvoice);
 
 // Security
 router.put('/change-password', userController.changePassword);
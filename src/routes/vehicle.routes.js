@@ -24,8 +24,9 @@ router.get(
   vehicleController.getAllVehicles
 );
 
-router.get('/featured', vehicleController.getFeaturedVehicles);
+router.get('/featured', optionalClerkAuth, vehicleController.getFeaturedVehicles);
 router.get('/nearby', optionalClerkAuth, vehicleController.getNearbyVehicles);
+router.get('/:id/price-history', validateId, validate, vehicleController.getVehiclePriceHistory);
 
 // Protected routes (must be BEFORE /:id route)
 router.use(verifyClerkToken);
@@ -44,6 +45,7 @@ router.post(
 
 router.put('/:id', validateId, validate, vehicleController.updateVehicle);
 router.delete('/:id', validateId, validate, vehicleController.deleteVehicle);
+router.post('/:id/renew', validateId, validate, vehicleController.renewVehicle);
 router.patch('/:id/favorite', validateId, validate, vehicleController.toggleFavorite);
 router.post('/:id/contact', validateId, validate, vehicleController.contactSeller);
 
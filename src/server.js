@@ -40,6 +40,12 @@ const adminRoutes = require('./routes/admin.routes');
 const uploadRoutes = require('./routes/upload.routes');
 const contactRoutes = require('./routes/contact.routes');
 
+// Import background jobs
+const { startJobs, stopJobs } = require('./jobs');
+
+// Import payment providers
+const { assertProvidersConfigured } = require('./services/paymentProviders');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -69,7 +75,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes of payment webhooks for the event log
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/payments/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -162,6 +176,9 @@ const testDatabaseConnection = async () => {
 // Start server
 const startServer = async () => {
   try {
+    // A misconfigured payment provider must not take payments
+    assertProvidersConfigured();
+
     // Connect to Neon PostgreSQL
     await testDatabaseConnection();
 
@@ -195,6 +212,9 @@ const startServer = async () => {
 📚 Docs: See MIGRATION_COMPLETE.md for next steps
       `);
     });
+
+    // Swap expiry, handover auto-complete, ring matching...
+    startJobs();
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     console.error('\n💡 Troubleshooting:');
@@ -227,6 +247,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  stopJobs();
   server.close(async () => {
     await prisma.$disconnect();
     console.log('💥 Process terminated!');
@@ -236,6 +257,7 @@ process.on('SIGTERM', async () => {
 // Graceful shutdown on CTRL+C
 process.on('SIGINT', async () => {
   console.log('\n👋 SIGINT RECEIVED. Shutting down gracefully');
+  stopJobs();
   server.close(async () => {
     await prisma.$disconnect();
     console.log('💥 Process terminated!');
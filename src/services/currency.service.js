@@ -0,0 +1,247 @@
+/**
+ * Currency Service
+ * Exchange rates against the base currency, listing price normalization and
+ * conversion into the viewer's display currency. Rates are units of a
+ * currency per 1 unit of the base currency (USD); every rate change re-bases
+ * the normalized prices (priceBase) of listings in that currency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { formatPrice } = require('../utils/helpers');
+const { CURRENCY } = require('../utils/constants');
+
+// Rates read from the database, reloaded after RATES_CACHE_SECONDS or any change
+let ratesCache = null;
+
+/**
+ * Whether a currency code is supported
+ * @param {string} currency - Currency code
+ * @returns {boolean}
+ */
+exports.isSupported = (currency) => Boolean(currency && CURRENCY.SUPPORTED[currency]);
+
+/**
+ * Current rates by currency (defaults fill any currency without a stored rate)
+ * @returns {Promise<object>} `{ USD: 1, NGN: 1550, ... }`
+ */
+exports.getRates = async () => {
+  if (ratesCache && Date.now() - ratesCache.loadedAt < CURRENCY.RATES_CACHE_SECONDS * 1000) {
+    return ratesCache.rates;
+  }
+
+  const rows = await prisma.exchangeRate.findMany();
+  const rates = { ...CURRENCY.DEFAULT_RATES };
+  rows.forEach(row => {
+    rates[row.currency] = row.rate;
+  });
+
+  ratesCache = { rates, loadedAt: Date.now() };
+  return rates;
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {object} rates - From getRates
+ * @returns {number|null} Amount in `to`, null when either rate is unknown
+ */
+exports.convert = (amount, from, to, rates) => {
+  if (amount == null) return null;
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return null;
+
+  return (amount / rates[from]) * rates[to];
+};
+
+/**
+ * A price in the base currency, for storing as priceBase
+ * @param {number} amount - Price
+ * @param {string} currency - Price currency
+ * @returns {Promise<number|null>}
+ */
+exports.toBasePrice = async (amount, currency) => {
+  return exports.convert(amount, currency || CURRENCY.BASE, CURRENCY.BASE, await exports.getRates());
+};
+
+/**
+ * priceBase filter for a min/max price given in `currency`
+ * @param {object} params
+ * @param {string|number} [params.minPrice]
+ * @param {string|number} [params.maxPrice]
+ * @param {string} params.currency - Currency the bounds are in
+ * @returns {Promise<object|null>} Prisma filter, null without bounds
+ */
+exports.getBasePriceFilter = async ({ minPrice, maxPrice, currency }) => {
+  if (!minPrice && !maxPrice) return null;
+
+  const rates = await exports.getRates();
+  const filter = {};
+  if (minPrice) filter.gte = exports.convert(parseFloat(minPrice), currency, CURRENCY.BASE, rates);
+  if (maxPrice) filter.lte = exports.convert(parseFloat(maxPrice), currency, CURRENCY.BASE, rates);
+
+  return filter;
+};
+
+/**
+ * The currency to show prices in: ?currency=, else the viewer's preference,
+ * else the base currency
+ * @param {object} req - Express request
+ * @returns {string} Currency code
+ */
+exports.getDisplayCurrency = (req) => {
+  if (req.query.currency) {
+    const requested = String(req.query.currency).toUpperCase();
+    if (!exports.isSupported(requested)) {
+      throw ApiError.badRequest(`Unsupported currency ${requested}`);
+    }
+    return requested;
+  }
+
+  const preferred = req.user && req.user.currency;
+  return exports.isSupported(preferred) ? preferred : CURRENCY.BASE;
+};
+
+/**
+ * Add `displayPrice` (the price converted to the display currency) to listings
+ * @param {object|Array<object>} listings - Vehicles or parts with price and currency
+ * @param {string} currency - Display currency
+ * @returns {Promise<object|Array<object>>} Same shape as given
+ */
+exports.withDisplayPrice = async (listings, currency) => {
+  const rates = await exports.getRates();
+
+  const convertOne = (listing) => {
+    if (!listing || listing.price == null) return listing;
+
+    const amount = exports.convert(listing.price, listing.currency, currency, rates);
+    return {
+      ...listing,
+      displayPrice: amount == null ? null : {
+        amount: Math.round(amount * 100) / 100,
+        currency,
+        formatted: formatPrice(amount, currency)
+      }
+    };
+  };
+
+  return Array.isArray(listings) ? listings.map(convertOne) : convertOne(listings);
+};
+
+/**
+ * Set one rate and re-base listings priced in that currency
+ * @param {object} params
+ * @param {string} params.currency - Currency code
+ * @param {number} params.rate - Units per 1 base currency unit
+ * @param {string} [params.source] - admin or import
+ * @param {string} [params.userId] - Admin who set it
+ * @returns {Promise<object>} ExchangeRate
+ */
+exports.setRate = async ({ currency, rate, source = 'admin', userId }) => {
+  const code = String(currency || '').toUpperCase();
+  const value = parseFloat(rate);
+
+  if (!exports.isSupported(code)) {
+    throw ApiError.badRequest(`Unsupported currency ${code}`);
+  }
+
+  if (!(value > 0)) {
+    throw ApiError.badRequest(`Rate for ${code} must be a positive number`);
+  }
+
+  if (code === CURRENCY.BASE && value !== 1) {
+    throw ApiError.badRequest(`${CURRENCY.BASE} is the base currency; its rate is always 1`);
+  }
+
+  const exchangeRate = await prisma.exchangeRate.upsert({
+    where: { currency: code },
+    create: { currency: code, rate: value, source, updatedById: userId },
+    update: { rate: value, source, updatedById: userId }
+  });
+
+  await prisma.$executeRaw`UPDATE "Vehicle" SET "priceBase" = "price" / ${value} WHERE "currency" = ${code}`;
+  await prisma.$executeRaw`UPDATE "Part" SET "priceBase" = "price" / ${value} WHERE "currency" = ${code}`;
+
+  ratesCache = null;
+  return exchangeRate;
+};
+
+/**
+ * Import a set of rates
+ * Rates quoted against another base are converted, which needs that set to
+ * include our base currency.
+ * @param {object} params
+ * @param {object} params.rates - `{ NGN: 1550, ... }`
+ * @param {string} [params.base] - Currency the rates are quoted against
+ * @param {string} [params.userId] - Admin who imported them
+ * @returns {Promise<object>} `{ updated, skipped }`
+ */
+exports.importRates = async ({ rates, base = CURRENCY.BASE, userId }) => {
+  if (!rates || typeof rates !== 'object' || !Object.keys(rates).length) {
+    throw ApiError.badRequest('No exchange rates to import');
+  }
+
+  const quote = String(base).toUpperCase();
+  const normalized = Object.fromEntries(
+    Object.entries(rates).map(([currency, rate]) => [currency.toUpperCase(), parseFloat(rate)])
+  );
+
+  let divisor = 1;
+  if (quote !== CURRENCY.BASE) {
+    divisor = normalized[CURRENCY.BASE];
+    if (!(divisor > 0)) {
+      throw ApiError.badRequest(`Rates quoted against ${quote} must include ${CURRENCY.BASE}`);
+    }
+    normalized[quote] = 1;
+  }
+
+  const updated = [];
+  const skipped = [];
+  for (const [currency, rate] of Object.entries(normalized)) {
+    if (!exports.isSupported(currency)) {
+      skipped.push(currency);
+      continue;
+    }
+
+    const value = currency === CURRENCY.BASE ? 1 : rate / divisor;
+    updated.push(await exports.setRate({ currency, rate: value, source: 'import', userId }));
+  }
+
+  return { updated, skipped };
+};
+
+/**
+ * Read rates from a JSON (`{ base, rates: { NGN: 1550 } }`) or CSV
+ * (`currency,rate` lines, optional header) file
+ * @param {string} filePath - File to read
+ * @returns {Promise<object>} `{ base, rates }`
+ */
+exports.readRatesFile = async (filePath) => {
+  const content = (await fs.promises.readFile(filePath, 'utf8')).trim();
+
+  if (path.extname(filePath).toLowerCase() === '.json' || content.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid exchange rate file: ${error.message}`);
+    }
+    return parsed.rates ? { base: parsed.base, rates: parsed.rates } : { rates: parsed };
+  }
+
+  const rates = {};
+  content.split(/\r?\n/).forEach(line => {
+    const [currency, rate] = line.split(',').map(cell => cell.trim());
+    if (currency && !Number.isNaN(parseFloat(rate))) {
+      rates[currency] = parseFloat(rate);
+    }
+  });
+
+  return { rates };
+};
+
+module.exports = exports;
@@ -0,0 +1,211 @@
+/**
+ * Entitlements Service
+ * What a user's plan allows: listing, image and saved search caps (counted
+ * live) and featured/boost credits (granted each billing period, consumed
+ * here). Limits an upgrade would lift are 402s naming the plan to move to;
+ * limits no plan lifts are 403s. Admins are not limited.
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { getPlan, getPlans } = require('./subscription.service');
+
+// Listings that take up a slot
+const ACTIVE_LISTING_STATUSES = ['active', 'pending'];
+
+// Per-period credits and the user field that holds what is left
+const CREDITS = {
+  featuredListings: { field: 'featuredListings', label: 'featured listings' },
+  boostedAds: { field: 'boostedAds', label: 'boosts' }
+};
+
+/**
+ * Error thrown when a plan limit is hit
+ */
+class EntitlementError extends ApiError {
+  constructor(statusCode, message, details) {
+    super(statusCode, message);
+    this.name = 'EntitlementError';
+    this.code = statusCode === 402 ? 'UPGRADE_REQUIRED' : 'PLAN_LIMIT_REACHED';
+    this.details = details;
+  }
+}
+
+exports.EntitlementError = EntitlementError;
+
+/**
+ * The plan a user is on right now (inactive paid plans count as free)
+ * @param {object} user - User with subscriptionPlan and subscriptionIsActive
+ * @returns {object} Plan
+ */
+exports.getUserPlan = (user) => {
+  return getPlan(user.subscriptionIsActive ? user.subscriptionPlan : 'free');
+};
+
+/**
+ * Plan limits, remaining credits and current usage
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} `{ plan, limits, credits, usage }`
+ */
+exports.getEntitlements = async (userId) => {
+  const user = await loadUser(userId);
+  const plan = exports.getUserPlan(user);
+
+  const [activeListings, savedSearches] = await Promise.all([
+    countActiveListings(userId),
+    prisma.savedSearch.count({ where: { userId } })
+  ]);
+
+  return {
+    plan: { id: plan.id, name: plan.name },
+    limits: plan.entitlements,
+    credits: {
+      featuredListings: user.featuredListings,
+      boostedAds: user.boostedAds
+    },
+    usage: { activeListings, savedSearches }
+  };
+};
+
+/**
+ * Make sure the user has a free listing slot
+ * @param {object} user - Request user
+ * @returns {Promise<void>}
+ */
+exports.assertCanList = async (user) => {
+  if (isAdmin(user)) return;
+
+  const account = await loadUser(user.id);
+  const plan = exports.getUserPlan(account);
+  const used = await countActiveListings(user.id);
+
+  if (used >= plan.entitlements.maxActiveListings) {
+    throw limitError(plan, 'maxActiveListings', used, `You have reached your limit of ${plan.entitlements.maxActiveListings} active listings`, 'active listings');
+  }
+};
+
+/**
+ * Make sure a listing stays within the plan's image count
+ * @param {object} user - Request user
+ * @param {number} count - Images the listing would have
+ * @returns {Promise<void>}
+ */
+exports.assertImageCount = async (user, count) => {
+  if (isAdmin(user) || !count) return;
+
+  const plan = exports.getUserPlan(await loadUser(user.id));
+
+  if (count > plan.entitlements.maxImagesPerListing) {
+    throw limitError(plan, 'maxImagesPerListing', count, `Your plan allows ${plan.entitlements.maxImagesPerListing} images per listing`, 'images per listing');
+  }
+};
+
+/**
+ * Make sure the user can save another search
+ * @param {object} user - Request user
+ * @returns {Promise<void>}
+ */
+exports.assertCanSaveSearch = async (user) => {
+  if (isAdmin(user)) return;
+
+  const plan = exports.getUserPlan(await loadUser(user.id));
+  const used = await prisma.savedSearch.count({ where: { userId: user.id } });
+
+  if (used >= plan.entitlements.maxSavedSearches) {
+    throw limitError(plan, 'maxSavedSearches', used, `You have reached your limit of ${plan.entitlements.maxSavedSearches} saved searches`, 'saved searches');
+  }
+};
+
+/**
+ * Use one featured listing or boost credit
+ * Pass the transaction that applies the feature or boost, so the credit is
+ * only spent if that succeeds.
+ * @param {object} user - Request user
+ * @param {string} credit - featuredListings or boostedAds
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<number|null>} Credits left (null for admins)
+ */
+exports.consumeCredit = async (user, credit, client = prisma) => {
+  const { field, label } = CREDITS[credit];
+  if (isAdmin(user)) return null;
+
+  // Claim the credit so concurrent requests cannot spend it twice
+  const { count } = await client.user.updateMany({
+    where: { id: user.id, [field]: { gt: 0 } },
+    data: { [field]: { decrement: 1 } }
+  });
+
+  const account = await loadUser(user.id, client);
+
+  if (count === 0) {
+    const plan = exports.getUserPlan(account);
+    const message = plan.entitlements[credit] > 0
+      ? `You have used all ${plan.entitlements[credit]} ${label} included this billing period`
+      : `The ${plan.name} plan does not include ${label}`;
+    throw limitError(plan, credit, plan.entitlements[credit], message, `${label} per period`);
+  }
+
+  return account[field];
+};
+
+// Helper functions
+
+function isAdmin(user) {
+  return user.role === 'admin';
+}
+
+async function loadUser(userId, client = prisma) {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      subscriptionPlan: true,
+      subscriptionIsActive: true,
+      featuredListings: true,
+      boostedAds: true
+    }
+  });
+
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+
+  return user;
+}
+
+async function countActiveListings(userId) {
+  const [vehicles, parts] = await Promise.all([
+    prisma.vehicle.count({ where: { sellerId: userId, status: { in: ACTIVE_LISTING_STATUSES } } }),
+    prisma.part.count({ where: { sellerId: userId, status: { in: ACTIVE_LISTING_STATUSES } } })
+  ]);
+
+  return vehicles + parts;
+}
+
+// 402 naming the cheapest plan that lifts the limit, 403 when none does
+function limitError(plan, entitlement, used, message, label) {
+  const current = plan.entitlements[entitlement];
+  const upgrade = getPlans().find(candidate =>
+    candidate.rank > plan.rank && candidate.entitlements[entitlement] > current
+  );
+
+  const details = {
+    entitlement,
+    plan: plan.id,
+    limit: current,
+    used,
+    requiredPlan: upgrade ? upgrade.id : null
+  };
+
+  if (upgrade) {
+    return new EntitlementError(
+      402,
+      `${message}. Upgrade to ${upgrade.name} for ${upgrade.entitlements[entitlement]} ${label}`,
+      details
+    );
+  }
+
+  return new EntitlementError(403, `${message} - the highest any plan allows`, details);
+}
+
+module.exports = exports;
@@ -0,0 +1,738 @@
+/**
+ * Escrow Service
+ * Holds money against a swap cash balance or a vehicle sale until both sides
+ * complete, with partial release, refunds, dispute freezes and a double-entry
+ * ledger. Every posting debits one account and credits another for the same
+ * amount, so for each escrow:
+ *   escrow account balance = heldAmount
+ *   payee account balance  = releasedAmount - feeAmount
+ *   fees account balance   = feeAmount
+ *   payer account balance  = refundedAmount - funded amount
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { refundWithProvider } = require('./payment.service');
+const { creditEscrowRelease } = require('./wallet.service');
+const { notifyListingSold } = require('./priceAlert.service');
+const { ESCROW } = require('../utils/constants');
+
+// Escrows that still hold, or are about to hold, money
+const OPEN_STATUSES = ['awaiting_funding', 'held', 'partially_released'];
+
+/**
+ * Platform fee taken from released funds (env overrides the default)
+ * @returns {number} Percent
+ */
+exports.getFeePercent = () => {
+  const fromEnv = parseFloat(process.env.ESCROW_FEE_PERCENT);
+  return Number.isNaN(fromEnv) ? ESCROW.FEE_PERCENT : fromEnv;
+};
+
+/**
+ * Who pays whom for a swap's cash balance
+ * A positive additionalCash is added by the initiator, a negative one by the receiver.
+ * @param {object} swap - Swap with initiatorId, receiverId, additionalCash, currency
+ * @returns {object|null} `{ payerId, payeeId, amount, currency }`, null for a straight swap
+ */
+exports.getSwapCashTerms = (swap) => {
+  const cash = swap.additionalCash || 0;
+  if (cash === 0) {
+    return null;
+  }
+
+  return {
+    payerId: cash > 0 ? swap.initiatorId : swap.receiverId,
+    payeeId: cash > 0 ? swap.receiverId : swap.initiatorId,
+    amount: round(Math.abs(cash)),
+    currency: swap.currency
+  };
+};
+
+/**
+ * Open an escrow and the payment that funds it
+ * @param {object} params
+ * @param {object} params.user - Paying user
+ * @param {string} [params.swapId] - Swap whose cash balance is escrowed
+ * @param {string} [params.vehicleId] - Vehicle being bought
+ * @param {number} [params.amount] - Amount the buyer expects to pay; must match the asking price or swap cash
+ * @param {string} [params.paymentMethod] - PaymentMethod
+ * @returns {Promise<object>} `{ escrow, payment }`
+ */
+exports.openEscrow = async ({ user, swapId, vehicleId, amount, paymentMethod = 'card' }) => {
+  let terms;
+
+  if (swapId) {
+    const swap = await prisma.swap.findUnique({
+      where: { id: swapId },
+      select: { id: true, initiatorId: true, receiverId: true, status: true, additionalCash: true, currency: true }
+    });
+
+    if (!swap || (swap.initiatorId !== user.id && swap.receiverId !== user.id)) {
+      throw ApiError.notFound('Swap not found');
+    }
+
+    if (!ESCROW.FUNDABLE_SWAP_STATUSES.includes(swap.status)) {
+      throw ApiError.badRequest(`Cash can only be escrowed for ${ESCROW.FUNDABLE_SWAP_STATUSES.join(' or ')} swaps`);
+    }
+
+    terms = exports.getSwapCashTerms(swap);
+    if (!terms) {
+      throw ApiError.badRequest('This swap has no cash balance to escrow');
+    }
+
+    if (terms.payerId !== user.id) {
+      throw ApiError.forbidden('Only the party adding cash can fund the escrow');
+    }
+  } else if (vehicleId) {
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id: vehicleId },
+      select: { id: true, sellerId: true, status: true, price: true, currency: true }
+    });
+
+    if (!vehicle) {
+      throw ApiError.notFound('Vehicle not found');
+    }
+
+    if (vehicle.status !== 'active') {
+      throw ApiError.badRequest('Vehicle is no longer available');
+    }
+
+    if (vehicle.sellerId === user.id) {
+      throw ApiError.badRequest('You cannot buy your own vehicle');
+    }
+
+    terms = {
+      payerId: user.id,
+      payeeId: vehicle.sellerId,
+      amount: round(vehicle.price),
+      currency: vehicle.currency
+    };
+  } else {
+    throw ApiError.badRequest('swapId or vehicleId is required');
+  }
+
+  if (!(terms.amount > 0)) {
+    throw ApiError.badRequest('Escrow amount must be greater than zero');
+  }
+
+  // The amount is always the listing's price or the swap's agreed cash; a client amount only confirms it
+  if (amount != null && Math.abs(parseFloat(amount) - terms.amount) >= 0.01) {
+    throw ApiError.badRequest(`Escrow amount must be ${terms.currency} ${terms.amount}`);
+  }
+
+  const existing = await prisma.escrow.findFirst({
+    where: {
+      ...(swapId ? { swapId } : { vehicleId, payerId: user.id }),
+      status: { in: OPEN_STATUSES }
+    },
+    select: { id: true, status: true }
+  });
+
+  if (existing) {
+    throw ApiError.conflict(`An escrow is already ${existing.status.replace('_', ' ')} for this ${swapId ? 'swap' : 'vehicle'}`);
+  }
+
+  const reference = `ESC-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  return await prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.create({
+      data: {
+        userId: user.id,
+        amount: terms.amount,
+        currency: terms.currency,
+        paymentMethod,
+        reference,
+        description: swapId ? 'Escrow - swap cash balance' : 'Escrow - vehicle purchase',
+        metadata: { type: 'escrow', swapId, vehicleId },
+        status: 'pending'
+      }
+    });
+
+    const escrow = await tx.escrow.create({
+      data: {
+        swapId,
+        vehicleId,
+        payerId: terms.payerId,
+        payeeId: terms.payeeId,
+        paymentId: payment.id,
+        amount: terms.amount,
+        currency: terms.currency,
+        feePercent: exports.getFeePercent()
+      }
+    });
+
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: { metadata: { ...payment.metadata, escrowId: escrow.id } }
+    });
+
+    return { escrow, payment };
+  });
+};
+
+/**
+ * Hold the funds once the funding payment succeeded
+ * Only the payment the escrow was created with can fund it, and only for the
+ * full escrow amount. Safe to call twice. If the swap was called off while
+ * the payment was in flight, the funds are held and refunded straight away.
+ * @param {object} payment - Completed funding payment
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object|null>} Escrow, null when already funded
+ * @throws {ApiError} 400 when the payment does not cover the escrow
+ */
+exports.fundEscrow = async (payment, now = new Date()) => {
+  const escrow = await prisma.escrow.findUnique({ where: { paymentId: payment.id } });
+  if (!escrow) {
+    throw ApiError.notFound('Escrow not found');
+  }
+
+  if (payment.amount !== escrow.amount || payment.currency !== escrow.currency) {
+    throw ApiError.badRequest(
+      `Payment of ${payment.currency} ${payment.amount} does not match escrow of ${escrow.currency} ${escrow.amount}`
+    );
+  }
+
+  const lateFunding = escrow.status === 'cancelled' && !escrow.fundedAt;
+  if (escrow.status !== 'awaiting_funding' && !lateFunding) {
+    return null;
+  }
+
+  const funded = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.escrow.updateMany({
+      where: { id: escrow.id, paymentId: payment.id, status: escrow.status, fundedAt: null },
+      data: {
+        status: lateFunding ? 'cancelled' : 'held',
+        heldAmount: escrow.amount,
+        fundedAt: now
+      }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    await postEntries(tx, escrow, {
+      type: 'hold',
+      from: 'payer',
+      to: 'escrow',
+      amount: escrow.amount,
+      memo: 'Funds received'
+    });
+
+    return await tx.escrow.findUnique({ where: { id: escrow.id } });
+  });
+
+  if (!funded) {
+    return null;
+  }
+
+  if (lateFunding) {
+    return await exports.refundEscrow({ escrowId: escrow.id, reason: 'Swap was cancelled before the payment completed' });
+  }
+
+  await prisma.notification.create({
+    data: {
+      userId: escrow.payeeId,
+      type: 'system',
+      title: 'Funds Held in Escrow',
+      message: `${escrow.currency} ${escrow.amount} is held in escrow and will be released once both sides complete`,
+      data: { escrowId: escrow.id, swapId: escrow.swapId, vehicleId: escrow.vehicleId }
+    }
+  });
+
+  return funded;
+};
+
+/**
+ * Release held funds to the payee's wallet, minus the platform fee
+ * @param {object} params
+ * @param {string} params.escrowId - Escrow ID
+ * @param {number} [params.amount] - Gross amount to release (defaults to everything held)
+ * @param {boolean} [params.force] - Release even while frozen (dispute resolution)
+ * @param {string} [params.memo] - Ledger memo
+ * @returns {Promise<object>} Updated escrow
+ */
+exports.releaseEscrow = async ({ escrowId, amount, force = false, memo = 'Released to payee' }) => {
+  const escrow = await loadOpenEscrow(escrowId, force);
+  const gross = round(amount ? parseFloat(amount) : escrow.heldAmount);
+  assertAmount(escrow, gross);
+
+  const fee = round(gross * escrow.feePercent / 100);
+  const net = round(gross - fee);
+  const heldAfter = round(escrow.heldAmount - gross);
+
+  const released = await prisma.$transaction(async (tx) => {
+    await claimHeld(tx, escrow, gross, {
+      releasedAmount: { increment: gross },
+      feeAmount: { increment: fee },
+      status: heldAfter > 0 ? 'partially_released' : 'released',
+      ...(heldAfter <= 0 && { settledAt: new Date() }),
+      ...(force && { frozenAt: null, frozenReason: null })
+    });
+
+    await postEntries(tx, escrow, { type: 'release', from: 'escrow', to: 'payee', amount: net, memo });
+    await creditEscrowRelease(tx, { escrow, amount: net, memo });
+    if (fee > 0) {
+      await postEntries(tx, escrow, {
+        type: 'fee',
+        from: 'escrow',
+        to: 'fees',
+        amount: fee,
+        memo: `Platform fee ${escrow.feePercent}%`
+      });
+    }
+
+    return await tx.escrow.findUnique({ where: { id: escrowId } });
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: escrow.payeeId,
+      type: 'payment_received',
+      title: 'Escrow Released',
+      message: `${escrow.currency} ${net} was released to your wallet from escrow${fee > 0 ? ` (after a ${escrow.currency} ${fee} fee)` : ''}`,
+      data: { escrowId, swapId: escrow.swapId, vehicleId: escrow.vehicleId, amount: net, fee }
+    }
+  });
+
+  return released;
+};
+
+/**
+ * Refund held funds to the payer through the payment gateway
+ * The held amount is claimed first so two refunds can't both reach the gateway;
+ * the claim is rolled back if the gateway refuses.
+ * @param {object} params
+ * @param {string} params.escrowId - Escrow ID
+ * @param {number} [params.amount] - Amount to refund (defaults to everything held)
+ * @param {string} [params.reason] - Refund reason
+ * @param {boolean} [params.force] - Refund even while frozen (system / dispute resolution)
+ * @returns {Promise<object>} Updated escrow
+ */
+exports.refundEscrow = async ({ escrowId, amount, reason, force = true }) => {
+  const escrow = await loadOpenEscrow(escrowId, force, ['held', 'partially_released', 'cancelled']);
+  const refund = round(amount ? parseFloat(amount) : escrow.heldAmount);
+  assertAmount(escrow, refund);
+
+  const heldAfter = round(escrow.heldAmount - refund);
+  const finalStatus = escrow.releasedAmount > 0 ? 'released' : 'refunded';
+
+  await prisma.$transaction(async (tx) => {
+    await claimHeld(tx, escrow, refund, {
+      refundedAmount: { increment: refund },
+      ...(heldAfter <= 0 && escrow.status !== 'cancelled' && { status: finalStatus })
+    });
+  });
+
+  let gatewayRefund;
+  try {
+    const payment = escrow.paymentId
+      ? await prisma.payment.findUnique({ where: { id: escrow.paymentId } })
+      : null;
+    if (payment) {
+      gatewayRefund = await refundWithProvider({ payment, amount: refund, reason });
+    }
+  } catch (error) {
+    // Put the money back so the refund can be retried
+    await prisma.escrow.update({
+      where: { id: escrowId },
+      data: {
+        heldAmount: { increment: refund },
+        refundedAmount: { decrement: refund },
+        status: escrow.status,
+        lastError: error.message
+      }
+    });
+    throw ApiError.serviceUnavailable(`Escrow refund failed: ${error.message}`);
+  }
+
+  const refunded = await prisma.$transaction(async (tx) => {
+    await postEntries(tx, escrow, {
+      type: 'refund',
+      from: 'escrow',
+      to: 'payer',
+      amount: refund,
+      memo: reason || 'Refunded to payer'
+    });
+
+    // Nothing went to the payee, so the funding payment is refunded in full
+    if (heldAfter <= 0 && escrow.releasedAmount === 0 && escrow.paymentId) {
+      await tx.payment.update({
+        where: { id: escrow.paymentId },
+        data: { status: 'refunded' }
+      });
+    }
+
+    return await tx.escrow.update({
+      where: { id: escrowId },
+      data: {
+        lastError: null,
+        ...(heldAfter <= 0 && { settledAt: new Date(), frozenAt: null, frozenReason: null })
+      }
+    });
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: escrow.payerId,
+      type: 'system',
+      title: 'Escrow Refunded',
+      message: `${escrow.currency} ${refund} held in escrow is being refunded to you`,
+      data: {
+        escrowId,
+        swapId: escrow.swapId,
+        vehicleId: escrow.vehicleId,
+        amount: refund,
+        refundId: gatewayRefund ? gatewayRefund.refundId : undefined
+      }
+    }
+  });
+
+  return refunded;
+};
+
+/**
+ * Cancel an escrow nobody funded yet, along with its pending payment
+ * @param {object} escrow - Escrow
+ * @returns {Promise<void>}
+ */
+exports.cancelUnfundedEscrow = async (escrow) => {
+  const { count } = await prisma.escrow.updateMany({
+    where: { id: escrow.id, status: 'awaiting_funding' },
+    data: { status: 'cancelled', settledAt: new Date() }
+  });
+
+  if (count && escrow.paymentId) {
+    await prisma.payment.updateMany({
+      where: { id: escrow.paymentId, status: 'pending' },
+      data: { status: 'cancelled' }
+    });
+  }
+};
+
+/**
+ * Freeze an escrow while a dispute is open
+ * @param {string} escrowId - Escrow ID
+ * @param {string} reason - Why it is frozen
+ * @returns {Promise<object>} Updated escrow
+ */
+exports.freezeEscrow = async (escrowId, reason) => {
+  return await prisma.escrow.update({
+    where: { id: escrowId },
+    data: { frozenAt: new Date(), frozenReason: reason }
+  });
+};
+
+/**
+ * Lift a dispute freeze
+ * @param {string} escrowId - Escrow ID
+ * @returns {Promise<object>} Updated escrow
+ */
+exports.unfreezeEscrow = async (escrowId) => {
+  return await prisma.escrow.update({
+    where: { id: escrowId },
+    data: { frozenAt: null, frozenReason: null }
+  });
+};
+
+/**
+ * Follow a swap's status with its escrowed cash
+ * - completed: release to the payee
+ * - cancelled / expired / rejected: refund the payer (unfunded escrows are cancelled)
+ * - disputed: freeze; back to in_handover: unfreeze
+ * @param {object} swap - Swap (id)
+ * @param {string} toStatus - New swap status
+ * @param {string} fromStatus - Previous swap status
+ * @returns {Promise<void>}
+ */
+exports.settleSwapEscrow = async (swap, toStatus, fromStatus) => {
+  const escrows = await prisma.escrow.findMany({
+    where: { swapId: swap.id, status: { in: OPEN_STATUSES } }
+  });
+
+  for (const escrow of escrows) {
+    if (escrow.status === 'awaiting_funding') {
+      if (['completed', 'cancelled', 'expired', 'rejected'].includes(toStatus)) {
+        await exports.cancelUnfundedEscrow(escrow);
+      }
+      continue;
+    }
+
+    switch (toStatus) {
+      case 'completed':
+        await exports.releaseEscrow({ escrowId: escrow.id, force: true, memo: 'Swap completed' });
+        break;
+      case 'cancelled':
+      case 'expired':
+      case 'rejected':
+        await exports.refundEscrow({ escrowId: escrow.id, reason: `Swap ${toStatus}` });
+        break;
+      case 'disputed':
+        await exports.freezeEscrow(escrow.id, 'Swap disputed');
+        break;
+      case 'in_handover':
+        if (fromStatus === 'disputed') {
+          await exports.unfreezeEscrow(escrow.id);
+        }
+        break;
+    }
+  }
+};
+
+/**
+ * Settle a swap's escrow for its last transition and clear the pending marker
+ * Throws when settling fails; the marker then stays for the retry job.
+ * @param {object} swap - Swap (id, status, escrowSettlementFrom, escrowSettlementPendingAt)
+ * @returns {Promise<void>}
+ */
+exports.settlePendingSwapEscrow = async (swap) => {
+  await exports.settleSwapEscrow(swap, swap.status, swap.escrowSettlementFrom);
+
+  // A newer transition has its own marker
+  await prisma.swap.updateMany({
+    where: { id: swap.id, escrowSettlementPendingAt: swap.escrowSettlementPendingAt },
+    data: { escrowSettlementFrom: null, escrowSettlementPendingAt: null }
+  });
+};
+
+/**
+ * Retry escrow settlements that failed after a swap transition (scheduler job)
+ * Only markers older than one retry interval are picked up, so a settlement
+ * still running in its request is left alone.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} `{ settled, failed }`
+ */
+exports.retryPendingSwapSettlements = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ESCROW.SETTLEMENT_RETRY_MINUTES * 60 * 1000);
+  const swaps = await prisma.swap.findMany({
+    where: { escrowSettlementPendingAt: { lte: cutoff } },
+    select: { id: true, status: true, escrowSettlementFrom: true, escrowSettlementPendingAt: true },
+    orderBy: { escrowSettlementPendingAt: 'asc' },
+    take: ESCROW.SETTLEMENT_BATCH_SIZE
+  });
+
+  let settled = 0;
+  let failed = 0;
+
+  for (const swap of swaps) {
+    try {
+      await exports.settlePendingSwapEscrow(swap);
+      settled++;
+    } catch (error) {
+      console.error(`Retrying escrow settlement for swap ${swap.id} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  return { settled, failed };
+};
+
+/**
+ * Record one party's confirmation of a sale; both confirmations release the funds
+ * @param {object} params
+ * @param {string} params.escrowId - Escrow ID
+ * @param {object} params.user - Confirming party
+ * @returns {Promise<object>} Updated escrow
+ */
+exports.confirmSaleEscrow = async ({ escrowId, user }) => {
+  const escrow = await loadOpenEscrow(escrowId, false);
+
+  if (escrow.swapId) {
+    throw ApiError.badRequest('Swap escrows are released when the swap completes');
+  }
+
+  const field = escrow.payerId === user.id
+    ? 'payerConfirmedAt'
+    : (escrow.payeeId === user.id ? 'payeeConfirmedAt' : null);
+  if (!field) {
+    throw ApiError.forbidden('Not a party to this escrow');
+  }
+
+  const confirmed = await prisma.escrow.update({
+    where: { id: escrowId },
+    data: { [field]: escrow[field] || new Date() }
+  });
+
+  if (!confirmed.payerConfirmedAt || !confirmed.payeeConfirmedAt) {
+    return confirmed;
+  }
+
+  const released = await exports.releaseEscrow({ escrowId, memo: 'Sale completed' });
+
+  if (escrow.vehicleId) {
+    const { count } = await prisma.vehicle.updateMany({
+      where: { id: escrow.vehicleId, status: 'active' },
+      data: { status: 'sold' }
+    });
+
+    if (count > 0) {
+      const vehicle = await prisma.vehicle.findUnique({
+        where: { id: escrow.vehicleId },
+        select: { id: true, title: true, sellerId: true }
+      });
+      await notifyListingSold({ vehicle, status: 'sold', excludeUserIds: [escrow.payerId] });
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Settle an escrow by hand: release part of it and refund the rest
+ * @param {object} params
+ * @param {string} params.escrowId - Escrow ID
+ * @param {number} params.releaseAmount - Gross amount for the payee (0 refunds everything)
+ * @param {string} [params.reason] - Settlement note
+ * @returns {Promise<object>} Updated escrow
+ */
+exports.settleEscrow = async ({ escrowId, releaseAmount = 0, reason }) => {
+  const escrow = await loadOpenEscrow(escrowId, true);
+  const release = round(parseFloat(releaseAmount) || 0);
+
+  if (release < 0 || release > escrow.heldAmount) {
+    throw ApiError.badRequest(`Release amount must be between 0 and ${escrow.heldAmount}`);
+  }
+
+  let settled = escrow;
+  if (release > 0) {
+    settled = await exports.releaseEscrow({ escrowId, amount: release, force: true, memo: reason || 'Settled by admin' });
+  }
+
+  if (settled.heldAmount > 0) {
+    settled = await exports.refundEscrow({ escrowId, reason: reason || 'Settled by admin' });
+  }
+
+  return settled;
+};
+
+/**
+ * Ledger totals per account and a reconciliation check
+ * @param {object} [filter]
+ * @param {string} [filter.currency] - Limit to one currency
+ * @returns {Promise<object>} `{ balanced, currencies: { [code]: { accounts, debits, credits, heldAmount, mismatches } } }`
+ */
+exports.getLedgerSummary = async ({ currency } = {}) => {
+  const [groups, held] = await Promise.all([
+    prisma.escrowLedgerEntry.groupBy({
+      by: ['currency', 'account', 'direction'],
+      where: currency ? { currency } : {},
+      _sum: { amount: true }
+    }),
+    prisma.escrow.groupBy({
+      by: ['currency'],
+      where: currency ? { currency } : {},
+      _sum: { heldAmount: true, releasedAmount: true, feeAmount: true, refundedAmount: true }
+    })
+  ]);
+
+  const currencies = {};
+  const forCurrency = (code) => {
+    if (!currencies[code]) {
+      currencies[code] = {
+        accounts: Object.fromEntries(ESCROW.ACCOUNTS.map(account => [account, 0])),
+        debits: 0,
+        credits: 0,
+        mismatches: []
+      };
+    }
+    return currencies[code];
+  };
+
+  groups.forEach(({ currency: code, account, direction, _sum }) => {
+    const summary = forCurrency(code);
+    const amount = _sum.amount || 0;
+
+    summary[direction === 'debit' ? 'debits' : 'credits'] += amount;
+    summary.accounts[account] += direction === 'credit' ? amount : -amount;
+  });
+
+  held.forEach(({ currency: code, _sum }) => {
+    const summary = forCurrency(code);
+    const expected = {
+      escrow: _sum.heldAmount || 0,
+      payee: (_sum.releasedAmount || 0) - (_sum.feeAmount || 0),
+      fees: _sum.feeAmount || 0
+    };
+
+    Object.entries(expected).forEach(([account, amount]) => {
+      if (round(summary.accounts[account]) !== round(amount)) {
+        summary.mismatches.push({ account, ledger: round(summary.accounts[account]), escrows: round(amount) });
+      }
+    });
+  });
+
+  Object.values(currencies).forEach((summary) => {
+    summary.debits = round(summary.debits);
+    summary.credits = round(summary.credits);
+    Object.keys(summary.accounts).forEach((account) => {
+      summary.accounts[account] = round(summary.accounts[account]);
+    });
+    if (summary.debits !== summary.credits) {
+      summary.mismatches.push({ account: 'all', debits: summary.debits, credits: summary.credits });
+    }
+  });
+
+  return {
+    balanced: Object.values(currencies).every(summary => !summary.mismatches.length),
+    currencies
+  };
+};
+
+// Helper functions
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+async function loadOpenEscrow(escrowId, force, statuses = ['held', 'partially_released']) {
+  const escrow = await prisma.escrow.findUnique({ where: { id: escrowId } });
+
+  if (!escrow) {
+    throw ApiError.notFound('Escrow not found');
+  }
+
+  if (!statuses.includes(escrow.status) || escrow.heldAmount <= 0) {
+    throw ApiError.badRequest(`Escrow is ${escrow.status.replace('_', ' ')} and holds no funds`);
+  }
+
+  if (escrow.frozenAt && !force) {
+    throw ApiError.conflict(`Escrow is frozen: ${escrow.frozenReason || 'dispute open'}`);
+  }
+
+  return escrow;
+}
+
+function assertAmount(escrow, amount) {
+  if (!(amount > 0) || amount > escrow.heldAmount) {
+    throw ApiError.badRequest(`Amount must be between 0 and ${escrow.heldAmount} ${escrow.currency}`);
+  }
+}
+
+// Take money out of heldAmount only if it is still there
+async function claimHeld(tx, escrow, amount, data) {
+  const { count } = await tx.escrow.updateMany({
+    where: { id: escrow.id, heldAmount: { gte: amount } },
+    data: { ...data, heldAmount: { decrement: amount } }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict('Escrow balance changed - please reload and try again');
+  }
+}
+
+// Write both legs of a posting
+async function postEntries(tx, escrow, { type, from, to, amount, memo }) {
+  const postingId = crypto.randomUUID();
+  const leg = { escrowId: escrow.id, postingId, type, amount, currency: escrow.currency, memo };
+
+  await tx.escrowLedgerEntry.createMany({
+    data: [
+      { ...leg, account: from, direction: 'debit' },
+      { ...leg, account: to, direction: 'credit' }
+    ]
+  });
+}
+
+module.exports = exports;
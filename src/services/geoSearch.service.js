@@ -0,0 +1,183 @@
+/**
+ * Geo Search Service
+ * Location search over active vehicle and part listings using the PostGIS
+ * `geo` column (GiST-indexed): within a radius of a point, inside a bounding
+ * box, or both, sorted by distance, recency or price, paginated in SQL.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { geocode } = require('./geocoding.service');
+const { GEO, LISTING_STATUS } = require('../utils/constants');
+
+// Table and Prisma model per listing type
+const LISTING_TYPES = {
+  vehicle: { table: 'Vehicle', model: 'vehicle' },
+  part: { table: 'Part', model: 'part' }
+};
+
+const SELLER_SELECT = {
+  id: true,
+  clerkId: true,
+  firstName: true,
+  lastName: true,
+  avatarUrl: true,
+  rating: true
+};
+
+/**
+ * Parse location search query parameters
+ * Center: `latitude`/`longitude`, or `city`/`region`/`country` to geocode.
+ * Box: `north`/`south`/`east`/`west`. At least one of the two is required.
+ * @param {object} query - Request query
+ * @returns {object} Search options for searchListings
+ */
+exports.parseGeoQuery = (query) => {
+  const { latitude, longitude, city, region, country, radius, north, south, east, west, sort, page, limit } = query;
+
+  let center = null;
+  if (latitude !== undefined || longitude !== undefined) {
+    center = { latitude: toNumber(latitude, 'latitude'), longitude: toNumber(longitude, 'longitude') };
+  } else if (city || region || country) {
+    const place = geocode({ city, region, country });
+    if (!place) {
+      throw ApiError.badRequest('Location not recognised - send latitude and longitude instead');
+    }
+    center = { latitude: place.latitude, longitude: place.longitude };
+  }
+
+  const hasBounds = [north, south, east, west].some(value => value !== undefined);
+  const bounds = hasBounds
+    ? {
+      north: toNumber(north, 'north'),
+      south: toNumber(south, 'south'),
+      east: toNumber(east, 'east'),
+      west: toNumber(west, 'west')
+    }
+    : null;
+
+  if (!center && !bounds) {
+    throw ApiError.badRequest('Latitude and longitude (or a city, region or country, or a bounding box) are required');
+  }
+
+  if (bounds && bounds.south > bounds.north) {
+    throw ApiError.badRequest('South must not be above north');
+  }
+
+  const radiusKm = radius !== undefined
+    ? toNumber(radius, 'radius')
+    : center && !bounds ? GEO.DEFAULT_RADIUS / 1000 : null;
+
+  if (radiusKm !== null && (radiusKm <= 0 || radiusKm > GEO.MAX_RADIUS / 1000)) {
+    throw ApiError.badRequest(`Radius must be between 0 and ${GEO.MAX_RADIUS / 1000} km`);
+  }
+
+  if (radiusKm !== null && !center) {
+    throw ApiError.badRequest('Radius needs a center point');
+  }
+
+  const order = sort || (center ? 'distance' : 'newest');
+  if (!GEO.SORTS.includes(order)) {
+    throw ApiError.badRequest(`Sort must be one of: ${GEO.SORTS.join(', ')}`);
+  }
+  if (order === 'distance' && !center) {
+    throw ApiError.badRequest('Sorting by distance needs a center point');
+  }
+
+  return {
+    center,
+    radiusKm,
+    bounds,
+    sort: order,
+    page: Math.max(parseInt(page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(limit) || GEO.DEFAULT_LIMIT, 1), GEO.MAX_LIMIT)
+  };
+};
+
+/**
+ * Search active listings by location
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {object} [params.center] - `{ latitude, longitude }`
+ * @param {number} [params.radiusKm] - Radius around the center
+ * @param {object} [params.bounds] - `{ north, south, east, west }`
+ * @param {string} [params.sort] - distance, newest, price or -price
+ * @param {number} [params.page] - Page
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} `{ listings, total }`; listings carry `distance` (km) when a center is given
+ */
+exports.searchListings = async ({ type, center, radiusKm, bounds, sort = 'distance', page = 1, limit = GEO.DEFAULT_LIMIT }) => {
+  const { table, model } = LISTING_TYPES[type];
+  const point = center
+    ? Prisma.sql`ST_SetSRID(ST_MakePoint(${center.longitude}::double precision, ${center.latitude}::double precision), 4326)::geography`
+    : null;
+
+  const conditions = [
+    Prisma.sql`"status"::text = ${LISTING_STATUS.ACTIVE}`,
+    Prisma.sql`"geo" IS NOT NULL`
+  ];
+
+  if (point && radiusKm) {
+    conditions.push(Prisma.sql`ST_DWithin("geo", ${point}, ${radiusKm * 1000}::double precision)`);
+  }
+
+  if (bounds) {
+    conditions.push(Prisma.sql`"geo" && ST_MakeEnvelope(${bounds.west}::double precision, ${bounds.south}::double precision, ${bounds.east}::double precision, ${bounds.north}::double precision, 4326)::geography`);
+  }
+
+  const where = Prisma.join(conditions, ' AND ');
+  const from = Prisma.raw(`"${table}"`);
+  const distance = point ? Prisma.sql`ST_Distance("geo", ${point})` : Prisma.sql`NULL::double precision`;
+  const orderBy = {
+    distance: Prisma.sql`"distance" ASC, "createdAt" DESC`,
+    newest: Prisma.sql`"createdAt" DESC`,
+    price: Prisma.sql`"priceBase" ASC NULLS LAST, "createdAt" DESC`,
+    '-price': Prisma.sql`"priceBase" DESC NULLS LAST, "createdAt" DESC`
+  }[sort];
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id", ${distance} AS "distance"
+      FROM ${from}
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM ${from} WHERE ${where}`
+  ]);
+
+  const listings = await prisma[model].findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    include: { seller: { select: SELLER_SELECT } }
+  });
+  const byId = new Map(listings.map(listing => [listing.id, listing]));
+
+  return {
+    listings: rows
+      .filter(row => byId.has(row.id))
+      .map(row => ({
+        ...byId.get(row.id),
+        distance: row.distance !== null ? Math.round(row.distance / 100) / 10 : null
+      })),
+    total
+  };
+};
+
+// Helper functions
+
+function toNumber(value, name) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw ApiError.badRequest(`${name} must be a number`);
+  }
+  if (['latitude', 'north', 'south'].includes(name) && Math.abs(number) > 90) {
+    throw ApiError.badRequest(`${name} must be between -90 and 90`);
+  }
+  if (['longitude', 'east', 'west'].includes(name) && Math.abs(number) > 180) {
+    throw ApiError.badRequest(`${name} must be between -180 and 180`);
+  }
+  return number;
+}
+
+module.exports = exports;
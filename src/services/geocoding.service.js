@@ -0,0 +1,126 @@
+/**
+ * Geocoding Service
+ * Turns a listing's city/region/country into coordinates using the bundled
+ * offline gazetteer (src/data/gazetteer.json), so listings without seller
+ * supplied lat/long still show up in location search. Resolves to the most
+ * precise match found: the city, else the region, else the country.
+ */
+
+const gazetteer = require('../data/gazetteer.json');
+
+// Normalized name -> entries, built once on load
+const countries = new Map();
+const regions = new Map();
+const cities = new Map();
+
+gazetteer.countries.forEach(country => {
+  index(countries, [country.code, country.name, ...(country.aliases || [])], { ...country, precision: 'country' });
+
+  country.regions.forEach(region => {
+    const regionEntry = { ...region, country: country.code, precision: 'region' };
+    index(regions, [region.name, ...(region.aliases || [])], regionEntry);
+
+    region.cities.forEach(city => {
+      index(cities, [city.name, ...(city.aliases || [])], {
+        ...city,
+        region: region.name,
+        country: country.code,
+        precision: 'city'
+      });
+    });
+  });
+});
+
+/**
+ * Look up coordinates for a place
+ * @param {object} location
+ * @param {string} [location.city] - City
+ * @param {string} [location.region] - Region or state
+ * @param {string} [location.country] - Country code or name
+ * @returns {object|null} `{ latitude, longitude, precision }`, or null if unknown
+ */
+exports.geocode = ({ city, region, country } = {}) => {
+  let countryCode = null;
+
+  if (country) {
+    const [match] = lookup(countries, country);
+    if (!match) return null;
+    countryCode = match.code;
+  }
+
+  const inCountry = entry => !countryCode || entry.country === countryCode;
+  const regionMatches = region ? lookup(regions, region).filter(inCountry) : [];
+
+  if (city) {
+    const candidates = lookup(cities, city).filter(inCountry);
+    // Same-named cities: prefer the one in the given region
+    const match = candidates.find(entry => regionMatches.some(r => r.name === entry.region && r.country === entry.country)) ||
+      candidates[0];
+    if (match) return toResult(match);
+  }
+
+  if (regionMatches.length > 0) {
+    return toResult(regionMatches[0]);
+  }
+
+  if (countryCode) {
+    return toResult(lookup(countries, countryCode)[0]);
+  }
+
+  return null;
+};
+
+/**
+ * Coordinates to store on a listing: the seller's own if given, else geocoded
+ * @param {object} [location] - `{ city, region, country, latitude, longitude }`
+ * @returns {object} `{ latitude, longitude }` (undefined when unknown)
+ */
+exports.resolveCoordinates = (location = {}) => {
+  const latitude = parseCoordinate(location.latitude);
+  const longitude = parseCoordinate(location.longitude);
+
+  if (latitude !== undefined && longitude !== undefined) {
+    return { latitude, longitude };
+  }
+
+  const place = exports.geocode(location);
+  return place
+    ? { latitude: place.latitude, longitude: place.longitude }
+    : { latitude: undefined, longitude: undefined };
+};
+
+// Helper functions
+
+function normalize(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(state|province|county|city)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function index(map, names, entry) {
+  new Set(names.map(normalize)).forEach(name => {
+    if (!map.has(name)) map.set(name, []);
+    map.get(name).push(entry);
+  });
+}
+
+function lookup(map, name) {
+  return map.get(normalize(name)) || [];
+}
+
+function toResult(entry) {
+  return { latitude: entry.latitude, longitude: entry.longitude, precision: entry.precision };
+}
+
+function parseCoordinate(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+module.exports = exports;
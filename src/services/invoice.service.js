@@ -0,0 +1,451 @@
+/**
+ * Invoice Service
+ * Issues one sequentially numbered invoice per completed payment, renders it
+ * as HTML or PDF and emails it to the buyer. Platform services (subscriptions,
+ * featured listings, boosts) are sold by the platform with tax included in the
+ * price; escrow payments are invoiced on behalf of the seller, without tax.
+ */
+
+const PDFDocument = require('pdfkit');
+const prisma = require('../config/prisma');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { sendEmail } = require('./email.service');
+const { INVOICE, SUBSCRIPTION } = require('../utils/constants');
+
+// Payments that have been paid (a later refund does not undo the invoice)
+const INVOICEABLE_STATUSES = ['completed', 'refunded'];
+
+// Tries at issuing an invoice when another one takes the year's counter first
+const ISSUE_ATTEMPTS = 3;
+
+/**
+ * Tax included in platform prices for a buyer's country
+ * @param {string} [country] - Country code or name
+ * @returns {object} `{ country, rate, label }`
+ */
+exports.getTaxRate = (country) => {
+  const rates = { ...INVOICE.TAX_RATES, ...config.invoice.taxRates };
+  const key = (country || '').trim().toUpperCase();
+
+  const code = rates[key]
+    ? key
+    : Object.keys(rates).find(candidate => (rates[candidate].name || '').toUpperCase() === key);
+
+  if (!code) {
+    return { country: country || null, ...INVOICE.DEFAULT_TAX };
+  }
+
+  return {
+    country: code,
+    rate: rates[code].rate,
+    label: rates[code].label || INVOICE.DEFAULT_TAX.label
+  };
+};
+
+/**
+ * Format an invoice number
+ * @param {number} year - Invoice year
+ * @param {number} sequence - Number within the year
+ * @returns {string} e.g. INV-2026-000042
+ */
+exports.formatInvoiceNumber = (year, sequence) => {
+  return `${INVOICE.NUMBER_PREFIX}-${year}-${String(sequence).padStart(INVOICE.NUMBER_DIGITS, '0')}`;
+};
+
+/**
+ * Issue the invoice for a payment (once)
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<object>} Invoice
+ */
+exports.issueInvoice = async (paymentId) => {
+  const existing = await prisma.invoice.findUnique({ where: { paymentId } });
+  if (existing) {
+    return existing;
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+          phone: true,
+          address: true,
+          city: true,
+          region: true,
+          country: true
+        }
+      }
+    }
+  });
+
+  if (!payment) {
+    throw ApiError.notFound('Payment not found');
+  }
+
+  if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+    throw ApiError.badRequest('Invoices are issued once a payment completes');
+  }
+
+  const { lineItems, seller, taxable } = await describePayment(payment);
+  const tax = taxable ? exports.getTaxRate(payment.user.country) : { country: null, ...INVOICE.DEFAULT_TAX };
+
+  const total = round(payment.amount);
+  const subtotal = round(total / (1 + tax.rate / 100));
+  const year = new Date().getUTCFullYear();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        // Row lock on the year's counter keeps numbers gapless under concurrency
+        const counter = await tx.invoiceCounter.upsert({
+          where: { year },
+          create: { year, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } }
+        });
+
+        return await tx.invoice.create({
+          data: {
+            number: exports.formatInvoiceNumber(year, counter.lastNumber),
+            year,
+            sequence: counter.lastNumber,
+            paymentId: payment.id,
+            userId: payment.userId,
+            currency: payment.currency,
+            lineItems,
+            subtotal,
+            taxRate: tax.rate,
+            taxLabel: tax.label,
+            taxAmount: round(total - subtotal),
+            total,
+            taxCountry: tax.country,
+            buyer: partyDetails(payment.user),
+            seller
+          }
+        });
+      });
+    } catch (error) {
+      // Issued concurrently for the same payment; the transaction rolled our number back
+      if (isUniqueViolationOn(error, 'paymentId')) {
+        return await prisma.invoice.findUnique({ where: { paymentId } });
+      }
+
+      // Lost the race to create the year's counter (or a write conflict): try again
+      if (isCounterConflict(error) && attempt < ISSUE_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {object} invoice - Invoice
+ * @returns {string} HTML
+ */
+exports.renderInvoiceHtml = (invoice) => {
+  const money = (amount) => `${escapeHtml(invoice.currency)} ${formatAmount(amount)}`;
+  const party = (details) => [
+    `<strong>${escapeHtml(details.name)}</strong>`,
+    ...partyLines(details).map(escapeHtml)
+  ].join('<br>');
+
+  const rows = invoice.lineItems.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 40px auto; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #666; margin-bottom: 32px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 32px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>
+  <h1>Invoice</h1>
+  <div class="meta">
+    ${escapeHtml(invoice.number)} &middot; Issued ${formatDate(invoice.issuedAt)}
+  </div>
+  <div class="parties">
+    <div><div class="meta">From</div>${party(invoice.seller)}</div>
+    <div><div class="meta">Bill to</div>${party(invoice.buyer)}</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr class="totals"><td colspan="3" class="num">Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+      <tr class="totals"><td colspan="3" class="num">${escapeHtml(invoice.taxLabel)} (${invoice.taxRate}%)</td><td class="num">${money(invoice.taxAmount)}</td></tr>
+      <tr class="total"><td colspan="3" class="num">Total paid</td><td class="num">${money(invoice.total)}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {object} invoice - Invoice
+ * @returns {Promise<Buffer>} PDF
+ */
+exports.renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const money = (amount) => `${invoice.currency} ${formatAmount(amount)}`;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columns = [left, left + width * 0.55, left + width * 0.65, left + width * 0.82];
+
+    doc.fontSize(22).text('Invoice', left, 50);
+    doc.fontSize(10).fillColor('#666')
+      .text(`${invoice.number}  ·  Issued ${formatDate(invoice.issuedAt)}`)
+      .fillColor('#222');
+
+    const partiesTop = 120;
+    [['From', invoice.seller, left], ['Bill to', invoice.buyer, left + width / 2]].forEach(([title, details, x]) => {
+      doc.fontSize(9).fillColor('#666').text(title, x, partiesTop).fillColor('#222');
+      doc.fontSize(11).text(details.name, x, partiesTop + 14, { width: width / 2 - 10 });
+      doc.fontSize(9).text(partyLines(details).join('\n'), { width: width / 2 - 10 });
+    });
+
+    let y = 230;
+    doc.fontSize(9).fillColor('#666');
+    ['Description', 'Qty', 'Unit price', 'Amount'].forEach((heading, index) => {
+      doc.text(heading, columns[index], y, index === 0 ? {} : { width: width * 0.16, align: 'right' });
+    });
+    doc.fillColor('#222');
+    y += 18;
+
+    invoice.lineItems.forEach(item => {
+      doc.fontSize(10).text(item.description, columns[0], y, { width: width * 0.52 });
+      const rowHeight = Math.max(16, doc.y - y + 4);
+      doc.text(String(item.quantity), columns[1], y, { width: width * 0.16, align: 'right' });
+      doc.text(money(item.unitPrice), columns[2], y, { width: width * 0.16, align: 'right' });
+      doc.text(money(item.amount), columns[3], y, { width: width * 0.16, align: 'right' });
+      y += rowHeight;
+    });
+
+    y += 10;
+    doc.moveTo(left, y).lineTo(left + width, y).stroke('#ddd');
+    y += 10;
+
+    [
+      ['Subtotal', invoice.subtotal],
+      [`${invoice.taxLabel} (${invoice.taxRate}%)`, invoice.taxAmount],
+      ['Total paid', invoice.total]
+    ].forEach(([label, amount], index, rows) => {
+      doc.fontSize(index === rows.length - 1 ? 12 : 10);
+      doc.text(label, columns[1], y, { width: width * 0.27, align: 'right' });
+      doc.text(money(amount), columns[3], y, { width: width * 0.16, align: 'right' });
+      y += 18;
+    });
+
+    doc.end();
+  });
+};
+
+/**
+ * Email an invoice to its buyer (HTML body, PDF attached)
+ * @param {object} invoice - Invoice
+ * @returns {Promise<object>} Invoice
+ */
+exports.emailInvoice = async (invoice) => {
+  const pdf = await exports.renderInvoicePdf(invoice);
+
+  const result = await sendEmail({
+    to: invoice.buyer.email,
+    subject: `Your invoice ${invoice.number}`,
+    html: exports.renderInvoiceHtml(invoice),
+    text: `Thank you for your payment of ${invoice.currency} ${formatAmount(invoice.total)}. Your invoice ${invoice.number} is attached.`,
+    attachments: [{ filename: `${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }]
+  });
+
+  if (result.error) {
+    return invoice;
+  }
+
+  return await prisma.invoice.update({
+    where: { id: invoice.id },
+    data: { emailedAt: new Date() }
+  });
+};
+
+/**
+ * Issue and email the invoice for a just-completed payment
+ * Never throws: the payment itself already succeeded, and the invoice can be
+ * issued again on demand from the invoice endpoint.
+ * @param {object} payment - Completed payment
+ * @returns {Promise<object|null>} Invoice
+ */
+exports.sendPaymentInvoice = async (payment) => {
+  try {
+    const invoice = await exports.issueInvoice(payment.id);
+    return invoice.emailedAt ? invoice : await exports.emailInvoice(invoice);
+  } catch (error) {
+    console.error(`Invoice for payment ${payment.id} failed:`, error.message);
+    return null;
+  }
+};
+
+// Helper functions
+
+// Prisma reports the violated fields as a list, or the constraint name
+function isUniqueViolationOn(error, field) {
+  if (error.code !== 'P2002') {
+    return false;
+  }
+
+  const target = error.meta && error.meta.target;
+  return Array.isArray(target) ? target.includes(field) : String(target || '').includes(field);
+}
+
+// Two first invoices of a year both creating the counter, or a deadlock on it
+function isCounterConflict(error) {
+  return error.code === 'P2034' || isUniqueViolationOn(error, 'year');
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function formatAmount(amount) {
+  return Number(amount).toFixed(2);
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function partyDetails(user) {
+  return {
+    userId: user.id,
+    name: `${user.firstName} ${user.lastName}`.trim(),
+    email: user.email,
+    phone: user.phone || null,
+    address: [user.address, user.city, user.region].filter(Boolean).join(', ') || null,
+    country: user.country || null
+  };
+}
+
+function partyLines(details) {
+  return [details.address, details.country, details.email, details.phone, details.taxId && `Tax ID: ${details.taxId}`]
+    .filter(Boolean);
+}
+
+function platformDetails() {
+  return {
+    name: config.invoice.companyName,
+    email: config.invoice.companyEmail,
+    address: config.invoice.companyAddress || null,
+    taxId: config.invoice.taxId || null
+  };
+}
+
+function lineItem(description, amount, quantity = 1) {
+  return { description, quantity, unitPrice: round(amount / quantity), amount: round(amount) };
+}
+
+// Line items, seller and whether platform tax applies, by what was paid for
+async function describePayment(payment) {
+  const metadata = payment.metadata || {};
+  const days = (duration) => `${parseInt(duration) || 7} days`;
+
+  switch (metadata.type) {
+    case 'subscription': {
+      const plan = SUBSCRIPTION.PLANS[metadata.plan];
+      const planName = plan ? plan.name : metadata.plan;
+      const invoice = metadata.invoiceId
+        ? await prisma.subscriptionInvoice.findUnique({ where: { id: metadata.invoiceId } })
+        : null;
+
+      if (!invoice) {
+        return { lineItems: [lineItem(`${planName} plan subscription`, payment.amount)], seller: platformDetails(), taxable: true };
+      }
+
+      const period = `${formatDate(invoice.periodStart)} to ${formatDate(invoice.periodEnd)}`;
+      const lineItems = [lineItem(`${planName} plan (${invoice.type}), ${period}`, invoice.amount + invoice.credit)];
+      if (invoice.credit > 0) {
+        lineItems.push(lineItem('Credit for unused time on previous plan', -invoice.credit));
+      }
+      return { lineItems, seller: platformDetails(), taxable: true };
+    }
+    case 'feature_listing':
+    case 'boost_ad': {
+      const vehicleId = metadata.listingId || metadata.adId;
+      const vehicle = vehicleId
+        ? await prisma.vehicle.findUnique({ where: { id: vehicleId }, select: { title: true } })
+        : null;
+      const service = metadata.type === 'feature_listing' ? 'Featured listing' : 'Boosted ad';
+      const description = `${service}${vehicle ? ` - ${vehicle.title}` : ''} (${days(metadata.duration)})`;
+      return { lineItems: [lineItem(description, payment.amount)], seller: platformDetails(), taxable: true };
+    }
+    case 'escrow': {
+      const escrow = metadata.escrowId
+        ? await prisma.escrow.findUnique({
+          where: { id: metadata.escrowId },
+          include: {
+            payee: {
+              select: { id: true, firstName: true, lastName: true, email: true, phone: true, address: true, city: true, region: true, country: true }
+            },
+            vehicle: { select: { title: true } }
+          }
+        })
+        : null;
+
+      const description = escrow && escrow.vehicle
+        ? `${escrow.vehicle.title} (paid into escrow)`
+        : `Swap cash balance${escrow && escrow.swapId ? ` for swap ${escrow.swapId}` : ''} (paid into escrow)`;
+
+      return {
+        lineItems: [lineItem(description, payment.amount)],
+        seller: escrow ? partyDetails(escrow.payee) : platformDetails(),
+        taxable: false
+      };
+    }
+    default:
+      return {
+        lineItems: [lineItem(payment.description || 'Payment', payment.amount)],
+        seller: platformDetails(),
+        taxable: true
+      };
+  }
+}
+
+module.exports = exports;
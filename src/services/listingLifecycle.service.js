@@ -0,0 +1,235 @@
+/**
+ * Listing Lifecycle Service
+ * Vehicle and part listings run for LISTING_LIFECYCLE.DURATION_DAYS from
+ * publishing or renewal. Expired listings leave search and their seller is
+ * told, with a one-click renew; featured and boosted flags are switched off
+ * once their window passes; listings left expired are deleted after
+ * PURGE_AFTER_DAYS. Pending listings are the moderation queue and are never
+ * purged.
+ * Every function takes `now` so jobs can run against an injected clock.
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { assertCanList } = require('./entitlements.service');
+const { LISTING_LIFECYCLE, LISTING_STATUS } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prisma model, ID field on notifications and API path per listing type;
+// only vehicles count towards User.totalListings
+const LISTING_TYPES = {
+  vehicle: { model: 'vehicle', idField: 'vehicleId', path: 'vehicles', counted: true },
+  part: { model: 'part', idField: 'partId', path: 'parts', counted: false }
+};
+
+/**
+ * When a listing published or renewed now should expire
+ * @param {Date} [from] - Start of the term
+ * @returns {Date} Expiry time
+ */
+exports.getListingExpiresAt = (from = new Date()) => {
+  return new Date(from.getTime() + LISTING_LIFECYCLE.DURATION_DAYS * DAY_MS);
+};
+
+/**
+ * Expire active listings whose term is over and tell their sellers
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Listings expired
+ */
+exports.expireListings = async (now = new Date()) => {
+  let expired = 0;
+
+  for (const [type, { model, idField, path }] of Object.entries(LISTING_TYPES)) {
+    const listings = await prisma[model].findMany({
+      where: { status: LISTING_STATUS.ACTIVE, expiresAt: { lte: now } },
+      select: { id: true, title: true, sellerId: true, expiresAt: true },
+      take: LISTING_LIFECYCLE.BATCH_SIZE
+    });
+
+    for (const listing of listings) {
+      // Renewed or sold since it was read
+      const { count } = await prisma[model].updateMany({
+        where: { id: listing.id, status: LISTING_STATUS.ACTIVE, expiresAt: { lte: now } },
+        data: { status: LISTING_STATUS.EXPIRED }
+      });
+
+      if (count === 0) {
+        continue;
+      }
+
+      await prisma.notification.create({
+        data: {
+          userId: listing.sellerId,
+          type: 'listing_expired',
+          title: 'Listing Expired',
+          message: `Your listing "${listing.title}" has expired and is no longer shown to buyers. Renew it to list it for another ${LISTING_LIFECYCLE.DURATION_DAYS} days`,
+          data: {
+            listingType: type,
+            [idField]: listing.id,
+            expiresAt: listing.expiresAt,
+            renewUrl: `/api/v1/${path}/${listing.id}/renew`
+          }
+        }
+      });
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Switch off featured and boosted flags whose window has passed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} `{ unfeatured, unboosted }`
+ */
+exports.clearExpiredPromotions = async (now = new Date()) => {
+  let unfeatured = 0;
+  let unboosted = 0;
+
+  for (const { model } of Object.values(LISTING_TYPES)) {
+    const featured = await prisma[model].updateMany({
+      where: { isFeatured: true, featuredUntil: { lte: now } },
+      data: { isFeatured: false }
+    });
+    const boosted = await prisma[model].updateMany({
+      where: { isBoosted: true, boostedUntil: { lte: now } },
+      data: { isBoosted: false }
+    });
+
+    unfeatured += featured.count;
+    unboosted += boosted.count;
+  }
+
+  return { unfeatured, unboosted };
+};
+
+/**
+ * Delete listings expired for PURGE_AFTER_DAYS
+ * Listings still referenced by a swap (requested or offered), a ring
+ * proposal or an escrow are kept.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Listings deleted
+ */
+exports.purgeStaleListings = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - LISTING_LIFECYCLE.PURGE_AFTER_DAYS * DAY_MS);
+  let purged = 0;
+
+  for (const [type, { model, counted }] of Object.entries(LISTING_TYPES)) {
+    const candidates = await prisma[model].findMany({
+      where: {
+        status: LISTING_STATUS.EXPIRED,
+        expiresAt: { lte: cutoff },
+        ...(type === 'vehicle' && { swaps: { none: {} }, escrows: { none: {} } })
+      },
+      select: { id: true, sellerId: true },
+      take: LISTING_LIFECYCLE.BATCH_SIZE
+    });
+
+    if (candidates.length === 0) {
+      continue;
+    }
+
+    // Swaps and ring proposals only hold the listing's ID
+    const ids = candidates.map(listing => listing.id);
+    const [requested, offered, ringParticipants] = await Promise.all([
+      prisma.swap.findMany({
+        where: { requestedItemId: { in: ids } },
+        select: { requestedItemId: true }
+      }),
+      prisma.$queryRaw`
+        SELECT DISTINCT "item"->>'itemId' AS "itemId"
+        FROM "Swap", unnest("offeredItems") AS "item"
+        WHERE "item"->>'itemId' = ANY(${ids}::text[])
+      `,
+      prisma.swapRingParticipant.findMany({
+        where: { OR: [{ itemId: { in: ids } }, { receivesItemId: { in: ids } }] },
+        select: { itemId: true, receivesItemId: true }
+      })
+    ]);
+    const referenced = new Set([
+      ...requested.map(swap => swap.requestedItemId),
+      ...offered.map(row => row.itemId),
+      ...ringParticipants.flatMap(participant => [participant.itemId, participant.receivesItemId])
+    ]);
+
+    for (const listing of candidates.filter(candidate => !referenced.has(candidate.id))) {
+      await prisma.$transaction([
+        prisma[model].delete({ where: { id: listing.id } }),
+        ...(counted ? [prisma.user.update({
+          where: { id: listing.sellerId },
+          data: { totalListings: { decrement: 1 } }
+        })] : [])
+      ]);
+      purged++;
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Renew a listing for another term: an expired one goes live again (taking
+ * up a plan slot), an active one is extended from its current expiry
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {string} params.id - Listing ID
+ * @param {object} params.user - Seller or admin
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<object>} Updated listing
+ */
+exports.renewListing = async ({ type, id, user, now = new Date() }) => {
+  const { model } = LISTING_TYPES[type];
+  const listing = await prisma[model].findUnique({
+    where: { id },
+    select: { id: true, sellerId: true, status: true, expiresAt: true }
+  });
+
+  if (!listing) {
+    throw ApiError.notFound(`${type === 'vehicle' ? 'Vehicle' : 'Part'} not found`);
+  }
+
+  if (listing.sellerId !== user.id && user.role !== 'admin') {
+    throw ApiError.forbidden('Not authorized to renew this listing');
+  }
+
+  if (![LISTING_STATUS.ACTIVE, LISTING_STATUS.EXPIRED].includes(listing.status)) {
+    throw ApiError.badRequest(`Only active or expired listings can be renewed (this one is ${listing.status})`);
+  }
+
+  if (listing.status === LISTING_STATUS.EXPIRED) {
+    await assertCanList(user);
+  }
+
+  const from = listing.expiresAt && listing.expiresAt > now ? listing.expiresAt : now;
+
+  const { count } = await prisma[model].updateMany({
+    where: { id, status: listing.status },
+    data: {
+      status: LISTING_STATUS.ACTIVE,
+      expiresAt: exports.getListingExpiresAt(from)
+    }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict('Listing changed - please reload and try again');
+  }
+
+  return await prisma[model].findUnique({ where: { id } });
+};
+
+/**
+ * One lifecycle pass (scheduler job)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} Counts
+ */
+exports.runListingLifecycle = async (now = new Date()) => {
+  const expired = await exports.expireListings(now);
+  const { unfeatured, unboosted } = await exports.clearExpiredPromotions(now);
+  const purged = await exports.purgeStaleListings(now);
+
+  return { expired, unfeatured, unboosted, purged };
+};
+
+module.exports = exports;
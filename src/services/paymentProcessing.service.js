@@ -0,0 +1,198 @@
+/**
+ * Payment Processing Service
+ * Payment status changes and their side effects (subscriptions, featured
+ * listings, boosts, escrow funding). Each change claims the payment's current
+ * status first, so replays and concurrent callbacks change it once; the side
+ * effects are claimed separately and recorded as fulfilled only once they all
+ * ran, so a replay after a failure runs them again.
+ */
+
+const prisma = require('../config/prisma');
+const { fundEscrow } = require('./escrow.service');
+const { activateFromPayment, markInvoicePaymentFailed } = require('./subscription.service');
+const { sendPaymentInvoice } = require('./invoice.service');
+
+// Statuses a provider success may move a payment out of (money can land after we gave up on it)
+const COMPLETABLE_STATUSES = ['pending', 'failed', 'cancelled'];
+
+// A fulfillment claim older than this is taken to have crashed and may be taken over
+const FULFILLMENT_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Mark a payment completed and apply its side effects once
+ * @param {object} params
+ * @param {object} params.payment - Payment record
+ * @param {string} [params.transactionId] - Provider transaction ID
+ * @param {string} [params.providerStatus] - Raw provider status
+ * @param {string} [params.providerMessage] - Provider message
+ * @returns {Promise<object>} `{ payment, applied }` - applied is false when it was already fulfilled
+ * @throws When a side effect fails; calling again retries them
+ */
+exports.completePayment = async ({ payment, transactionId, providerStatus = 'success', providerMessage }) => {
+  await prisma.payment.updateMany({
+    where: { id: payment.id, status: { in: COMPLETABLE_STATUSES } },
+    data: {
+      status: 'completed',
+      ...(transactionId && { transactionId }),
+      providerStatus,
+      ...(providerMessage && { providerMessage })
+    }
+  });
+
+  return await exports.fulfillPayment(payment.id);
+};
+
+/**
+ * Apply a completed payment's side effects unless they already ran
+ * The payment is claimed first so concurrent callers don't both apply it;
+ * when a side effect fails the claim is dropped and the error rethrown.
+ * @param {string} paymentId - Payment ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} `{ payment, applied }` - applied is false when fulfilled (or being fulfilled) already
+ */
+exports.fulfillPayment = async (paymentId, now = new Date()) => {
+  const { count } = await prisma.payment.updateMany({
+    where: {
+      id: paymentId,
+      status: 'completed',
+      fulfilledAt: null,
+      OR: [
+        { fulfillmentClaimedAt: null },
+        { fulfillmentClaimedAt: { lt: new Date(now.getTime() - FULFILLMENT_CLAIM_MS) } }
+      ]
+    },
+    data: { fulfillmentClaimedAt: now }
+  });
+
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+  if (count === 0) {
+    return { payment, applied: false };
+  }
+
+  try {
+    await exports.processPaymentSuccess(payment);
+  } catch (error) {
+    await prisma.payment.updateMany({
+      where: { id: paymentId, fulfillmentClaimedAt: now },
+      data: { fulfillmentClaimedAt: null }
+    });
+    throw error;
+  }
+
+  const fulfilled = await prisma.payment.update({
+    where: { id: paymentId },
+    data: { fulfilledAt: new Date() }
+  });
+
+  return { payment: fulfilled, applied: true };
+};
+
+/**
+ * Mark a pending payment failed
+ * A failure reported after the payment completed is ignored.
+ * @param {object} params
+ * @param {object} params.payment - Payment record
+ * @param {string} [params.reason] - Provider message
+ * @returns {Promise<object>} `{ payment, applied }`
+ */
+exports.failPayment = async ({ payment, reason }) => {
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, status: 'pending' },
+    data: {
+      status: 'failed',
+      providerStatus: 'failed',
+      providerMessage: reason
+    }
+  });
+
+  const updated = await prisma.payment.findUnique({ where: { id: payment.id } });
+
+  if (count > 0 && updated.metadata && updated.metadata.type === 'subscription') {
+    await markInvoicePaymentFailed(updated);
+  }
+
+  return { payment: updated, applied: count > 0 };
+};
+
+/**
+ * Apply what a successful payment paid for, tell the user and email the invoice
+ * Only call once per payment - fulfillPayment guards this.
+ * @param {object} payment - Completed payment
+ * @returns {Promise<void>}
+ */
+exports.processPaymentSuccess = async (payment) => {
+  const metadata = payment.metadata || {};
+
+  switch (metadata.type) {
+    case 'subscription':
+      await activateFromPayment(payment);
+      break;
+    case 'feature_listing':
+      await exports.featureListing(metadata.listingId, metadata.duration);
+      break;
+    case 'boost_ad':
+      await exports.boostAd(metadata.adId, metadata.duration);
+      break;
+    case 'escrow':
+      await fundEscrow(payment);
+      break;
+  }
+
+  await prisma.notification.create({
+    data: {
+      userId: payment.userId,
+      type: 'system',
+      title: 'Payment Successful',
+      message: `Your payment of ${payment.currency} ${payment.amount} was successful`,
+      data: {
+        paymentId: payment.id,
+        reference: payment.reference
+      }
+    }
+  });
+
+  await sendPaymentInvoice(payment);
+};
+
+/**
+ * Feature a vehicle listing
+ * @param {string} listingId - Vehicle ID
+ * @param {number} [duration] - Days
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<void>}
+ */
+exports.featureListing = async (listingId, duration = 7, client = prisma) => {
+  const featuredUntil = new Date();
+  featuredUntil.setDate(featuredUntil.getDate() + parseInt(duration));
+
+  await client.vehicle.update({
+    where: { id: listingId },
+    data: {
+      isFeatured: true,
+      featuredUntil
+    }
+  });
+};
+
+/**
+ * Boost a vehicle listing
+ * @param {string} adId - Vehicle ID
+ * @param {number} [duration] - Days
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<void>}
+ */
+exports.boostAd = async (adId, duration = 7, client = prisma) => {
+  const boostedUntil = new Date();
+  boostedUntil.setDate(boostedUntil.getDate() + parseInt(duration));
+
+  await client.vehicle.update({
+    where: { id: adId },
+    data: {
+      isBoosted: true,
+      boostedUntil
+    }
+  });
+};
+
+module.exports = exports;
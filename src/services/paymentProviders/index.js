@@ -0,0 +1,107 @@
+/**
+ * Payment Providers
+ * Registry of payment gateways and routing by currency and payment method.
+ *
+ * Every provider module exports:
+ * - name, currencies, methods (null for any), signatureHeader
+ * - isEnabled() - configured and allowed in this environment
+ * - assertConfigured() (optional) - throws at startup when enabled but unsafe to run
+ * - initialize({ reference, amount, currency, method, customer, metadata, redirectUrl })
+ *     -> { providerRef, checkoutUrl }
+ * - verify(reference) -> { status: success|failed|pending, transactionId, amount, currency, providerStatus, message }
+ * - refund({ reference, transactionId, amount, currency, reason }) -> { refundId, status, amount }
+ * - payout({ reference, amount, currency, method, destination, customer, narration })
+ *     -> { providerRef, status: success|failed|pending, message }
+ * - verifyWebhook({ body, rawBody, signature }) -> boolean
+ * - parseWebhook(body) -> { eventId, eventType, reference, data }, with eventType
+ *     and data in the shape the webhook service handles (Kora's event names)
+ */
+
+const config = require('../../config/config');
+const ApiError = require('../../utils/ApiError');
+const kora = require('./kora.provider');
+const mock = require('./mock.provider');
+
+const PROVIDERS = {
+  [kora.name]: kora,
+  [mock.name]: mock
+};
+
+// Payments created before providers were recorded all went through Kora
+const LEGACY_PROVIDER = kora.name;
+
+/**
+ * Refuse to start with a provider enabled but misconfigured
+ * @throws {Error} Naming what is missing
+ */
+exports.assertProvidersConfigured = () => {
+  Object.values(PROVIDERS).forEach(provider => provider.assertConfigured && provider.assertConfigured());
+};
+
+/**
+ * Get an enabled provider by name
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ */
+exports.getProvider = (name) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider || !provider.isEnabled()) {
+    throw ApiError.notFound(`Payment provider ${name} is not available`);
+  }
+
+  return provider;
+};
+
+/**
+ * The provider that took a payment
+ * @param {object} payment - Payment
+ * @returns {object} Provider
+ */
+exports.getProviderForPayment = (payment) => {
+  return exports.getProvider(payment.provider || LEGACY_PROVIDER);
+};
+
+/**
+ * Prisma filter for the payments a provider took
+ * @param {string} name - Provider name
+ * @returns {object} Where clause
+ */
+exports.paymentsOfProvider = (name) => {
+  return name === LEGACY_PROVIDER
+    ? { OR: [{ provider: name }, { provider: null }] }
+    : { provider: name };
+};
+
+/**
+ * Pick the provider for a new payment: the first configured route that
+ * matches, else the default provider, else any enabled provider that
+ * handles the currency and method
+ * @param {object} params
+ * @param {string} params.currency - Currency code
+ * @param {string} [params.method] - Payment method
+ * @returns {object} Provider
+ */
+exports.selectProvider = ({ currency, method }) => {
+  const handles = (provider) => provider && provider.isEnabled() &&
+    (!provider.currencies || provider.currencies.includes(currency)) &&
+    (!provider.methods || !method || provider.methods.includes(method));
+
+  const route = config.payment.routes.find(candidate =>
+    (!candidate.currency || candidate.currency === currency) &&
+    (!candidate.method || candidate.method === method) &&
+    handles(PROVIDERS[candidate.provider])
+  );
+
+  const provider = (route && PROVIDERS[route.provider]) ||
+    (handles(PROVIDERS[config.payment.defaultProvider]) && PROVIDERS[config.payment.defaultProvider]) ||
+    Object.values(PROVIDERS).find(handles);
+
+  if (!provider) {
+    throw ApiError.badRequest(`No payment provider accepts ${currency}${method ? ` by ${method.replace('_', ' ')}` : ''}`);
+  }
+
+  return provider;
+};
+
+module.exports = exports;
@@ -0,0 +1,211 @@
+/**
+ * Kora Pay Provider
+ * Card, bank transfer and mobile money checkout through Kora's hosted page,
+ * and payouts to bank accounts and mobile money wallets.
+ * Amounts are sent in major units; webhooks are signed with an HMAC SHA256
+ * of the event's `data` object in the x-korapay-signature header.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+// Kora charge, refund and payout statuses by outcome
+const SUCCESS_STATUSES = ['success', 'successful'];
+const FAILED_STATUSES = ['failed', 'expired', 'cancelled'];
+
+exports.name = 'kora';
+
+exports.currencies = ['NGN', 'KES', 'GHS', 'ZAR', 'USD', 'XAF', 'XOF', 'EGP'];
+
+exports.methods = ['card', 'bank_transfer', 'mobile_money'];
+
+exports.signatureHeader = 'x-korapay-signature';
+
+/**
+ * Kora can be used once it has an API key
+ * @returns {boolean}
+ */
+exports.isEnabled = () => Boolean(config.kora.secretKey);
+
+/**
+ * Start a hosted checkout
+ * @param {object} params - See paymentProviders
+ * @returns {Promise<object>} `{ providerRef, checkoutUrl }`
+ */
+exports.initialize = async ({ reference, amount, currency, method, customer, metadata, redirectUrl }) => {
+  try {
+    const response = await client().post('/charges/initialize', {
+      reference,
+      amount,
+      currency,
+      customer,
+      channels: method ? [method] : undefined,
+      metadata,
+      notification_url: `${process.env.BACKEND_URL}/api/v1/payments/webhook/kora`,
+      redirect_url: redirectUrl,
+      merchant_bears_cost: true
+    });
+
+    const data = response.data.data || {};
+    return {
+      providerRef: data.reference || reference,
+      checkoutUrl: data.checkout_url
+    };
+  } catch (error) {
+    console.error('Kora payment initialization error:', error.response?.data || error.message);
+    throw new Error('Failed to initialize payment');
+  }
+};
+
+/**
+ * Look up a charge
+ * @param {string} reference - Payment reference
+ * @returns {Promise<object>} `{ status, transactionId, amount, currency, message }`
+ */
+exports.verify = async (reference) => {
+  try {
+    const response = await client().get(`/charges/${reference}`);
+    const data = response.data.data || {};
+
+    return {
+      status: normalizeStatus(data.status),
+      transactionId: data.payment_reference || null,
+      amount: data.amount_paid != null ? parseFloat(data.amount_paid) : parseFloat(data.amount),
+      currency: data.currency,
+      providerStatus: data.status,
+      message: data.message || response.data.message
+    };
+  } catch (error) {
+    console.error('Kora payment verification error:', error.response?.data || error.message);
+    throw new Error('Failed to verify payment');
+  }
+};
+
+/**
+ * Refund (part of) a charge
+ * @param {object} params - See paymentProviders
+ * @returns {Promise<object>} `{ refundId, status, amount }`
+ */
+exports.refund = async ({ reference, amount, reason }) => {
+  const refundId = `RFD-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  try {
+    const response = await client().post('/refunds/initiate', {
+      payment_reference: reference,
+      reference: refundId,
+      amount,
+      reason
+    });
+
+    const data = response.data.data || {};
+    return {
+      refundId: data.reference || refundId,
+      status: normalizeStatus(data.status),
+      amount: data.amount != null ? parseFloat(data.amount) : amount
+    };
+  } catch (error) {
+    console.error('Kora refund error:', error.response?.data || error.message);
+    throw new Error('Failed to create refund');
+  }
+};
+
+/**
+ * Send money to a bank account or mobile money wallet
+ * Kora settles most payouts asynchronously (transfer.success / transfer.failed).
+ * @param {object} params - See paymentProviders
+ * @returns {Promise<object>} `{ providerRef, status, message }`
+ */
+exports.payout = async ({ reference, amount, currency, method, destination, customer, narration }) => {
+  const target = method === 'mobile_money'
+    ? { type: 'mobile_money', mobile_money: { operator: destination.operator, mobile_number: destination.phone } }
+    : { type: 'bank_account', bank_account: { bank: destination.bankCode, account: destination.accountNumber } };
+
+  try {
+    const response = await client().post('/transactions/disburse', {
+      reference,
+      destination: {
+        ...target,
+        amount,
+        currency,
+        narration,
+        customer
+      }
+    });
+
+    const data = response.data.data || {};
+    return {
+      providerRef: data.reference || reference,
+      status: normalizeStatus(data.status),
+      message: data.message || response.data.message
+    };
+  } catch (error) {
+    console.error('Kora payout error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.message || 'Failed to send payout');
+  }
+};
+
+/**
+ * Check a webhook signature
+ * @param {object} params
+ * @param {object} params.body - Parsed webhook body
+ * @param {string} [params.signature] - Signature header
+ * @returns {boolean}
+ */
+exports.verifyWebhook = ({ body, signature }) => {
+  const secret = config.kora.encryptionKey || config.kora.secretKey;
+
+  if (!secret || !signature) {
+    return false;
+  }
+
+  const hash = crypto
+    .createHmac('sha256', secret)
+    .update(JSON.stringify((body && body.data) || {}))
+    .digest('hex');
+
+  const expected = Buffer.from(hash);
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Read a webhook body
+ * Kora's event names are the ones the webhook service handles. It does not
+ * send an event ID, so type + reference identifies the event; Kora only ever
+ * sends each event type once per reference.
+ * @param {object} body - Parsed webhook body
+ * @returns {object} `{ eventId, eventType, reference, data }`
+ */
+exports.parseWebhook = (body = {}) => {
+  const data = body.data || {};
+  const reference = data.reference || data.payment_reference || null;
+
+  return {
+    eventId: String(body.id || body.event_id || `${body.event}:${reference || data.id}`),
+    eventType: body.event || 'unknown',
+    reference,
+    data
+  };
+};
+
+// Helper functions
+
+function client() {
+  return axios.create({
+    baseURL: config.kora.apiUrl,
+    headers: {
+      'Authorization': `Bearer ${config.kora.secretKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+function normalizeStatus(status) {
+  if (SUCCESS_STATUSES.includes(status)) return 'success';
+  if (FAILED_STATUSES.includes(status)) return 'failed';
+  return 'pending';
+}
+
+module.exports = exports;
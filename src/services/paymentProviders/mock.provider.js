@@ -0,0 +1,343 @@
+/**
+ * Mock Provider
+ * A local stand-in for a payment gateway, for development and tests. Charges
+ * live in memory and settle on their own: a signed webhook is delivered to the
+ * webhook service after a short delay, like a real provider calling back.
+ *
+ * Outcomes default to success (or a random failure at `failureRate`); set
+ * `metadata.mockOutcome` to success, failed or pending to force one, and
+ * `metadata.mockRefundOutcome` to success or failed for refunds. Payouts
+ * settle the same way, or on demand with completeTransfer.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+const OUTCOMES = ['success', 'failed', 'pending'];
+
+// Published in .env.example, so webhooks signed with it prove nothing
+const EXAMPLE_SECRET = 'mock_webhook_secret';
+
+// Charges by payment reference
+const charges = new Map();
+
+// Payouts by payout reference
+const transfers = new Map();
+
+exports.name = 'mock';
+
+exports.currencies = null; // any
+
+exports.methods = null; // any
+
+exports.signatureHeader = 'x-mock-signature';
+
+/**
+ * The mock only runs when explicitly enabled with a secret of its own
+ * @returns {boolean}
+ */
+exports.isEnabled = () => config.payment.mock.enabled && hasOwnSecret();
+
+/**
+ * Throw when the mock is enabled without a secret of its own, since anyone
+ * could then sign webhooks that complete real payments
+ * @throws {Error}
+ */
+exports.assertConfigured = () => {
+  if (config.payment.mock.enabled && !hasOwnSecret()) {
+    throw new Error('PAYMENT_MOCK_ENABLED requires PAYMENT_MOCK_SECRET to be set to a secret of your own');
+  }
+};
+
+/**
+ * Start a checkout; the charge settles by webhook after the configured delay
+ * @param {object} params - See paymentProviders
+ * @returns {Promise<object>} `{ providerRef, checkoutUrl }`
+ */
+exports.initialize = async ({ reference, amount, currency, metadata = {}, redirectUrl }) => {
+  const outcome = OUTCOMES.includes(metadata.mockOutcome)
+    ? metadata.mockOutcome
+    : (Math.random() < config.payment.mock.failureRate ? 'failed' : 'success');
+
+  charges.set(reference, {
+    reference,
+    amount,
+    currency,
+    outcome,
+    refundOutcome: metadata.mockRefundOutcome === 'failed' ? 'failed' : 'success',
+    status: 'pending',
+    transactionId: null,
+    refunds: []
+  });
+
+  scheduleWebhook(() => {
+    const charge = settle(reference);
+    if (charge && charge.status !== 'pending') {
+      return chargeEvent(charge);
+    }
+    return null;
+  });
+
+  const query = new URLSearchParams({ reference, provider: exports.name });
+  return {
+    providerRef: reference,
+    checkoutUrl: `${redirectUrl || `${process.env.CLIENT_URL}/payment/callback`}?${query}`
+  };
+};
+
+/**
+ * Look up a charge; one still pending settles now, as if the buyer just
+ * returned from checkout
+ * @param {string} reference - Payment reference
+ * @returns {Promise<object>} `{ status, transactionId, amount, currency, message }`
+ */
+exports.verify = async (reference) => {
+  const charge = settle(reference);
+
+  if (!charge) {
+    return { status: 'pending', transactionId: null, message: 'Unknown to the mock provider (restarted?)' };
+  }
+
+  return {
+    status: charge.status,
+    transactionId: charge.transactionId,
+    amount: charge.amount,
+    currency: charge.currency,
+    providerStatus: charge.status,
+    message: charge.status === 'failed' ? 'Mock card declined' : `Mock charge ${charge.status}`
+  };
+};
+
+/**
+ * Refund (part of) a charge
+ * With automatic webhooks the refund is pending until its webhook lands;
+ * without them it completes (or fails) right away.
+ * @param {object} params - See paymentProviders
+ * @returns {Promise<object>} `{ refundId, status, amount }`
+ */
+exports.refund = async ({ reference, amount }) => {
+  const charge = charges.get(reference);
+  const refundId = `MOCK-RFD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  const outcome = charge ? charge.refundOutcome : 'success';
+
+  if (charge) {
+    charge.refunds.push({ refundId, amount, outcome });
+  }
+
+  if (!config.payment.mock.autoWebhooks) {
+    if (outcome === 'failed') {
+      throw new Error('Mock refund declined');
+    }
+    return { refundId, status: 'success', amount };
+  }
+
+  scheduleWebhook(() => ({
+    event: outcome === 'failed' ? 'refund.failed' : 'refund.success',
+    data: {
+      reference: refundId,
+      payment_reference: reference,
+      amount,
+      status: outcome,
+      ...(outcome === 'failed' && { message: 'Mock refund declined' })
+    }
+  }));
+
+  return { refundId, status: 'pending', amount };
+};
+
+/**
+ * Send a payout
+ * With automatic webhooks the payout is pending until its webhook lands;
+ * without them it completes (or fails) right away.
+ * @param {object} params - See paymentProviders
+ * @returns {Promise<object>} `{ providerRef, status, message }`
+ */
+exports.payout = async ({ reference, amount, currency }) => {
+  const outcome = Math.random() < config.payment.mock.failureRate ? 'failed' : 'success';
+  const transfer = { reference, amount, currency, outcome, status: 'pending' };
+  transfers.set(reference, transfer);
+
+  if (!config.payment.mock.autoWebhooks) {
+    transfer.status = outcome;
+    return { providerRef: reference, status: outcome, message: transferMessage(transfer) };
+  }
+
+  scheduleWebhook(() => {
+    if (transfer.status !== 'pending') {
+      return null;
+    }
+    transfer.status = transfer.outcome;
+    return transferEvent(transfer);
+  });
+
+  return { providerRef: reference, status: 'pending', message: 'Mock payout queued' };
+};
+
+/**
+ * Check a webhook signature (HMAC SHA256 of the raw body)
+ * @param {object} params
+ * @param {object} params.body - Parsed webhook body
+ * @param {string} [params.rawBody] - Body exactly as received
+ * @param {string} [params.signature] - Signature header
+ * @returns {boolean}
+ */
+exports.verifyWebhook = ({ body, rawBody, signature }) => {
+  if (!signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(rawBody || JSON.stringify(body)));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Read a webhook body (mock events use Kora's event names and data shape)
+ * @param {object} body - Parsed webhook body
+ * @returns {object} `{ eventId, eventType, reference, data }`
+ */
+exports.parseWebhook = (body = {}) => {
+  const data = body.data || {};
+
+  return {
+    eventId: String(body.id || `${body.event}:${data.reference}`),
+    eventType: body.event || 'unknown',
+    reference: data.reference || null,
+    data
+  };
+};
+
+/**
+ * Settle a charge with a given outcome and deliver its webhook now (tests)
+ * @param {string} reference - Payment reference
+ * @param {string} [outcome] - success or failed (defaults to the charge's own)
+ * @returns {Promise<object|null>} WebhookEvent
+ */
+exports.completeCharge = async (reference, outcome) => {
+  const charge = charges.get(reference);
+
+  if (!charge) {
+    return null;
+  }
+
+  if (outcome && charge.status === 'pending') {
+    charge.outcome = outcome;
+  }
+
+  return await deliver(chargeEvent(settle(reference)));
+};
+
+/**
+ * Settle a pending payout with a given outcome and deliver its webhook now (tests)
+ * @param {string} reference - Payout reference
+ * @param {string} [outcome] - success or failed (defaults to the payout's own)
+ * @returns {Promise<object|null>} WebhookEvent
+ */
+exports.completeTransfer = async (reference, outcome) => {
+  const transfer = transfers.get(reference);
+
+  if (!transfer || transfer.status !== 'pending') {
+    return null;
+  }
+
+  transfer.status = outcome || transfer.outcome;
+  return await deliver(transferEvent(transfer));
+};
+
+/**
+ * Forget every charge and payout (tests)
+ */
+exports.reset = () => {
+  charges.clear();
+  transfers.clear();
+};
+
+// Helper functions
+
+function hasOwnSecret() {
+  const { secret } = config.payment.mock;
+  return Boolean(secret) && secret !== EXAMPLE_SECRET;
+}
+
+function settle(reference) {
+  const charge = charges.get(reference);
+
+  if (charge && charge.status === 'pending' && charge.outcome !== 'pending') {
+    charge.status = charge.outcome;
+    if (charge.status === 'success') {
+      charge.transactionId = `MOCK-TXN-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    }
+  }
+
+  return charge;
+}
+
+function chargeEvent(charge) {
+  return {
+    event: charge.status === 'success' ? 'charge.success' : 'charge.failed',
+    data: {
+      reference: charge.reference,
+      payment_reference: charge.transactionId,
+      amount: charge.amount,
+      currency: charge.currency,
+      status: charge.status,
+      ...(charge.status === 'failed' && { message: 'Mock card declined' })
+    }
+  };
+}
+
+function transferEvent(transfer) {
+  return {
+    event: transfer.status === 'success' ? 'transfer.success' : 'transfer.failed',
+    data: {
+      reference: transfer.reference,
+      amount: transfer.amount,
+      currency: transfer.currency,
+      status: transfer.status,
+      message: transferMessage(transfer)
+    }
+  };
+}
+
+function transferMessage(transfer) {
+  return transfer.status === 'failed' ? 'Mock payout rejected by the bank' : `Mock payout ${transfer.status}`;
+}
+
+function sign(rawBody) {
+  return crypto.createHmac('sha256', config.payment.mock.secret).update(rawBody).digest('hex');
+}
+
+function scheduleWebhook(buildEvent) {
+  if (!config.payment.mock.autoWebhooks) {
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    const body = buildEvent();
+    if (body) {
+      deliver(body).catch(error => console.error('Mock webhook delivery failed:', error.message));
+    }
+  }, config.payment.mock.webhookDelayMs);
+
+  // Pending webhooks must not keep the process (or a test run) alive
+  timer.unref();
+}
+
+// Straight into the webhook service, signed like a provider would over HTTP
+async function deliver(body) {
+  // Required here: the webhook service reaches this module through the provider registry
+  const { receiveWebhook } = require('../webhook.service');
+  const rawBody = JSON.stringify(body);
+
+  const { event } = await receiveWebhook({
+    provider: exports.name,
+    body,
+    rawBody,
+    headers: { [exports.signatureHeader]: sign(rawBody) }
+  });
+
+  return event;
+}
+
+module.exports = exports;
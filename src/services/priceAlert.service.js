@@ -0,0 +1,227 @@
+/**
+ * Price Alert Service
+ * Keeps each listing's price history (the listing price, then every change)
+ * and tells users who favorited a vehicle when its price falls by their
+ * chosen percentage, or when it is sold or swapped. A favorite's alertPrice
+ * is the price it was favorited at or last alerted about, so several small
+ * cuts add up to one alert instead of none.
+ */
+
+const prisma = require('../config/prisma');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { getIO, sendNotificationToUser } = require('../config/socket');
+const { sendEmail } = require('./email.service');
+const { PRICE_ALERT } = require('../utils/constants');
+
+// Prisma model, history ID field and client path per listing type
+const LISTING_TYPES = {
+  vehicle: { model: 'vehicle', idField: 'vehicleId', path: 'vehicles' },
+  part: { model: 'part', idField: 'partId', path: 'parts' }
+};
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  notificationEmail: true,
+  notificationPush: true
+};
+
+/**
+ * Record a listing's price change
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {object} params.listing - Listing with its new price and currency
+ * @param {number} params.previousPrice - Price before the change
+ * @param {string} [params.changedById] - User who changed it
+ * @returns {Promise<object>} Price history entry
+ */
+exports.recordPriceChange = async ({ type, listing, previousPrice, changedById }) => {
+  const { idField } = LISTING_TYPES[type];
+
+  return await prisma.priceHistory.create({
+    data: {
+      [idField]: listing.id,
+      price: listing.price,
+      currency: listing.currency,
+      previousPrice,
+      changedById
+    }
+  });
+};
+
+/**
+ * A listing's price history, oldest first, with a summary
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {string} params.id - Listing ID
+ * @returns {Promise<object>} `{ currency, currentPrice, originalPrice, lowestPrice, highestPrice, history }`
+ */
+exports.getPriceHistory = async ({ type, id }) => {
+  const { model, idField } = LISTING_TYPES[type];
+
+  const listing = await prisma[model].findUnique({
+    where: { id },
+    select: { id: true, price: true, currency: true }
+  });
+
+  if (!listing) {
+    throw ApiError.notFound(`${type === 'vehicle' ? 'Vehicle' : 'Part'} not found`);
+  }
+
+  // Newest entries are kept when a listing has been repriced very often
+  const recent = await prisma.priceHistory.findMany({
+    where: { [idField]: id },
+    select: { price: true, currency: true, previousPrice: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: PRICE_ALERT.HISTORY_LIMIT
+  });
+  const history = recent.reverse();
+  const prices = [...history.map(entry => entry.price), listing.price];
+
+  return {
+    currency: listing.currency,
+    currentPrice: listing.price,
+    originalPrice: history.length > 0 ? history[0].price : listing.price,
+    lowestPrice: Math.min(...prices),
+    highestPrice: Math.max(...prices),
+    history
+  };
+};
+
+/**
+ * Alert favoriters whose price-drop threshold a vehicle's new price crosses
+ * Never throws: the price change itself already succeeded.
+ * @param {object} vehicle - Vehicle with its new price
+ * @returns {Promise<number>} Users alerted
+ */
+exports.notifyPriceDrop = async (vehicle) => {
+  try {
+    const favorites = await prisma.favorite.findMany({
+      where: {
+        vehicleId: vehicle.id,
+        userId: { not: vehicle.sellerId },
+        priceDropPercent: { not: null },
+        alertPrice: { gt: vehicle.price }
+      },
+      include: { user: { select: USER_SELECT } }
+    });
+
+    let alerted = 0;
+
+    for (const favorite of favorites) {
+      const { alertPrice } = favorite;
+      const dropPercent = (alertPrice - vehicle.price) / alertPrice * 100;
+      if (dropPercent < favorite.priceDropPercent) {
+        continue;
+      }
+
+      // Move the baseline first so overlapping updates alert once
+      const { count } = await prisma.favorite.updateMany({
+        where: { id: favorite.id, alertPrice },
+        data: { alertPrice: vehicle.price }
+      });
+
+      if (count === 0) {
+        continue;
+      }
+
+      const percent = Math.floor(dropPercent);
+      const url = `${config.clientUrl}/${LISTING_TYPES.vehicle.path}/${vehicle.id}`;
+
+      await alertUser(favorite.user, {
+        type: 'price_drop',
+        title: 'Price Drop',
+        message: `"${vehicle.title}" dropped ${percent}% to ${vehicle.currency} ${vehicle.price} (was ${vehicle.currency} ${alertPrice})`,
+        data: {
+          vehicleId: vehicle.id,
+          price: vehicle.price,
+          previousPrice: alertPrice,
+          currency: vehicle.currency,
+          dropPercent: percent
+        }
+      }, {
+        subject: `Price drop: ${vehicle.title}`,
+        html: `
+          <p>Hi ${escapeHtml(favorite.user.firstName)},</p>
+          <p>The price of <a href="${escapeHtml(url)}">${escapeHtml(vehicle.title)}</a>, one of your favorites, dropped ${percent}%:
+          <strong>${escapeHtml(vehicle.currency)} ${escapeHtml(vehicle.price)}</strong> (was ${escapeHtml(vehicle.currency)} ${escapeHtml(alertPrice)}).</p>
+        `,
+        text: `The price of "${vehicle.title}", one of your favorites, dropped ${percent}% to ${vehicle.currency} ${vehicle.price} (was ${vehicle.currency} ${alertPrice}): ${url}`
+      });
+      alerted++;
+    }
+
+    return alerted;
+  } catch (error) {
+    console.error(`Price drop alerts for vehicle ${vehicle.id} failed:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Tell favoriters a vehicle has been sold or swapped
+ * Never throws: the sale or swap itself already succeeded.
+ * @param {object} params
+ * @param {object} params.vehicle - Vehicle (id, title, sellerId)
+ * @param {string} params.status - sold or swapped
+ * @param {Array<string>} [params.excludeUserIds] - Users who took part (buyer, swap parties)
+ * @returns {Promise<number>} Users told
+ */
+exports.notifyListingSold = async ({ vehicle, status, excludeUserIds = [] }) => {
+  try {
+    const favorites = await prisma.favorite.findMany({
+      where: {
+        vehicleId: vehicle.id,
+        userId: { notIn: [vehicle.sellerId, ...excludeUserIds] }
+      },
+      include: { user: { select: USER_SELECT } }
+    });
+
+    for (const favorite of favorites) {
+      await alertUser(favorite.user, {
+        type: 'listing_sold',
+        title: status === 'swapped' ? 'Favorite Swapped' : 'Favorite Sold',
+        message: `"${vehicle.title}", one of your favorites, has been ${status} and is no longer available`,
+        data: { vehicleId: vehicle.id, status }
+      });
+    }
+
+    return favorites.length;
+  } catch (error) {
+    console.error(`Sold alerts for vehicle ${vehicle.id} failed:`, error.message);
+    return 0;
+  }
+};
+
+// Helper functions
+
+// In-app notification, pushed live and emailed as the user prefers
+async function alertUser(user, data, email) {
+  const notification = await prisma.notification.create({
+    data: { userId: user.id, ...data }
+  });
+
+  const io = getIO();
+  if (user.notificationPush && io) {
+    sendNotificationToUser(io, user.id, notification);
+  }
+
+  if (email && user.notificationEmail) {
+    await sendEmail({ to: user.email, ...email });
+  }
+
+  return notification;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = exports;
@@ -0,0 +1,348 @@
+/**
+ * Reconciliation Service
+ * Catches payments whose webhook never arrived: stale pending payments are
+ * checked with their provider and completed or failed to match, abandoned
+ * ones are cancelled, and recently failed or cancelled payments are checked
+ * for money that landed late. Amount and currency disagreements are flagged
+ * as ReconciliationIssues. Each day gets a ReconciliationReport with the
+ * runs' counters and, the next day, the day's totals for admins.
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { verifyWithProvider } = require('./payment.service');
+const { completePayment, failPayment } = require('./paymentProcessing.service');
+const { cancelUnfundedEscrow } = require('./escrow.service');
+const { reconcileWallets } = require('./wallet.service');
+const { RECONCILIATION } = require('../utils/constants');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Bring one payment in line with its provider
+ * - provider success: complete it (flagging a late success), unless it was
+ *   underpaid or paid in another currency, which fails it and flags an issue
+ * - provider failure: fail it if still pending
+ * - still pending past ABANDON_AFTER_HOURS: cancel it
+ * @param {object} payment - Payment
+ * @param {object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<object>} `{ outcome, issue }`, outcome one of completed, failed, cancelled, unchanged
+ */
+exports.reconcilePayment = async (payment, { now = new Date() } = {}) => {
+  const result = payment.provider ? await verifyWithProvider(payment) : null;
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: { reconciledAt: now }
+  });
+
+  if (result && result.status === 'success') {
+    const mismatch = exports.findMismatch(payment, result);
+    const issue = mismatch
+      ? await exports.flagIssue(payment, mismatch)
+      : payment.status !== 'pending'
+        ? await exports.flagIssue(payment, {
+          type: 'late_success',
+          actualAmount: result.amount,
+          actualCurrency: result.currency,
+          details: `Provider reports success for a ${payment.status} payment`
+        })
+        : null;
+
+    // Never apply a payment the customer only paid part of
+    if (mismatch && mismatch.blocking) {
+      const { applied } = await failPayment({ payment, reason: mismatch.details });
+      return { outcome: applied ? 'failed' : 'unchanged', issue };
+    }
+
+    const { applied } = await completePayment({
+      payment,
+      transactionId: result.transactionId,
+      providerStatus: result.providerStatus,
+      providerMessage: result.message
+    });
+    return { outcome: applied ? 'completed' : 'unchanged', issue };
+  }
+
+  if (result && result.status === 'failed') {
+    const { applied } = await failPayment({ payment, reason: result.message });
+    return { outcome: applied ? 'failed' : 'unchanged', issue: null };
+  }
+
+  if (payment.status === 'pending' && now - new Date(payment.createdAt) >= RECONCILIATION.ABANDON_AFTER_HOURS * HOUR) {
+    const cancelled = await cancelAbandoned(payment);
+    return { outcome: cancelled ? 'cancelled' : 'unchanged', issue: null };
+  }
+
+  return { outcome: 'unchanged', issue: null };
+};
+
+/**
+ * One reconciliation pass (scheduler job)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} Counts
+ */
+exports.runReconciliation = async (now = new Date()) => {
+  const recheckBefore = new Date(now - RECONCILIATION.RECHECK_MINUTES * MINUTE);
+  const lateRecheckBefore = new Date(now - RECONCILIATION.LATE_SUCCESS_RECHECK_HOURS * HOUR);
+
+  const [stale, recent] = await Promise.all([
+    prisma.payment.findMany({
+      where: {
+        status: 'pending',
+        createdAt: { lte: new Date(now - RECONCILIATION.STALE_AFTER_MINUTES * MINUTE) },
+        OR: [{ reconciledAt: null }, { reconciledAt: { lte: recheckBefore } }]
+      },
+      orderBy: { createdAt: 'asc' },
+      take: RECONCILIATION.BATCH_SIZE
+    }),
+    prisma.payment.findMany({
+      where: {
+        status: { in: ['failed', 'cancelled'] },
+        provider: { not: null },
+        updatedAt: { gte: new Date(now - RECONCILIATION.LATE_SUCCESS_LOOKBACK_HOURS * HOUR) },
+        OR: [{ reconciledAt: null }, { reconciledAt: { lte: lateRecheckBefore } }]
+      },
+      orderBy: { updatedAt: 'asc' },
+      take: RECONCILIATION.BATCH_SIZE
+    })
+  ]);
+
+  const counts = { checked: 0, completed: 0, failed: 0, cancelled: 0, flagged: 0, errors: 0 };
+
+  for (const payment of [...stale, ...recent]) {
+    counts.checked += 1;
+    try {
+      const { outcome, issue } = await exports.reconcilePayment(payment, { now });
+      if (counts[outcome] !== undefined) counts[outcome] += 1;
+      if (issue) counts.flagged += 1;
+    } catch (error) {
+      counts.errors += 1;
+      console.error(`Reconciliation of payment ${payment.id} failed:`, error.message);
+    }
+  }
+
+  await prisma.reconciliationReport.upsert({
+    where: { date: formatDate(now) },
+    create: { date: formatDate(now), runs: 1, ...counts },
+    update: {
+      runs: { increment: 1 },
+      ...Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, { increment: value }]))
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Write a day's report: payment totals, payments stuck pending, issues and
+ * the wallet check, then tell the admins
+ * @param {string} date - YYYY-MM-DD (UTC)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} ReconciliationReport
+ */
+exports.generateDailyReport = async (date, now = new Date()) => {
+  const start = new Date(`${date}T00:00:00.000Z`);
+  if (Number.isNaN(start.getTime())) {
+    throw ApiError.badRequest('Date must be YYYY-MM-DD');
+  }
+  const end = new Date(start.getTime() + DAY);
+  const day = { gte: start, lt: end };
+
+  const [byStatus, stuckPending, newIssues, openIssues, wallets] = await Promise.all([
+    prisma.payment.groupBy({
+      by: ['status', 'currency'],
+      where: { createdAt: day },
+      _count: { _all: true },
+      _sum: { amount: true }
+    }),
+    prisma.payment.count({
+      where: { status: 'pending', createdAt: { lte: new Date(now - RECONCILIATION.STALE_AFTER_MINUTES * MINUTE) } }
+    }),
+    prisma.reconciliationIssue.count({ where: { createdAt: day } }),
+    prisma.reconciliationIssue.count({ where: { resolvedAt: null } }),
+    reconcileWallets()
+  ]);
+
+  const payments = {};
+  byStatus.forEach(row => {
+    const status = payments[row.status] || (payments[row.status] = { count: 0, amounts: {} });
+    status.count += row._count._all;
+    status.amounts[row.currency] = round((status.amounts[row.currency] || 0) + (row._sum.amount || 0));
+  });
+
+  const summary = {
+    payments,
+    stuckPending,
+    issues: { new: newIssues, open: openIssues },
+    wallets: { balanced: wallets.balanced, mismatches: wallets.mismatches.length }
+  };
+
+  const report = await prisma.reconciliationReport.upsert({
+    where: { date },
+    create: { date, summary, generatedAt: now },
+    update: { summary, generatedAt: now }
+  });
+
+  await notifyAdmins(report);
+
+  return report;
+};
+
+/**
+ * Generate yesterday's report if it has not been yet (scheduler job)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} `{ generated }` - the report date, or null
+ */
+exports.runDailyReport = async (now = new Date()) => {
+  const date = formatDate(new Date(now - DAY));
+  const existing = await prisma.reconciliationReport.findUnique({
+    where: { date },
+    select: { generatedAt: true }
+  });
+
+  if (existing && existing.generatedAt) {
+    return { generated: null };
+  }
+
+  await exports.generateDailyReport(date, now);
+  return { generated: date };
+};
+
+/**
+ * Mark a flagged issue resolved (admin)
+ * @param {object} params
+ * @param {string} params.issueId - ReconciliationIssue ID
+ * @param {object} params.admin - Admin
+ * @param {string} params.resolution - What was done
+ * @returns {Promise<object>} ReconciliationIssue
+ */
+exports.resolveIssue = async ({ issueId, admin, resolution }) => {
+  const { count } = await prisma.reconciliationIssue.updateMany({
+    where: { id: issueId, resolvedAt: null },
+    data: { resolvedAt: new Date(), resolvedById: admin.id, resolution }
+  });
+
+  if (count === 0) {
+    const issue = await prisma.reconciliationIssue.findUnique({ where: { id: issueId }, select: { id: true } });
+    throw issue ? ApiError.conflict('Issue is already resolved') : ApiError.notFound('Reconciliation issue not found');
+  }
+
+  return await prisma.reconciliationIssue.findUnique({ where: { id: issueId } });
+};
+
+/**
+ * How the amount and currency a provider settled differ from the payment
+ * Blocking mismatches (underpaid, another currency) must not complete it.
+ * @param {object} payment - Payment
+ * @param {object} result - `{ amount, currency }` reported by the provider
+ * @returns {object|null} `{ type, blocking, actualAmount, actualCurrency, details }`
+ */
+exports.findMismatch = (payment, result) => {
+  if (result.currency && result.currency !== payment.currency) {
+    return {
+      type: 'currency_mismatch',
+      blocking: true,
+      actualAmount: result.amount,
+      actualCurrency: result.currency,
+      details: `Paid in ${result.currency}, charged in ${payment.currency}`
+    };
+  }
+
+  if (result.amount != null && Math.abs(result.amount - payment.amount) >= 0.01) {
+    return {
+      type: 'amount_mismatch',
+      blocking: result.amount < payment.amount,
+      actualAmount: result.amount,
+      actualCurrency: result.currency || payment.currency,
+      details: `Paid ${result.amount} of ${payment.amount}`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Flag a payment issue for admins
+ * One issue per payment and type; a repeat sighting updates its figures.
+ * @param {object} payment - Payment
+ * @param {object} issue - `{ type, actualAmount, actualCurrency, details }`
+ * @returns {Promise<object>} ReconciliationIssue
+ */
+exports.flagIssue = async (payment, { type, actualAmount, actualCurrency, details }) => {
+  const data = {
+    actualAmount: actualAmount != null ? actualAmount : null,
+    actualCurrency: actualCurrency || null,
+    details
+  };
+
+  return await prisma.reconciliationIssue.upsert({
+    where: { paymentId_type: { paymentId: payment.id, type } },
+    create: {
+      paymentId: payment.id,
+      type,
+      expectedAmount: payment.amount,
+      expectedCurrency: payment.currency,
+      ...data
+    },
+    update: data
+  });
+};
+
+// Helper functions
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+async function cancelAbandoned(payment) {
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, status: 'pending' },
+    data: { status: 'cancelled', providerMessage: 'Abandoned - no payment received' }
+  });
+
+  if (count && payment.metadata && payment.metadata.type === 'escrow') {
+    await cancelUnfundedEscrow({ id: payment.metadata.escrowId, paymentId: payment.id });
+  }
+
+  return count > 0;
+}
+
+async function notifyAdmins(report) {
+  const admins = await prisma.user.findMany({
+    where: { role: 'admin', accountStatus: 'active' },
+    select: { id: true }
+  });
+
+  if (admins.length === 0) {
+    return;
+  }
+
+  const { summary } = report;
+  const problems = [
+    summary.issues.open && `${summary.issues.open} open issue(s)`,
+    summary.stuckPending && `${summary.stuckPending} payment(s) stuck pending`,
+    !summary.wallets.balanced && 'wallets out of balance'
+  ].filter(Boolean);
+
+  await prisma.notification.createMany({
+    data: admins.map(admin => ({
+      userId: admin.id,
+      type: 'system',
+      title: `Payment Reconciliation ${report.date}`,
+      message: problems.length
+        ? `Reconciliation report ready: ${problems.join(', ')}`
+        : 'Reconciliation report ready: everything matches',
+      data: { reportDate: report.date }
+    }))
+  });
+}
+
+module.exports = exports;
@@ -0,0 +1,441 @@
+/**
+ * Refund Service
+ * Refund requests: requested -> approved/denied -> processing -> refunded/failed.
+ * Approved refunds go to the gateway (escrow payments are refunded out of their
+ * escrow), may be partial, and a payment refunded in full has what it paid for
+ * taken back (featured/boosted listing, subscription).
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { refundWithProvider } = require('./payment.service');
+const { refundEscrow } = require('./escrow.service');
+const { expireSubscription } = require('./subscription.service');
+
+// Requests still on their way to the gateway
+const OPEN_STATUSES = ['requested', 'approved', 'processing'];
+
+// Refund totals are summed as floats; anything within half a cent counts as equal
+const HALF_CENT = 0.005;
+
+/**
+ * How much of a payment can still be refunded
+ * Escrow payments can only get back what their escrow still holds.
+ * @param {object} payment - Payment
+ * @returns {Promise<number>} Amount
+ */
+exports.getRefundableAmount = async (payment) => {
+  let available = payment.amount - (payment.refundedAmount || 0);
+
+  if (isEscrowPayment(payment)) {
+    const escrow = await prisma.escrow.findUnique({
+      where: { paymentId: payment.id },
+      select: { heldAmount: true }
+    });
+    available = escrow ? escrow.heldAmount : 0;
+  }
+
+  const open = await prisma.refundRequest.aggregate({
+    where: { paymentId: payment.id, status: { in: OPEN_STATUSES } },
+    _sum: { amount: true }
+  });
+
+  return round(Math.max(0, available - (open._sum.amount || 0)));
+};
+
+/**
+ * Ask for a refund (user)
+ * @param {object} params
+ * @param {object} params.payment - Payment owned by the user
+ * @param {object} params.user - Requesting user
+ * @param {number} [params.amount] - Partial amount (defaults to everything refundable)
+ * @param {string} [params.reason] - Why
+ * @returns {Promise<object>} RefundRequest
+ */
+exports.requestRefund = async ({ payment, user, amount, reason }) => {
+  if (payment.status !== 'completed') {
+    throw ApiError.badRequest('Only completed payments can be refunded');
+  }
+
+  const open = await prisma.refundRequest.findFirst({
+    where: { paymentId: payment.id, status: { in: OPEN_STATUSES } },
+    select: { id: true, status: true }
+  });
+  if (open) {
+    throw ApiError.conflict(`A refund for this payment is already ${open.status}`);
+  }
+
+  if (isEscrowPayment(payment)) {
+    const escrow = await prisma.escrow.findUnique({
+      where: { paymentId: payment.id },
+      select: { frozenAt: true }
+    });
+    if (escrow && escrow.frozenAt) {
+      throw ApiError.badRequest('Escrow is frozen by an open dispute');
+    }
+  }
+
+  const refundAmount = await resolveAmount(payment, amount);
+
+  return await prisma.refundRequest.create({
+    data: {
+      paymentId: payment.id,
+      userId: user.id,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason
+    }
+  });
+};
+
+/**
+ * Approve or deny a requested refund (admin); approved refunds are processed straight away
+ * @param {object} params
+ * @param {string} params.refundId - RefundRequest ID
+ * @param {object} params.admin - Reviewing admin
+ * @param {boolean} params.approve - Approve or deny
+ * @param {number} [params.amount] - Approve less than requested
+ * @param {string} [params.note] - Note for the user
+ * @returns {Promise<object>} RefundRequest
+ */
+exports.reviewRefund = async ({ refundId, admin, approve, amount, note }) => {
+  const request = await prisma.refundRequest.findUnique({ where: { id: refundId } });
+
+  if (!request) {
+    throw ApiError.notFound('Refund request not found');
+  }
+
+  const approvedAmount = amount ? round(parseFloat(amount)) : request.amount;
+  if (approve && (!(approvedAmount > 0) || approvedAmount > request.amount)) {
+    throw ApiError.badRequest(`Approved amount must be between 0 and ${request.amount}`);
+  }
+
+  const { count } = await prisma.refundRequest.updateMany({
+    where: { id: refundId, status: 'requested' },
+    data: {
+      status: approve ? 'approved' : 'denied',
+      amount: approve ? approvedAmount : request.amount,
+      reviewedById: admin.id,
+      reviewedAt: new Date(),
+      reviewNote: note
+    }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(`Refund request is already ${request.status}`);
+  }
+
+  if (!approve) {
+    await notifyUser(request, 'Refund Denied', `Your refund request was denied${note ? `: ${note}` : ''}`);
+    return await prisma.refundRequest.findUnique({ where: { id: refundId } });
+  }
+
+  return await exports.processRefund(refundId);
+};
+
+/**
+ * Refund a payment directly (admin), skipping the request queue
+ * @param {object} params
+ * @param {object} params.payment - Payment
+ * @param {object} params.admin - Admin
+ * @param {number} [params.amount] - Partial amount
+ * @param {string} [params.reason] - Why
+ * @returns {Promise<object>} RefundRequest
+ */
+exports.refundPaymentNow = async ({ payment, admin, amount, reason }) => {
+  if (payment.status !== 'completed') {
+    throw ApiError.badRequest('Only completed payments can be refunded');
+  }
+
+  const refundAmount = await resolveAmount(payment, amount);
+
+  const request = await prisma.refundRequest.create({
+    data: {
+      paymentId: payment.id,
+      userId: payment.userId,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      status: 'approved',
+      reviewedById: admin.id,
+      reviewedAt: new Date()
+    }
+  });
+
+  return await exports.processRefund(request.id);
+};
+
+/**
+ * Send an approved (or previously failed) refund to the gateway
+ * Synchronous gateway successes are finalized here; asynchronous ones stay
+ * processing until the refund webhook arrives.
+ * @param {string} refundId - RefundRequest ID
+ * @returns {Promise<object>} RefundRequest
+ */
+exports.processRefund = async (refundId) => {
+  const { count } = await prisma.refundRequest.updateMany({
+    where: { id: refundId, status: { in: ['approved', 'failed'] } },
+    data: { status: 'processing', attempts: { increment: 1 }, failureReason: null }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict('Refund is not waiting to be processed');
+  }
+
+  const request = await prisma.refundRequest.findUnique({
+    where: { id: refundId },
+    include: { payment: true }
+  });
+
+  let providerResponse;
+  try {
+    if (isEscrowPayment(request.payment)) {
+      const escrow = await prisma.escrow.findUnique({
+        where: { paymentId: request.paymentId },
+        select: { id: true }
+      });
+      if (!escrow) {
+        throw new Error('Escrow for this payment not found');
+      }
+
+      // Escrow refunds go through the gateway and post to the ledger themselves
+      await refundEscrow({ escrowId: escrow.id, amount: request.amount, reason: request.reason || 'Refund request' });
+      providerResponse = { status: 'success', escrowId: escrow.id };
+    } else {
+      providerResponse = await refundWithProvider({
+        payment: request.payment,
+        amount: request.amount,
+        reason: request.reason
+      });
+    }
+  } catch (error) {
+    return await exports.failRefund({ request, reason: error.message });
+  }
+
+  const providerRefundId = providerResponse.refundId || null;
+  await prisma.refundRequest.update({
+    where: { id: refundId },
+    data: { providerRefundId, providerResponse }
+  });
+
+  if (providerResponse.status === 'success') {
+    return await exports.finalizeRefund({ request: { ...request, providerRefundId } });
+  }
+
+  if (providerResponse.status === 'failed') {
+    return await exports.failRefund({ request, reason: 'Refund declined by the payment provider' });
+  }
+
+  return await prisma.refundRequest.findUnique({ where: { id: refundId } });
+};
+
+/**
+ * Mark a processing refund refunded, update the payment and undo what it paid for
+ * @param {object} params
+ * @param {object} params.request - RefundRequest (with payment)
+ * @returns {Promise<object>} RefundRequest
+ */
+exports.finalizeRefund = async ({ request }) => {
+  const { count } = await prisma.refundRequest.updateMany({
+    where: { id: request.id, status: 'processing' },
+    data: { status: 'refunded', refundedAt: new Date() }
+  });
+
+  if (count === 0) {
+    return await prisma.refundRequest.findUnique({ where: { id: request.id } });
+  }
+
+  const payment = await addRefundToPayment(request.payment, request.amount);
+
+  let reversal = null;
+  if (payment.status === 'refunded') {
+    reversal = await reverseSideEffect(payment);
+  }
+
+  await notifyUser(
+    request,
+    'Refund Completed',
+    `${request.currency} ${request.amount} has been refunded to you`
+  );
+
+  if (reversal) {
+    return await prisma.refundRequest.update({
+      where: { id: request.id },
+      data: { reversal }
+    });
+  }
+
+  return await prisma.refundRequest.findUnique({ where: { id: request.id } });
+};
+
+/**
+ * Mark a processing refund failed; an admin can retry it
+ * @param {object} params
+ * @param {object} params.request - RefundRequest
+ * @param {string} params.reason - Failure reason
+ * @returns {Promise<object>} RefundRequest
+ */
+exports.failRefund = async ({ request, reason }) => {
+  await prisma.refundRequest.updateMany({
+    where: { id: request.id, status: 'processing' },
+    data: { status: 'failed', failureReason: reason }
+  });
+
+  await notifyUser(
+    request,
+    'Refund Delayed',
+    `We could not complete your refund of ${request.currency} ${request.amount} yet - our team will retry it`
+  );
+
+  return await prisma.refundRequest.findUnique({ where: { id: request.id } });
+};
+
+/**
+ * Apply a refund webhook to its payment
+ * Matches a processing (or already finalized) refund request first; refunds
+ * started outside the platform are recorded against the payment directly.
+ * @param {object} params
+ * @param {object} params.payment - Payment
+ * @param {object} params.data - Webhook data
+ * @param {boolean} [params.failed] - The provider reports the refund failed
+ * @returns {Promise<object>} `{ payment, applied }`
+ */
+exports.applyRefundWebhook = async ({ payment, data = {}, failed = false }) => {
+  const refs = [data.refund_reference, data.refundId, data.reference].filter(Boolean);
+
+  const request = (refs.length && await prisma.refundRequest.findFirst({
+    where: { paymentId: payment.id, providerRefundId: { in: refs } },
+    include: { payment: true }
+  })) || await prisma.refundRequest.findFirst({
+    where: { paymentId: payment.id, status: 'processing' },
+    orderBy: { createdAt: 'asc' },
+    include: { payment: true }
+  });
+
+  if (request) {
+    if (request.status !== 'processing') {
+      return { payment, applied: false };
+    }
+
+    if (failed) {
+      await exports.failRefund({ request, reason: data.message || 'Refund failed at the provider' });
+    } else {
+      await exports.finalizeRefund({ request });
+    }
+
+    return { payment: await prisma.payment.findUnique({ where: { id: payment.id } }), applied: true };
+  }
+
+  // Escrow refunds are posted to the escrow ledger when they are sent
+  if (failed || payment.status !== 'completed' || isEscrowPayment(payment)) {
+    return { payment, applied: false };
+  }
+
+  const remaining = round(payment.amount - (payment.refundedAmount || 0));
+  const amount = Math.min(parseFloat(data.amount) || remaining, remaining);
+  const updated = await addRefundToPayment(payment, amount, { providerRefund: data });
+
+  if (updated.status === 'refunded') {
+    await reverseSideEffect(updated);
+  }
+
+  return { payment: updated, applied: true };
+};
+
+// Helper functions
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function isEscrowPayment(payment) {
+  return Boolean(payment.metadata && payment.metadata.type === 'escrow');
+}
+
+async function resolveAmount(payment, amount) {
+  const refundable = await exports.getRefundableAmount(payment);
+  const refundAmount = amount ? round(parseFloat(amount)) : refundable;
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw ApiError.badRequest(`Refund amount must be between 0 and ${refundable} ${payment.currency}`);
+  }
+
+  return refundAmount;
+}
+
+// Add to the payment's refunded total in one conditional update, so
+// concurrent refunds can't take it past the amount paid (which never changes)
+async function addRefundToPayment(payment, amount, metadata = {}) {
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, refundedAmount: { lte: payment.amount - amount + HALF_CENT } },
+    data: { refundedAmount: { increment: amount } }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(`Refund of ${payment.currency} ${amount} is more than is left to refund`);
+  }
+
+  await prisma.payment.updateMany({
+    where: { id: payment.id, refundedAmount: { gte: payment.amount - HALF_CENT }, status: { not: 'refunded' } },
+    data: { status: 'refunded' }
+  });
+
+  const current = await prisma.payment.findUnique({ where: { id: payment.id } });
+
+  return await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      metadata: {
+        ...(current.metadata || {}),
+        ...metadata,
+        refundedAt: new Date()
+      }
+    }
+  });
+}
+
+// Take back what a fully refunded payment paid for
+async function reverseSideEffect(payment) {
+  const metadata = payment.metadata || {};
+
+  switch (metadata.type) {
+    case 'feature_listing':
+      await prisma.vehicle.updateMany({
+        where: { id: metadata.listingId },
+        data: { isFeatured: false, featuredUntil: null }
+      });
+      return { type: 'feature_listing', listingId: metadata.listingId, unfeatured: true };
+    case 'boost_ad':
+      await prisma.vehicle.updateMany({
+        where: { id: metadata.adId },
+        data: { isBoosted: false, boostedUntil: null }
+      });
+      return { type: 'boost_ad', adId: metadata.adId, unboosted: true };
+    case 'subscription':
+      await expireSubscription({ userId: payment.userId });
+      return { type: 'subscription', plan: metadata.plan, downgradedTo: 'free' };
+    case 'escrow':
+      // The funds came back out of the escrow itself
+      return { type: 'escrow', escrowId: metadata.escrowId, refundedFromEscrow: true };
+    default:
+      return null;
+  }
+}
+
+async function notifyUser(request, title, message) {
+  await prisma.notification.create({
+    data: {
+      userId: request.userId,
+      type: 'system',
+      title,
+      message,
+      data: {
+        refundId: request.id,
+        paymentId: request.paymentId,
+        amount: request.amount
+      }
+    }
+  });
+}
+
+module.exports = exports;
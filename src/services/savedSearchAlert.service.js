@@ -0,0 +1,298 @@
+/**
+ * Saved Search Alert Service
+ * Tells users about new listings matching their saved searches. Each search's
+ * criteria go through the same filter builder as the listing endpoints; every
+ * match is recorded once (SavedSearchMatch) so no listing is sent twice.
+ * Instant searches are alerted when a listing is published and on each sweep;
+ * daily and weekly ones collect matches into a digest. Alerts go in-app, and
+ * by email and real-time push when the user has those turned on.
+ */
+
+const prisma = require('../config/prisma');
+const config = require('../config/config');
+const { getIO, sendNotificationToUser } = require('../config/socket');
+const { sendEmail } = require('./email.service');
+const { buildListingFilter } = require('./search.service');
+const { isSupported } = require('./currency.service');
+const { SAVED_SEARCH, CURRENCY, LISTING_STATUS } = require('../utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const ALERT_TITLES = {
+  instant: 'New Match for Your Saved Search',
+  daily: 'Daily Saved Search Digest',
+  weekly: 'Weekly Saved Search Digest'
+};
+
+// Prisma model and client path per listing type
+const LISTING_TYPES = {
+  vehicle: { model: 'vehicle', path: 'vehicles' },
+  part: { model: 'part', path: 'parts' }
+};
+
+const USER_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  currency: true,
+  notificationEmail: true,
+  notificationPush: true
+};
+
+/**
+ * Match a just-published listing against saved searches (listing hook)
+ * Never throws: the listing is already live, and the next sweep picks up
+ * anything missed here.
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {object} params.listing - Published listing
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<number>} Saved searches the listing matched
+ */
+exports.notifySavedSearches = async ({ type, listing, now = new Date() }) => {
+  try {
+    if (listing.status !== LISTING_STATUS.ACTIVE) {
+      return 0;
+    }
+
+    let matched = 0;
+    let cursor;
+
+    do {
+      const searches = await prisma.savedSearch.findMany({
+        where: {
+          notifyOnNewListings: true,
+          listingType: type,
+          userId: { not: listing.sellerId }
+        },
+        include: { user: { select: USER_SELECT } },
+        orderBy: { id: 'asc' },
+        take: SAVED_SEARCH.BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      for (const search of searches) {
+        // One broken search must not hold up the others
+        try {
+          const ids = await matchSearch(search, { id: listing.id });
+          if (ids.length === 0) {
+            continue;
+          }
+
+          await recordMatches(search, ids);
+          matched++;
+
+          if (search.frequency === 'instant') {
+            await deliver(search, now);
+          }
+        } catch (error) {
+          console.error(`Saved search ${search.id} failed on ${type} ${listing.id}:`, error.message);
+        }
+      }
+
+      cursor = searches.length === SAVED_SEARCH.BATCH_SIZE ? searches[searches.length - 1].id : null;
+    } while (cursor);
+
+    return matched;
+  } catch (error) {
+    console.error(`Saved search alerts for ${type} ${listing.id} failed:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Match listings published since each search was last checked, then send the
+ * alerts and digests that are due (scheduler job)
+ * A search that fails is logged and still marked checked, so it can't keep
+ * the searches behind it from ever being reached.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} `{ checked, matched, notified, failed }`
+ */
+exports.runSavedSearchAlerts = async (now = new Date()) => {
+  const searches = await prisma.savedSearch.findMany({
+    where: { notifyOnNewListings: true },
+    include: { user: { select: USER_SELECT } },
+    orderBy: { lastCheckedAt: { sort: 'asc', nulls: 'first' } },
+    take: SAVED_SEARCH.BATCH_SIZE
+  });
+
+  let matched = 0;
+  let notified = 0;
+  let failed = 0;
+
+  for (const search of searches) {
+    try {
+      const since = search.lastCheckedAt || search.createdAt;
+      const ids = await matchSearch(search, { createdAt: { gt: since, lte: now } });
+
+      if (ids.length > 0) {
+        matched += await recordMatches(search, ids);
+      }
+    } catch (error) {
+      console.error(`Saved search ${search.id} failed:`, error.message);
+      failed++;
+    }
+
+    await prisma.savedSearch.update({
+      where: { id: search.id },
+      data: { lastCheckedAt: now }
+    });
+
+    try {
+      if (isDue(search, now) && await deliver(search, now)) {
+        notified++;
+      }
+    } catch (error) {
+      console.error(`Saved search ${search.id} alert failed:`, error.message);
+    }
+  }
+
+  return { checked: searches.length, matched, notified, failed };
+};
+
+// Helper functions
+
+// IDs of the search's listings (newest first) also meeting `scope`;
+// a user's own listings never match
+async function matchSearch(search, scope) {
+  const type = search.listingType;
+  const criteria = search.criteria || {};
+  const requested = criteria.currency && String(criteria.currency).toUpperCase();
+  const currency = isSupported(requested)
+    ? requested
+    : isSupported(search.user.currency) ? search.user.currency : CURRENCY.BASE;
+
+  const { where } = await buildListingFilter({
+    type,
+    criteria,
+    currency,
+    ids: scope.id ? [scope.id] : undefined
+  });
+
+  const listings = await prisma[LISTING_TYPES[type].model].findMany({
+    where: { AND: [where, scope, { sellerId: { not: search.userId } }] },
+    select: { id: true },
+    orderBy: { createdAt: 'desc' },
+    take: SAVED_SEARCH.MAX_MATCHES_PER_CHECK
+  });
+
+  return listings.map(listing => listing.id);
+}
+
+// Already-recorded matches are skipped
+async function recordMatches(search, ids) {
+  const { count } = await prisma.savedSearchMatch.createMany({
+    data: ids.map(listingId => ({
+      savedSearchId: search.id,
+      listingType: search.listingType,
+      listingId
+    })),
+    skipDuplicates: true
+  });
+
+  return count;
+}
+
+function isDue(search, now) {
+  if (search.frequency === 'instant') {
+    return true;
+  }
+
+  const last = search.lastNotifiedAt || search.createdAt;
+  return now.getTime() - last.getTime() >= SAVED_SEARCH.DIGEST_PERIOD_HOURS[search.frequency] * HOUR_MS;
+}
+
+// Send the search's unsent matches as one alert; false if there were none
+async function deliver(search, now) {
+  const { model, path } = LISTING_TYPES[search.listingType];
+
+  // Claim the unsent matches so a concurrent run can't send them again
+  const { count } = await prisma.savedSearchMatch.updateMany({
+    where: { savedSearchId: search.id, notifiedAt: null },
+    data: { notifiedAt: now }
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  const claimed = await prisma.savedSearchMatch.findMany({
+    where: { savedSearchId: search.id, notifiedAt: now },
+    select: { listingId: true }
+  });
+
+  // Listings sold or withdrawn since they matched are left out
+  const listings = await prisma[model].findMany({
+    where: { id: { in: claimed.map(match => match.listingId) }, status: LISTING_STATUS.ACTIVE },
+    select: { id: true, title: true, price: true, currency: true },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (listings.length === 0) {
+    return false;
+  }
+
+  const { user } = search;
+  const label = listings.length === 1 ? 'new listing matches' : 'new listings match';
+  const shown = listings.slice(0, SAVED_SEARCH.ALERT_LISTINGS);
+  const more = listings.length - shown.length;
+  const links = shown.map(listing => ({ ...listing, url: `${config.clientUrl}/${path}/${listing.id}` }));
+
+  const notification = await prisma.notification.create({
+    data: {
+      userId: user.id,
+      type: 'saved_search_match',
+      title: ALERT_TITLES[search.frequency],
+      message: `${listings.length} ${label} "${search.name}": ${shown.map(listing => listing.title).join(', ')}${more > 0 ? ` and ${more} more` : ''}`,
+      data: {
+        savedSearchId: search.id,
+        listingType: search.listingType,
+        listingIds: listings.map(listing => listing.id),
+        count: listings.length
+      }
+    }
+  });
+
+  const io = getIO();
+  if (user.notificationPush && io) {
+    sendNotificationToUser(io, user.id, notification);
+  }
+
+  if (user.notificationEmail) {
+    await sendEmail({
+      to: user.email,
+      subject: `${listings.length} ${label} "${search.name}"`,
+      html: `
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>${listings.length} ${label} your saved search <strong>${escapeHtml(search.name)}</strong>:</p>
+        <ul>
+          ${links.map(listing => `<li><a href="${escapeHtml(listing.url)}">${escapeHtml(listing.title)}</a> &middot; ${escapeHtml(listing.currency)} ${escapeHtml(listing.price)}</li>`).join('\n          ')}
+        </ul>
+        ${more > 0 ? `<p>And ${more} more.</p>` : ''}
+      `,
+      text: [
+        `${listings.length} ${label} your saved search "${search.name}":`,
+        ...links.map(listing => `- ${listing.title} (${listing.currency} ${listing.price}): ${listing.url}`),
+        ...(more > 0 ? [`And ${more} more.`] : [])
+      ].join('\n')
+    });
+  }
+
+  await prisma.savedSearch.update({
+    where: { id: search.id },
+    data: { lastNotifiedAt: now }
+  });
+
+  return true;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = exports;
@@ -0,0 +1,299 @@
+/**
+ * Search Service
+ * Full-text search over active vehicle and part listings. Each listing keeps
+ * a weighted tsvector (make/model or part name first, then title, specs and
+ * description) maintained by a database trigger. Queries are expanded with
+ * synonyms (src/data/search-synonyms.json) and with the closest known make,
+ * model, part name or brand for misspelled words (pg_trgm), then ranked.
+ * Facet counts describe the listings a query matched.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/prisma');
+const synonyms = require('../data/search-synonyms.json');
+const { getRates, convert, getBasePriceFilter } = require('./currency.service');
+const { SEARCH, CURRENCY, LISTING_STATUS } = require('../utils/constants');
+
+// Table, Prisma model, spell-checked columns and facets per listing type
+const LISTING_TYPES = {
+  vehicle: {
+    table: 'Vehicle',
+    model: 'vehicle',
+    vocabulary: ['make', 'model'],
+    facets: { top: ['make'], all: ['bodyType', 'fuelType'], years: true }
+  },
+  part: {
+    table: 'Part',
+    model: 'part',
+    vocabulary: ['partName', 'brand'],
+    facets: { top: ['brand'], all: ['category', 'condition'], years: false }
+  }
+};
+
+/**
+ * Split a search into words, each with its synonyms
+ * @param {string} text - What the user typed
+ * @returns {Array<object>} `[{ word, alternatives }]`
+ */
+exports.parseQuery = (text) => {
+  const words = String(text || '')
+    .slice(0, SEARCH.MAX_QUERY_LENGTH)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  return [...new Set(words)]
+    .slice(0, SEARCH.MAX_TERMS)
+    .map(word => ({ word, alternatives: [word, ...(synonyms[word] || [])] }));
+};
+
+/**
+ * Active listings matching a search, best first
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {string} params.text - What the user typed
+ * @param {Array<string>} [params.ids] - Only consider these listings
+ * @returns {Promise<object>} `{ ids, suggestion }`; suggestion is the spell-corrected search, if any word was corrected
+ */
+exports.matchListings = async ({ type, text, ids }) => {
+  const { table } = LISTING_TYPES[type];
+  const terms = exports.parseQuery(text);
+
+  if (terms.length === 0) {
+    return { ids: [], suggestion: null };
+  }
+
+  const corrections = await findCorrections(type, terms.map(term => term.word));
+  terms.forEach(term => {
+    const correction = corrections.get(term.word);
+    if (correction && !term.alternatives.includes(correction)) {
+      term.alternatives.push(correction);
+    }
+  });
+
+  // Every word must match, through itself, a synonym or its correction
+  const query = Prisma.join(
+    terms.map(term => Prisma.sql`(${Prisma.join(
+      term.alternatives.map(alternative => Prisma.sql`phraseto_tsquery('english', ${alternative})`),
+      ' || '
+    )})`),
+    ' && '
+  );
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id"
+    FROM ${Prisma.raw(`"${table}"`)}, (SELECT ${query} AS "query") AS "search"
+    WHERE "status"::text = ${LISTING_STATUS.ACTIVE} AND "searchVector" @@ "search"."query"
+      ${ids ? Prisma.sql`AND "id" = ANY(${ids}::text[])` : Prisma.empty}
+    ORDER BY ts_rank_cd("searchVector", "search"."query", 32) DESC, "createdAt" DESC
+    LIMIT ${SEARCH.MAX_MATCHES}
+  `;
+
+  const suggestion = corrections.size > 0
+    ? terms.map(term => corrections.get(term.word) || term.word).join(' ')
+    : null;
+
+  return { ids: rows.map(row => row.id), suggestion };
+};
+
+/**
+ * Prisma filter for active listings from listing query parameters, shared by
+ * the listing endpoints and saved-search alerts
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {object} params.criteria - Query parameters (search, make, minPrice, ...)
+ * @param {string} params.currency - Currency minPrice/maxPrice are in
+ * @param {Array<string>} [params.ids] - Only consider these listings for the text search
+ * @returns {Promise<object>} `{ where, match }`; match is the text search result, if any
+ */
+exports.buildListingFilter = async ({ type, criteria = {}, currency, ids }) => {
+  const {
+    search,
+    minPrice,
+    maxPrice,
+    condition,
+    city,
+    region,
+    country,
+    openToSwap
+  } = criteria;
+
+  const where = {
+    status: LISTING_STATUS.ACTIVE
+  };
+
+  // Full-text matches, best first (with a spelling suggestion if corrected)
+  const match = search ? await exports.matchListings({ type, text: search, ids }) : null;
+  if (match) where.id = { in: match.ids };
+
+  if (type === 'vehicle') {
+    const { make, model, minYear, maxYear, bodyType, transmission, fuelType } = criteria;
+    if (make) where.make = { equals: make, mode: 'insensitive' };
+    if (model) where.model = { equals: model, mode: 'insensitive' };
+    if (minYear) where.year = { ...where.year, gte: parseInt(minYear) };
+    if (maxYear) where.year = { ...where.year, lte: parseInt(maxYear) };
+    if (bodyType) where.bodyType = bodyType;
+    if (transmission) where.transmission = transmission;
+    if (fuelType) where.fuelType = fuelType;
+  } else {
+    const { category, inStock, partNumber, brand } = criteria;
+    if (category) where.category = category;
+    if (inStock) where.inStock = String(inStock) === 'true';
+    if (partNumber) where.partNumber = { contains: partNumber, mode: 'insensitive' };
+    if (brand) where.brand = { equals: brand, mode: 'insensitive' };
+  }
+
+  // Price bounds are in the display currency; listings compare in the base currency
+  const priceBase = await getBasePriceFilter({ minPrice, maxPrice, currency });
+  if (priceBase) where.priceBase = priceBase;
+  if (condition) where.condition = condition;
+  if (city) where.city = { equals: city, mode: 'insensitive' };
+  if (region) where.region = { equals: region, mode: 'insensitive' };
+  if (country) where.country = { equals: country, mode: 'insensitive' };
+  if (openToSwap) where.openToSwap = String(openToSwap) === 'true';
+
+  return { where, match };
+};
+
+/**
+ * A page of matched listings in rank order, narrowed by other filters
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {object} params.where - Prisma filter (already limited to `ids`)
+ * @param {Array<string>} params.ids - Matched IDs, best first
+ * @param {number} params.skip - Offset
+ * @param {number} params.take - Page size
+ * @param {object} [params.include] - Prisma include for the page
+ * @returns {Promise<object>} `{ listings, total }`
+ */
+exports.findRanked = async ({ type, where, ids, skip, take, include }) => {
+  const { model } = LISTING_TYPES[type];
+  const filtered = await prisma[model].findMany({ where, select: { id: true } });
+  const allowed = new Set(filtered.map(row => row.id));
+  const pageIds = ids.filter(id => allowed.has(id)).slice(skip, skip + take);
+
+  const rows = await prisma[model].findMany({ where: { id: { in: pageIds } }, include });
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  return {
+    listings: pageIds.filter(id => byId.has(id)).map(id => byId.get(id)),
+    total: allowed.size
+  };
+};
+
+/**
+ * Facet counts for the listings a filter matches
+ * @param {object} params
+ * @param {string} params.type - vehicle or part
+ * @param {object} params.where - Prisma filter
+ * @param {string} params.currency - Currency to express price buckets in
+ * @returns {Promise<object>} `{ <field>: [{ value, count }], price: [{ min, max, currency, count }], year?: [{ min, max, count }] }`
+ */
+exports.getFacets = async ({ type, where, currency }) => {
+  const { model, facets } = LISTING_TYPES[type];
+
+  // Listings without a value are left out (one extra row covers that group)
+  const countField = async (field, limit) => {
+    const groups = await prisma[model].groupBy({
+      by: [field],
+      where,
+      _count: { _all: true },
+      orderBy: { _count: { [field]: 'desc' } },
+      ...(limit && { take: limit + 1 })
+    });
+    return groups
+      .filter(group => group[field] !== null)
+      .slice(0, limit || undefined)
+      .map(group => ({ value: group[field], count: group._count._all }));
+  };
+
+  const countRange = (field, { min, max }) => prisma[model].count({
+    where: {
+      AND: [where, {
+        [field]: {
+          ...(min != null && { gte: min }),
+          ...(max != null && { [field === 'priceBase' ? 'lt' : 'lte']: max })
+        }
+      }]
+    }
+  });
+
+  const bounds = SEARCH.PRICE_BUCKETS[type];
+  const priceRanges = bounds.map((min, i) => ({ min, max: bounds[i + 1] }));
+
+  const [top, all, priceCounts, yearCounts, rates] = await Promise.all([
+    Promise.all(facets.top.map(field => countField(field, SEARCH.FACET_LIMIT))),
+    Promise.all(facets.all.map(field => countField(field))),
+    Promise.all(priceRanges.map(range => countRange('priceBase', range))),
+    facets.years ? Promise.all(SEARCH.YEAR_RANGES.map(range => countRange('year', range))) : [],
+    getRates()
+  ]);
+
+  const inCurrency = amount => {
+    if (amount == null) return null;
+    const converted = convert(amount, CURRENCY.BASE, currency, rates);
+    return converted == null ? null : Math.round(converted);
+  };
+
+  const result = {};
+  facets.top.forEach((field, i) => { result[field] = top[i]; });
+  facets.all.forEach((field, i) => { result[field] = all[i]; });
+  result.price = priceRanges.map((range, i) => ({
+    min: inCurrency(range.min),
+    max: inCurrency(range.max),
+    currency,
+    count: priceCounts[i]
+  }));
+  if (facets.years) {
+    result.year = SEARCH.YEAR_RANGES.map((range, i) => ({
+      min: range.min || null,
+      max: range.max || null,
+      count: yearCounts[i]
+    }));
+  }
+
+  return result;
+};
+
+// Helper functions
+
+// Closest make/model (or part name/brand) per word, where it is not one already;
+// words with synonyms and numbers are left alone
+async function findCorrections(type, words) {
+  const { table, vocabulary } = LISTING_TYPES[type];
+  const candidates = words.filter(word =>
+    word.length >= SEARCH.MIN_FUZZY_LENGTH && !/^\d+$/.test(word) && !synonyms[word]
+  );
+
+  if (candidates.length === 0) {
+    return new Map();
+  }
+
+  const known = Prisma.join(
+    vocabulary.map(column => Prisma.sql`
+      SELECT lower(${Prisma.raw(`"${column}"`)}) AS "word"
+      FROM ${Prisma.raw(`"${table}"`)}
+      WHERE ${Prisma.raw(`"${column}"`)} % "words"."word"
+    `),
+    ' UNION '
+  );
+
+  const rows = await prisma.$queryRaw`
+    SELECT "words"."word" AS "word", "closest"."word" AS "correction"
+    FROM unnest(${candidates}::text[]) AS "words"("word")
+    CROSS JOIN LATERAL (
+      SELECT "known"."word"
+      FROM (${known}) AS "known"
+      ORDER BY similarity("known"."word", "words"."word") DESC
+      LIMIT 1
+    ) AS "closest"
+  `;
+
+  return new Map(rows
+    .filter(row => row.correction && row.correction !== row.word)
+    .map(row => [row.word, row.correction]));
+}
+
+module.exports = exports;
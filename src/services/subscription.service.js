@@ -0,0 +1,743 @@
+/**
+ * Subscription Service
+ * Plan catalogue, checkout with proration, downgrades and cancellation at the
+ * end of the period, and the renewal cycle:
+ * renewal invoice -> past_due with a grace period -> expired.
+ * The gateway cannot charge a saved card, so every charge is an invoice the
+ * user pays through a regular Payment; paying it is what activates or renews.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { SUBSCRIPTION } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions that currently grant their plan
+const PAID_STATUSES = ['active', 'past_due'];
+
+// Invoices that can still be paid
+const PAYABLE_STATUSES = ['open', 'failed'];
+
+/**
+ * Get a plan from the catalogue
+ * @param {string} plan - Plan ID (free, basic, premium, enterprise)
+ * @returns {object} Plan with its ID
+ */
+exports.getPlan = (plan) => {
+  const details = SUBSCRIPTION.PLANS[plan];
+  if (!details) {
+    throw ApiError.badRequest('Invalid subscription plan');
+  }
+
+  return { id: plan, ...details };
+};
+
+/**
+ * Get the plan catalogue
+ * @returns {Array} Plans, cheapest first
+ */
+exports.getPlans = () => {
+  return Object.keys(SUBSCRIPTION.PLANS)
+    .map(exports.getPlan)
+    .sort((a, b) => a.rank - b.rank);
+};
+
+/**
+ * Add one billing interval to a date, keeping the day of month where it exists
+ * (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - Start
+ * @param {string} interval - month or year
+ * @returns {Date} End
+ */
+exports.addInterval = (date, interval) => {
+  const end = new Date(date);
+  const day = end.getUTCDate();
+
+  end.setUTCDate(1);
+  if (interval === 'year') {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  } else {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  }
+
+  const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+  end.setUTCDate(Math.min(day, lastDay));
+
+  return end;
+};
+
+/**
+ * What an upgrade costs now
+ * Unused time on the current plan is credited. Same interval: the new plan is
+ * charged for the rest of the current period. Different interval: a new period
+ * starts now at the full price, less the credit.
+ * @param {object} subscription - Current subscription
+ * @param {string} plan - Target plan
+ * @param {Date} [now]
+ * @returns {object} `{ amount, credit, periodStart, periodEnd }`
+ */
+exports.getProration = (subscription, plan, now = new Date()) => {
+  const current = exports.getPlan(subscription.plan);
+  const target = exports.getPlan(plan);
+
+  const start = new Date(subscription.currentPeriodStart).getTime();
+  const end = new Date(subscription.currentPeriodEnd).getTime();
+  const remaining = end > start
+    ? Math.min(1, Math.max(0, (end - now.getTime()) / (end - start)))
+    : 0;
+
+  const credit = round(current.price * remaining);
+
+  if (target.interval === subscription.interval) {
+    return {
+      amount: round(Math.max(0, target.price * remaining - credit)),
+      credit,
+      periodStart: subscription.currentPeriodStart,
+      periodEnd: subscription.currentPeriodEnd
+    };
+  }
+
+  return {
+    amount: round(Math.max(0, target.price - credit)),
+    credit,
+    periodStart: now,
+    periodEnd: exports.addInterval(now, target.interval)
+  };
+};
+
+/**
+ * Get a user's subscription with its unpaid invoices
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} Subscription
+ */
+exports.getSubscription = async (userId) => {
+  return await prisma.subscription.findUnique({
+    where: { userId },
+    include: {
+      invoices: {
+        where: { status: { in: PAYABLE_STATUSES } },
+        orderBy: { createdAt: 'desc' }
+      }
+    }
+  });
+};
+
+/**
+ * Move a user to another plan
+ * No paid plan: checkout for a new period. Upgrade: checkout for the prorated
+ * difference, applied once paid. Downgrade: scheduled for the end of the
+ * period (to free = cancel). Same plan: undoes a scheduled change.
+ * @param {object} params
+ * @param {object} params.user - User
+ * @param {string} params.plan - Target plan
+ * @param {Date} [params.now]
+ * @returns {Promise<object>} `{ action, subscription, invoice, payment }`
+ */
+exports.changePlan = async ({ user, plan, now = new Date() }) => {
+  const target = exports.getPlan(plan);
+  const subscription = await prisma.subscription.findUnique({ where: { userId: user.id } });
+  const current = subscription && PAID_STATUSES.includes(subscription.status) ? subscription : null;
+
+  if (!current) {
+    if (plan === 'free') {
+      throw ApiError.badRequest('You are already on the free plan');
+    }
+
+    const checkout = await createCheckout({
+      user,
+      subscription,
+      type: 'new',
+      plan,
+      amount: target.price,
+      periodStart: now,
+      periodEnd: exports.addInterval(now, target.interval)
+    });
+    return { action: 'checkout', subscription, ...checkout };
+  }
+
+  if (current.status === 'past_due') {
+    throw ApiError.badRequest('Pay your overdue renewal invoice before changing plans');
+  }
+
+  const currentPlan = exports.getPlan(current.plan);
+
+  if (plan === current.plan) {
+    if (!current.cancelAtPeriodEnd && !current.pendingPlan) {
+      throw ApiError.conflict(`You are already on the ${currentPlan.name} plan`);
+    }
+    return { action: 'resumed', subscription: await exports.resumeSubscription({ user }) };
+  }
+
+  if (plan === 'free') {
+    return { action: 'cancelled', subscription: await exports.cancelSubscription({ user, now }) };
+  }
+
+  if (target.rank < currentPlan.rank) {
+    // The renewal invoice (if already issued) was for the old plan
+    await voidInvoices({ subscriptionId: current.id, type: 'renewal' });
+
+    const updated = await prisma.subscription.update({
+      where: { id: current.id },
+      data: { pendingPlan: plan, cancelAtPeriodEnd: false, cancelledAt: null }
+    });
+
+    await notify(user.id, 'Plan Change Scheduled', `You will move to the ${target.name} plan on ${formatDate(current.currentPeriodEnd)}`, {
+      subscriptionId: current.id,
+      plan
+    });
+
+    return { action: 'scheduled', subscription: updated };
+  }
+
+  const proration = exports.getProration(current, plan, now);
+  await voidInvoices({ subscriptionId: current.id, type: 'renewal' });
+
+  const checkout = await createCheckout({
+    user,
+    subscription: current,
+    type: 'proration',
+    plan,
+    ...proration
+  });
+  return { action: 'checkout', subscription: current, ...checkout };
+};
+
+/**
+ * Cancel at the end of the current period
+ * A past_due subscription has nothing left to wait for and ends now.
+ * @param {object} params
+ * @param {object} params.user - User
+ * @param {Date} [params.now]
+ * @returns {Promise<object>} Subscription
+ */
+exports.cancelSubscription = async ({ user, now = new Date() }) => {
+  const subscription = await prisma.subscription.findUnique({ where: { userId: user.id } });
+
+  if (!subscription || !PAID_STATUSES.includes(subscription.status)) {
+    throw ApiError.badRequest('You have no active subscription to cancel');
+  }
+
+  if (subscription.cancelAtPeriodEnd) {
+    throw ApiError.conflict('Subscription is already set to cancel');
+  }
+
+  await prisma.subscription.update({
+    where: { id: subscription.id },
+    data: { cancelAtPeriodEnd: true, cancelledAt: now, pendingPlan: null }
+  });
+  await voidInvoices({ subscriptionId: subscription.id, type: 'renewal' });
+
+  if (subscription.status === 'past_due') {
+    await exports.expireSubscription({ userId: user.id, now });
+  } else {
+    await notify(user.id, 'Subscription Cancelled', `Your plan stays active until ${formatDate(subscription.currentPeriodEnd)}`, {
+      subscriptionId: subscription.id
+    });
+  }
+
+  return await prisma.subscription.findUnique({ where: { id: subscription.id } });
+};
+
+/**
+ * Undo a scheduled cancellation or downgrade
+ * @param {object} params
+ * @param {object} params.user - User
+ * @returns {Promise<object>} Subscription
+ */
+exports.resumeSubscription = async ({ user }) => {
+  const subscription = await prisma.subscription.findUnique({ where: { userId: user.id } });
+
+  if (!subscription || subscription.status !== 'active') {
+    throw ApiError.badRequest('You have no active subscription to resume');
+  }
+
+  if (!subscription.cancelAtPeriodEnd && !subscription.pendingPlan) {
+    throw ApiError.conflict('Subscription has no scheduled change');
+  }
+
+  // A renewal invoice for the downgraded plan is re-issued for the current one
+  await voidInvoices({ subscriptionId: subscription.id, type: 'renewal' });
+
+  return await prisma.subscription.update({
+    where: { id: subscription.id },
+    data: { cancelAtPeriodEnd: false, cancelledAt: null, pendingPlan: null }
+  });
+};
+
+/**
+ * Start a new payment attempt for an unpaid invoice
+ * @param {object} params
+ * @param {object} params.user - Invoice owner
+ * @param {string} params.invoiceId - SubscriptionInvoice ID
+ * @returns {Promise<object>} `{ invoice, payment }`
+ */
+exports.payInvoice = async ({ user, invoiceId }) => {
+  const invoice = await prisma.subscriptionInvoice.findFirst({
+    where: { id: invoiceId, userId: user.id }
+  });
+
+  if (!invoice) {
+    throw ApiError.notFound('Invoice not found');
+  }
+
+  if (!PAYABLE_STATUSES.includes(invoice.status)) {
+    throw ApiError.conflict(`Invoice is already ${invoice.status}`);
+  }
+
+  const payment = await exports.createInvoicePayment(invoice);
+
+  return { invoice: await prisma.subscriptionInvoice.findUnique({ where: { id: invoice.id } }), payment };
+};
+
+/**
+ * Create the Payment for an invoice; an earlier unpaid attempt is cancelled
+ * @param {object} invoice - SubscriptionInvoice
+ * @returns {Promise<object>} Payment
+ */
+exports.createInvoicePayment = async (invoice) => {
+  if (invoice.paymentId) {
+    await prisma.payment.updateMany({
+      where: { id: invoice.paymentId, status: 'pending' },
+      data: { status: 'cancelled' }
+    });
+  }
+
+  const plan = exports.getPlan(invoice.plan);
+  const reference = `SUB-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  const payment = await prisma.payment.create({
+    data: {
+      userId: invoice.userId,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      paymentMethod: 'card',
+      reference,
+      description: `Subscription - ${plan.name} plan (${invoice.type})`,
+      metadata: {
+        type: 'subscription',
+        plan: invoice.plan,
+        invoiceId: invoice.id,
+        invoiceType: invoice.type
+      },
+      status: 'pending'
+    }
+  });
+
+  await prisma.subscriptionInvoice.update({
+    where: { id: invoice.id },
+    data: { paymentId: payment.id, status: 'open', attempts: { increment: 1 } }
+  });
+
+  return payment;
+};
+
+/**
+ * Apply a paid invoice: start, upgrade or renew the subscription
+ * The payment must carry the ID of an invoice we created for the same user
+ * and cover its amount in its currency.
+ * @param {object} payment - Completed subscription payment
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} Subscription, null when the invoice was already paid
+ * @throws {ApiError} 400 when the payment does not pay an invoice of the user
+ */
+exports.activateFromPayment = async (payment, now = new Date()) => {
+  const { invoiceId } = payment.metadata || {};
+
+  const invoice = invoiceId
+    ? await prisma.subscriptionInvoice.findUnique({ where: { id: invoiceId } })
+    : null;
+
+  if (!invoice || invoice.userId !== payment.userId) {
+    throw ApiError.badRequest(`Payment ${payment.id} is not for a subscription invoice`);
+  }
+
+  if (payment.currency !== invoice.currency || payment.amount < invoice.amount) {
+    throw ApiError.badRequest(
+      `Payment of ${payment.currency} ${payment.amount} does not cover invoice of ${invoice.currency} ${invoice.amount}`
+    );
+  }
+
+  return await exports.activateInvoice(invoice.id, now);
+};
+
+/**
+ * Apply a paid (or free) invoice once
+ * Money can land on an invoice that was voided in the meantime; it is still honoured.
+ * @param {string} invoiceId - SubscriptionInvoice ID
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} Subscription
+ */
+exports.activateInvoice = async (invoiceId, now = new Date()) => {
+  const { count } = await prisma.subscriptionInvoice.updateMany({
+    where: { id: invoiceId, status: { in: [...PAYABLE_STATUSES, 'void'] } },
+    data: { status: 'paid', paidAt: now }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const invoice = await prisma.subscriptionInvoice.findUnique({ where: { id: invoiceId } });
+  const plan = exports.getPlan(invoice.plan);
+
+  // A new subscription's period starts when it is paid, not when checkout began
+  const period = invoice.type === 'new'
+    ? { currentPeriodStart: now, currentPeriodEnd: exports.addInterval(now, plan.interval) }
+    : { currentPeriodStart: invoice.periodStart, currentPeriodEnd: invoice.periodEnd };
+
+  const state = {
+    plan: plan.id,
+    interval: plan.interval,
+    status: 'active',
+    ...period,
+    graceUntil: null,
+    lastReminderAt: null,
+    reminderCount: 0,
+    expiredAt: null,
+    // Renewals carry the scheduled downgrade (already priced in) and keep a cancellation
+    ...(invoice.type !== 'renewal' && { cancelAtPeriodEnd: false, cancelledAt: null }),
+    pendingPlan: null
+  };
+
+  const subscription = await prisma.subscription.upsert({
+    where: { userId: invoice.userId },
+    create: { userId: invoice.userId, ...state },
+    update: state
+  });
+
+  if (!invoice.subscriptionId) {
+    await prisma.subscriptionInvoice.update({
+      where: { id: invoice.id },
+      data: { subscriptionId: subscription.id }
+    });
+  }
+
+  await syncUser(invoice.userId, plan.id, subscription);
+
+  await notify(
+    invoice.userId,
+    invoice.type === 'renewal' ? 'Subscription Renewed' : 'Subscription Active',
+    `Your ${plan.name} plan is active until ${formatDate(subscription.currentPeriodEnd)}`,
+    { subscriptionId: subscription.id, invoiceId: invoice.id, plan: plan.id }
+  );
+
+  return subscription;
+};
+
+/**
+ * Record a failed invoice payment and ask the user to retry
+ * @param {object} payment - Failed subscription payment
+ * @returns {Promise<void>}
+ */
+exports.markInvoicePaymentFailed = async (payment) => {
+  const invoiceId = payment.metadata && payment.metadata.invoiceId;
+  if (!invoiceId) {
+    return;
+  }
+
+  const { count } = await prisma.subscriptionInvoice.updateMany({
+    where: { id: invoiceId, paymentId: payment.id, status: 'open' },
+    data: { status: 'failed' }
+  });
+
+  if (count > 0) {
+    await notify(payment.userId, 'Subscription Payment Failed', 'Your subscription payment did not go through - please try again', {
+      invoiceId,
+      paymentId: payment.id
+    });
+  }
+};
+
+/**
+ * End a subscription now and revoke its entitlements
+ * Users without a subscription row (legacy plans) are reset to free as well.
+ * @param {object} params
+ * @param {string} params.userId - User ID
+ * @param {Date} [params.now]
+ * @returns {Promise<boolean>} Whether a subscription was ended
+ */
+exports.expireSubscription = async ({ userId, now = new Date() }) => {
+  const subscription = await prisma.subscription.findUnique({ where: { userId } });
+
+  let ended = false;
+  if (subscription) {
+    const { count } = await prisma.subscription.updateMany({
+      where: { id: subscription.id, status: { in: PAID_STATUSES } },
+      data: {
+        status: subscription.cancelAtPeriodEnd ? 'cancelled' : 'expired',
+        expiredAt: now,
+        graceUntil: null,
+        pendingPlan: null
+      }
+    });
+    ended = count > 0;
+
+    await voidInvoices({ subscriptionId: subscription.id });
+  }
+
+  await syncUser(userId, 'free', { currentPeriodStart: null, currentPeriodEnd: now });
+
+  if (ended) {
+    await notify(userId, 'Subscription Ended', 'Your subscription has ended and your account is back on the Free plan', {
+      subscriptionId: subscription.id
+    });
+  }
+
+  return ended;
+};
+
+/**
+ * Issue renewal invoices for periods ending soon
+ * @param {Date} [now]
+ * @returns {Promise<number>} Invoices issued
+ */
+exports.issueRenewalInvoices = async (now = new Date()) => {
+  const noticeUntil = new Date(now.getTime() + SUBSCRIPTION.RENEWAL_NOTICE_DAYS * DAY_MS);
+
+  const subscriptions = await prisma.subscription.findMany({
+    where: {
+      status: 'active',
+      cancelAtPeriodEnd: false,
+      currentPeriodEnd: { lte: noticeUntil }
+    }
+  });
+
+  let issued = 0;
+  for (const subscription of subscriptions) {
+    const existing = await prisma.subscriptionInvoice.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        type: 'renewal',
+        periodStart: subscription.currentPeriodEnd,
+        status: { not: 'void' }
+      }
+    });
+    if (existing) {
+      continue;
+    }
+
+    const plan = exports.getPlan(subscription.pendingPlan || subscription.plan);
+    const invoice = await prisma.subscriptionInvoice.create({
+      data: {
+        subscriptionId: subscription.id,
+        userId: subscription.userId,
+        type: 'renewal',
+        plan: plan.id,
+        interval: plan.interval,
+        amount: plan.price,
+        currency: SUBSCRIPTION.CURRENCY,
+        periodStart: subscription.currentPeriodEnd,
+        periodEnd: exports.addInterval(subscription.currentPeriodEnd, plan.interval)
+      }
+    });
+    const payment = await exports.createInvoicePayment(invoice);
+
+    await notify(
+      subscription.userId,
+      'Subscription Renewal Due',
+      `Your ${plan.name} plan renews on ${formatDate(subscription.currentPeriodEnd)} - pay ${invoice.currency} ${invoice.amount} to keep it`,
+      { subscriptionId: subscription.id, invoiceId: invoice.id, paymentId: payment.id }
+    );
+    issued++;
+  }
+
+  return issued;
+};
+
+/**
+ * Move unpaid subscriptions whose period ended into the grace period;
+ * ones set to cancel end instead
+ * @param {Date} [now]
+ * @returns {Promise<object>} `{ pastDue, ended }`
+ */
+exports.markPastDue = async (now = new Date()) => {
+  const subscriptions = await prisma.subscription.findMany({
+    where: { status: 'active', currentPeriodEnd: { lte: now } }
+  });
+
+  let pastDue = 0;
+  let ended = 0;
+  for (const subscription of subscriptions) {
+    if (subscription.cancelAtPeriodEnd) {
+      if (await exports.expireSubscription({ userId: subscription.userId, now })) {
+        ended++;
+      }
+      continue;
+    }
+
+    const graceUntil = new Date(subscription.currentPeriodEnd.getTime() + SUBSCRIPTION.GRACE_PERIOD_DAYS * DAY_MS);
+    const { count } = await prisma.subscription.updateMany({
+      where: { id: subscription.id, status: 'active', currentPeriodEnd: subscription.currentPeriodEnd },
+      data: { status: 'past_due', graceUntil, lastReminderAt: now, reminderCount: 1 }
+    });
+
+    if (count > 0) {
+      await notify(
+        subscription.userId,
+        'Subscription Payment Overdue',
+        `Your renewal is unpaid - pay by ${formatDate(graceUntil)} to keep your plan`,
+        { subscriptionId: subscription.id, graceUntil }
+      );
+      pastDue++;
+    }
+  }
+
+  return { pastDue, ended };
+};
+
+/**
+ * Remind past_due users to pay (dunning)
+ * @param {Date} [now]
+ * @returns {Promise<number>} Reminders sent
+ */
+exports.sendDunningReminders = async (now = new Date()) => {
+  const remindBefore = new Date(now.getTime() - SUBSCRIPTION.DUNNING_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  const subscriptions = await prisma.subscription.findMany({
+    where: {
+      status: 'past_due',
+      graceUntil: { gt: now },
+      lastReminderAt: { lte: remindBefore }
+    }
+  });
+
+  for (const subscription of subscriptions) {
+    const daysLeft = Math.max(1, Math.ceil((subscription.graceUntil - now) / DAY_MS));
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { lastReminderAt: now, reminderCount: { increment: 1 } }
+    });
+    await notify(
+      subscription.userId,
+      'Subscription Payment Overdue',
+      `Your plan ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'} unless the renewal is paid`,
+      { subscriptionId: subscription.id, graceUntil: subscription.graceUntil }
+    );
+  }
+
+  return subscriptions.length;
+};
+
+/**
+ * Expire past_due subscriptions whose grace period ran out
+ * @param {Date} [now]
+ * @returns {Promise<number>} Subscriptions expired
+ */
+exports.expireLapsedSubscriptions = async (now = new Date()) => {
+  const subscriptions = await prisma.subscription.findMany({
+    where: { status: 'past_due', graceUntil: { lte: now } },
+    select: { userId: true }
+  });
+
+  let expired = 0;
+  for (const { userId } of subscriptions) {
+    if (await exports.expireSubscription({ userId, now })) {
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * One billing pass (scheduler job)
+ * @param {Date} [now]
+ * @returns {Promise<object>} Counts
+ */
+exports.runSubscriptionBilling = async (now = new Date()) => {
+  const invoiced = await exports.issueRenewalInvoices(now);
+  const { pastDue, ended } = await exports.markPastDue(now);
+  const reminded = await exports.sendDunningReminders(now);
+  const expired = await exports.expireLapsedSubscriptions(now);
+
+  return { invoiced, pastDue, ended, reminded, expired };
+};
+
+// Helper functions
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// One checkout at a time: older unpaid new/upgrade invoices are dropped
+async function createCheckout({ user, subscription, type, plan, amount, credit = 0, periodStart, periodEnd }) {
+  await voidInvoices({ userId: user.id, type: { in: ['new', 'proration'] } });
+
+  const details = exports.getPlan(plan);
+  const invoice = await prisma.subscriptionInvoice.create({
+    data: {
+      subscriptionId: subscription ? subscription.id : null,
+      userId: user.id,
+      type,
+      plan,
+      interval: details.interval,
+      amount,
+      credit,
+      currency: SUBSCRIPTION.CURRENCY,
+      periodStart,
+      periodEnd
+    }
+  });
+
+  // Fully covered by the credit
+  if (amount <= 0) {
+    await exports.activateInvoice(invoice.id);
+    return { invoice: await prisma.subscriptionInvoice.findUnique({ where: { id: invoice.id } }), payment: null };
+  }
+
+  const payment = await exports.createInvoicePayment(invoice);
+  return { invoice: await prisma.subscriptionInvoice.findUnique({ where: { id: invoice.id } }), payment };
+}
+
+async function voidInvoices(where) {
+  const invoices = await prisma.subscriptionInvoice.findMany({
+    where: { ...where, status: { in: PAYABLE_STATUSES } },
+    select: { id: true, paymentId: true }
+  });
+
+  if (invoices.length === 0) {
+    return;
+  }
+
+  await prisma.subscriptionInvoice.updateMany({
+    where: { id: { in: invoices.map(invoice => invoice.id) } },
+    data: { status: 'void' }
+  });
+  await prisma.payment.updateMany({
+    where: { id: { in: invoices.map(invoice => invoice.paymentId).filter(Boolean) }, status: 'pending' },
+    data: { status: 'cancelled' }
+  });
+}
+
+// Mirror the plan onto the user and grant this period's credits
+async function syncUser(userId, planId, subscription) {
+  const { entitlements } = exports.getPlan(planId);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      subscriptionPlan: planId,
+      subscriptionIsActive: planId !== 'free',
+      subscriptionStartDate: subscription.currentPeriodStart,
+      subscriptionEndDate: subscription.currentPeriodEnd,
+      featuredListings: entitlements.featuredListings,
+      boostedAds: entitlements.boostedAds,
+      prioritySupport: entitlements.prioritySupport
+    }
+  });
+}
+
+async function notify(userId, title, message, data) {
+  await prisma.notification.create({
+    data: { userId, type: 'system', title, message, data }
+  });
+}
+
+module.exports = exports;
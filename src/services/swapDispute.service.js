@@ -0,0 +1,211 @@
+/**
+ * Swap Dispute Service
+ * Opens disputes on swaps and applies admin resolutions
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { SWAP_STATUS, SWAP_DISPUTE } = require('../utils/constants');
+const { transitionSwap } = require('./swapStateMachine.service');
+const { finalizeSwapCompletion } = require('./swapHandover.service');
+
+// Fields needed to open or resolve a dispute
+const DISPUTE_SWAP_SELECT = {
+  id: true,
+  initiatorId: true,
+  receiverId: true,
+  status: true,
+  additionalCash: true,
+  offeredVehicleId: true,
+  offeredItems: true,
+  requestedItemId: true,
+  requestedItemType: true,
+  requestedQuantity: true
+};
+
+exports.DISPUTE_SWAP_SELECT = DISPUTE_SWAP_SELECT;
+
+/**
+ * Get the unresolved dispute of a swap
+ * @param {string} swapId - Swap ID
+ * @returns {Promise<object|null>} Dispute
+ */
+exports.getActiveDispute = async (swapId) => {
+  return await prisma.swapDispute.findFirst({
+    where: {
+      swapId,
+      status: { not: 'resolved' }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Open a dispute on a swap
+ * Moves the swap to `disputed` and queues a moderation report in one
+ * transaction, then notifies both parties.
+ * @param {object} params
+ * @param {object} params.swap - Swap loaded with DISPUTE_SWAP_SELECT
+ * @param {object|null} params.user - Party opening the dispute, null for system
+ * @param {string} params.reason - Short reason
+ * @param {string} [params.description] - Details
+ * @param {string} [params.action] - History action name
+ * @param {object} [params.req] - Express request
+ * @returns {Promise<object>} Created dispute
+ */
+exports.openSwapDispute = async ({ swap, user, reason, description, action = 'dispute_opened', req }) => {
+  const openedById = user ? user.id : swap.initiatorId;
+  const slaDueAt = new Date(Date.now() + SWAP_DISPUTE.SLA_HOURS * 60 * 60 * 1000);
+  let dispute;
+
+  // A disputed swap always has the dispute (and report) admins resolve it through
+  await transitionSwap({
+    swap,
+    toStatus: SWAP_STATUS.DISPUTED,
+    user,
+    action,
+    data: { autoCompleteAt: null },
+    changes: { reason, description },
+    alsoWrite: async (tx) => {
+      const report = await tx.report.create({
+        data: {
+          reporterId: openedById,
+          itemType: 'swap',
+          itemId: swap.id,
+          reason,
+          description
+        }
+      });
+
+      dispute = await tx.swapDispute.create({
+        data: {
+          swapId: swap.id,
+          openedById,
+          reason,
+          description,
+          reportId: report.id,
+          slaDueAt
+        }
+      });
+    },
+    req
+  });
+
+  await prisma.notification.createMany({
+    data: [swap.initiatorId, swap.receiverId].map(userId => ({
+      userId,
+      type: 'swap_disputed',
+      title: 'Swap Disputed',
+      message: userId === openedById
+        ? `Your dispute has been opened. Our team will review it within ${SWAP_DISPUTE.SLA_HOURS} hours`
+        : 'A dispute has been opened on your swap. Please submit your evidence',
+      data: {
+        swapId: swap.id,
+        disputeId: dispute.id,
+        slaDueAt
+      }
+    }))
+  });
+
+  return dispute;
+};
+
+/**
+ * Apply an admin resolution to a dispute
+ * - force_complete: complete the swap as if both sides confirmed
+ * - revert_listings: cancel the swap and relist the items it reserved
+ * - refund_escrow: cancel the swap and relist the items; the cancellation refunds escrowed cash to the payer
+ * - ban_party: cancel the swap, relist the items and ban the offending party
+ * @param {object} params
+ * @param {object} params.dispute - Unresolved dispute
+ * @param {object} params.swap - Swap loaded with DISPUTE_SWAP_SELECT
+ * @param {object} params.admin - Resolving admin
+ * @param {string} params.outcome - DisputeOutcome
+ * @param {string} [params.resolutionNote] - Note shown to both parties
+ * @param {string} [params.banUserId] - Party to ban (ban_party only)
+ * @param {object} [params.req] - Express request
+ * @returns {Promise<object>} Resolved dispute
+ */
+exports.resolveSwapDispute = async ({ dispute, swap, admin, outcome, resolutionNote, banUserId, req }) => {
+  if (!SWAP_DISPUTE.OUTCOMES.includes(outcome)) {
+    throw ApiError.badRequest(`Outcome must be one of: ${SWAP_DISPUTE.OUTCOMES.join(', ')}`);
+  }
+
+  if (outcome === 'ban_party' && ![swap.initiatorId, swap.receiverId].includes(banUserId)) {
+    throw ApiError.badRequest('banUserId must be one of the swap parties');
+  }
+
+  if (outcome === 'force_complete') {
+    await finalizeSwapCompletion({
+      swap,
+      user: admin,
+      action: 'dispute_force_completed',
+      message: 'Your disputed swap was completed by our team',
+      req
+    });
+  } else {
+    await transitionSwap({
+      swap,
+      toStatus: SWAP_STATUS.CANCELLED,
+      user: admin,
+      action: `dispute_${outcome}`,
+      changes: { disputeId: dispute.id, resolutionNote },
+      req
+    });
+  }
+
+  if (outcome === 'ban_party') {
+    await prisma.user.update({
+      where: { id: banUserId },
+      data: {
+        accountStatus: 'banned',
+        isActive: false,
+        banReason: resolutionNote || `Banned after swap dispute ${dispute.id}`
+      }
+    });
+  }
+
+  const resolvedAt = new Date();
+  const resolvedDispute = await prisma.swapDispute.update({
+    where: { id: dispute.id },
+    data: {
+      status: 'resolved',
+      outcome,
+      resolutionNote,
+      bannedUserId: outcome === 'ban_party' ? banUserId : null,
+      resolvedById: admin.id,
+      resolvedAt
+    }
+  });
+
+  if (dispute.reportId) {
+    await prisma.report.update({
+      where: { id: dispute.reportId },
+      data: {
+        status: 'resolved',
+        resolution: outcome,
+        resolvedAt
+      }
+    });
+  }
+
+  await prisma.notification.createMany({
+    data: [swap.initiatorId, swap.receiverId].map(userId => ({
+      userId,
+      type: 'swap_disputed',
+      title: 'Swap Dispute Resolved',
+      message: resolutionNote
+        ? `Your swap dispute has been resolved: ${resolutionNote}`
+        : 'Your swap dispute has been resolved',
+      data: {
+        swapId: swap.id,
+        disputeId: dispute.id,
+        outcome
+      }
+    }))
+  });
+
+  return resolvedDispute;
+};
+
+module.exports = exports;
@@ -0,0 +1,239 @@
+/**
+ * Swap Expiry Service
+ * Expires unanswered proposals, reminds the responding party before expiry
+ * and releases accepted swaps whose handover never started.
+ * Every function takes `now` so jobs can run against an injected clock.
+ */
+
+const prisma = require('../config/prisma');
+const { SWAP_STATUS, SWAP_EXPIRY } = require('../utils/constants');
+const { transitionSwap } = require('./swapStateMachine.service');
+const { openSwapDispute } = require('./swapDispute.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const EXPIRY_SELECT = {
+  id: true,
+  initiatorId: true,
+  receiverId: true,
+  status: true,
+  lastOfferById: true,
+  expiresAt: true,
+  offeredVehicleId: true,
+  offeredItems: true,
+  requestedItemId: true,
+  requestedItemType: true,
+  requestedQuantity: true,
+  ringId: true
+};
+
+/**
+ * Current expiry settings (env overrides the defaults)
+ * @returns {object} `{ pendingTtlHours, reminderHoursBefore, stalledAcceptedDays }`
+ */
+exports.getExpirySettings = () => ({
+  pendingTtlHours: parseFloat(process.env.SWAP_PENDING_TTL_HOURS) || SWAP_EXPIRY.PENDING_TTL_HOURS,
+  reminderHoursBefore: parseFloat(process.env.SWAP_REMINDER_HOURS_BEFORE) || SWAP_EXPIRY.REMINDER_HOURS_BEFORE,
+  stalledAcceptedDays: parseFloat(process.env.SWAP_STALLED_ACCEPTED_DAYS) || SWAP_EXPIRY.STALLED_ACCEPTED_DAYS
+});
+
+/**
+ * When a pending swap offered now should expire
+ * @param {Date} [now] - Current time
+ * @returns {Date} Expiry time
+ */
+exports.getPendingExpiresAt = (now = new Date()) => {
+  return new Date(now.getTime() + exports.getExpirySettings().pendingTtlHours * HOUR_MS);
+};
+
+/**
+ * Remind the party who has to respond that the offer is about to expire
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+exports.sendExpiryReminders = async (now = new Date()) => {
+  const { reminderHoursBefore } = exports.getExpirySettings();
+
+  const swaps = await prisma.swap.findMany({
+    where: {
+      status: SWAP_STATUS.PENDING,
+      reminderSentAt: null,
+      expiresAt: {
+        gt: now,
+        lte: new Date(now.getTime() + reminderHoursBefore * HOUR_MS)
+      }
+    },
+    select: EXPIRY_SELECT
+  });
+
+  for (const swap of swaps) {
+    // Whoever did not make the latest offer is the one we are waiting on
+    const lastOfferById = swap.lastOfferById || swap.initiatorId;
+    const responderId = lastOfferById === swap.initiatorId ? swap.receiverId : swap.initiatorId;
+    const hoursLeft = Math.max(1, Math.round((swap.expiresAt - now) / HOUR_MS));
+
+    await prisma.$transaction([
+      prisma.notification.create({
+        data: {
+          userId: responderId,
+          type: 'swap_request',
+          title: 'Swap Offer Expiring Soon',
+          message: `A swap offer waiting for your response expires in ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'}`,
+          data: { swapId: swap.id, expiresAt: swap.expiresAt }
+        }
+      }),
+      prisma.swap.update({
+        where: { id: swap.id },
+        data: { reminderSentAt: now }
+      })
+    ]);
+  }
+
+  return swaps.length;
+};
+
+/**
+ * Expire pending swaps nobody answered in time
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of swaps expired
+ */
+exports.expirePendingSwaps = async (now = new Date()) => {
+  const swaps = await prisma.swap.findMany({
+    where: {
+      status: SWAP_STATUS.PENDING,
+      expiresAt: { lte: now }
+    },
+    select: EXPIRY_SELECT
+  });
+
+  let expired = 0;
+
+  for (const swap of swaps) {
+    try {
+      await transitionSwap({
+        swap,
+        toStatus: SWAP_STATUS.EXPIRED,
+        user: null,
+        changes: { expiresAt: swap.expiresAt }
+      });
+      expired++;
+    } catch (error) {
+      // Usually someone responded in the meantime
+      console.error(`Expiring swap ${swap.id} failed:`, error.message);
+      continue;
+    }
+
+    await notifyParties(swap, 'Swap Offer Expired', 'A swap offer expired without a response');
+  }
+
+  return expired;
+};
+
+/**
+ * Cancel accepted swaps whose handover never started and put the items back on the market
+ * A stalled ring leg calls off its whole ring, since the ring cannot go ahead
+ * without it: accepted legs are cancelled, and legs already in handover
+ * (which can no longer be cancelled) are disputed for an admin to unwind.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of swaps released (cancelled or disputed)
+ */
+exports.releaseStalledSwaps = async (now = new Date()) => {
+  const { stalledAcceptedDays } = exports.getExpirySettings();
+
+  const swaps = await prisma.swap.findMany({
+    where: {
+      status: SWAP_STATUS.ACCEPTED,
+      updatedAt: { lte: new Date(now.getTime() - stalledAcceptedDays * 24 * HOUR_MS) }
+    },
+    select: EXPIRY_SELECT
+  });
+
+  const releasedRings = new Set();
+  let released = 0;
+
+  for (const swap of swaps) {
+    if (!swap.ringId) {
+      released += await releaseSwap(
+        swap,
+        { stalledAcceptedDays },
+        `Your accepted swap was cancelled because the handover did not start within ${stalledAcceptedDays} days`
+      );
+      continue;
+    }
+
+    if (releasedRings.has(swap.ringId)) {
+      continue;
+    }
+    releasedRings.add(swap.ringId);
+
+    const legs = await prisma.swap.findMany({
+      where: { ringId: swap.ringId, status: { in: [SWAP_STATUS.ACCEPTED, SWAP_STATUS.IN_HANDOVER] } },
+      select: EXPIRY_SELECT
+    });
+
+    for (const leg of legs) {
+      released += leg.status === SWAP_STATUS.IN_HANDOVER
+        ? await disputeRingLeg(leg, swap, stalledAcceptedDays)
+        : await releaseSwap(
+          leg,
+          { stalledAcceptedDays, ringId: swap.ringId, stalledSwapId: swap.id },
+          `Your ring swap was cancelled because one of its handovers did not start within ${stalledAcceptedDays} days`
+        );
+    }
+  }
+
+  return released;
+};
+
+// Helper functions
+
+// Cancel one accepted swap (its reserved listings go back on the market); 1 if released
+async function releaseSwap(swap, changes, message) {
+  try {
+    await transitionSwap({
+      swap,
+      toStatus: SWAP_STATUS.CANCELLED,
+      user: null,
+      action: 'released_stalled',
+      changes
+    });
+  } catch (error) {
+    console.error(`Releasing stalled swap ${swap.id} failed:`, error.message);
+    return 0;
+  }
+
+  await notifyParties(swap, 'Swap Released', message);
+  return 1;
+}
+
+// Freeze a ring leg already in handover (and its reserved items) for an admin; 1 if disputed
+async function disputeRingLeg(leg, stalledSwap, stalledAcceptedDays) {
+  try {
+    await openSwapDispute({
+      swap: leg,
+      user: null,
+      reason: 'ring_stalled',
+      description: `Another swap of this ring (${stalledSwap.id}) did not start its handover within ${stalledAcceptedDays} days, so the ring cannot complete`,
+      action: 'ring_stalled'
+    });
+  } catch (error) {
+    console.error(`Disputing ring swap ${leg.id} failed:`, error.message);
+    return 0;
+  }
+
+  return 1;
+}
+
+async function notifyParties(swap, title, message) {
+  await prisma.notification.createMany({
+    data: [swap.initiatorId, swap.receiverId].map(userId => ({
+      userId,
+      type: 'system',
+      title,
+      message,
+      data: { swapId: swap.id }
+    }))
+  });
+}
+
+module.exports = exports;
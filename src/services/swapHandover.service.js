@@ -0,0 +1,148 @@
+/**
+ * Swap Handover Service
+ * Two-sided completion: each party ticks the handover checklist and confirms,
+ * the swap completes once both have confirmed (or the silent side times out)
+ */
+
+const prisma = require('../config/prisma');
+const { SWAP_STATUS, SWAP_HANDOVER } = require('../utils/constants');
+const { transitionSwap } = require('./swapStateMachine.service');
+const { applySwapInventory, getSwapItems } = require('./swapItems.service');
+const { notifyListingSold } = require('./priceAlert.service');
+
+// Fields needed to complete a swap
+const COMPLETION_SELECT = {
+  id: true,
+  initiatorId: true,
+  receiverId: true,
+  status: true,
+  additionalCash: true,
+  offeredVehicleId: true,
+  offeredItems: true,
+  requestedItemId: true,
+  requestedItemType: true,
+  requestedQuantity: true,
+  autoCompleteAt: true
+};
+
+exports.COMPLETION_SELECT = COMPLETION_SELECT;
+
+/**
+ * Checklist items a party must tick before confirming
+ * Cash only has to be settled when the swap includes a cash top-up.
+ * @param {object} swap - Swap with additionalCash
+ * @returns {string[]} Checklist keys
+ */
+exports.getRequiredChecklist = (swap) => {
+  return SWAP_HANDOVER.CHECKLIST.filter(
+    item => item !== 'cashSettled' || Number(swap.additionalCash || 0) !== 0
+  );
+};
+
+/**
+ * Checklist items still unticked
+ * @param {object} swap - Swap with additionalCash
+ * @param {object} checklist - Checklist values
+ * @returns {string[]} Missing checklist keys
+ */
+exports.getMissingChecklistItems = (swap, checklist = {}) => {
+  return exports.getRequiredChecklist(swap).filter(item => checklist[item] !== true);
+};
+
+/**
+ * Complete a swap once both sides confirmed (or the handover timed out)
+ * Moves the inventory in the completion's transaction, then tells the
+ * swapped vehicles' favoriters and bumps both parties' swap counts.
+ * @param {object} params
+ * @param {object} params.swap - Swap loaded with COMPLETION_SELECT
+ * @param {object|null} params.user - Confirming user, null for auto-completion
+ * @param {string} [params.action] - History action name
+ * @param {string} [params.message] - Notification text for both parties
+ * @param {object} [params.req] - Express request
+ * @returns {Promise<object>} Completed swap
+ */
+exports.finalizeSwapCompletion = async ({ swap, user, action = 'completed', message, req }) => {
+  const completedAt = new Date();
+  const completedSwap = await transitionSwap({
+    swap,
+    toStatus: SWAP_STATUS.COMPLETED,
+    // A handover completes as the system, for the party who confirmed last;
+    // only an admin resolving a dispute completes a swap in person
+    user: swap.status === SWAP_STATUS.DISPUTED ? user : null,
+    actor: user,
+    action,
+    data: { completedAt, autoCompleteAt: null },
+    changes: { completedAt },
+    // Vehicles are marked swapped, parts lose the swapped quantity; a failure
+    // rolls the completion back and the auto-complete job tries again
+    alsoWrite: tx => applySwapInventory(swap, tx),
+    req
+  });
+
+  // Anyone else who favorited a swapped vehicle is told it's gone
+  const swappedVehicles = await prisma.vehicle.findMany({
+    where: {
+      id: { in: getSwapItems(swap).filter(item => item.itemType === 'vehicle').map(item => item.itemId) }
+    },
+    select: { id: true, title: true, sellerId: true }
+  });
+  for (const vehicle of swappedVehicles) {
+    await notifyListingSold({ vehicle, status: 'swapped', excludeUserIds: [swap.initiatorId, swap.receiverId] });
+  }
+
+  // Update user stats
+  await Promise.all([
+    prisma.user.update({
+      where: { id: swap.initiatorId },
+      data: { totalSwaps: { increment: 1 } }
+    }),
+    prisma.user.update({
+      where: { id: swap.receiverId },
+      data: { totalSwaps: { increment: 1 } }
+    })
+  ]);
+
+  await prisma.notification.createMany({
+    data: [swap.initiatorId, swap.receiverId].map(userId => ({
+      userId,
+      type: 'swap_completed',
+      title: 'Swap Completed',
+      message: message || (user
+        ? 'Both parties confirmed the handover - your swap is complete'
+        : 'Your swap was completed automatically after the confirmation window closed'),
+      data: { swapId: swap.id }
+    }))
+  });
+
+  return completedSwap;
+};
+
+/**
+ * Auto-complete handovers where one side confirmed and the other stayed silent
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of swaps completed
+ */
+exports.autoCompleteOverdueHandovers = async (now = new Date()) => {
+  const overdueSwaps = await prisma.swap.findMany({
+    where: {
+      status: SWAP_STATUS.IN_HANDOVER,
+      autoCompleteAt: { lte: now }
+    },
+    select: COMPLETION_SELECT
+  });
+
+  let completed = 0;
+
+  for (const swap of overdueSwaps) {
+    try {
+      await exports.finalizeSwapCompletion({ swap, user: null, action: 'auto_completed' });
+      completed++;
+    } catch (error) {
+      console.error(`Auto-complete failed for swap ${swap.id}:`, error.message);
+    }
+  }
+
+  return completed;
+};
+
+module.exports = exports;
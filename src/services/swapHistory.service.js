@@ -0,0 +1,80 @@
+/**
+ * Swap History Service
+ * Records the immutable audit timeline of every swap state change
+ */
+
+const prisma = require('../config/prisma');
+
+/**
+ * Build a field-level diff between two snapshots
+ * @param {object} before - Values before the change
+ * @param {object} after - Values after the change
+ * @returns {object|null} `{ field: { from, to } }` or null when nothing changed
+ */
+exports.diffFields = (before = {}, after = {}) => {
+  const changes = {};
+
+  Object.keys(after).forEach((field) => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return Object.keys(changes).length ? changes : null;
+};
+
+/**
+ * Record a swap event
+ * Returns the un-awaited Prisma query so it can join a `prisma.$transaction([...])`.
+ * @param {object} event - Event details
+ * @param {string} event.swapId - Swap ID
+ * @param {string} event.action - What happened (proposed, accepted, counter_offer, ...)
+ * @param {string} [event.actorId] - User who acted, omitted for system actions
+ * @param {string} [event.fromStatus] - Status before the change
+ * @param {string} [event.toStatus] - Status after the change
+ * @param {object} [event.changes] - Field diff or payload
+ * @param {object} [event.req] - Express request, used for IP and user agent
+ * @param {object} [client] - Prisma client or transaction to write with
+ * @returns {Promise<object>} Created event
+ */
+exports.recordSwapEvent = ({ swapId, action, actorId, fromStatus, toStatus, changes, req }, client = prisma) => {
+  return client.swapEvent.create({
+    data: {
+      swapId,
+      action,
+      actorId: actorId || null,
+      fromStatus: fromStatus || null,
+      toStatus: toStatus || null,
+      changes: changes || undefined,
+      ipAddress: req ? (req.ip || req.connection?.remoteAddress) : null,
+      userAgent: req ? req.get('user-agent') : null
+    }
+  });
+};
+
+/**
+ * Get the ordered timeline of a swap
+ * @param {string} swapId - Swap ID
+ * @returns {Promise<Array>} Events, oldest first
+ */
+exports.getSwapTimeline = async (swapId) => {
+  return await prisma.swapEvent.findMany({
+    where: { swapId },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      actor: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          avatarUrl: true
+        }
+      }
+    }
+  });
+};
+
+module.exports = exports;
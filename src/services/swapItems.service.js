@@ -0,0 +1,368 @@
+/**
+ * Swap Items Service
+ * Offered / requested item handling for vehicle and part swaps:
+ * normalizing offers, validating ownership, availability, accepted part
+ * categories and stock, reserving listings while a swap is accepted and
+ * moving inventory when it completes
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { SWAP_ITEMS, LISTING_STATUS } = require('../utils/constants');
+
+const ITEM_SELECT = {
+  vehicle: {
+    id: true,
+    title: true,
+    sellerId: true,
+    status: true,
+    openToSwap: true,
+    price: true,
+    currency: true
+  },
+  part: {
+    id: true,
+    title: true,
+    sellerId: true,
+    status: true,
+    openToSwap: true,
+    price: true,
+    currency: true,
+    category: true,
+    acceptedPartCategories: true,
+    quantity: true,
+    inStock: true
+  }
+};
+
+const SWAP_ITEMS_SELECT = {
+  id: true,
+  offeredVehicleId: true,
+  offeredItems: true,
+  requestedItemType: true,
+  requestedItemId: true,
+  requestedQuantity: true
+};
+
+/**
+ * Normalize the offered items of a request body
+ * Accepts `offeredItems: [{ itemType, itemId, quantity }]` and/or the legacy `offeredVehicleId`.
+ * Repeated items are merged by adding their quantities.
+ * @param {object} body - Request body
+ * @returns {Array|null} `[{ itemType, itemId, quantity }]`, null when the body offers nothing
+ */
+exports.normalizeOfferedItems = ({ offeredItems, offeredVehicleId } = {}) => {
+  const items = [];
+
+  if (Array.isArray(offeredItems)) {
+    offeredItems.forEach(({ itemType, itemId, quantity }) => {
+      items.push({ itemType, itemId, quantity: parseInt(quantity) || 1 });
+    });
+  }
+
+  if (offeredVehicleId && !items.some(item => item.itemId === offeredVehicleId)) {
+    items.push({ itemType: 'vehicle', itemId: offeredVehicleId, quantity: 1 });
+  }
+
+  if (!items.length) {
+    return null;
+  }
+
+  const merged = new Map();
+  items.forEach((item) => {
+    const key = `${item.itemType}:${item.itemId}`;
+    const existing = merged.get(key);
+    merged.set(key, existing ? { ...existing, quantity: existing.quantity + item.quantity } : item);
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Quantity of an offered item (older offers stored no quantity)
+ * @param {object} item - Offered item
+ * @returns {number}
+ */
+exports.getItemQuantity = (item) => parseInt(item.quantity) || 1;
+
+/**
+ * First offered vehicle, kept on Swap.offeredVehicleId for older clients
+ * @param {Array} offeredItems - Offered items
+ * @returns {string|null} Vehicle ID
+ */
+exports.getPrimaryVehicleId = (offeredItems = []) => {
+  const vehicle = offeredItems.find(item => item.itemType === 'vehicle');
+  return vehicle ? vehicle.itemId : null;
+};
+
+/**
+ * Load the requested item
+ * @param {string} itemType - 'vehicle' or 'part'
+ * @param {string} itemId - Item ID
+ * @returns {Promise<object|null>} Item
+ */
+exports.loadItem = async (itemType, itemId) => {
+  if (itemType === 'vehicle') {
+    return await prisma.vehicle.findUnique({ where: { id: itemId }, select: ITEM_SELECT.vehicle });
+  }
+
+  if (itemType === 'part') {
+    return await prisma.part.findUnique({ where: { id: itemId }, select: ITEM_SELECT.part });
+  }
+
+  return null;
+};
+
+/**
+ * Check the requested item can be swapped for the given quantity
+ * @param {object} requestedItem - Item from loadItem
+ * @param {string} requestedItemType - 'vehicle' or 'part'
+ * @param {number} requestedQuantity - Units requested
+ * @throws {ApiError} 400 when unavailable
+ */
+exports.validateRequestedItem = (requestedItem, requestedItemType, requestedQuantity = 1) => {
+  if (!requestedItem.openToSwap) {
+    throw ApiError.badRequest('The owner is not open to swaps for this listing');
+  }
+
+  if (requestedItem.status !== 'active') {
+    throw ApiError.badRequest('Requested listing is no longer available');
+  }
+
+  if (requestedItemType === 'vehicle' && requestedQuantity !== 1) {
+    throw ApiError.badRequest('Vehicles can only be requested one at a time');
+  }
+
+  if (requestedItemType === 'part' && (!requestedItem.inStock || requestedItem.quantity < requestedQuantity)) {
+    throw ApiError.badRequest(`Only ${requestedItem.inStock ? requestedItem.quantity : 0} of the requested part in stock`);
+  }
+};
+
+/**
+ * Validate offered items against their owner and the requested item
+ * - every item exists, belongs to the offering user and is active
+ * - vehicles are offered once, parts are in stock for the offered quantity
+ * - parts respect the requested part's acceptedPartCategories (empty accepts any)
+ * @param {object} params
+ * @param {Array} params.offeredItems - Normalized offered items
+ * @param {string} params.ownerId - User who offers the items
+ * @param {string} params.requestedItemId - Requested item ID
+ * @param {string} params.requestedItemType - Requested item type
+ * @param {object} [params.requestedItem] - Requested item from loadItem
+ * @returns {Promise<Array>} Offered items with their loaded listings
+ * @throws {ApiError} 400 listing every problem found
+ */
+exports.validateOfferedItems = async ({ offeredItems, ownerId, requestedItemId, requestedItemType, requestedItem }) => {
+  if (!offeredItems || !offeredItems.length) {
+    throw ApiError.badRequest('Offer at least one vehicle or part');
+  }
+
+  if (offeredItems.length > SWAP_ITEMS.MAX_OFFERED_ITEMS) {
+    throw ApiError.badRequest(`You can offer at most ${SWAP_ITEMS.MAX_OFFERED_ITEMS} items in one swap`);
+  }
+
+  const acceptedCategories = requestedItemType === 'part' && requestedItem
+    ? requestedItem.acceptedPartCategories || []
+    : [];
+
+  const errors = [];
+  const loaded = await Promise.all(offeredItems.map(async (item) => {
+    const listing = ['vehicle', 'part'].includes(item.itemType)
+      ? await exports.loadItem(item.itemType, item.itemId)
+      : null;
+    const label = listing ? `"${listing.title}"` : `${item.itemType} ${item.itemId}`;
+
+    if (!listing) {
+      errors.push({ itemId: item.itemId, message: `Offered ${label} not found` });
+    } else if (listing.sellerId !== ownerId) {
+      errors.push({ itemId: item.itemId, message: `${label} does not belong to you` });
+    } else if (listing.status !== 'active') {
+      errors.push({ itemId: item.itemId, message: `${label} is not available` });
+    } else if (item.itemId === requestedItemId) {
+      errors.push({ itemId: item.itemId, message: 'You cannot offer the item you are requesting' });
+    } else if (item.itemType === 'vehicle' && item.quantity !== 1) {
+      errors.push({ itemId: item.itemId, message: `${label} can only be offered once` });
+    } else if (item.itemType === 'part' && (!listing.inStock || listing.quantity < item.quantity)) {
+      errors.push({ itemId: item.itemId, message: `Only ${listing.inStock ? listing.quantity : 0} of ${label} in stock` });
+    } else if (item.itemType === 'part' && acceptedCategories.length && !acceptedCategories.includes(listing.category)) {
+      errors.push({
+        itemId: item.itemId,
+        message: `${label} is a ${listing.category} part - the owner only accepts ${acceptedCategories.join(', ')}`
+      });
+    }
+
+    return { ...item, listing };
+  }));
+
+  if (errors.length) {
+    throw ApiError.badRequest(errors.map(error => error.message).join('; '), errors);
+  }
+
+  return loaded;
+};
+
+/**
+ * Every item changing hands in a swap, offered items first
+ * Swaps created before multi-item offers only carry offeredVehicleId.
+ * @param {object} swap - Swap with offeredItems, offeredVehicleId, requestedItemType, requestedItemId, requestedQuantity
+ * @returns {Array} `[{ itemType, itemId, quantity }]`
+ */
+exports.getSwapItems = (swap) => {
+  const offered = (swap.offeredItems && swap.offeredItems.length)
+    ? swap.offeredItems
+    : (swap.offeredVehicleId ? [{ itemType: 'vehicle', itemId: swap.offeredVehicleId, quantity: 1 }] : []);
+
+  return [
+    ...offered,
+    {
+      itemType: swap.requestedItemType,
+      itemId: swap.requestedItemId,
+      quantity: swap.requestedQuantity || 1
+    }
+  ];
+};
+
+/**
+ * Take an accepted swap's listings off the market
+ * Vehicles, and parts the swap takes the last units of, are marked reserved
+ * and their previous status recorded, so calling the swap off restores only
+ * what it reserved. Run in the transaction that accepts the swap.
+ * @param {string} swapId - Swap ID
+ * @param {object} tx - Prisma transaction client
+ * @returns {Promise<void>}
+ * @throws {ApiError} 409 when a listing is no longer available
+ */
+exports.reserveSwapItems = async (swapId, tx) => {
+  const swap = await tx.swap.findUnique({ where: { id: swapId }, select: SWAP_ITEMS_SELECT });
+
+  for (const item of exports.getSwapItems(swap)) {
+    const model = item.itemType === 'vehicle' ? tx.vehicle : tx.part;
+    const quantity = exports.getItemQuantity(item);
+    const listing = await model.findUnique({ where: { id: item.itemId }, select: ITEM_SELECT[item.itemType] });
+    const label = listing ? `"${listing.title}"` : `${item.itemType} ${item.itemId}`;
+
+    if (!listing || listing.status !== LISTING_STATUS.ACTIVE) {
+      throw ApiError.conflict(`${label} is no longer available`);
+    }
+
+    if (item.itemType === 'part') {
+      if (!listing.inStock || listing.quantity < quantity) {
+        throw ApiError.conflict(`Only ${listing.inStock ? listing.quantity : 0} of ${label} in stock`);
+      }
+
+      // The rest of the stock stays on sale
+      if (listing.quantity > quantity) {
+        continue;
+      }
+    }
+
+    // Another swap reserving it meanwhile leaves nothing to update
+    const { count } = await model.updateMany({
+      where: { id: item.itemId, status: listing.status },
+      data: { status: LISTING_STATUS.RESERVED }
+    });
+
+    if (count === 0) {
+      throw ApiError.conflict(`${label} is no longer available`);
+    }
+
+    await tx.swapReservation.create({
+      data: {
+        swapId,
+        itemType: item.itemType,
+        itemId: item.itemId,
+        previousStatus: listing.status
+      }
+    });
+  }
+};
+
+/**
+ * Give back the listings a swap reserved
+ * Each goes back to the status it had when the swap was accepted, unless it
+ * has moved on since (e.g. swapped). Run in the transaction that ends the swap.
+ * @param {string} swapId - Swap ID
+ * @param {object} tx - Prisma transaction client
+ * @returns {Promise<number>} Listings restored
+ */
+exports.releaseSwapItems = async (swapId, tx) => {
+  const reservations = await tx.swapReservation.findMany({
+    where: { swapId, releasedAt: null }
+  });
+
+  let restored = 0;
+
+  for (const reservation of reservations) {
+    const model = reservation.itemType === 'vehicle' ? tx.vehicle : tx.part;
+    const { count } = await model.updateMany({
+      where: { id: reservation.itemId, status: LISTING_STATUS.RESERVED },
+      data: { status: reservation.previousStatus }
+    });
+    restored += count;
+  }
+
+  if (reservations.length > 0) {
+    await tx.swapReservation.updateMany({
+      where: { id: { in: reservations.map(reservation => reservation.id) } },
+      data: { releasedAt: new Date() }
+    });
+  }
+
+  return restored;
+};
+
+/**
+ * Move inventory when a swap completes
+ * Vehicles are marked swapped; parts lose the swapped quantity and are marked
+ * swapped / out of stock when none are left.
+ * @param {object} swap - Swap with its id and the fields getSwapItems needs
+ * @param {object} tx - Transaction client of the completion
+ * @returns {Promise<void>}
+ */
+exports.applySwapInventory = async (swap, tx) => {
+  // Parts with stock left go back on sale
+  await exports.releaseSwapItems(swap.id, tx);
+
+  for (const item of exports.getSwapItems(swap)) {
+    if (item.itemType === 'vehicle') {
+      await tx.vehicle.update({
+        where: { id: item.itemId },
+        data: { status: 'swapped' }
+      });
+      continue;
+    }
+
+    const part = await tx.part.findUnique({
+      where: { id: item.itemId },
+      select: { quantity: true }
+    });
+    if (!part) {
+      continue;
+    }
+
+    const quantity = Math.max(0, part.quantity - exports.getItemQuantity(item));
+    await tx.part.update({
+      where: { id: item.itemId },
+      data: {
+        quantity,
+        inStock: quantity > 0,
+        ...(quantity === 0 && { status: 'swapped' })
+      }
+    });
+  }
+};
+
+/**
+ * Load the listings behind offered items for display
+ * @param {Array} offeredItems - Offered items
+ * @returns {Promise<Array>} Items with `listing`
+ */
+exports.getOfferedListings = async (offeredItems = []) => {
+  return await Promise.all(offeredItems.map(async item => ({
+    ...item,
+    quantity: exports.getItemQuantity(item),
+    listing: await exports.loadItem(item.itemType, item.itemId)
+  })));
+};
+
+module.exports = exports;
@@ -0,0 +1,328 @@
+/**
+ * Swap Recommendation Service
+ * Ranks swap candidates for a vehicle or part on price parity, swap preferences,
+ * distance and seller rating, explaining every score component
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { calculateDistance } = require('../utils/helpers');
+const { SWAP_RECOMMENDATION } = require('../utils/constants');
+
+const { WEIGHTS } = SWAP_RECOMMENDATION;
+
+const SELLER_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatarUrl: true,
+  rating: true,
+  reviewCount: true
+};
+
+/**
+ * Get ranked swap candidates for a listing
+ * @param {object} params
+ * @param {string} params.itemType - 'vehicle' or 'part'
+ * @param {string} params.itemId - Listing ID
+ * @param {number} [params.limit] - Max candidates to return
+ * @param {number} [params.maxDistanceKm] - Drop candidates further than this
+ * @returns {Promise<object>} `{ item, recommendations }`
+ */
+exports.getRecommendations = async ({ itemType, itemId, limit, maxDistanceKm }) => {
+  if (!['vehicle', 'part'].includes(itemType)) {
+    throw ApiError.badRequest('itemType must be vehicle or part');
+  }
+
+  const model = itemType === 'vehicle' ? prisma.vehicle : prisma.part;
+  const item = await model.findUnique({
+    where: { id: itemId },
+    include: { seller: { select: SELLER_SELECT } }
+  });
+
+  if (!item) {
+    throw ApiError.notFound(`${itemType === 'vehicle' ? 'Vehicle' : 'Part'} not found`);
+  }
+
+  const candidates = await model.findMany({
+    where: buildCandidateFilter(itemType, item),
+    take: SWAP_RECOMMENDATION.CANDIDATE_POOL,
+    orderBy: { createdAt: 'desc' },
+    include: { seller: { select: SELLER_SELECT } }
+  });
+
+  const recommendations = candidates
+    .map(candidate => scoreCandidate(itemType, item, candidate))
+    .filter(rec => !maxDistanceKm || rec.distanceKm === null || rec.distanceKm <= maxDistanceKm)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit || SWAP_RECOMMENDATION.DEFAULT_LIMIT);
+
+  return { item, recommendations };
+};
+
+/**
+ * Score one candidate against the source listing
+ * @param {string} itemType - 'vehicle' or 'part'
+ * @param {object} item - Source listing (with seller)
+ * @param {object} candidate - Candidate listing (with seller)
+ * @returns {object} Scored recommendation
+ */
+const scoreCandidate = (itemType, item, candidate) => {
+  const priceParity = scorePriceParity(item, candidate);
+  const preference = itemType === 'vehicle'
+    ? scoreVehiclePreference(item, candidate)
+    : scorePartPreference(item, candidate);
+  const distance = scoreDistance(item, candidate);
+  const sellerRating = scoreSellerRating(candidate.seller);
+
+  const breakdown = { priceParity, preference, distance, sellerRating };
+  const score = Object.values(breakdown).reduce((sum, component) => sum + component.score, 0);
+
+  return {
+    itemType,
+    item: candidate,
+    score: round(score),
+    distanceKm: distance.distanceKm,
+    cashBalance: priceParity.cashBalance,
+    breakdown
+  };
+};
+
+// Helper functions
+
+/**
+ * Active, swap-open listings from other sellers within the price window
+ * The window compares normalized prices (priceBase) across currencies; a
+ * listing without one is only compared with listings in its own currency.
+ */
+function buildCandidateFilter(itemType, item) {
+  const window = (price) => ({
+    gte: price * (1 - SWAP_RECOMMENDATION.MAX_PRICE_GAP),
+    lte: price * (1 + SWAP_RECOMMENDATION.MAX_PRICE_GAP)
+  });
+
+  const where = {
+    id: { not: item.id },
+    sellerId: { not: item.sellerId },
+    status: 'active',
+    openToSwap: true,
+    ...(item.priceBase != null
+      ? { priceBase: window(item.priceBase) }
+      : { currency: item.currency, price: window(item.price) })
+  };
+
+  if (itemType === 'part') {
+    where.inStock = true;
+    // Candidate must accept our category (empty list accepts any)
+    where.OR = [
+      { acceptedPartCategories: { isEmpty: true } },
+      { acceptedPartCategories: { has: item.category } }
+    ];
+  }
+
+  return where;
+}
+
+/**
+ * Closer prices score higher; the gap is suggested as a cash top-up
+ */
+function scorePriceParity(item, candidate) {
+  const max = WEIGHTS.PRICE_PARITY;
+
+  if (item.currency !== candidate.currency) {
+    return {
+      score: 0,
+      max,
+      cashBalance: null,
+      explanation: `Priced in ${candidate.currency} while your listing is in ${item.currency}`
+    };
+  }
+
+  const gap = candidate.price - item.price;
+  const gapRatio = Math.abs(gap) / Math.max(item.price, candidate.price, 1);
+  const score = max * Math.max(0, 1 - gapRatio / SWAP_RECOMMENDATION.MAX_PRICE_GAP);
+
+  const cashBalance = gap === 0
+    ? null
+    : {
+      amount: round(Math.abs(gap)),
+      currency: item.currency,
+      paidBy: gap > 0 ? 'source_owner' : 'candidate_owner'
+    };
+
+  let explanation;
+  if (!cashBalance) {
+    explanation = 'Same asking price - a straight swap';
+  } else if (cashBalance.paidBy === 'source_owner') {
+    explanation = `Priced ${Math.round(gapRatio * 100)}% higher - you would add ${cashBalance.amount} ${cashBalance.currency}`;
+  } else {
+    explanation = `Priced ${Math.round(gapRatio * 100)}% lower - the other owner would add ${cashBalance.amount} ${cashBalance.currency}`;
+  }
+
+  return { score: round(score), max, cashBalance, explanation };
+}
+
+/**
+ * Match each side's make/model against the other side's swap preferences
+ */
+function scoreVehiclePreference(item, candidate) {
+  const max = WEIGHTS.PREFERENCE;
+  const half = max / 2;
+  const reasons = [];
+  let score = 0;
+
+  // What the source owner is looking for
+  const wanted = matchPreferences(item.swapPreferences, candidate);
+  if (wanted === null) {
+    score += half / 2;
+    reasons.push('you have no stated preferences');
+  } else if (wanted.length) {
+    score += half;
+    reasons.push(`matches your preference for ${wanted.join(' ')}`);
+  } else {
+    reasons.push('not in your stated preferences');
+  }
+
+  // Whether the candidate owner would want the source vehicle
+  const wantsUs = matchPreferences(candidate.swapPreferences, item);
+  if (wantsUs === null) {
+    score += half / 2;
+    reasons.push('owner is open to any vehicle');
+  } else if (wantsUs.length) {
+    score += half;
+    reasons.push(`owner is looking for ${wantsUs.join(' ')}`);
+  } else {
+    reasons.push(`owner prefers: ${candidate.swapPreferences}`);
+  }
+
+  return { score: round(score), max, explanation: capitalizeFirst(reasons.join('; ')) };
+}
+
+/**
+ * Part categories accepted both ways plus overlapping vehicle compatibility
+ */
+function scorePartPreference(item, candidate) {
+  const max = WEIGHTS.PREFERENCE;
+  const reasons = [];
+  let score = 0;
+
+  // Candidate accepting our category is guaranteed by the candidate filter
+  score += max * 0.4;
+  reasons.push(candidate.acceptedPartCategories.length
+    ? `owner accepts ${item.category} parts`
+    : 'owner accepts any part category');
+
+  if (!item.acceptedPartCategories.length) {
+    score += max * 0.2;
+    reasons.push('you accept any category');
+  } else if (item.acceptedPartCategories.includes(candidate.category)) {
+    score += max * 0.4;
+    reasons.push(`you accept ${candidate.category} parts`);
+  } else {
+    reasons.push(`${candidate.category} is not in your accepted categories`);
+  }
+
+  const sharedMakes = item.compatibleMakes.filter(make =>
+    candidate.compatibleMakes.some(other => other.toLowerCase() === make.toLowerCase())
+  );
+  if (sharedMakes.length || item.isUniversal || candidate.isUniversal) {
+    score += max * 0.2;
+    reasons.push(sharedMakes.length
+      ? `both fit ${sharedMakes.join(', ')}`
+      : 'universal fitment');
+  }
+
+  return { score: round(Math.min(score, max)), max, explanation: capitalizeFirst(reasons.join('; ')) };
+}
+
+/**
+ * Straight-line distance when both listings have coordinates,
+ * otherwise same city / same country
+ */
+function scoreDistance(item, candidate) {
+  const max = WEIGHTS.DISTANCE;
+  const hasCoordinates = [item.latitude, item.longitude, candidate.latitude, candidate.longitude]
+    .every(value => value !== null && value !== undefined);
+
+  if (hasCoordinates) {
+    const distanceKm = calculateDistance(item.latitude, item.longitude, candidate.latitude, candidate.longitude);
+    const score = max * Math.max(0, 1 - distanceKm / SWAP_RECOMMENDATION.MAX_DISTANCE_KM);
+
+    return {
+      score: round(score),
+      max,
+      distanceKm: round(distanceKm),
+      explanation: `${round(distanceKm)} km away`
+    };
+  }
+
+  const sameCity = item.city && candidate.city && item.city.toLowerCase() === candidate.city.toLowerCase();
+  const sameCountry = item.country && candidate.country && item.country.toLowerCase() === candidate.country.toLowerCase();
+
+  if (sameCity) {
+    return { score: max * 0.8, max, distanceKm: null, explanation: `Same city (${candidate.city})` };
+  }
+
+  if (sameCountry) {
+    return { score: max * 0.4, max, distanceKm: null, explanation: `Same country (${candidate.country})` };
+  }
+
+  return { score: 0, max, distanceKm: null, explanation: `Located in ${candidate.city}, ${candidate.country}` };
+}
+
+/**
+ * Seller rating out of 5; unrated sellers get a neutral score
+ */
+function scoreSellerRating(seller) {
+  const max = WEIGHTS.SELLER_RATING;
+
+  if (!seller || !seller.reviewCount) {
+    return { score: max / 2, max, explanation: 'Seller has no reviews yet' };
+  }
+
+  return {
+    score: round(max * Math.min(seller.rating, 5) / 5),
+    max,
+    explanation: `Seller rated ${seller.rating.toFixed(1)}/5 from ${seller.reviewCount} review${seller.reviewCount === 1 ? '' : 's'}`
+  };
+}
+
+/**
+ * Which of the vehicle's make / model / body type a free-text preference mentions
+ * Terms match as whole words, so "Ram" matches "a Ram or an F-150" but not "Ramsey".
+ * @returns {string[]|null} Matched terms, null when there is no preference
+ */
+function matchPreferences(preferences, vehicle) {
+  if (!preferences || !preferences.trim()) {
+    return null;
+  }
+
+  const words = tokenize(preferences);
+  return [vehicle.make, vehicle.model, vehicle.bodyType]
+    .filter(term => term && containsPhrase(words, tokenize(term)));
+}
+
+exports.matchPreferences = matchPreferences;
+
+function tokenize(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Whether `phrase` appears in `words` as consecutive whole words
+function containsPhrase(words, phrase) {
+  if (!phrase.length) {
+    return false;
+  }
+
+  return words.some((word, start) => phrase.every((part, offset) => words[start + offset] === part));
+}
+
+function capitalizeFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = exports;
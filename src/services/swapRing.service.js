@@ -0,0 +1,503 @@
+/**
+ * Swap Ring Service
+ * Finds 3- and 4-party swap cycles (A wants B's, B wants C's, C wants A's)
+ * from stated swap preferences and binds them once every participant accepts
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { SWAP_RING } = require('../utils/constants');
+const { matchPreferences } = require('./swapRecommendation.service');
+const { recordSwapEvent } = require('./swapHistory.service');
+const { reserveSwapItems } = require('./swapItems.service');
+
+const LISTING_SELECT = {
+  id: true,
+  sellerId: true,
+  price: true,
+  currency: true
+};
+
+/**
+ * Run the ring matcher: expire stale proposals and propose new rings
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} `{ expired, proposed }`
+ */
+exports.runRingMatcher = async (now = new Date()) => {
+  const expired = await exports.expireStaleRings(now);
+
+  // Items already tied up in a live ring are left out
+  const busyItems = await prisma.swapRingParticipant.findMany({
+    where: { ring: { status: { in: ['proposed', 'accepted'] } } },
+    select: { itemId: true }
+  });
+  const busyItemIds = busyItems.map(participant => participant.itemId);
+
+  const [vehicles, parts] = await Promise.all([
+    prisma.vehicle.findMany({
+      where: { status: 'active', openToSwap: true, id: { notIn: busyItemIds } },
+      select: { ...LISTING_SELECT, make: true, model: true, bodyType: true, swapPreferences: true },
+      orderBy: { createdAt: 'desc' },
+      take: SWAP_RING.CANDIDATE_POOL
+    }),
+    prisma.part.findMany({
+      where: { status: 'active', openToSwap: true, inStock: true, id: { notIn: busyItemIds } },
+      select: { ...LISTING_SELECT, category: true, acceptedPartCategories: true },
+      orderBy: { createdAt: 'desc' },
+      take: SWAP_RING.CANDIDATE_POOL
+    })
+  ]);
+
+  const cycles = [
+    ...await exports.findRingCycles(await buildWantsGraph('vehicle', vehicles)),
+    ...await exports.findRingCycles(await buildWantsGraph('part', parts))
+  ];
+
+  let proposed = 0;
+  const usedItemIds = new Set();
+
+  // Smaller rings are easier to close, propose them first
+  cycles.sort((a, b) => a.length - b.length);
+
+  for (const cycle of cycles) {
+    if (cycle.some(node => usedItemIds.has(node.id))) {
+      continue;
+    }
+
+    const ring = await proposeRing(cycle, now);
+    if (ring) {
+      cycle.forEach(node => usedItemIds.add(node.id));
+      proposed++;
+    }
+  }
+
+  return { expired, proposed };
+};
+
+/**
+ * Find simple cycles of SWAP_RING.MIN_SIZE..MAX_SIZE listings with distinct owners
+ * Each cycle is reported once, starting from its smallest listing ID. The
+ * search from each listing stops after SWAP_RING.MAX_STEPS_PER_START steps,
+ * and yields to the event loop between listings so API requests keep flowing.
+ * @param {Array} nodes - `{ id, itemType, sellerId, wants: Set<id> }`, wants = listings the owner would take
+ * @returns {Promise<Array<Array>>} Cycles as ordered node lists (each node's owner receives the next node)
+ */
+exports.findRingCycles = async (nodes) => {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const cycles = [];
+  let steps = 0;
+
+  const visit = (start, path, sellers) => {
+    const current = path[path.length - 1];
+
+    for (const nextId of current.wants) {
+      if (++steps > SWAP_RING.MAX_STEPS_PER_START) {
+        return;
+      }
+
+      if (nextId === start.id && path.length >= SWAP_RING.MIN_SIZE) {
+        cycles.push([...path]);
+        continue;
+      }
+
+      const next = byId.get(nextId);
+      if (
+        !next ||
+        next.id <= start.id ||
+        path.length >= SWAP_RING.MAX_SIZE ||
+        sellers.has(next.sellerId)
+      ) {
+        continue;
+      }
+
+      path.push(next);
+      sellers.add(next.sellerId);
+      visit(start, path, sellers);
+      sellers.delete(next.sellerId);
+      path.pop();
+    }
+  };
+
+  const starts = [...byId.values()].sort((a, b) => (a.id < b.id ? -1 : 1));
+  for (const start of starts) {
+    steps = 0;
+    visit(start, [start], new Set([start.sellerId]));
+    await yieldToEventLoop();
+  }
+
+  return cycles;
+};
+
+/**
+ * Expire proposals nobody closed in time
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of rings expired
+ */
+exports.expireStaleRings = async (now = new Date()) => {
+  const { count } = await prisma.swapRing.updateMany({
+    where: { status: 'proposed', expiresAt: { lte: now } },
+    data: { status: 'expired' }
+  });
+
+  return count;
+};
+
+/**
+ * Record a participant's decision on a ring
+ * Declining ends the ring for everyone; the last acceptance binds it into swaps.
+ * @param {object} params
+ * @param {string} params.ringId - Ring ID
+ * @param {object} params.user - Deciding user
+ * @param {boolean} params.accept - Accept or decline
+ * @param {object} [params.req] - Express request
+ * @returns {Promise<object>} Updated ring with participants
+ */
+exports.decideRing = async ({ ringId, user, accept, req }) => {
+  const ring = await prisma.swapRing.findUnique({
+    where: { id: ringId },
+    include: { participants: true }
+  });
+
+  const participant = ring && ring.participants.find(p => p.userId === user.id);
+  if (!participant) {
+    throw ApiError.notFound('Ring proposal not found');
+  }
+
+  if (ring.status !== 'proposed' || ring.expiresAt <= new Date()) {
+    throw ApiError.badRequest(`Ring proposal is ${ring.status === 'proposed' ? 'expired' : ring.status}`);
+  }
+
+  if (participant.decision !== 'pending') {
+    throw ApiError.badRequest(`You have already ${participant.decision} this ring`);
+  }
+
+  await prisma.swapRingParticipant.update({
+    where: { id: participant.id },
+    data: {
+      decision: accept ? 'accepted' : 'declined',
+      decidedAt: new Date()
+    }
+  });
+
+  const others = ring.participants.filter(p => p.userId !== user.id);
+
+  if (!accept) {
+    await prisma.swapRing.update({
+      where: { id: ringId },
+      data: { status: 'declined' }
+    });
+
+    await notifyParticipants(others, ringId, 'Ring Swap Declined',
+      `A participant declined the ${ring.size}-way swap, so it will not go ahead`);
+  } else {
+    // Re-count after our update so simultaneous last acceptances still bind
+    const undecided = await prisma.swapRingParticipant.count({
+      where: { ringId, decision: { not: 'accepted' } }
+    });
+
+    if (undecided === 0) {
+      await bindRing(ring, req);
+    }
+  }
+
+  return await exports.getRing(ringId);
+};
+
+/**
+ * Get a ring with its participants and listings
+ * @param {string} ringId - Ring ID
+ * @returns {Promise<object|null>} Ring
+ */
+exports.getRing = async (ringId) => {
+  const ring = await prisma.swapRing.findUnique({
+    where: { id: ringId },
+    include: {
+      participants: {
+        orderBy: { position: 'asc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              avatarUrl: true
+            }
+          }
+        }
+      },
+      swaps: { select: { id: true, status: true, initiatorId: true, receiverId: true } }
+    }
+  });
+
+  if (!ring) {
+    return null;
+  }
+
+  return await attachListings(ring);
+};
+
+/**
+ * List the ring proposals a user takes part in
+ * @param {string} userId - User ID
+ * @param {string} [status] - Filter by ring status
+ * @returns {Promise<Array>} Rings, newest first
+ */
+exports.getUserRings = async (userId, status) => {
+  const rings = await prisma.swapRing.findMany({
+    where: {
+      participants: { some: { userId } },
+      ...(status && { status })
+    },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      participants: {
+        orderBy: { position: 'asc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              avatarUrl: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  return await Promise.all(rings.map(attachListings));
+};
+
+// Helper functions
+
+/**
+ * Build the "owner would take" graph for listings of one type
+ * Vehicles: the owner's swapPreferences mention the other's make / model / body type.
+ * Parts: the owner's acceptedPartCategories contain the other's category.
+ * Both: prices within SWAP_RING.MAX_PRICE_GAP and the same currency, since rings carry no cash.
+ * Each listing links to the closest-priced SWAP_RING.MAX_WANTS listings its owner would take.
+ */
+async function buildWantsGraph(itemType, listings) {
+  const nodes = [];
+
+  for (const listing of listings) {
+    const wanted = [];
+
+    listings.forEach((other) => {
+      if (other.sellerId === listing.sellerId || other.currency !== listing.currency) {
+        return;
+      }
+
+      const gap = Math.abs(other.price - listing.price) / Math.max(other.price, listing.price, 1);
+      if (gap > SWAP_RING.MAX_PRICE_GAP) {
+        return;
+      }
+
+      const matches = itemType === 'vehicle'
+        ? (matchPreferences(listing.swapPreferences, other) || []).length > 0
+        : listing.acceptedPartCategories.includes(other.category);
+
+      if (matches) {
+        wanted.push({ id: other.id, gap });
+      }
+    });
+
+    const wants = new Set(wanted
+      .sort((a, b) => a.gap - b.gap)
+      .slice(0, SWAP_RING.MAX_WANTS)
+      .map(other => other.id));
+
+    nodes.push({ ...listing, itemType, wants });
+    await yieldToEventLoop();
+  }
+
+  return nodes;
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Store a ring proposal and notify its participants
+ * Owner of cycle[i] receives cycle[i + 1] and gives cycle[i] to the owner of cycle[i - 1].
+ * @returns {Promise<object|null>} Ring, null if this cycle was proposed before
+ */
+async function proposeRing(cycle, now) {
+  const signature = cycle.map(node => node.id).sort().join(':');
+
+  const existing = await prisma.swapRing.findUnique({ where: { signature } });
+  if (existing) {
+    return null;
+  }
+
+  const size = cycle.length;
+  const ring = await prisma.swapRing.create({
+    data: {
+      signature,
+      size,
+      expiresAt: new Date(now.getTime() + SWAP_RING.EXPIRY_HOURS * 60 * 60 * 1000),
+      participants: {
+        create: cycle.map((node, index) => {
+          const receives = cycle[(index + 1) % size];
+          const givesTo = cycle[(index - 1 + size) % size];
+
+          return {
+            userId: node.sellerId,
+            position: index,
+            itemType: node.itemType,
+            itemId: node.id,
+            givesToUserId: givesTo.sellerId,
+            receivesItemType: receives.itemType,
+            receivesItemId: receives.id
+          };
+        })
+      }
+    },
+    include: { participants: true }
+  });
+
+  await notifyParticipants(ring.participants, ring.id, 'New Ring Swap Proposal',
+    `We found a ${size}-way swap that gets you a listing you want. Review it within ${SWAP_RING.EXPIRY_HOURS} hours`);
+
+  return ring;
+}
+
+/**
+ * Turn an accepted ring into one accepted swap leg per participant
+ * Each leg is requested by the receiving participant from the giving owner
+ * and reserves the giver's listing, all in one transaction.
+ */
+async function bindRing(ring, req) {
+  const { participants } = ring;
+
+  // Every listing must still be available
+  const listings = await Promise.all(participants.map(p => findListing(p.itemType, p.itemId)));
+  const unavailable = listings.some((listing, index) =>
+    !listing || listing.status !== 'active' || listing.sellerId !== participants[index].userId
+  );
+
+  if (unavailable) {
+    await cancelUnavailableRing(ring);
+    return;
+  }
+
+  let swaps;
+  try {
+    swaps = await prisma.$transaction(async (tx) => {
+      // Only one caller gets to bind the ring
+      const { count } = await tx.swapRing.updateMany({
+        where: { id: ring.id, status: 'proposed' },
+        data: { status: 'accepted', boundAt: new Date() }
+      });
+
+      if (count === 0) {
+        return [];
+      }
+
+      const legs = [];
+      for (const giver of participants) {
+        const leg = await tx.swap.create({
+          data: {
+            initiatorId: participants.find(p => p.receivesItemId === giver.itemId).userId,
+            receiverId: giver.userId,
+            requestedItemType: giver.itemType,
+            requestedItemId: giver.itemId,
+            offeredVehicleId: null,
+            additionalCash: 0,
+            message: `Part of a ${ring.size}-way ring swap`,
+            status: 'accepted',
+            ringId: ring.id
+          }
+        });
+
+        await reserveSwapItems(leg.id, tx);
+        legs.push(leg);
+      }
+
+      return legs;
+    });
+  } catch (error) {
+    // A listing was taken after the check above
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+
+    await cancelUnavailableRing(ring);
+    return;
+  }
+
+  if (swaps.length === 0) {
+    return;
+  }
+
+  await Promise.all(swaps.map(swap => recordSwapEvent({
+    swapId: swap.id,
+    action: 'ring_bound',
+    toStatus: 'accepted',
+    changes: { ringId: ring.id, size: ring.size },
+    req
+  })));
+
+  await notifyParticipants(participants, ring.id, 'Ring Swap Confirmed',
+    `Everyone accepted your ${ring.size}-way swap. Arrange the handover with the owner you receive from`);
+}
+
+async function cancelUnavailableRing(ring) {
+  const { count } = await prisma.swapRing.updateMany({
+    where: { id: ring.id, status: 'proposed' },
+    data: { status: 'expired' }
+  });
+
+  if (count > 0) {
+    await notifyParticipants(ring.participants, ring.id, 'Ring Swap Cancelled',
+      'One of the listings in your ring swap is no longer available');
+  }
+}
+
+async function findListing(itemType, itemId) {
+  const model = itemType === 'vehicle' ? prisma.vehicle : prisma.part;
+  return await model.findUnique({
+    where: { id: itemId },
+    select: { id: true, status: true, sellerId: true }
+  });
+}
+
+/**
+ * Attach the given / received listing summaries to each participant
+ */
+async function attachListings(ring) {
+  const vehicleIds = ring.participants.filter(p => p.itemType === 'vehicle').map(p => p.itemId);
+  const partIds = ring.participants.filter(p => p.itemType === 'part').map(p => p.itemId);
+  const listingSelect = { id: true, title: true, slug: true, price: true, currency: true, images: true, city: true };
+
+  const [vehicles, parts] = await Promise.all([
+    vehicleIds.length ? prisma.vehicle.findMany({ where: { id: { in: vehicleIds } }, select: listingSelect }) : [],
+    partIds.length ? prisma.part.findMany({ where: { id: { in: partIds } }, select: listingSelect }) : []
+  ]);
+  const listings = new Map([...vehicles, ...parts].map(listing => [listing.id, listing]));
+
+  return {
+    ...ring,
+    participants: ring.participants.map(p => ({
+      ...p,
+      gives: listings.get(p.itemId) || null,
+      receives: listings.get(p.receivesItemId) || null
+    }))
+  };
+}
+
+async function notifyParticipants(participants, ringId, title, message) {
+  await prisma.notification.createMany({
+    data: participants.map(p => ({
+      userId: p.userId,
+      type: 'swap_ring',
+      title,
+      message,
+      data: { ringId }
+    }))
+  });
+}
+
+module.exports = exports;
@@ -0,0 +1,259 @@
+/**
+ * Swap State Machine
+ * Single source of truth for swap status transitions and who may perform them
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { SWAP_STATUS } = require('../utils/constants');
+const { recordSwapEvent } = require('./swapHistory.service');
+const { settlePendingSwapEscrow } = require('./escrow.service');
+const { reserveSwapItems, releaseSwapItems } = require('./swapItems.service');
+
+const {
+  PENDING,
+  ACCEPTED,
+  REJECTED,
+  CANCELLED,
+  COMPLETED,
+  EXPIRED,
+  IN_HANDOVER,
+  DISPUTED
+} = SWAP_STATUS;
+
+/**
+ * Actor roles
+ * - initiator / receiver: the two parties of the swap
+ * - participant: either party
+ * - admin: platform admin
+ * - system: scheduled jobs and internal automation (no user)
+ */
+const ROLES = {
+  INITIATOR: 'initiator',
+  RECEIVER: 'receiver',
+  PARTICIPANT: 'participant',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+/**
+ * Allowed transitions: from -> to -> roles allowed to perform it
+ * Statuses missing as a key (rejected, cancelled, completed, expired) are terminal.
+ */
+const TRANSITIONS = {
+  [PENDING]: {
+    [ACCEPTED]: [ROLES.PARTICIPANT],
+    [REJECTED]: [ROLES.PARTICIPANT],
+    [CANCELLED]: [ROLES.PARTICIPANT, ROLES.ADMIN],
+    [EXPIRED]: [ROLES.SYSTEM]
+  },
+  [ACCEPTED]: {
+    [IN_HANDOVER]: [ROLES.PARTICIPANT],
+    [CANCELLED]: [ROLES.PARTICIPANT, ROLES.ADMIN, ROLES.SYSTEM],
+    [DISPUTED]: [ROLES.PARTICIPANT, ROLES.ADMIN]
+  },
+  [IN_HANDOVER]: {
+    // Completed by the handover flow once both parties confirmed, never by one party
+    [COMPLETED]: [ROLES.SYSTEM],
+    [DISPUTED]: [ROLES.PARTICIPANT, ROLES.ADMIN, ROLES.SYSTEM]
+  },
+  [DISPUTED]: {
+    [IN_HANDOVER]: [ROLES.ADMIN],
+    [COMPLETED]: [ROLES.ADMIN],
+    [CANCELLED]: [ROLES.ADMIN]
+  }
+};
+
+/**
+ * Error thrown for transitions the state machine does not allow
+ */
+class SwapTransitionError extends ApiError {
+  constructor(statusCode, message, { from, to } = {}) {
+    super(statusCode, message);
+    this.name = 'SwapTransitionError';
+    this.code = 'INVALID_SWAP_TRANSITION';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Get the roles a user holds on a swap
+ * @param {object} swap - Swap with initiatorId and receiverId
+ * @param {object|null} user - Acting user, null for system actions
+ * @returns {string[]} Roles
+ */
+const getActorRoles = (swap, user) => {
+  if (!user) {
+    return [ROLES.SYSTEM];
+  }
+
+  const roles = [];
+
+  if (swap.initiatorId === user.id) {
+    roles.push(ROLES.INITIATOR, ROLES.PARTICIPANT);
+  }
+
+  if (swap.receiverId === user.id) {
+    roles.push(ROLES.RECEIVER, ROLES.PARTICIPANT);
+  }
+
+  if (user.role === 'admin') {
+    roles.push(ROLES.ADMIN);
+  }
+
+  return roles;
+};
+
+/**
+ * Statuses reachable from a status
+ * @param {string} status - Current status
+ * @returns {string[]} Next statuses
+ */
+const getNextStatuses = (status) => Object.keys(TRANSITIONS[status] || {});
+
+/**
+ * Check a transition is allowed for the actor
+ * @param {object} swap - Swap with status, initiatorId and receiverId
+ * @param {string} toStatus - Target status
+ * @param {object|null} user - Acting user, null for system actions
+ * @returns {boolean}
+ */
+const canTransition = (swap, toStatus, user) => {
+  const allowedRoles = (TRANSITIONS[swap.status] || {})[toStatus];
+  if (!allowedRoles) {
+    return false;
+  }
+
+  return getActorRoles(swap, user).some(role => allowedRoles.includes(role));
+};
+
+/**
+ * Throw unless the transition is allowed for the actor
+ * @param {object} swap - Swap with status, initiatorId and receiverId
+ * @param {string} toStatus - Target status
+ * @param {object|null} user - Acting user, null for system actions
+ * @throws {SwapTransitionError} 409 for illegal transitions, 403 for unauthorized actors
+ */
+const assertTransition = (swap, toStatus, user) => {
+  if (!swap) {
+    throw ApiError.notFound('Swap not found');
+  }
+
+  const allowedRoles = (TRANSITIONS[swap.status] || {})[toStatus];
+  if (!allowedRoles) {
+    const next = getNextStatuses(swap.status);
+    throw new SwapTransitionError(
+      409,
+      next.length
+        ? `Cannot move swap from ${swap.status} to ${toStatus} (allowed: ${next.join(', ')})`
+        : `Swap is already ${swap.status}`,
+      { from: swap.status, to: toStatus }
+    );
+  }
+
+  if (!getActorRoles(swap, user).some(role => allowedRoles.includes(role))) {
+    throw new SwapTransitionError(
+      403,
+      `Not authorized to move this swap to ${toStatus}`,
+      { from: swap.status, to: toStatus }
+    );
+  }
+};
+
+/**
+ * Move a swap to a new status
+ * Checks the transition, then in one transaction updates the swap only if
+ * its status (and any `where` fields) are unchanged since it was loaded and
+ * records the event in the swap history. Accepting reserves the swapped
+ * listings and cancelling gives them back. Escrowed cash is settled after
+ * that; a failed settlement stays marked on the swap and the
+ * swap-escrow-settlement job retries it.
+ * @param {object} params
+ * @param {object} params.swap - Swap as loaded (id, status, initiatorId, receiverId)
+ * @param {string} params.toStatus - Target status
+ * @param {object|null} params.user - Acting user, null for system actions
+ * @param {object} [params.actor] - User the history records when the system acts for them
+ * @param {string} [params.action] - History action name (defaults to the target status)
+ * @param {object} [params.data] - Extra swap fields to update with the status
+ * @param {object} [params.where] - Extra fields that must still match (e.g. currentRevision)
+ * @param {object} [params.changes] - Change payload for the history event
+ * @param {Function} [params.alsoWrite] - `async (tx) => {}` for writes that must commit with the transition
+ * @param {object} [params.include] - Prisma include for the returned swap
+ * @param {object} [params.req] - Express request, used for the history event
+ * @returns {Promise<object>} Updated swap
+ * @throws {ApiError} 409 when accepting and a listing is no longer available
+ */
+const transitionSwap = async ({ swap, toStatus, user, actor = user, action, data = {}, where = {}, changes, alsoWrite, include, req }) => {
+  assertTransition(swap, toStatus, user);
+
+  const settlement = {
+    id: swap.id,
+    status: toStatus,
+    escrowSettlementFrom: swap.status,
+    escrowSettlementPendingAt: new Date()
+  };
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.swap.updateMany({
+      where: { ...where, id: swap.id, status: swap.status },
+      data: {
+        ...data,
+        status: toStatus,
+        escrowSettlementFrom: settlement.escrowSettlementFrom,
+        escrowSettlementPendingAt: settlement.escrowSettlementPendingAt
+      }
+    });
+
+    if (count === 0) {
+      throw new SwapTransitionError(
+        409,
+        'Swap was updated by someone else - please reload and try again',
+        { from: swap.status, to: toStatus }
+      );
+    }
+
+    await recordSwapEvent({
+      swapId: swap.id,
+      action: action || toStatus,
+      actorId: actor ? actor.id : null,
+      fromStatus: swap.status,
+      toStatus,
+      changes,
+      req
+    }, tx);
+
+    if (toStatus === ACCEPTED) {
+      await reserveSwapItems(swap.id, tx);
+    } else if (toStatus === CANCELLED) {
+      await releaseSwapItems(swap.id, tx);
+    }
+
+    if (alsoWrite) {
+      await alsoWrite(tx);
+    }
+  });
+
+  // Escrowed cash follows the swap: released on completion, refunded when called off, frozen in disputes
+  try {
+    await settlePendingSwapEscrow(settlement);
+  } catch (error) {
+    console.error(`Settling escrow for swap ${swap.id} failed (will be retried):`, error.message);
+  }
+
+  return await prisma.swap.findUnique({
+    where: { id: swap.id },
+    include
+  });
+};
+
+module.exports = {
+  ROLES,
+  TRANSITIONS,
+  SwapTransitionError,
+  getActorRoles,
+  getNextStatuses,
+  canTransition,
+  assertTransition,
+  transitionSwap
+};
@@ -0,0 +1,636 @@
+/**
+ * Wallet Service
+ * Seller wallets, one per user and currency. Escrow released to a user is
+ * credited as pending and clears to available after WALLET.CLEARING_DAYS.
+ * Payouts: requested -> processing (admin approved) -> paid/failed, or
+ * requested -> rejected/cancelled. A payout holds its amount from request
+ * until it is paid (less the payout fee) or handed back to available.
+ * Every balance change is a WalletEntry, so wallets reconcile against their
+ * entries and against the escrow ledger's payee account.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { payoutWithProvider } = require('./payment.service');
+const { getRates, convert } = require('./currency.service');
+const { WALLET, CURRENCY } = require('../utils/constants');
+
+// Float balances built from many increments can drift below the exact sum
+const BALANCE_SLACK = 0.005;
+
+// Destination fields kept per payout method
+const DESTINATION_FIELDS = {
+  bank_transfer: ['accountName', 'accountNumber', 'bankCode', 'bankName'],
+  mobile_money: ['accountName', 'phone', 'operator']
+};
+
+/**
+ * A user's wallets, with what escrow still holds for them per currency
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} `[{ id, currency, available, pending, held, inEscrow }]`
+ */
+exports.getWallets = async (userId) => {
+  const [wallets, escrows] = await Promise.all([
+    prisma.wallet.findMany({ where: { userId }, orderBy: { currency: 'asc' } }),
+    prisma.escrow.groupBy({
+      by: ['currency'],
+      where: { payeeId: userId, status: { in: ['held', 'partially_released'] } },
+      _sum: { heldAmount: true }
+    })
+  ]);
+
+  const inEscrow = Object.fromEntries(escrows.map(row => [row.currency, round(row._sum.heldAmount || 0)]));
+
+  const result = wallets.map(wallet => ({
+    id: wallet.id,
+    currency: wallet.currency,
+    available: round(wallet.available),
+    pending: round(wallet.pending),
+    held: round(wallet.held),
+    inEscrow: inEscrow[wallet.currency] || 0
+  }));
+
+  // Escrow in a currency the user has never been paid in yet
+  Object.keys(inEscrow)
+    .filter(currency => !wallets.some(wallet => wallet.currency === currency))
+    .forEach(currency => {
+      result.push({ id: null, currency, available: 0, pending: 0, held: 0, inEscrow: inEscrow[currency] });
+    });
+
+  return result;
+};
+
+/**
+ * Credit released escrow to the payee's wallet as pending
+ * Runs inside the escrow release transaction so the wallet and the escrow
+ * ledger move together.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} params
+ * @param {object} params.escrow - Escrow being released
+ * @param {number} params.amount - Net amount released (after the platform fee)
+ * @param {string} [params.memo] - Entry memo
+ * @returns {Promise<object>} WalletEntry
+ */
+exports.creditEscrowRelease = async (tx, { escrow, amount, memo }) => {
+  const wallet = await tx.wallet.upsert({
+    where: { userId_currency: { userId: escrow.payeeId, currency: escrow.currency } },
+    create: { userId: escrow.payeeId, currency: escrow.currency },
+    update: {}
+  });
+
+  return await post(tx, wallet, {
+    type: 'escrow_release',
+    pending: amount,
+    escrowId: escrow.id,
+    availableAt: new Date(Date.now() + WALLET.CLEARING_DAYS * 24 * 60 * 60 * 1000),
+    memo
+  });
+};
+
+/**
+ * Move escrow releases that have cleared from pending to available
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Entries cleared
+ */
+exports.clearPendingFunds = async (now = new Date()) => {
+  const due = await prisma.walletEntry.findMany({
+    where: { type: 'escrow_release', clearedAt: null, availableAt: { lte: now } },
+    orderBy: { availableAt: 'asc' }
+  });
+
+  let cleared = 0;
+  for (const entry of due) {
+    const done = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.walletEntry.updateMany({
+        where: { id: entry.id, clearedAt: null },
+        data: { clearedAt: now }
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await post(tx, { id: entry.walletId }, {
+        type: 'clearance',
+        pending: -entry.pending,
+        available: entry.pending,
+        escrowId: entry.escrowId,
+        memo: 'Cleared for payout'
+      });
+      return true;
+    });
+
+    if (done) cleared += 1;
+  }
+
+  return cleared;
+};
+
+/**
+ * Smallest payout allowed in a currency
+ * @param {string} currency - Currency code
+ * @returns {Promise<number>} Amount
+ */
+exports.getMinimumPayout = async (currency) => {
+  const minimum = convert(WALLET.MIN_PAYOUT_BASE, CURRENCY.BASE, currency, await getRates());
+  return minimum == null ? 0 : Math.ceil(minimum * 100) / 100;
+};
+
+/**
+ * Ask for a payout of available funds (user)
+ * @param {object} params
+ * @param {object} params.user - Requesting user
+ * @param {string} params.currency - Wallet currency
+ * @param {number} [params.amount] - Amount to take from the wallet (defaults to everything available)
+ * @param {string} params.method - bank_transfer or mobile_money
+ * @param {object} params.destination - Bank account or mobile money details
+ * @returns {Promise<object>} Payout
+ */
+exports.requestPayout = async ({ user, currency, amount, method, destination = {} }) => {
+  const code = String(currency || '').toUpperCase();
+
+  if (!WALLET.PAYOUT_METHODS.includes(method)) {
+    throw ApiError.badRequest(`Payout method must be one of: ${WALLET.PAYOUT_METHODS.join(', ')}`);
+  }
+
+  const wallet = await prisma.wallet.findUnique({
+    where: { userId_currency: { userId: user.id, currency: code } }
+  });
+
+  if (!wallet) {
+    throw ApiError.notFound(`You have no ${code} wallet`);
+  }
+
+  const available = round(wallet.available);
+  const gross = round(amount ? parseFloat(amount) : available);
+  const minimum = await exports.getMinimumPayout(code);
+
+  if (!(gross > 0) || gross < minimum) {
+    throw ApiError.badRequest(`The minimum payout is ${code} ${minimum}`);
+  }
+
+  if (gross > available) {
+    throw ApiError.badRequest(`Only ${code} ${available} is available for payout`);
+  }
+
+  const fee = round(gross * WALLET.PAYOUT_FEE_PERCENT[method] / 100);
+  const reference = `PAYOUT-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  return await prisma.$transaction(async (tx) => {
+    const payout = await tx.payout.create({
+      data: {
+        userId: user.id,
+        walletId: wallet.id,
+        reference,
+        amount: gross,
+        fee,
+        netAmount: round(gross - fee),
+        currency: code,
+        method,
+        destination: pickDestination(method, destination)
+      }
+    });
+
+    await post(tx, wallet, {
+      type: 'payout_hold',
+      available: -gross,
+      held: gross,
+      payoutId: payout.id,
+      memo: `Payout ${reference} requested`
+    }, { available: { gte: gross - BALANCE_SLACK } });
+
+    return payout;
+  });
+};
+
+/**
+ * Withdraw a payout request that has not been reviewed yet (user)
+ * @param {object} params
+ * @param {string} params.payoutId - Payout ID
+ * @param {object} params.user - Requesting user
+ * @returns {Promise<object>} Payout
+ */
+exports.cancelPayout = async ({ payoutId, user }) => {
+  const payout = await prisma.payout.findFirst({ where: { id: payoutId, userId: user.id } });
+
+  if (!payout) {
+    throw ApiError.notFound('Payout not found');
+  }
+
+  return await releaseHold(payout, {
+    from: ['requested'],
+    status: 'cancelled',
+    memo: `Payout ${payout.reference} cancelled`
+  });
+};
+
+/**
+ * Approve (and send) or reject a payout (admin)
+ * Failed payouts can be rejected too, which hands their funds back.
+ * @param {object} params
+ * @param {string} params.payoutId - Payout ID
+ * @param {object} params.admin - Admin
+ * @param {boolean} params.approve - Approve or reject
+ * @param {string} [params.note] - Note for the user
+ * @returns {Promise<object>} Payout
+ */
+exports.reviewPayout = async ({ payoutId, admin, approve, note }) => {
+  const payout = await prisma.payout.findUnique({ where: { id: payoutId } });
+
+  if (!payout) {
+    throw ApiError.notFound('Payout not found');
+  }
+
+  const review = { reviewedById: admin.id, reviewedAt: new Date(), reviewNote: note };
+
+  if (!approve) {
+    const rejected = await releaseHold(payout, {
+      from: ['requested', 'failed'],
+      status: 'rejected',
+      data: review,
+      memo: `Payout ${payout.reference} rejected`
+    });
+
+    await notifyUser(
+      payout,
+      'Payout Rejected',
+      `Your payout of ${payout.currency} ${payout.amount} was rejected and the funds are back in your wallet${note ? `: ${note}` : ''}`
+    );
+
+    return rejected;
+  }
+
+  const { count } = await prisma.payout.updateMany({
+    where: { id: payoutId, status: 'requested' },
+    data: { ...review, status: 'processing', attempts: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(`Payout is already ${payout.status}`);
+  }
+
+  return await sendPayout(payoutId);
+};
+
+/**
+ * Send a failed payout again (admin)
+ * @param {string} payoutId - Payout ID
+ * @returns {Promise<object>} Payout
+ */
+exports.retryPayout = async (payoutId) => {
+  const { count } = await prisma.payout.updateMany({
+    where: { id: payoutId, status: 'failed' },
+    data: { status: 'processing', attempts: { increment: 1 }, failureReason: null }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict('Payout is not waiting to be retried');
+  }
+
+  return await sendPayout(payoutId);
+};
+
+/**
+ * Mark a payout paid and take it (fee and net) out of the held balance
+ * A payout reported failed can still be confirmed paid by a late webhook.
+ * @param {object} params
+ * @param {object} params.payout - Payout
+ * @returns {Promise<object>} Payout
+ */
+exports.completePayout = async ({ payout }) => {
+  const paid = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payout.updateMany({
+      where: { id: payout.id, status: { in: ['processing', 'failed'] } },
+      data: { status: 'paid', paidAt: new Date(), failureReason: null }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    const wallet = { id: payout.walletId };
+    if (payout.fee > 0) {
+      await post(tx, wallet, {
+        type: 'payout_fee',
+        held: -payout.fee,
+        payoutId: payout.id,
+        memo: `Payout fee ${WALLET.PAYOUT_FEE_PERCENT[payout.method]}%`
+      });
+    }
+
+    await post(tx, wallet, {
+      type: 'payout_paid',
+      held: -payout.netAmount,
+      payoutId: payout.id,
+      memo: `Paid by ${payout.method.replace('_', ' ')}`
+    });
+    return true;
+  });
+
+  if (paid) {
+    await notifyUser(
+      payout,
+      'Payout Sent',
+      `${payout.currency} ${payout.netAmount} is on its way to you${payout.fee > 0 ? ` (after a ${payout.currency} ${payout.fee} fee)` : ''}`,
+      'payment_received'
+    );
+  }
+
+  return await prisma.payout.findUnique({ where: { id: payout.id } });
+};
+
+/**
+ * Mark a processing payout failed; its funds stay held until an admin
+ * retries or rejects it
+ * @param {object} params
+ * @param {object} params.payout - Payout
+ * @param {string} params.reason - Failure reason
+ * @returns {Promise<object>} Payout
+ */
+exports.failPayout = async ({ payout, reason }) => {
+  const { count } = await prisma.payout.updateMany({
+    where: { id: payout.id, status: 'processing' },
+    data: { status: 'failed', failureReason: reason }
+  });
+
+  if (count > 0) {
+    await notifyUser(
+      payout,
+      'Payout Delayed',
+      `We could not send your payout of ${payout.currency} ${payout.netAmount} yet - our team will retry it or return the funds to your wallet`
+    );
+  }
+
+  return await prisma.payout.findUnique({ where: { id: payout.id } });
+};
+
+/**
+ * Apply a payout webhook
+ * @param {object} params
+ * @param {string} params.provider - Provider that sent it; only its payouts match
+ * @param {string} params.reference - Payout reference from the provider
+ * @param {object} [params.data] - Webhook data
+ * @param {boolean} [params.failed] - The provider reports the payout failed
+ * @returns {Promise<object>} `{ payout, applied }`
+ */
+exports.applyPayoutWebhook = async ({ provider, reference, data = {}, failed = false }) => {
+  const payout = reference
+    ? await prisma.payout.findFirst({
+      where: { provider, OR: [{ reference }, { providerRef: reference }] }
+    })
+    : null;
+
+  // Can happen when the callback beats our own write - replay later
+  if (!payout) {
+    throw new Error(`No payout for reference ${reference}`);
+  }
+
+  const open = failed ? ['processing'] : ['processing', 'failed'];
+  if (!open.includes(payout.status)) {
+    return { payout, applied: false };
+  }
+
+  const updated = failed
+    ? await exports.failPayout({ payout, reason: data.message || 'Payout failed at the provider' })
+    : await exports.completePayout({ payout });
+
+  return { payout: updated, applied: true };
+};
+
+/**
+ * Reconcile wallets against their own entries and the escrow ledger
+ * Per payee and currency, the escrow credited to the wallet must equal what
+ * the escrow ledger released to the payee account; every wallet's balances
+ * must equal the sum of its entries.
+ * @param {object} [params]
+ * @param {string} [params.currency] - Only this currency
+ * @returns {Promise<object>} `{ balanced, currencies, mismatches }`
+ */
+exports.reconcileWallets = async ({ currency } = {}) => {
+  const currencyFilter = currency ? { currency: String(currency).toUpperCase() } : {};
+
+  const [ledger, wallets, escrowCredits, entrySums] = await Promise.all([
+    prisma.escrowLedgerEntry.groupBy({
+      by: ['escrowId', 'direction'],
+      where: { account: 'payee', ...currencyFilter },
+      _sum: { amount: true }
+    }),
+    prisma.wallet.findMany({ where: currencyFilter }),
+    prisma.walletEntry.groupBy({
+      by: ['walletId'],
+      where: { type: 'escrow_release' },
+      _sum: { available: true, pending: true }
+    }),
+    prisma.walletEntry.groupBy({
+      by: ['walletId'],
+      _sum: { available: true, pending: true, held: true }
+    })
+  ]);
+
+  const escrows = await prisma.escrow.findMany({
+    where: { id: { in: [...new Set(ledger.map(row => row.escrowId))] } },
+    select: { id: true, payeeId: true, currency: true }
+  });
+  const escrowsById = new Map(escrows.map(escrow => [escrow.id, escrow]));
+
+  // Released to each payee and currency according to the escrow ledger
+  const released = new Map();
+  ledger.forEach(row => {
+    const escrow = escrowsById.get(row.escrowId);
+    const key = `${escrow.payeeId}:${escrow.currency}`;
+    const sign = row.direction === 'credit' ? 1 : -1;
+    released.set(key, (released.get(key) || 0) + sign * (row._sum.amount || 0));
+  });
+
+  const creditsByWallet = new Map(escrowCredits.map(row => [
+    row.walletId,
+    (row._sum.available || 0) + (row._sum.pending || 0)
+  ]));
+  const sumsByWallet = new Map(entrySums.map(row => [row.walletId, row._sum]));
+
+  const mismatches = [];
+  const totals = {};
+  const credited = new Map();
+
+  wallets.forEach(wallet => {
+    const key = `${wallet.userId}:${wallet.currency}`;
+    credited.set(key, creditsByWallet.get(wallet.id) || 0);
+
+    const total = totals[wallet.currency] ||
+      (totals[wallet.currency] = { currency: wallet.currency, ledgerPayee: 0, walletCredits: 0, available: 0, pending: 0, held: 0 });
+    total.available += wallet.available;
+    total.pending += wallet.pending;
+    total.held += wallet.held;
+
+    const sums = sumsByWallet.get(wallet.id) || {};
+    const drift = ['available', 'pending', 'held'].filter(bucket =>
+      Math.abs(wallet[bucket] - (sums[bucket] || 0)) >= 0.01
+    );
+    if (drift.length) {
+      mismatches.push({
+        type: 'wallet_entries',
+        walletId: wallet.id,
+        userId: wallet.userId,
+        currency: wallet.currency,
+        balances: pickBuckets(wallet),
+        entries: pickBuckets(sums)
+      });
+    }
+  });
+
+  new Set([...released.keys(), ...credited.keys()]).forEach(key => {
+    const [userId, code] = key.split(':');
+    const ledgerAmount = round(released.get(key) || 0);
+    const walletAmount = round(credited.get(key) || 0);
+
+    const total = totals[code] ||
+      (totals[code] = { currency: code, ledgerPayee: 0, walletCredits: 0, available: 0, pending: 0, held: 0 });
+    total.ledgerPayee += ledgerAmount;
+    total.walletCredits += walletAmount;
+
+    if (Math.abs(ledgerAmount - walletAmount) >= 0.01) {
+      mismatches.push({
+        type: 'escrow_ledger',
+        userId,
+        currency: code,
+        ledgerPayee: ledgerAmount,
+        walletCredits: walletAmount,
+        difference: round(walletAmount - ledgerAmount)
+      });
+    }
+  });
+
+  const currencies = Object.values(totals).map(total => ({
+    currency: total.currency,
+    ledgerPayee: round(total.ledgerPayee),
+    walletCredits: round(total.walletCredits),
+    difference: round(total.walletCredits - total.ledgerPayee),
+    available: round(total.available),
+    pending: round(total.pending),
+    held: round(total.held)
+  }));
+
+  return {
+    balanced: mismatches.length === 0,
+    currencies,
+    mismatches
+  };
+};
+
+// Helper functions
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function pickBuckets(source) {
+  return {
+    available: round(source.available || 0),
+    pending: round(source.pending || 0),
+    held: round(source.held || 0)
+  };
+}
+
+function pickDestination(method, destination) {
+  return Object.fromEntries(
+    DESTINATION_FIELDS[method]
+      .filter(field => destination[field] != null && destination[field] !== '')
+      .map(field => [field, String(destination[field]).trim()])
+  );
+}
+
+// Write an entry and apply it to the wallet; `guard` adds conditions the
+// wallet must still meet (e.g. enough available), else the change is refused
+async function post(tx, wallet, { type, available = 0, pending = 0, held = 0, ...entry }, guard) {
+  const data = {
+    available: { increment: available },
+    pending: { increment: pending },
+    held: { increment: held }
+  };
+
+  if (guard) {
+    const { count } = await tx.wallet.updateMany({ where: { id: wallet.id, ...guard }, data });
+    if (count === 0) {
+      throw ApiError.conflict('Wallet balance changed - please reload and try again');
+    }
+  } else {
+    await tx.wallet.update({ where: { id: wallet.id }, data });
+  }
+
+  return await tx.walletEntry.create({
+    data: { walletId: wallet.id, type, available, pending, held, ...entry }
+  });
+}
+
+// Close a payout that was never paid and hand its funds back to available
+async function releaseHold(payout, { from, status, data = {}, memo }) {
+  return await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payout.updateMany({
+      where: { id: payout.id, status: { in: from } },
+      data: { ...data, status }
+    });
+
+    if (count === 0) {
+      throw ApiError.conflict(`Payout is already ${payout.status}`);
+    }
+
+    await post(tx, { id: payout.walletId }, {
+      type: 'payout_release',
+      held: -payout.amount,
+      available: payout.amount,
+      payoutId: payout.id,
+      memo
+    });
+
+    return await tx.payout.findUnique({ where: { id: payout.id } });
+  });
+}
+
+async function sendPayout(payoutId) {
+  const payout = await prisma.payout.findUnique({
+    where: { id: payoutId },
+    include: { user: { select: { id: true, email: true, firstName: true, lastName: true } } }
+  });
+
+  let result;
+  try {
+    result = await payoutWithProvider({ payout, user: payout.user });
+  } catch (error) {
+    return await exports.failPayout({ payout, reason: error.message });
+  }
+
+  await prisma.payout.update({
+    where: { id: payoutId },
+    data: { provider: result.provider, providerRef: result.providerRef, providerResponse: result }
+  });
+
+  if (result.status === 'success') {
+    return await exports.completePayout({ payout });
+  }
+
+  if (result.status === 'failed') {
+    return await exports.failPayout({ payout, reason: result.message || 'Payout declined by the payment provider' });
+  }
+
+  return await prisma.payout.findUnique({ where: { id: payoutId } });
+}
+
+async function notifyUser(payout, title, message, type = 'system') {
+  await prisma.notification.create({
+    data: {
+      userId: payout.userId,
+      type,
+      title,
+      message,
+      data: {
+        payoutId: payout.id,
+        reference: payout.reference,
+        amount: payout.amount,
+        currency: payout.currency
+      }
+    }
+  });
+}
+
+module.exports = exports;
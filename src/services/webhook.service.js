@@ -0,0 +1,268 @@
+/**
+ * Webhook Service
+ * Persists every payment provider callback, verifies its signature, processes
+ * it exactly once per provider event ID and allows failed events to be replayed.
+ * Payment and refund events apply to payments; transfer events to payouts.
+ * Events that arrive before the one they depend on (a refund before the
+ * payment succeeded) are deferred and replayed once it lands. A success for
+ * less than the payment, or in another currency, fails and is flagged as a
+ * reconciliation issue.
+ */
+
+const prisma = require('../config/prisma');
+const ApiError = require('../utils/ApiError');
+const { getProvider, paymentsOfProvider } = require('./paymentProviders');
+const { completePayment, failPayment } = require('./paymentProcessing.service');
+const { applyRefundWebhook } = require('./refund.service');
+const { applyPayoutWebhook } = require('./wallet.service');
+const { findMismatch, flagIssue } = require('./reconciliation.service');
+
+// Provider event types by what they do to a payment or payout
+const EVENT_KINDS = {
+  'charge.success': 'success',
+  'payment.success': 'success',
+  'charge.failed': 'failure',
+  'payment.failed': 'failure',
+  'refund.success': 'refund',
+  'refund.processed': 'refund',
+  'refund.failed': 'refund_failure',
+  'transfer.success': 'payout',
+  'transfer.failed': 'payout_failure'
+};
+
+// Events that can be processed (again)
+const REPLAYABLE_STATUSES = ['received', 'failed', 'deferred'];
+
+/**
+ * Record an incoming webhook and process it unless it was seen before
+ * @param {object} params
+ * @param {string} [params.provider] - Payment provider that sent it
+ * @param {object} params.body - Parsed webhook body
+ * @param {string} [params.rawBody] - Body exactly as received
+ * @param {object} [params.headers] - Request headers
+ * @returns {Promise<object>} `{ event, duplicate, rejected }`
+ */
+exports.receiveWebhook = async ({ provider = 'kora', body, rawBody, headers = {} }) => {
+  const gateway = getProvider(provider);
+  const { eventId, eventType, reference } = gateway.parseWebhook(body);
+  const signature = headers[gateway.signatureHeader];
+  const signatureValid = gateway.verifyWebhook({ body, rawBody, signature });
+
+  let event;
+  try {
+    event = await prisma.webhookEvent.create({
+      data: {
+        provider,
+        eventId,
+        eventType,
+        reference,
+        payload: body,
+        rawBody,
+        signature,
+        signatureValid
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+
+    // Seen before: only finish it if the earlier attempt didn't
+    let existing = await prisma.webhookEvent.findUnique({
+      where: { provider_eventId: { provider, eventId } }
+    });
+
+    // A forged copy got in first: the signed delivery takes its place
+    if (existing.status === 'rejected' && signatureValid) {
+      const { count } = await prisma.webhookEvent.updateMany({
+        where: { id: existing.id, status: 'rejected' },
+        data: {
+          status: 'received',
+          eventType,
+          reference,
+          payload: body,
+          rawBody,
+          signature,
+          signatureValid,
+          error: null
+        }
+      });
+
+      if (count > 0) {
+        existing = await prisma.webhookEvent.findUnique({ where: { id: existing.id } });
+      }
+    }
+
+    if (!['received', 'failed'].includes(existing.status)) {
+      return { event: existing, duplicate: true, rejected: false };
+    }
+
+    return { event: await exports.processWebhookEvent(existing), duplicate: true, rejected: false };
+  }
+
+  if (!signatureValid) {
+    event = await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'rejected', error: 'Invalid webhook signature' }
+    });
+    return { event, duplicate: false, rejected: true };
+  }
+
+  return { event: await exports.processWebhookEvent(event), duplicate: false, rejected: false };
+};
+
+/**
+ * Apply a recorded event to its payment
+ * @param {object} event - WebhookEvent
+ * @returns {Promise<object>} Updated event
+ */
+exports.processWebhookEvent = async (event) => {
+  let outcome;
+  try {
+    outcome = await applyEvent(event);
+  } catch (error) {
+    console.error(`Webhook event ${event.id} (${event.eventType}) failed:`, error.message);
+    outcome = { status: 'failed', error: error.message };
+  }
+
+  const updated = await prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: {
+      status: outcome.status,
+      attempts: { increment: 1 },
+      error: outcome.error || null,
+      ...(outcome.paymentId && { paymentId: outcome.paymentId }),
+      ...(['processed', 'skipped'].includes(outcome.status) && { processedAt: new Date() })
+    }
+  });
+
+  // A completed payment unblocks events that arrived too early
+  if (outcome.status === 'processed' && EVENT_KINDS[event.eventType] === 'success' && event.reference) {
+    await replayDeferredEvents(event.reference);
+  }
+
+  return updated;
+};
+
+/**
+ * Replay a failed or deferred event (admin)
+ * @param {string} id - WebhookEvent ID
+ * @returns {Promise<object>} Updated event
+ */
+exports.replayWebhookEvent = async (id) => {
+  const event = await prisma.webhookEvent.findUnique({ where: { id } });
+
+  if (!event) {
+    throw ApiError.notFound('Webhook event not found');
+  }
+
+  if (event.status === 'rejected') {
+    throw ApiError.badRequest('Events with an invalid signature cannot be replayed');
+  }
+
+  if (!REPLAYABLE_STATUSES.includes(event.status)) {
+    throw ApiError.conflict(`Event was already ${event.status}`);
+  }
+
+  return await exports.processWebhookEvent(event);
+};
+
+// Helper functions
+
+async function applyEvent(event) {
+  const kind = EVENT_KINDS[event.eventType];
+  if (!kind) {
+    return { status: 'skipped', error: `Unhandled event type ${event.eventType}` };
+  }
+
+  const { data } = getProvider(event.provider).parseWebhook(event.payload);
+
+  if (kind === 'payout' || kind === 'payout_failure') {
+    const { payout, applied } = await applyPayoutWebhook({
+      provider: event.provider,
+      reference: event.reference,
+      data,
+      failed: kind === 'payout_failure'
+    });
+    return applied
+      ? { status: 'processed' }
+      : { status: 'skipped', error: `Payout already ${payout.status}` };
+  }
+
+  // Refund events may carry the refund's own reference next to the payment's;
+  // a provider's events only ever apply to the payments it took
+  const refs = [...new Set([event.reference, data.payment_reference].filter(Boolean))];
+  const payment = refs.length
+    ? await prisma.payment.findFirst({
+      where: {
+        AND: [
+          paymentsOfProvider(event.provider),
+          {
+            OR: [
+              { reference: { in: refs } },
+              { providerRef: { in: refs } },
+              { transactionId: { in: refs } }
+            ]
+          }
+        ]
+      }
+    })
+    : null;
+
+  // Can happen when the callback beats our own write - replay later
+  if (!payment) {
+    throw new Error(`No payment for reference ${event.reference}`);
+  }
+
+  let result;
+  switch (kind) {
+    case 'success': {
+      // An event for a smaller charge, or one in another currency, must not pay for this one
+      const mismatch = findMismatch(payment, {
+        amount: data.amount != null ? Number(data.amount) : null,
+        currency: data.currency
+      });
+      if (mismatch) {
+        await flagIssue(payment, mismatch);
+      }
+      if (mismatch && mismatch.blocking) {
+        return { status: 'failed', paymentId: payment.id, error: mismatch.details };
+      }
+
+      result = await completePayment({
+        payment,
+        transactionId: data.payment_reference || data.transactionId,
+        providerStatus: data.status || 'success',
+        providerMessage: data.message
+      });
+      break;
+    }
+    case 'failure':
+      result = await failPayment({ payment, reason: data.message || data.reason });
+      break;
+    case 'refund':
+    case 'refund_failure':
+      if (payment.status === 'pending') {
+        return { status: 'deferred', paymentId: payment.id, error: 'Waiting for the payment to complete' };
+      }
+      result = await applyRefundWebhook({ payment, data, failed: kind === 'refund_failure' });
+      break;
+  }
+
+  return result.applied
+    ? { status: 'processed', paymentId: payment.id }
+    : { status: 'skipped', paymentId: payment.id, error: `Payment already ${result.payment.status}` };
+}
+
+async function replayDeferredEvents(reference) {
+  const deferred = await prisma.webhookEvent.findMany({
+    where: { reference, status: 'deferred' },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  for (const event of deferred) {
+    await exports.processWebhookEvent(event);
+  }
+}
+
+module.exports = exports;
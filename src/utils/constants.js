@@ -63,7 +63,9 @@ module.exports = {
     SWAPPED: 'swapped',
     INACTIVE: 'inactive',
     PENDING: 'pending',
-    REJECTED: 'rejected'
+    REJECTED: 'rejected',
+    EXPIRED: 'expired',
+    RESERVED: 'reserved'
   },
 
   // Swap Status
@@ -73,7 +75,171 @@ module.exports = {
     REJECTED: 'rejected',
     CANCELLED: 'cancelled',
     COMPLETED: 'completed',
-    EXPIRED: 'expired'
+    EXPIRED: 'expired',
+    IN_HANDOVER: 'in_handover',
+    DISPUTED: 'disputed'
+  },
+
+  // Swap Negotiation
+  SWAP_NEGOTIATION: {
+    MAX_REVISIONS: 10 // proposal + counter offers
+  },
+
+  // Swap Notes
+  SWAP_NOTES: {
+    EDIT_WINDOW_MINUTES: 15,
+    MAX_ATTACHMENTS: 5
+  },
+
+  // Swap Handover
+  SWAP_HANDOVER: {
+    CHECKLIST: ['keysHandedOver', 'documentsHandedOver', 'inspectionDone', 'cashSettled'],
+    AUTO_COMPLETE_HOURS: 72, // after the first party confirms
+    CHECK_INTERVAL_MINUTES: 15
+  },
+
+  // Swap Disputes
+  SWAP_DISPUTE: {
+    SLA_HOURS: 48, // admin response time
+    MAX_ATTACHMENTS: 5,
+    OUTCOMES: ['revert_listings', 'force_complete', 'refund_escrow', 'ban_party']
+  },
+
+  // Swap Recommendations
+  SWAP_RECOMMENDATION: {
+    WEIGHTS: { // out of 100
+      PRICE_PARITY: 35,
+      PREFERENCE: 30,
+      DISTANCE: 20,
+      SELLER_RATING: 15
+    },
+    MAX_PRICE_GAP: 0.5, // candidates priced more than 50% away are ignored
+    MAX_DISTANCE_KM: 500, // distance score reaches zero here
+    CANDIDATE_POOL: 200,
+    DEFAULT_LIMIT: 10,
+    MAX_LIMIT: 50
+  },
+
+  // Swap Expiry (defaults, overridable via env)
+  SWAP_EXPIRY: {
+    PENDING_TTL_HOURS: 168, // 7 days without a response
+    REMINDER_HOURS_BEFORE: 24,
+    STALLED_ACCEPTED_DAYS: 14, // accepted but handover never started
+    CHECK_INTERVAL_MINUTES: 15
+  },
+
+  // Listing expiry, promotion windows and cleanup
+  LISTING_LIFECYCLE: {
+    DURATION_DAYS: 60, // from publishing or renewal
+    PURGE_AFTER_DAYS: 90, // expired listings are deleted after this
+    CHECK_INTERVAL_MINUTES: 60,
+    BATCH_SIZE: 500
+  },
+
+  // Saved-search alerts
+  SAVED_SEARCH: {
+    FREQUENCIES: ['instant', 'daily', 'weekly'],
+    DIGEST_PERIOD_HOURS: { daily: 24, weekly: 168 },
+    CHECK_INTERVAL_MINUTES: 15,
+    BATCH_SIZE: 200, // saved searches matched per run
+    MAX_MATCHES_PER_CHECK: 50,
+    ALERT_LISTINGS: 5 // listings named in one alert or digest
+  },
+
+  // Price history and alerts on favorited listings
+  PRICE_ALERT: {
+    MIN_DROP_PERCENT: 1,
+    MAX_DROP_PERCENT: 90,
+    HISTORY_LIMIT: 100 // price changes returned by the history endpoint
+  },
+
+  // Multi-way (ring) swaps
+  SWAP_RING: {
+    MIN_SIZE: 3,
+    MAX_SIZE: 4,
+    MAX_PRICE_GAP: 0.3, // rings carry no cash, so legs must be close in price
+    EXPIRY_HOURS: 72,
+    CANDIDATE_POOL: 500, // per listing type
+    MAX_WANTS: 20, // closest-priced listings each listing links to in the search graph
+    MAX_STEPS_PER_START: 2000, // search steps from one listing before moving on
+    MATCH_INTERVAL_MINUTES: 60
+  },
+
+  // Items in a single swap offer
+  SWAP_ITEMS: {
+    MAX_OFFERED_ITEMS: 5,
+    MAX_QUANTITY: 100 // per part line
+  },
+
+  // Escrow (protected swaps and sales)
+  ESCROW: {
+    FEE_PERCENT: 2.5, // taken from released funds, never from refunds
+    FUNDABLE_SWAP_STATUSES: ['accepted', 'in_handover'], // cash terms are final once accepted
+    ACCOUNTS: ['payer', 'escrow', 'payee', 'fees'],
+    SETTLEMENT_RETRY_MINUTES: 15, // failed swap escrow settlements are retried this often
+    SETTLEMENT_BATCH_SIZE: 100
+  },
+
+  // Seller wallets and payouts
+  WALLET: {
+    CLEARING_DAYS: 3, // released escrow stays pending this long before it can be paid out
+    PAYOUT_METHODS: ['bank_transfer', 'mobile_money'],
+    PAYOUT_FEE_PERCENT: { bank_transfer: 1, mobile_money: 1.5 }, // taken from the payout
+    MIN_PAYOUT_BASE: 10, // in CURRENCY.BASE, converted to the wallet currency
+    CLEARANCE_INTERVAL_MINUTES: 60
+  },
+
+  // Payment reconciliation against the provider
+  RECONCILIATION: {
+    CHECK_INTERVAL_MINUTES: 15,
+    STALE_AFTER_MINUTES: 30, // pending this long without a webhook gets checked with the provider
+    RECHECK_MINUTES: 60, // between checks of the same pending payment
+    ABANDON_AFTER_HOURS: 24, // still pending after this is cancelled
+    LATE_SUCCESS_LOOKBACK_HOURS: 72, // failed/cancelled payments re-checked for money that landed late
+    LATE_SUCCESS_RECHECK_HOURS: 24,
+    BATCH_SIZE: 100,
+    REPORT_INTERVAL_MINUTES: 60 // how often to look for a finished day without a report
+  },
+
+  // Currencies
+  CURRENCY: {
+    BASE: 'USD', // listing prices are normalized to this for filtering and sorting
+    SUPPORTED: {
+      USD: { name: 'US Dollar', symbol: '$' },
+      EUR: { name: 'Euro', symbol: '€' },
+      GBP: { name: 'British Pound', symbol: '£' },
+      NGN: { name: 'Nigerian Naira', symbol: '₦' },
+      GHS: { name: 'Ghanaian Cedi', symbol: 'GH₵' },
+      KES: { name: 'Kenyan Shilling', symbol: 'KSh' },
+      ZAR: { name: 'South African Rand', symbol: 'R' }
+    },
+    // Units per 1 USD until rates are imported or set by an admin
+    DEFAULT_RATES: {
+      USD: 1,
+      EUR: 0.92,
+      GBP: 0.79,
+      NGN: 1550,
+      GHS: 15.5,
+      KES: 129,
+      ZAR: 18.2
+    },
+    RATES_CACHE_SECONDS: 300
+  },
+
+  // Invoices
+  INVOICE: {
+    NUMBER_PREFIX: 'INV',
+    NUMBER_DIGITS: 6,
+    // Tax included in platform service prices, by buyer country (code or name)
+    TAX_RATES: {
+      NG: { name: 'Nigeria', rate: 7.5, label: 'VAT' },
+      GH: { name: 'Ghana', rate: 15, label: 'VAT' },
+      KE: { name: 'Kenya', rate: 16, label: 'VAT' },
+      ZA: { name: 'South Africa', rate: 15, label: 'VAT' },
+      GB: { name: 'United Kingdom', rate: 20, label: 'VAT' },
+      US: { name: 'United States', rate: 0, label: 'Sales Tax' }
+    },
+    DEFAULT_TAX: { rate: 0, label: 'Tax' }
   },
 
   // Payment Status
@@ -141,6 +307,81 @@ module.exports = {
     ENTERPRISE: 'enterprise'
   },
 
+  // Subscription billing
+  SUBSCRIPTION: {
+    CURRENCY: 'USD',
+    // Plan catalogue; featuredListings/boostedAds are credits granted every period
+    PLANS: {
+      free: {
+        name: 'Free',
+        rank: 0,
+        price: 0,
+        interval: null,
+        entitlements: {
+          maxActiveListings: 3,
+          maxImagesPerListing: 5,
+          maxSavedSearches: 3,
+          featuredListings: 0,
+          boostedAds: 0,
+          prioritySupport: false
+        }
+      },
+      basic: {
+        name: 'Basic',
+        rank: 1,
+        price: 9.99,
+        interval: 'month',
+        entitlements: {
+          maxActiveListings: 15,
+          maxImagesPerListing: 10,
+          maxSavedSearches: 10,
+          featuredListings: 1,
+          boostedAds: 2,
+          prioritySupport: false
+        }
+      },
+      premium: {
+        name: 'Premium',
+        rank: 2,
+        price: 29.99,
+        interval: 'month',
+        entitlements: {
+          maxActiveListings: 50,
+          maxImagesPerListing: 20,
+          maxSavedSearches: 25,
+          featuredListings: 5,
+          boostedAds: 10,
+          prioritySupport: true
+        }
+      },
+      enterprise: {
+        name: 'Enterprise',
+        rank: 3,
+        price: 999.99,
+        interval: 'year',
+        entitlements: {
+          maxActiveListings: 500,
+          maxImagesPerListing: 30,
+          maxSavedSearches: 100,
+          featuredListings: 30,
+          boostedAds: 60,
+          prioritySupport: true
+        }
+      }
+    },
+    RENEWAL_NOTICE_DAYS: 3, // renewal invoice issued this long before the period ends
+    GRACE_PERIOD_DAYS: 7, // unpaid renewals keep the plan this long
+    DUNNING_INTERVAL_HOURS: 48,
+    CHECK_INTERVAL_MINUTES: 60
+  },
+
+  // Featured listings and boosts (priced per week, a plan credit covers one)
+  PROMOTION: {
+    MAX_DAYS: 7,
+    FEATURE_WEEKLY_PRICE: 10, // USD
+    BOOST_WEEKLY_PRICE: 5 // USD
+  },
+
   // File Upload Limits
   UPLOAD_LIMITS: {
     MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
@@ -198,14 +439,33 @@ module.exports = {
   // Geospatial
   GEO: {
     DEFAULT_RADIUS: 50000, // 50km in meters
-    MAX_RADIUS: 200000 // 200km in meters
+    MAX_RADIUS: 200000, // 200km in meters
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100,
+    SORTS: ['distance', 'newest', 'price', '-price']
   },
 
   // Search
   SEARCH: {
     MIN_QUERY_LENGTH: 2,
     MAX_QUERY_LENGTH: 100,
-    MAX_RESULTS: 100
+    MAX_RESULTS: 100,
+    MAX_MATCHES: 1000, // best-ranked full-text matches considered per query
+    MAX_TERMS: 8,
+    MIN_FUZZY_LENGTH: 3, // shorter words are not spell-corrected
+    FACET_LIMIT: 10, // values per make/brand facet
+    // Lower bounds in the base currency
+    PRICE_BUCKETS: {
+      vehicle: [0, 5000, 10000, 20000, 50000],
+      part: [0, 50, 100, 250, 500]
+    },
+    YEAR_RANGES: [
+      { max: 1999 },
+      { min: 2000, max: 2009 },
+      { min: 2010, max: 2014 },
+      { min: 2015, max: 2019 },
+      { min: 2020 }
+    ]
   },
 
   // Review Ratings
@@ -24,7 +24,7 @@ exports.generateRandomString = (length = 32) => {
 exports.generateNumericCode = (length = 6) => {
   const min = Math.pow(10, length - 1);
   const max = Math.pow(10, length) - 1;
-  return Math.floor(Math.random() * (max - min + 1)) + min).toString();
+  return (Math.floor(Math.random() * (max - min + 1)) + min).toString();
 };
 
 /**
@@ -0,0 +1,228 @@
+/**
+ * Swap Job Tests
+ * Drives the swap expiry and stalled-release jobs through the scheduler with
+ * a fixed clock, against a mocked Prisma client.
+ */
+
+jest.mock('../../src/config/prisma', () => {
+  const model = () => ({
+    findMany: jest.fn().mockResolvedValue([]),
+    findUnique: jest.fn().mockResolvedValue(null),
+    create: jest.fn().mockResolvedValue({}),
+    createMany: jest.fn().mockResolvedValue({ count: 0 }),
+    update: jest.fn().mockResolvedValue({}),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 })
+  });
+
+  const prisma = {
+    swap: model(),
+    swapEvent: model(),
+    swapReservation: model(),
+    vehicle: model(),
+    part: model(),
+    notification: model(),
+    report: model(),
+    swapDispute: model()
+  };
+
+  // Interactive transactions run against the same mocks
+  prisma.$transaction = jest.fn(async (work) => (
+    typeof work === 'function' ? work(prisma) : Promise.all(work)
+  ));
+
+  return prisma;
+});
+jest.mock('../../src/services/escrow.service');
+jest.mock('../../src/services/email.service', () => ({ sendEmail: jest.fn() }));
+
+const prisma = require('../../src/config/prisma');
+const { scheduler } = require('../../src/jobs');
+const { SWAP_STATUS, SWAP_EXPIRY } = require('../../src/utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00Z');
+
+const swapOf = (fields) => ({
+  initiatorId: 'initiator',
+  receiverId: 'receiver',
+  lastOfferById: null,
+  offeredVehicleId: null,
+  offeredItems: [],
+  requestedItemId: 'vehicle-1',
+  requestedItemType: 'vehicle',
+  requestedQuantity: 1,
+  ringId: null,
+  ...fields
+});
+
+// Just the filters the swap jobs use
+const matches = (swap, where) => (
+  (where.status.in ? where.status.in.includes(swap.status) : swap.status === where.status) &&
+  (where.ringId === undefined || swap.ringId === where.ringId) &&
+  (where.reminderSentAt === undefined || !swap.reminderSentAt) &&
+  (!where.expiresAt || ((!where.expiresAt.gt || swap.expiresAt > where.expiresAt.gt) && swap.expiresAt <= where.expiresAt.lte)) &&
+  (!where.updatedAt || swap.updatedAt <= where.updatedAt.lte)
+);
+
+const mockSwaps = (swaps) => {
+  prisma.swap.findMany.mockImplementation(async ({ where }) => swaps.filter(swap => matches(swap, where)));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSwaps([]);
+});
+
+describe('swap-expiry job', () => {
+  it('reminds whoever has to respond before the offer expires', async () => {
+    mockSwaps([
+      swapOf({ id: 'swap-1', status: SWAP_STATUS.PENDING, expiresAt: new Date(now.getTime() + 5 * HOUR_MS) }),
+      swapOf({ id: 'swap-2', status: SWAP_STATUS.PENDING, lastOfferById: 'receiver', expiresAt: new Date(now.getTime() + HOUR_MS / 2) })
+    ]);
+
+    const result = await scheduler.runJob('swap-expiry', { now });
+
+    expect(result).toEqual({ reminded: 2, expired: 0 });
+    expect(prisma.swap.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        status: SWAP_STATUS.PENDING,
+        reminderSentAt: null,
+        expiresAt: { gt: now, lte: new Date(now.getTime() + SWAP_EXPIRY.REMINDER_HOURS_BEFORE * HOUR_MS) }
+      }
+    }));
+
+    const reminders = prisma.notification.create.mock.calls.map(([{ data }]) => data);
+    expect(reminders).toEqual([
+      expect.objectContaining({ userId: 'receiver', message: expect.stringContaining('expires in 5 hours') }),
+      expect.objectContaining({ userId: 'initiator', message: expect.stringContaining('expires in 1 hour') })
+    ]);
+    expect(prisma.swap.update).toHaveBeenCalledWith({ where: { id: 'swap-1' }, data: { reminderSentAt: now } });
+    expect(prisma.swap.update).toHaveBeenCalledWith({ where: { id: 'swap-2' }, data: { reminderSentAt: now } });
+  });
+
+  it('expires unanswered offers and tells both parties', async () => {
+    const expiresAt = new Date(now.getTime() - HOUR_MS);
+    mockSwaps([swapOf({ id: 'swap-1', status: SWAP_STATUS.PENDING, reminderSentAt: expiresAt, expiresAt })]);
+
+    const result = await scheduler.runJob('swap-expiry', { now });
+
+    expect(result).toEqual({ reminded: 0, expired: 1 });
+    expect(prisma.swap.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: SWAP_STATUS.PENDING, expiresAt: { lte: now } }
+    }));
+    expect(prisma.swap.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'swap-1', status: SWAP_STATUS.PENDING },
+      data: expect.objectContaining({ status: SWAP_STATUS.EXPIRED })
+    }));
+    expect(prisma.notification.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({ userId: 'initiator', title: 'Swap Offer Expired' }),
+        expect.objectContaining({ userId: 'receiver', title: 'Swap Offer Expired' })
+      ]
+    });
+  });
+
+  it('skips offers answered since they were loaded', async () => {
+    mockSwaps([swapOf({ id: 'swap-1', status: SWAP_STATUS.PENDING, expiresAt: new Date(now.getTime() - HOUR_MS) })]);
+    prisma.swap.updateMany.mockResolvedValueOnce({ count: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await scheduler.runJob('swap-expiry', { now });
+
+    expect(result).toEqual({ reminded: 0, expired: 0 });
+    expect(prisma.notification.createMany).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('swap-stalled-release job', () => {
+  const stalledAt = new Date(now.getTime() - (SWAP_EXPIRY.STALLED_ACCEPTED_DAYS + 1) * 24 * HOUR_MS);
+
+  it('cancels stalled accepted swaps and puts their reserved listings back on the market', async () => {
+    mockSwaps([swapOf({ id: 'swap-1', status: SWAP_STATUS.ACCEPTED, updatedAt: stalledAt })]);
+    prisma.swapReservation.findMany.mockResolvedValue([
+      { id: 'reservation-1', swapId: 'swap-1', itemType: 'vehicle', itemId: 'vehicle-1', previousStatus: 'active' },
+      { id: 'reservation-2', swapId: 'swap-1', itemType: 'part', itemId: 'part-1', previousStatus: 'active' }
+    ]);
+
+    const result = await scheduler.runJob('swap-stalled-release', { now });
+
+    expect(result).toEqual({ released: 1 });
+    expect(prisma.swap.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        status: SWAP_STATUS.ACCEPTED,
+        updatedAt: { lte: new Date(now.getTime() - SWAP_EXPIRY.STALLED_ACCEPTED_DAYS * 24 * HOUR_MS) }
+      }
+    }));
+    expect(prisma.swap.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'swap-1', status: SWAP_STATUS.ACCEPTED },
+      data: expect.objectContaining({ status: SWAP_STATUS.CANCELLED })
+    }));
+    expect(prisma.vehicle.updateMany).toHaveBeenCalledWith({
+      where: { id: 'vehicle-1', status: 'reserved' },
+      data: { status: 'active' }
+    });
+    expect(prisma.part.updateMany).toHaveBeenCalledWith({
+      where: { id: 'part-1', status: 'reserved' },
+      data: { status: 'active' }
+    });
+    expect(prisma.swapReservation.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['reservation-1', 'reservation-2'] } },
+      data: { releasedAt: expect.any(Date) }
+    });
+    expect(prisma.notification.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({ userId: 'initiator', title: 'Swap Released' }),
+        expect.objectContaining({ userId: 'receiver', title: 'Swap Released' })
+      ]
+    });
+  });
+
+  it('cancels every accepted leg of a ring once when one leg stalls', async () => {
+    mockSwaps([
+      swapOf({ id: 'leg-1', status: SWAP_STATUS.ACCEPTED, ringId: 'ring-1', updatedAt: stalledAt }),
+      swapOf({ id: 'leg-2', status: SWAP_STATUS.ACCEPTED, ringId: 'ring-1', updatedAt: stalledAt }),
+      swapOf({ id: 'leg-3', status: SWAP_STATUS.ACCEPTED, ringId: 'ring-1', updatedAt: now })
+    ]);
+
+    const result = await scheduler.runJob('swap-stalled-release', { now });
+
+    const cancelled = prisma.swap.updateMany.mock.calls.map(([{ where }]) => where.id);
+    expect(result).toEqual({ released: 3 });
+    expect(cancelled).toEqual(['leg-1', 'leg-2', 'leg-3']);
+    expect(prisma.swapEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        swapId: 'leg-3',
+        action: 'released_stalled',
+        changes: { stalledAcceptedDays: SWAP_EXPIRY.STALLED_ACCEPTED_DAYS, ringId: 'ring-1', stalledSwapId: 'leg-1' }
+      })
+    });
+  });
+
+  it('disputes ring legs already in handover when another leg stalls', async () => {
+    mockSwaps([
+      swapOf({ id: 'leg-1', status: SWAP_STATUS.ACCEPTED, ringId: 'ring-1', updatedAt: stalledAt }),
+      swapOf({ id: 'leg-2', status: SWAP_STATUS.IN_HANDOVER, ringId: 'ring-1', updatedAt: stalledAt }),
+      swapOf({ id: 'leg-3', status: SWAP_STATUS.COMPLETED, ringId: 'ring-1', updatedAt: stalledAt })
+    ]);
+    prisma.report.create.mockResolvedValue({ id: 'report-1' });
+
+    const result = await scheduler.runJob('swap-stalled-release', { now });
+
+    const moves = prisma.swap.updateMany.mock.calls.map(([{ where, data }]) => [where.id, where.status, data.status]);
+    expect(result).toEqual({ released: 2 });
+    expect(moves).toEqual([
+      ['leg-1', SWAP_STATUS.ACCEPTED, SWAP_STATUS.CANCELLED],
+      ['leg-2', SWAP_STATUS.IN_HANDOVER, SWAP_STATUS.DISPUTED]
+    ]);
+    expect(prisma.swapDispute.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ swapId: 'leg-2', reason: 'ring_stalled', reportId: 'report-1' })
+    });
+    expect(prisma.notification.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({ userId: 'initiator', title: 'Swap Disputed' }),
+        expect.objectContaining({ userId: 'receiver', title: 'Swap Disputed' })
+      ]
+    });
+  });
+});
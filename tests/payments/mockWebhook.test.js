@@ -0,0 +1,252 @@
+/**
+ * Mock Provider Webhook Tests
+ * Settles mock charges and follows their signed webhooks through the webhook
+ * service, against an in-memory webhook store and mocked payment processing.
+ */
+
+process.env.PAYMENT_MOCK_ENABLED = 'true';
+process.env.PAYMENT_MOCK_SECRET = 'test_mock_secret';
+process.env.PAYMENT_MOCK_AUTO_WEBHOOKS = 'false';
+
+jest.mock('../../src/config/prisma', () => ({
+  webhookEvent: {},
+  payment: { findFirst: jest.fn() },
+  reconciliationIssue: { upsert: jest.fn() }
+}));
+jest.mock('../../src/services/paymentProcessing.service', () => ({
+  completePayment: jest.fn(),
+  failPayment: jest.fn()
+}));
+jest.mock('../../src/services/refund.service', () => ({ applyRefundWebhook: jest.fn() }));
+jest.mock('../../src/services/wallet.service', () => ({ applyPayoutWebhook: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({ sendEmail: jest.fn() }));
+
+const crypto = require('crypto');
+const prisma = require('../../src/config/prisma');
+const config = require('../../src/config/config');
+const mockProvider = require('../../src/services/paymentProviders/mock.provider');
+const { assertProvidersConfigured, getProvider } = require('../../src/services/paymentProviders');
+const { receiveWebhook } = require('../../src/services/webhook.service');
+const { completePayment, failPayment } = require('../../src/services/paymentProcessing.service');
+
+let events;
+let payments;
+
+// Webhook events kept in memory, unique per provider and event ID
+const mockWebhookStore = () => {
+  const find = (where) => events.find(event => (where.provider_eventId
+    ? event.provider === where.provider_eventId.provider && event.eventId === where.provider_eventId.eventId
+    : event.id === where.id));
+
+  const apply = (event, data) => Object.assign(event, data, {
+    attempts: data.attempts ? event.attempts + data.attempts.increment : event.attempts
+  });
+
+  Object.assign(prisma.webhookEvent, {
+    create: jest.fn(async ({ data }) => {
+      if (find({ provider_eventId: data })) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const event = { id: `event-${events.length + 1}`, status: 'received', attempts: 0, ...data };
+      events.push(event);
+      return { ...event };
+    }),
+    findUnique: jest.fn(async ({ where }) => {
+      const event = find(where);
+      return event ? { ...event } : null;
+    }),
+    update: jest.fn(async ({ where, data }) => ({ ...apply(find(where), data) })),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const event = find(where);
+      if (!event || event.status !== where.status) {
+        return { count: 0 };
+      }
+      apply(event, data);
+      return { count: 1 };
+    }),
+    findMany: jest.fn(async () => [])
+  });
+};
+
+// Payments matching the webhook service's provider-scoped lookup
+const matchesProvider = (payment, filter) => (filter.OR
+  ? filter.OR.some(option => payment.provider === option.provider)
+  : payment.provider === filter.provider);
+
+const matchesReference = (payment, filter) => filter.OR.some(option => {
+  const [field] = Object.keys(option);
+  return option[field].in.includes(payment[field]);
+});
+
+const sign = (rawBody, secret) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+const startCharge = async (reference, charged = { amount: 100, currency: 'GHS' }) => {
+  payments.push({ id: `payment-${reference}`, reference, provider: 'mock', status: 'pending', amount: 100, currency: 'GHS' });
+  return await mockProvider.initialize({ reference, ...charged, metadata: {} });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockProvider.reset();
+  events = [];
+  payments = [];
+  mockWebhookStore();
+
+  prisma.payment.findFirst.mockImplementation(async ({ where }) => {
+    const [provider, reference] = where.AND;
+    return payments.find(payment => matchesProvider(payment, provider) && matchesReference(payment, reference)) || null;
+  });
+
+  const settled = async ({ payment }) => ({ payment, applied: true });
+  completePayment.mockImplementation(settled);
+  failPayment.mockImplementation(settled);
+});
+
+describe('mock provider webhooks', () => {
+  it('completes the payment from a settled charge', async () => {
+    await startCharge('PAY-1');
+
+    const event = await mockProvider.completeCharge('PAY-1', 'success');
+
+    expect(event).toEqual(expect.objectContaining({
+      provider: 'mock',
+      eventType: 'charge.success',
+      reference: 'PAY-1',
+      signatureValid: true,
+      status: 'processed',
+      paymentId: 'payment-PAY-1'
+    }));
+    expect(completePayment).toHaveBeenCalledWith(expect.objectContaining({
+      payment: expect.objectContaining({ id: 'payment-PAY-1' }),
+      transactionId: expect.stringMatching(/^MOCK-TXN-/),
+      providerStatus: 'success'
+    }));
+  });
+
+  it('fails the payment from a declined charge', async () => {
+    await startCharge('PAY-1');
+
+    const event = await mockProvider.completeCharge('PAY-1', 'failed');
+
+    expect(event.status).toBe('processed');
+    expect(failPayment).toHaveBeenCalledWith({
+      payment: expect.objectContaining({ id: 'payment-PAY-1' }),
+      reason: 'Mock card declined'
+    });
+    expect(completePayment).not.toHaveBeenCalled();
+  });
+
+  it('processes a redelivered event once', async () => {
+    await startCharge('PAY-1');
+    const event = await mockProvider.completeCharge('PAY-1', 'success');
+
+    const rawBody = JSON.stringify(event.payload);
+    const redelivery = await receiveWebhook({
+      provider: 'mock',
+      body: event.payload,
+      rawBody,
+      headers: { 'x-mock-signature': sign(rawBody, config.payment.mock.secret) }
+    });
+
+    expect(redelivery.duplicate).toBe(true);
+    expect(redelivery.event.status).toBe('processed');
+    expect(completePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects webhooks not signed with the configured secret', async () => {
+    await startCharge('PAY-1');
+    const body = { event: 'charge.success', data: { reference: 'PAY-1', status: 'success' } };
+    const rawBody = JSON.stringify(body);
+
+    const result = await receiveWebhook({
+      provider: 'mock',
+      body,
+      rawBody,
+      headers: { 'x-mock-signature': sign(rawBody, 'mock_webhook_secret') }
+    });
+
+    expect(result.rejected).toBe(true);
+    expect(result.event).toEqual(expect.objectContaining({ status: 'rejected', signatureValid: false }));
+    expect(completePayment).not.toHaveBeenCalled();
+  });
+
+  it('lets the signed delivery replace a forged one that arrived first', async () => {
+    await startCharge('PAY-1');
+    const body = { event: 'charge.success', data: { reference: 'PAY-1', status: 'success' } };
+    const rawBody = JSON.stringify(body);
+
+    await receiveWebhook({ provider: 'mock', body, rawBody, headers: { 'x-mock-signature': 'forged' } });
+    const result = await receiveWebhook({
+      provider: 'mock',
+      body,
+      rawBody,
+      headers: { 'x-mock-signature': sign(rawBody, config.payment.mock.secret) }
+    });
+
+    expect(result.event).toEqual(expect.objectContaining({ status: 'processed', signatureValid: true }));
+    expect(completePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['a smaller charge', { amount: 40, currency: 'GHS' }, 'amount_mismatch', 'Paid 40 of 100'],
+    ['a charge in another currency', { amount: 100, currency: 'NGN' }, 'currency_mismatch', 'Paid in NGN, charged in GHS']
+  ])('flags and fails the event for %s', async (label, charged, type, details) => {
+    await startCharge('PAY-1', charged);
+
+    const event = await mockProvider.completeCharge('PAY-1', 'success');
+
+    expect(event).toEqual(expect.objectContaining({ status: 'failed', error: details, paymentId: 'payment-PAY-1' }));
+    expect(prisma.reconciliationIssue.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { paymentId_type: { paymentId: 'payment-PAY-1', type } }
+    }));
+    expect(completePayment).not.toHaveBeenCalled();
+  });
+
+  it('completes an overpaid charge and flags it', async () => {
+    await startCharge('PAY-1', { amount: 120, currency: 'GHS' });
+
+    const event = await mockProvider.completeCharge('PAY-1', 'success');
+
+    expect(event.status).toBe('processed');
+    expect(prisma.reconciliationIssue.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { paymentId_type: { paymentId: 'payment-PAY-1', type: 'amount_mismatch' } }
+    }));
+    expect(completePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('never applies mock events to payments taken by another provider', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    payments.push({ id: 'payment-kora', reference: 'PAY-1', provider: 'kora', status: 'pending', amount: 100, currency: 'GHS' });
+    payments.push({ id: 'payment-legacy', reference: 'PAY-1', provider: null, status: 'pending', amount: 100, currency: 'GHS' });
+    await mockProvider.initialize({ reference: 'PAY-1', amount: 100, currency: 'GHS', metadata: {} });
+
+    const event = await mockProvider.completeCharge('PAY-1', 'success');
+
+    expect(event).toEqual(expect.objectContaining({ status: 'failed', error: 'No payment for reference PAY-1' }));
+    expect(completePayment).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('mock provider configuration', () => {
+  const { secret } = config.payment.mock;
+
+  afterEach(() => {
+    config.payment.mock.secret = secret;
+  });
+
+  it('is available when enabled with a secret of its own', () => {
+    expect(() => assertProvidersConfigured()).not.toThrow();
+    expect(getProvider('mock')).toBe(mockProvider);
+  });
+
+  it.each([
+    ['no secret', undefined],
+    ['the example secret', 'mock_webhook_secret']
+  ])('refuses to start with %s', (label, value) => {
+    config.payment.mock.secret = value;
+
+    expect(() => assertProvidersConfigured()).toThrow('PAYMENT_MOCK_SECRET');
+    expect(() => getProvider('mock')).toThrow('Payment provider mock is not available');
+  });
+});